@@ -0,0 +1,70 @@
+import http from 'http';
+
+/**
+ * Mock of the Homesfy CRM lead endpoint for local testing of CRM forwarding
+ * Usage: npm run mock-crm
+ *
+ * Point the API at it with CRM_LEADS_URL=http://localhost:4010/api/leads/create
+ *
+ *   MOCK_CRM_PORT       port to listen on (default 4010)
+ *   MOCK_CRM_FAIL_RATE  share of requests answered with a 503, 0-1 (default 0), to exercise retries
+ *
+ * GET /api/leads lists the leads received since start.
+ */
+const port = Number(process.env.MOCK_CRM_PORT) || 4010;
+const failRate = Math.min(1, Math.max(0, Number(process.env.MOCK_CRM_FAIL_RATE) || 0));
+const REQUIRED_FIELDS = ['name', 'country_code', 'number', 'tracking_lead_id', 'source_id', 'project_id'];
+
+const received = [];
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/api/leads') {
+    return send(res, 200, { total: received.length, leads: received });
+  }
+
+  if (req.method !== 'POST' || req.url !== '/api/leads/create') {
+    return send(res, 404, { status: false, message: 'Not found' });
+  }
+
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let lead;
+    try {
+      lead = JSON.parse(body);
+    } catch {
+      console.log('❌ Rejected: body is not JSON');
+      return send(res, 400, { status: false, message: 'Invalid JSON' });
+    }
+
+    const missing = REQUIRED_FIELDS.filter((field) => lead[field] === undefined || lead[field] === null || lead[field] === '');
+    if (missing.length > 0) {
+      console.log(`❌ Rejected: missing ${missing.join(', ')}`);
+      return send(res, 422, { status: false, message: `Missing fields: ${missing.join(', ')}` });
+    }
+
+    if (Math.random() < failRate) {
+      console.log(`⚠️  Simulated outage for ${lead.tracking_lead_id}`);
+      return send(res, 503, { status: false, message: 'Simulated CRM outage' });
+    }
+
+    const crmLeadId = received.length + 1;
+    received.push({ crmLeadId, receivedAt: new Date().toISOString(), lead });
+    console.log(`✅ Lead ${crmLeadId}: ${lead.name} ${lead.country_code} ${lead.number} (project ${lead.project_id}, ${lead.tracking_lead_id})`);
+    send(res, 200, { status: true, message: 'Lead created', data: { lead_id: crmLeadId } });
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Mock CRM listening on http://localhost:${port}/api/leads/create`);
+  if (failRate > 0) {
+    console.log(`   Failing ${Math.round(failRate * 100)}% of requests with a 503`);
+  }
+});
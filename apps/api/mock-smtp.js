@@ -0,0 +1,121 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+
+/**
+ * SMTP sink for local testing of digest emails: accepts every message and never delivers it
+ * Usage: npm run mock-smtp
+ *
+ * Point the API at it with SMTP_HOST=localhost SMTP_PORT=2525
+ *
+ *   MOCK_SMTP_PORT  port to listen on (default 2525)
+ *   MOCK_SMTP_DIR   directory to save each message to as a .eml file (default: not saved)
+ */
+const port = Number(process.env.MOCK_SMTP_PORT) || 2525;
+const outputDir = process.env.MOCK_SMTP_DIR ? path.resolve(process.env.MOCK_SMTP_DIR) : null;
+
+let received = 0;
+
+function headerValue(message, name) {
+  const match = message.match(new RegExp(`^${name}:\\s*(.*(?:\\r\\n[ \\t].*)*)`, 'im'));
+  return match ? match[1].replace(/\r\n[ \t]+/g, ' ') : '';
+}
+
+function saveMessage(envelope, message) {
+  received += 1;
+  const subject = headerValue(message, 'Subject');
+  console.log(`✅ Message ${received}: ${envelope.from} -> ${envelope.to.join(', ')} "${subject}" (${message.length} bytes)`);
+
+  if (outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const file = path.join(outputDir, `${Date.now()}-${received}.eml`);
+    fs.writeFileSync(file, message);
+    console.log(`   Saved to ${file}`);
+  }
+}
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let authStep = 0;
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  function handleCommand(line) {
+    const command = line.slice(0, 4).toUpperCase();
+    switch (command) {
+      case 'EHLO':
+        return socket.write(`250-localhost\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n`);
+      case 'HELO':
+        return reply('250 localhost');
+      case 'AUTH':
+        // Any credentials are accepted; AUTH LOGIN sends them on the next lines
+        if (/^AUTH LOGIN\s*$/i.test(line)) {
+          authStep = 2;
+          return reply('334 VXNlcm5hbWU6');
+        }
+        return reply('235 Authentication successful');
+      case 'MAIL':
+        envelope = { from: line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]|\s.*$/g, ''), to: [] };
+        return reply('250 OK');
+      case 'RCPT':
+        envelope.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]|\s.*$/g, ''));
+        return reply('250 OK');
+      case 'DATA':
+        inData = true;
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        return reply('250 OK');
+      case 'NOOP':
+        return reply('250 OK');
+      case 'QUIT':
+        reply('221 Bye');
+        return socket.end();
+      default:
+        return reply('502 Command not implemented');
+    }
+  }
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+
+    while (buffer) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        // Undo dot-stuffing
+        saveMessage(envelope, buffer.slice(0, end).replace(/^\.\./gm, '.'));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        envelope = { from: null, to: [] };
+        reply('250 OK: message accepted');
+        continue;
+      }
+
+      const lineEnd = buffer.indexOf('\r\n');
+      if (lineEnd === -1) return;
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+
+      if (authStep) {
+        authStep -= 1;
+        reply(authStep ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+        continue;
+      }
+      handleCommand(line);
+    }
+  });
+  socket.on('error', (error) => console.log(`⚠️  Connection error: ${error.message}`));
+
+  reply('220 localhost Mock SMTP');
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Mock SMTP listening on localhost:${port}`);
+  if (outputDir) {
+    console.log(`   Saving messages to ${outputDir}`);
+  }
+});
@@ -0,0 +1,77 @@
+/**
+ * Server-side record of a chat API conversation (a chat_sessions row).
+ *
+ * The first POST /api/chat turn creates the session and returns a random
+ * token; the widget sends it back with every later turn. The session keeps
+ * the dialogue state (topics covered, pending slot, slots typed so far), the
+ * conversation and the lead captured from it, so none of these have to be
+ * trusted from the client. Only a hash of the token is stored, so session
+ * listings cannot be used to take over a conversation.
+ */
+import crypto from "crypto";
+import { config } from "../config.js";
+
+async function getSessionStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlChatSessionStore.js");
+  }
+  return await import("../storage/chatSessionStore.js");
+}
+
+export function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * The session `token` belongs to, when it was started on the same microsite
+ * (and project); null for an unknown token or another site's session.
+ */
+export async function findChatSession(token, { projectId, microsite }) {
+  if (!token) {
+    return null;
+  }
+
+  const sessionStore = await getSessionStore();
+  const session = await sessionStore.getChatSessionByTokenHash(hashSessionToken(token));
+  if (!session || session.microsite !== microsite) {
+    return null;
+  }
+  const sessionProjectId = session.projectId ?? session.project_id;
+  if (projectId && sessionProjectId && sessionProjectId !== projectId) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Store a turn on the session (created when `session` is null): the dialogue
+ * state after it, the conversation so far and the lead it captured.
+ * Returns `{ session, token }`; `token` is only set for a new session.
+ */
+export async function saveChatTurn(session, { projectId, microsite, state, conversation, lead, visitor }) {
+  const sessionStore = await getSessionStore();
+  const leadFields = lead ? { leadId: lead.id, phone: lead.phone, bhkType: lead.bhkType ?? lead.bhk_type } : {};
+
+  if (session) {
+    const updated = await sessionStore.updateChatSession(session.id, {
+      ...leadFields,
+      conversation,
+      metadata: { ...(session.metadata || {}), dialogueState: state },
+    });
+    return { session: updated, token: null };
+  }
+
+  const token = crypto.randomUUID();
+  const created = await sessionStore.createChatSession({
+    microsite,
+    projectId,
+    ...leadFields,
+    conversation,
+    metadata: {
+      dialogueState: state,
+      ...(visitor?.visitorId && { visitor: { visitorId: visitor.visitorId, sessionId: visitor.sessionId || null } }),
+    },
+    tokenHash: hashSessionToken(token),
+  });
+  return { session: created, token };
+}
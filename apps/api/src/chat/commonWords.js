@@ -0,0 +1,91 @@
+/**
+ * Everyday English words (stopwords and the most frequent words, plus words
+ * visitors use around property enquiries). Typo correction leaves these alone:
+ * many sit one or two edits away from an intent keyword ("future" -> "feature",
+ * "were" -> "where", "product" -> "project") and are almost never typos.
+ *
+ * Homophone slips that usually are typos for a keyword ("sight visit",
+ * "prize") are deliberately not listed.
+ */
+const WORDS = `
+  about above across act add address advance after afternoon again against age ago agree ahead air
+  airport all allow almost alone along already also although always among amount and animal another
+  answer any anyone anything anyway apartment appear apple approval approved area arm around arrange
+  arrive art ask atom aunt away baby back bad balcony ball band bank banks bar base basic bathroom bear
+  beat beauty became because become bed been before began begin behind being believe bell below best
+  better between big bird bit black block blood blow blue board boat body bone book booking born both
+  bottom bought box boy branch bread break bright bring broad broke brother brought brown budget build
+  builder building built burn busy but buy cake call came camp can capital captain car card care carpet
+  carry case cat catch caught cause cell cent center century certain chair chance change charge charges
+  chart check chick chief child children choose circle city claim class clean clear climb clock close
+  cloth clothe cloud club clubhouse coast coat cold collect colony color column come comes coming
+  common company compare complete condition connect consider contain content continue control cook cool
+  copy corn corner correct cost cotton could count country course cousin cover cow crease create crop
+  cross crowd cry current cut dad dance danger dark daughter day dead deal dear death decide decimal
+  deep degree depend describe desert design determine develop developer did die different difficult
+  direct discount discuss distance divide division doctor does dog doing dollar done door double down
+  draw dream dress drink drive drop dry duck during duty each ear early earth ease east eat edge effect
+  egg eight either electric element else email end enemy energy engine enough enter equal especially
+  even evening event ever every everyone everything exact example except excite exercise expect
+  experience experiment extra eye face fact fair fall family famous far farm fast fat father favor fear
+  feed feel feet fell felt few field fig fight figure fill final find fine finger finish fire first
+  fish fit five flat flow flower fly follow food foot for force forest form forward found four fraction
+  free fresh friend from front fruit full fun further future game garden gas gather gave general gentle
+  get girl give given glad glass goes going gold gone good got govern grand grass gray great green grew
+  ground group grow guess guide gun gym had hair half hall hand happen happy hard has hat have having
+  head hear heard heart heat heavy held help her here herself high highway hill him himself his history
+  hit hold hole home hope horse hospital host hot hotel hour house how huge human hundred hunt hurry
+  husband idea if imagine inch include included including indicate industry insect instant instrument
+  interest interested into invent iron island its itself job join joy jump just keep kept key kids kill
+  kind kindly king kitchen knew know lady lake land language large last late later laugh law lay lead
+  learn least leave led left leg legal length less let letter level lie life lift light like line
+  liquid list listen little live locality log lone long look looking lost lot loud love low made magnet
+  mail main maintenance major make man many map mark market mass master match material matter may maybe
+  meant measure meat meet melody men metal method metro middle might mile milk million mind mine minute
+  miss mix mobile modern molecule moment money month moon more morning most mother motion mount
+  mountain mouth move much music must myself name nation natural nature near nearby necessary neck need
+  needed neighbor never new next nice night nine noise none noon nor north nose not note nothing notice
+  noun now number object observe occur ocean off offer offers office often oil okay old once only open
+  operate opposite order organ original other our ourselves out over own oxygen page paint pair paper
+  paragraph parent parents parking part particular party pass past path pattern pay payment people per
+  perhaps period person phone phrase pick picture piece pitch place plain plane planet plant plants
+  play please plural plus poem point poor populate port pose position possible post pound power
+  practice prepare present press pretty print probable problem process produce product proper property
+  protect prove provide pull push put quart question quick quiet quite quotient race radio rail rain
+  raise ran range rate rates rather reach read ready real reason receive record red region registration
+  remember rent rental repeat reply represent require resale rest result rich ride right ring rise
+  river road rock roll roof root rope rose round row rub rule run safe said sail sale salt same sand
+  sat save saw say scale school science score sea search season seat second section sector see seed
+  seem segment select self sell send sense sent separate serve set settle seven several shall shape
+  share sharp she sheet shell shine ship shoe shop shore short should shoulder shout show side sign
+  silent silver similar simple since sing single sister sit six size skill skin sky slave sleep slip
+  slow small smell smile snow society soft soil soldier solution solve some someone something son song
+  soon sort sound south space speak special speech speed spell spend spoke spot spread spring square
+  stamp stand star start state station stay stead steam steel step stick still stone stood stop store
+  storey story straight strange stream street stretch string strong student study subject substance
+  subtract success such sudden suffix sugar suggest suit summer sun supply support sure surface
+  surprise swim swimming syllable symbol system table tail take taken tall teach team teeth temperature
+  ten term test than thank thanks that the their them themselves then there these they thick thin thing
+  things think third this those though thought thousand three through throw thus tie time tiny tire
+  today together token told tomorrow tone too took tool top total touch toward tower town track trade
+  train travel tree triangle trip trouble truck true try tube twenty two type uncle under unit until
+  upon use used usual valley value vary verb very view village visit voice vowel wait walk wall want
+  war warm wash watch water wave way wear weather week weekend weight well went were west what wheel
+  when where whether which while white who whole whom whose why wide wife wild will win wind window
+  wing winter wire wish with woman women won wonder wood word words work working world would write
+  written wrong wrote yard year yellow yes yet you young your yours yourself
+`;
+
+export const COMMON_WORDS = new Set(WORDS.trim().split(/\s+/));
+
+/**
+ * True for a listed word or a regular inflection of one ("plants", "wanted",
+ * "looking", "quickly").
+ */
+export function isCommonWord(word) {
+  if (COMMON_WORDS.has(word)) return true;
+  return [/s$/, /es$/, /ed$/, /d$/, /ing$/, /ly$/].some((suffix) => {
+    const stem = word.replace(suffix, "");
+    return stem !== word && stem.length > 2 && COMMON_WORDS.has(stem);
+  });
+}
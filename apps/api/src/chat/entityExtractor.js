@@ -0,0 +1,147 @@
+/**
+ * Lead details typed into the chat box ("I'm Rahul, 9876543210, looking for 2bhk").
+ *
+ * Extracted values are accumulated in `state.slots` across turns
+ * (`{ name, phone, bhkType, bhk }`) so a lead can be created as soon as the
+ * visitor has given a phone number, even if the name or BHK came earlier.
+ */
+import { normalizePhone } from "../utils/phoneValidation.js";
+import { normalizeBhkPreference } from "../utils/bhkPreference.js";
+
+// Digit runs that may be a phone number, optionally with +, spaces, dashes or brackets
+const PHONE_CANDIDATE = /\+?\d[\d\s().-]{6,16}\d/g;
+
+const BHK_PATTERNS = [
+  /\b(\d)\s*-?\s*(?:bhk|bhks|bed|beds|bedroom|bedrooms|bed room|room)\b/i,
+  /\b(duplex|just browsing|just looking|yet to decide)\b/i,
+];
+
+// \p{M} keeps Devanagari vowel signs ("राहुल") inside the name
+const NAME_PATTERNS = [
+  /\b(?:my name is|my name's|name is|name's|mera naam|mera name|maza nav|majha nav|naam|name)\s*[:-]?\s+([\p{L}][\p{L}\p{M}.'\s-]*)/iu,
+  /\b(?:i am|i'm|im|this is|it's|its)\s+([\p{L}][\p{L}\p{M}.'\s-]*)/iu,
+  /(?:मेरा नाम|मेरा नेम|माझे नाव|माझं नाव)\s*[:-]?\s+([\p{L}][\p{L}\p{M}.'\s-]*)/u,
+];
+
+// Words that follow "I am ..." / "this is ..." but are not names
+const NON_NAME_WORDS = new Set([
+  "a", "an", "the", "and", "or", "but", "from", "in", "at", "on", "for", "with", "to", "of",
+  "looking", "interested", "searching", "planning", "checking", "asking", "trying", "not", "just",
+  "very", "also", "here", "there", "fine", "good", "ok", "okay", "sure", "ready", "available",
+  "yes", "no", "yeah", "haan", "nahi", "hai", "hoon", "hu", "aahe", "ahe", "my", "me", "is",
+  "bhk", "flat", "price", "budget", "number", "phone", "mobile", "call", "please", "thanks",
+  "hi", "hello", "hey", "want", "need", "buying", "investor",
+  "है", "हूँ", "हूं", "आहे", "और", "आणि",
+]);
+
+const MAX_NAME_WORDS = 3;
+
+function toTitleCase(text) {
+  return text
+    .split(" ")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(" ");
+}
+
+/**
+ * Keep the leading run of name-like words ("rahul sharma looking for" -> "Rahul Sharma").
+ */
+function cleanName(candidate) {
+  const words = [];
+  for (const word of candidate.trim().split(/\s+/)) {
+    const bare = word.replace(/[.'-]+$/, "");
+    if (!bare || NON_NAME_WORDS.has(bare.toLowerCase()) || /\d/.test(bare)) break;
+    words.push(bare);
+    if (words.length === MAX_NAME_WORDS) break;
+  }
+
+  const name = words.join(" ");
+  return name.length >= 2 ? toTitleCase(name) : null;
+}
+
+export function extractPhone(message) {
+  for (const candidate of String(message || "").match(PHONE_CANDIDATE) || []) {
+    const result = normalizePhone(candidate);
+    if (!result.error) {
+      return {
+        value: result.value,
+        country: result.country,
+        subscriber: result.subscriber,
+      };
+    }
+  }
+  return null;
+}
+
+export function extractBhk(message) {
+  for (const pattern of BHK_PATTERNS) {
+    const match = String(message || "").match(pattern);
+    if (match) {
+      return normalizeBhkPreference({ bhkType: match[1] });
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} message
+ * @param {{ bareName?: boolean }} options - `bareName` accepts a message that is
+ *   only a name ("Rahul Sharma"), for turns where the bot just asked for it.
+ */
+export function extractName(message, { bareName = false } = {}) {
+  // Phone numbers and punctuation separate clauses: "Rahul, 98765..." / "I'm Rahul. 2bhk"
+  const clauses = String(message || "")
+    .replace(PHONE_CANDIDATE, ",")
+    .split(/[,;!?\n]|\.\s/)
+    .map((clause) => clause.trim())
+    .filter(Boolean);
+
+  for (const clause of clauses) {
+    for (const pattern of NAME_PATTERNS) {
+      const match = clause.match(pattern);
+      const name = match && cleanName(match[1]);
+      if (name) return name;
+    }
+  }
+
+  if (bareName) {
+    for (const clause of clauses) {
+      const words = clause.split(/\s+/);
+      if (words.length <= MAX_NAME_WORDS && words.every((word) => /^[\p{L}\p{M}.'-]+$/u.test(word))) {
+        const name = cleanName(clause);
+        if (name && name.split(" ").length === words.length) return name;
+      }
+    }
+  }
+
+  return null;
+}
+
+export function extractEntities(message, options = {}) {
+  const phone = extractPhone(message);
+  const bhk = extractBhk(message);
+  const name = extractName(message, options);
+
+  return {
+    ...(name && { name }),
+    ...(phone && { phone }),
+    ...(bhk && { bhk }),
+  };
+}
+
+/**
+ * Merge newly extracted entities into the slots kept in the dialogue state.
+ * Later answers win, so a corrected phone number replaces the first one.
+ */
+export function mergeSlots(slots = {}, entities = {}) {
+  return {
+    ...slots,
+    ...(entities.name && { name: entities.name }),
+    ...(entities.phone && { phone: entities.phone.value }),
+    ...(entities.bhk && { bhkType: entities.bhk.type, bhk: entities.bhk.numeric }),
+  };
+}
+
+export function hasLeadSlots(slots = {}) {
+  return Boolean(slots.phone);
+}
@@ -0,0 +1,91 @@
+/**
+ * Lightweight FAQ retrieval (BM25) over a project's knowledge base.
+ * Questions and keywords are weighted above answers; a match must also cover
+ * enough of the visitor's content words so short generic messages do not
+ * pull in random FAQs.
+ */
+import { cleanText } from "./normalizer.js";
+
+const K1 = 1.2;
+const B = 0.75;
+const QUESTION_WEIGHT = 2;
+const MIN_COVERAGE = 0.5;
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "is", "are", "was", "were", "be", "do", "does", "did", "to", "of", "in", "on",
+  "for", "at", "by", "with", "and", "or", "it", "this", "that", "there", "any", "i", "we", "you",
+  "me", "my", "your", "our", "what", "which", "how", "when", "where", "have", "has", "get", "can",
+  "could", "will", "would", "should", "about", "tell", "please", "pls", "hai", "ka", "ki", "ke", "kya", "hain", "project",
+]);
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text) {
+  return cleanText(text)
+    .split(" ")
+    .filter((word) => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function documentTokens(faq) {
+  const keywords = Array.isArray(faq.keywords) ? faq.keywords.join(" ") : "";
+  const boosted = tokenize(`${faq.question || ""} ${keywords}`);
+  const tokens = [];
+  for (let i = 0; i < QUESTION_WEIGHT; i += 1) tokens.push(...boosted);
+  tokens.push(...tokenize(faq.answer || ""));
+  return tokens;
+}
+
+/**
+ * Rank FAQs for a query. Returns `[{ faq, score, coverage }]`, best first,
+ * limited to matches that pass the coverage threshold.
+ */
+export function searchFaqs(faqs = [], queryText, { limit = 3 } = {}) {
+  const queryTerms = [...new Set(tokenize(queryText))];
+  if (queryTerms.length === 0 || faqs.length === 0) {
+    return [];
+  }
+
+  const documents = faqs.map((faq) => {
+    const tokens = documentTokens(faq);
+    const frequencies = new Map();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+    return { faq, length: tokens.length, frequencies };
+  });
+
+  const averageLength = documents.reduce((total, doc) => total + doc.length, 0) / documents.length || 1;
+  const documentFrequency = new Map(
+    queryTerms.map((term) => [term, documents.filter((doc) => doc.frequencies.has(term)).length])
+  );
+
+  const results = [];
+  for (const doc of documents) {
+    let score = 0;
+    let matched = 0;
+
+    for (const term of queryTerms) {
+      const frequency = doc.frequencies.get(term) || 0;
+      if (!frequency) continue;
+      matched += 1;
+
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+      score += idf * ((frequency * (K1 + 1)) / (frequency + K1 * (1 - B + (B * doc.length) / averageLength)));
+    }
+
+    const coverage = matched / queryTerms.length;
+    if (matched > 0 && coverage >= MIN_COVERAGE) {
+      results.push({ faq: doc.faq, score, coverage });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.coverage - a.coverage || b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,105 @@
+/**
+ * Chat locales.
+ *
+ * Each supported locale has a catalog in ./locales:
+ *
+ *   {
+ *     name: "Hindi",                         // used in the HTTP provider's prompt
+ *     strings: { defaultReply, downloadBrochure, ... }, // text used outside intent templates
+ *     quickReplies: { Pricing: "कीमत" },     // button labels (the value sent back stays English)
+ *     intents: {
+ *       pricing: {
+ *         keywords: ["कीमत", "दाम"],         // matched in addition to the English keywords
+ *         exact: [],
+ *         responses: ["कीमत: {pricingList}...", ...], // same order as the intent's responses
+ *       },
+ *     },
+ *   }
+ *
+ * Replies without a translation stay in English. Custom intents (the chat intent
+ * store) carry their own translations as `locales: { hi: { keywords, responses } }`.
+ */
+import { DEFAULT_INTENTS } from "./intents.js";
+import { EN_CATALOG } from "./locales/en.js";
+import { HI_CATALOG } from "./locales/hi.js";
+import { MR_CATALOG } from "./locales/mr.js";
+
+export const DEFAULT_LOCALE = "en";
+
+const CATALOGS = {
+  en: EN_CATALOG,
+  hi: HI_CATALOG,
+  mr: MR_CATALOG,
+};
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * "hi-IN" / "HI" / "hi_in" -> "hi"; null when the language is not supported.
+ */
+export function normalizeLocale(value) {
+  if (typeof value !== "string") return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * First supported locale among the candidates (visitor choice, project setting, ...).
+ */
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function getLocaleName(locale) {
+  return (CATALOGS[locale] || EN_CATALOG).name;
+}
+
+export function getLocaleStrings(locale) {
+  return { ...EN_CATALOG.strings, ...(CATALOGS[locale]?.strings || {}) };
+}
+
+export function translateQuickReply(label, locale) {
+  return CATALOGS[locale]?.quickReplies?.[label] || label;
+}
+
+/**
+ * Swap in the locale's reply templates and add its keywords. Default intents use
+ * the bundled catalog; custom intents only their own `locales` entry, since their
+ * responses need not line up with the defaults they replace.
+ */
+export function localizeIntents(intents, locale) {
+  const catalog = CATALOGS[locale];
+  if (!catalog || locale === DEFAULT_LOCALE) {
+    return intents;
+  }
+
+  return intents.map((intent) => {
+    const translation = intent.locales
+      ? intent.locales[locale]
+      : DEFAULT_INTENTS.includes(intent) && catalog.intents[intent.id];
+    if (!translation) {
+      return intent;
+    }
+
+    const templates = toList(translation.responses);
+    return {
+      ...intent,
+      exact: [...toList(intent.exact), ...toList(translation.exact)],
+      keywords: [...toList(intent.keywords), ...toList(translation.keywords)],
+      responses: intent.responses.map((response, index) =>
+        typeof templates[index] === "string" && templates[index].trim()
+          ? { ...response, template: templates[index] }
+          : response
+      ),
+    };
+  });
+}
@@ -0,0 +1,265 @@
+/**
+ * Intent matcher and template renderer for the keyword chat.
+ * Intents themselves live in ./intents.js (plus the custom ones from the chat intent store).
+ */
+import { FALLBACK_INTENT_ID } from "./intents.js";
+
+const EXACT_MATCH_SCORE = 100;
+
+export const TEMPLATE_PLACEHOLDERS = [
+  "agentName",
+  "projectName",
+  "developer",
+  "location",
+  "bhkList",
+  "pricingList",
+  "startingPrice",
+  "amenitiesList",
+  "topAmenities",
+  "specialOffers",
+  "area",
+  "brochureUrl",
+  "contactPhone",
+  "whatsappNumber",
+  // Only filled for the lead capture replies
+  "visitorName",
+  "phone",
+  "bhkType",
+];
+
+function hasValue(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === "string") return value.trim().length > 0;
+  return true;
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Build the placeholder values available to response templates.
+ * `listJoiner` / `andMore` come from the visitor's locale (see i18n.js).
+ */
+export function buildTemplateContext(propertyInfo = {}, { agentName, listJoiner = " and ", andMore = " and more" } = {}) {
+  const info = propertyInfo || {};
+  const availableBhk = Array.isArray(info.availableBhk) ? info.availableBhk.filter(Boolean) : [];
+  const pricing = info.pricing && typeof info.pricing === "object" && !Array.isArray(info.pricing) ? info.pricing : {};
+  const pricingEntries = Object.entries(pricing).filter(([, price]) => hasValue(price));
+  const amenities = Array.isArray(info.amenities) ? info.amenities.filter(Boolean) : [];
+  const specialOffers =
+    typeof info.specialOffers === "string" && info.specialOffers.trim() && info.specialOffers !== "None"
+      ? info.specialOffers.trim()
+      : "";
+  const area = typeof info.area === "string" && info.area !== "Not specified" ? info.area.trim() : "";
+
+  return {
+    agentName: agentName || "Riya",
+    projectName: info.projectName || "",
+    developer: info.developer || "",
+    location: info.location || "",
+    bhkList: availableBhk.join(listJoiner),
+    pricingList: pricingEntries.map(([bhk, price]) => `${bhk}: ${price}`).join(", "),
+    startingPrice: pricingEntries.length > 0 ? String(pricingEntries[0][1]) : "",
+    amenitiesList: amenities.length > 0
+      ? `${amenities.slice(0, 8).join(", ")}${amenities.length > 8 ? andMore : ""}`
+      : "",
+    topAmenities: amenities.slice(0, 5).join(", "),
+    specialOffers,
+    area,
+    brochureUrl: typeof info.brochureUrl === "string" ? info.brochureUrl.trim() : "",
+    contactPhone: info.contactPhone ? String(info.contactPhone).trim() : "",
+    whatsappNumber: info.whatsappNumber ? String(info.whatsappNumber).trim() : "",
+  };
+}
+
+/**
+ * Render a template against the context.
+ *   {name}            -> value (empty string when missing)
+ *   {name|default}    -> value or default
+ *   [text {name}]     -> dropped entirely when any placeholder inside is empty
+ */
+export function renderTemplate(template, context = {}) {
+  if (typeof template !== "string") return "";
+
+  const resolve = (name, fallback) => {
+    const value = context[name];
+    if (hasValue(value)) return String(value);
+    return fallback !== undefined ? fallback : "";
+  };
+
+  const withOptionalSegments = template.replace(/\[([^\[\]]*)\]/g, (segment, inner) => {
+    const placeholders = [...inner.matchAll(/\{(\w+)(?:\|[^}]*)?\}/g)].map((match) => match[1]);
+    if (placeholders.some((name) => !hasValue(context[name]))) {
+      return "";
+    }
+    return inner;
+  });
+
+  return withOptionalSegments
+    .replace(/\{(\w+)(?:\|([^}]*))?\}/g, (match, name, fallback) => resolve(name, fallback))
+    .replace(/\.\s*\./g, ".")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function textMatchesCondition(text, condition) {
+  if (!condition) return true;
+
+  return toList(condition).some((clause) => {
+    const all = toList(clause.all);
+    const any = toList(clause.any);
+    const none = toList(clause.none);
+
+    return (
+      all.every((term) => text.includes(String(term).toLowerCase())) &&
+      (any.length === 0 || any.some((term) => text.includes(String(term).toLowerCase()))) &&
+      none.every((term) => !text.includes(String(term).toLowerCase()))
+    );
+  });
+}
+
+function contextMatches(intent, dialogue) {
+  const context = intent.context;
+  if (!context) return true;
+
+  // Structural follow-up: the client sent a dialogue state, so trust it over the reply wording
+  if (context.lastAskedTopic !== undefined && dialogue.state) {
+    return toList(context.lastAskedTopic).includes(dialogue.state.lastAskedTopic);
+  }
+
+  if (context.lastAgentMessage && !textMatchesCondition(dialogue.lastAgentMessage, context.lastAgentMessage)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Score a single intent against the message. Exact matches win outright; keyword
+ * hits are weighted by the number of words in the pattern so that specific
+ * phrases beat single generic words.
+ */
+export function scoreIntent(intent, message, dialogue) {
+  if (!contextMatches(intent, dialogue)) return 0;
+
+  const exact = toList(intent.exact).map((term) => String(term).toLowerCase());
+  if (exact.includes(message)) {
+    return EXACT_MATCH_SCORE;
+  }
+
+  let score = 0;
+  for (const pattern of toList(intent.keywords)) {
+    const terms = toList(pattern).map((term) => String(term).toLowerCase()).filter(Boolean);
+    if (terms.length === 0) continue;
+    if (terms.every((term) => message.includes(term))) {
+      score += terms.reduce((total, term) => total + term.split(/\s+/).length, 0);
+    }
+  }
+
+  return score;
+}
+
+function getLastAgentMessage(conversation) {
+  if (!Array.isArray(conversation)) return "";
+  const agentMessages = conversation.filter((entry) => entry && (entry.type === "agent" || entry.type === "system"));
+  return agentMessages.length > 0 ? String(agentMessages[agentMessages.length - 1].text || "").toLowerCase() : "";
+}
+
+/**
+ * Pick the best intent for a message. Returns `{ intent, score }`; falls back to
+ * the registry's fallback intent when nothing scores above zero. `state` is the
+ * dialogue state sent by the client (null when it has none yet).
+ */
+export function matchIntent(intents, message, conversation = [], state = null) {
+  const normalizedMessage = String(message || "").toLowerCase().trim();
+  const dialogue = { lastAgentMessage: getLastAgentMessage(conversation), state };
+
+  let best = null;
+  for (const intent of intents) {
+    if (intent.id === FALLBACK_INTENT_ID) continue;
+
+    const score = scoreIntent(intent, normalizedMessage, dialogue);
+    if (score <= 0) continue;
+
+    const priority = Number(intent.priority) || 0;
+    if (!best || score > best.score || (score === best.score && priority > best.priority)) {
+      best = { intent, score, priority };
+    }
+  }
+
+  if (best) {
+    return { intent: best.intent, score: best.score };
+  }
+
+  return { intent: intents.find((intent) => intent.id === FALLBACK_INTENT_ID) || null, score: 0 };
+}
+
+function responseApplies(response, context, turns) {
+  if (response.minTurns && turns < response.minTurns) return false;
+  if (toList(response.requires).some((name) => !hasValue(context[name]))) return false;
+  const requiresAny = toList(response.requiresAny);
+  if (requiresAny.length > 0 && !requiresAny.some((name) => hasValue(context[name]))) return false;
+  return true;
+}
+
+/**
+ * Choose the response variant to use. Once the intent's topic has been covered,
+ * `covered` variants are preferred so the bot does not repeat the same answer.
+ */
+export function selectIntentResponse(intent, context, { turns = 0, coveredTopics = [] } = {}) {
+  if (!intent) return null;
+
+  const responses = toList(intent.responses).filter((candidate) => responseApplies(candidate, context, turns));
+  const isCovered = Boolean(intent.topic) && coveredTopics.includes(intent.topic);
+
+  if (isCovered) {
+    const repeat = responses.find((candidate) => candidate.covered);
+    if (repeat) return repeat;
+  }
+
+  return responses.find((candidate) => !candidate.covered) || null;
+}
+
+/**
+ * Render the selected response of an intent.
+ */
+export function renderIntentResponse(intent, context, options = {}) {
+  const response = selectIntentResponse(intent, context, options);
+  return response ? renderTemplate(response.template, context) : "";
+}
+
+/**
+ * Dialogue state carried between turns:
+ *   lastAskedTopic - what the last reply asked about ("pricing", "site_visit", ...)
+ *   pendingSlot    - what the bot is waiting for from the visitor ("contact")
+ *   coveredTopics  - topics already answered in this conversation
+ *   slots          - lead details the visitor typed so far ({ name, phone, bhkType, bhk })
+ * The lead created from those details is kept on the server-side chat session
+ * (chat/chatSession.js), never in this client-visible state.
+ */
+export function createDialogueState(state = null) {
+  return {
+    lastAskedTopic: state?.lastAskedTopic || null,
+    pendingSlot: state?.pendingSlot || null,
+    coveredTopics: Array.isArray(state?.coveredTopics) ? [...state.coveredTopics] : [],
+    turn: Number.isInteger(state?.turn) ? state.turn : 0,
+    slots: state?.slots && typeof state.slots === "object" ? { ...state.slots } : {},
+  };
+}
+
+export function nextDialogueState(state, intent, response) {
+  const current = createDialogueState(state);
+  const coveredTopics = intent?.topic && !current.coveredTopics.includes(intent.topic)
+    ? [...current.coveredTopics, intent.topic]
+    : current.coveredTopics;
+
+  return {
+    lastAskedTopic: response?.asks || null,
+    pendingSlot: response?.slot || null,
+    coveredTopics,
+    turn: current.turn + 1,
+    slots: current.slots,
+  };
+}
@@ -0,0 +1,511 @@
+/**
+ * Chat intent registry
+ *
+ * Every intent the keyword chat understands is plain data:
+ *
+ *   {
+ *     id: "pricing",                 // unique id (custom intents with the same id replace the default)
+ *     priority: 60,                  // tie-breaker when two intents score the same
+ *     exact: ["hi", "hello"],        // whole-message matches (strongest signal)
+ *     keywords: ["price", ["give me", "info"]], // substring matches; an array means "all of these"
+ *     topic: "pricing",              // recorded in the dialogue state's coveredTopics once answered
+ *     context: {                     // optional follow-up condition
+ *       lastAskedTopic: "pricing",   //   what the previous reply asked about (dialogue state)
+ *       lastAgentMessage: { all: [], any: [], none: [] }, // text fallback when no state is sent
+ *     },
+ *     responses: [                   // first response whose requirements are met wins
+ *       { requires: ["pricingList"], asks: "site_visit", slot: "contact", template: "Our pricing: {pricingList}." },
+ *       { template: "Check with our team for current pricing." },
+ *       { covered: true, template: "As shared earlier, ..." }, // preferred once the topic was covered
+ *     ],
+ *   }
+ *
+ * `asks` becomes the state's lastAskedTopic (so a following "yes" is resolved
+ * structurally) and `slot` its pendingSlot (what the bot is waiting for).
+ * A response may also list `quickReplies` (button labels sent back as messages) and
+ * `attachments` ("priceCards", "brochure", "contactActions") for widgets that render
+ * rich replies (see richPayload.js).
+ *
+ * Templates support `{placeholder}`, `{placeholder|default}` and optional
+ * `[segments with {placeholder}]` that are dropped when a placeholder inside is empty.
+ *
+ * New intents (RERA number, possession date, loan options, ...) and extra synonyms
+ * for the normalizer are added without a code change from the dashboard (the
+ * /api/chat-intents routes); they are kept in the chat intent store
+ * (data/chat-intents.json, or the chat_intents / chat_synonyms tables with MySQL).
+ * Projects can reword any intent's primary reply through `responseTemplates` in their
+ * widget config (see applyTemplateOverrides). Hindi / Marathi replies and keywords
+ * live in the locale catalogs (see i18n.js).
+ */
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { DEFAULT_SYNONYMS } from "./synonyms.js";
+import { mergeSynonyms } from "./normalizer.js";
+
+// How long a loaded registry is reused. Edits through the API clear it right away;
+// other API instances pick them up once their copy expires.
+const REGISTRY_CACHE_MS = 60 * 1000;
+
+let cachedRegistry = null;
+let cachedAt = 0;
+
+const AFFIRMATIONS = ["yes", "yeah", "yep", "sure", "ok", "okay", "alright", "fine", "correct", "right"];
+const NEGATIONS = ["no", "nope", "not", "don't", "nah"];
+
+export const FALLBACK_INTENT_ID = "fallback";
+
+export const DEFAULT_INTENTS = [
+  // Follow-ups to the agent's last question ("yes" after "Would you like to know about pricing?").
+  // `lastAskedTopic` is checked against the dialogue state; `lastAgentMessage` is the
+  // text-based fallback for clients that do not send a state yet.
+  {
+    id: "affirm_pricing_or_visit",
+    priority: 100,
+    topic: "pricing",
+    exact: AFFIRMATIONS,
+    context: {
+      lastAskedTopic: "pricing",
+      lastAgentMessage: { all: ["would you like to know about"], any: ["pricing", "site visit"] },
+    },
+    responses: [
+      {
+        asks: "site_visit",
+        quickReplies: ["Schedule a site visit", "Download brochure"],
+        attachments: ["priceCards"],
+        template:
+          "Great! We have {bhkList|various configurations} available. Our pricing: {pricingList|Check with our team for current pricing}. Would you like to schedule a site visit or get more details?",
+      },
+      {
+        covered: true,
+        asks: "site_visit",
+        slot: "contact",
+        template:
+          "Great! Let's get you an exact quote for {projectName|the project} and a site visit slot. Share your name and phone so our team can set it up.",
+      },
+    ],
+  },
+  {
+    id: "affirm_location",
+    priority: 95,
+    topic: "configuration",
+    exact: AFFIRMATIONS,
+    context: {
+      lastAskedTopic: "configuration",
+      lastAgentMessage: [{ any: ["located in"] }, { all: ["location", "would you like"] }],
+    },
+    responses: [
+      {
+        asks: "site_visit",
+        template:
+          "Great! We have {bhkList|various configurations} available. [Pricing starts from {startingPrice}. ]Would you like to know more about the configurations or schedule a site visit?",
+      },
+    ],
+  },
+  {
+    id: "affirm_pricing",
+    priority: 90,
+    exact: AFFIRMATIONS,
+    context: {
+      lastAskedTopic: "site_visit",
+      lastAgentMessage: { all: ["pricing", "would you"], none: ["location"] },
+    },
+    responses: [
+      {
+        slot: "contact",
+        template:
+          "Excellent! I'd love to help you with the best pricing and payment plans. Share your name and phone so our team can reach out with exclusive offers.",
+      },
+    ],
+  },
+  {
+    id: "affirm_configuration",
+    priority: 85,
+    topic: "pricing",
+    exact: AFFIRMATIONS,
+    context: {
+      lastAgentMessage: { any: ["bhk", "configuration", "bedroom"] },
+    },
+    responses: [
+      {
+        asks: "site_visit",
+        slot: "contact",
+        attachments: ["priceCards"],
+        template:
+          "Perfect! Our pricing: {pricingList|Check with our team for current pricing}. Would you like to schedule a site visit or get more details? Share your name and phone.",
+      },
+    ],
+  },
+  {
+    id: "affirm",
+    priority: 80,
+    exact: AFFIRMATIONS,
+    responses: [
+      {
+        requires: ["pricingList"],
+        asks: "pricing",
+        slot: "contact",
+        template:
+          "That's great! Would you like to know about our pricing or available configurations? Share your name and phone so I can assist you better.",
+      },
+      {
+        slot: "contact",
+        template:
+          "That's great! Would you like to know more about {projectName|this project}? Share your name and phone so I can assist you better.",
+      },
+    ],
+  },
+  {
+    id: "deny",
+    priority: 80,
+    exact: NEGATIONS,
+    responses: [
+      {
+        template:
+          "No worries! Is there anything else about {projectName|the project} you'd like to know? I'm here to help!",
+      },
+    ],
+  },
+  {
+    id: "greeting",
+    priority: 80,
+    exact: ["hi", "hello", "hey", "hello there", "hi there"],
+    responses: [
+      {
+        requires: ["projectName"],
+        quickReplies: ["Pricing", "Location", "Configurations", "Amenities"],
+        template: "Hi! 👋 I'm {agentName} from Homesfy. I'm here to help you with {projectName}. What would you like to know?",
+      },
+      {
+        template: "Hi! 👋 I'm {agentName} from Homesfy. I'm here to help you find your dream home. What would you like to know?",
+      },
+    ],
+  },
+
+  // Topic questions, in the order they used to be checked
+  {
+    id: "project_name",
+    priority: 70,
+    topic: "project_name",
+    keywords: ["project name", "name of project", "what is this", "what project"],
+    responses: [
+      {
+        requires: ["projectName"],
+        asks: "configuration",
+        template:
+          "This is {projectName}[ by {developer}][ located in {location}]. Would you like to know more about pricing or available configurations?",
+      },
+      { slot: "contact", template: "I'd love to help you with that! Share your name and phone so I can assist you better." },
+    ],
+  },
+  {
+    id: "pricing",
+    priority: 60,
+    topic: "pricing",
+    keywords: ["cost", "price", "pricing", "how much"],
+    responses: [
+      {
+        asks: "site_visit",
+        slot: "contact",
+        quickReplies: ["Schedule a site visit", "Configurations", "Amenities"],
+        attachments: ["priceCards", "brochure"],
+        template:
+          "Our pricing: {pricingList|Check with our team for current pricing}. Would you like to schedule a site visit or get more details? Share your name and phone.",
+      },
+      {
+        covered: true,
+        asks: "site_visit",
+        slot: "contact",
+        template:
+          "As shared earlier, pricing is {pricingList|best discussed with our team}. Our team can send you the latest offers and payment plans. Share your name and phone?",
+      },
+    ],
+  },
+  {
+    id: "location",
+    priority: 50,
+    topic: "location",
+    keywords: ["location", "where", "address", "situated"],
+    responses: [
+      {
+        requires: ["location"],
+        asks: "pricing",
+        quickReplies: ["Pricing", "Schedule a site visit"],
+        template:
+          "{projectName|This project} is located in {location}. [We have {bhkList} available. ]Would you like to know about pricing or schedule a site visit?",
+      },
+      { slot: "contact", template: "I'd love to help you with that! Share your name and phone so I can assist you better." },
+      {
+        covered: true,
+        requires: ["location"],
+        asks: "site_visit",
+        slot: "contact",
+        template:
+          "As mentioned, {projectName|the project} is in {location}. Would you like to visit the site? Share your name and phone and our team will share directions.",
+      },
+    ],
+  },
+  {
+    id: "configuration",
+    priority: 40,
+    topic: "configuration",
+    keywords: ["bhk", "configuration", "bedroom", "room"],
+    responses: [
+      {
+        requires: ["pricingList"],
+        asks: "pricing",
+        slot: "contact",
+        quickReplies: ["Pricing", "Download brochure"],
+        attachments: ["priceCards"],
+        template:
+          "We have {bhkList|various configurations} available. Would you like to know about pricing? Share your name and phone so I can assist you better.",
+      },
+      {
+        slot: "contact",
+        template: "We have {bhkList|various configurations} available. Share your name and phone so I can assist you better.",
+      },
+    ],
+  },
+  {
+    id: "amenities",
+    priority: 30,
+    topic: "amenities",
+    keywords: ["amenit", "facilit", "feature", "what do you have"],
+    responses: [
+      {
+        asks: "pricing",
+        quickReplies: ["Pricing", "Schedule a site visit"],
+        template:
+          "We offer {amenitiesList|modern amenities}. Would you like to know about pricing or schedule a site visit?",
+      },
+    ],
+  },
+  {
+    id: "overview",
+    priority: 20,
+    topic: "overview",
+    keywords: [
+      "brief",
+      "breif",
+      "detail",
+      "highlight",
+      "overview",
+      "tell me about",
+      "about the project",
+      "about this project",
+      ["give me", "info"],
+    ],
+    responses: [
+      {
+        requiresAny: ["projectName", "developer", "location", "bhkList", "pricingList", "topAmenities", "specialOffers"],
+        asks: "pricing",
+        quickReplies: ["Pricing", "Configurations", "Schedule a site visit"],
+        attachments: ["brochure"],
+        template:
+          "[{projectName}. ][by {developer}. ][located in {location}. ][available in {bhkList} configurations. ][pricing ranges from {pricingList}. ][key amenities include {topAmenities}. ][special offer: {specialOffers}. ][The project offers {area} of living space. ]Would you like to know more about pricing, configurations, or schedule a site visit?",
+      },
+    ],
+  },
+
+  {
+    id: "brochure",
+    priority: 65,
+    topic: "brochure",
+    keywords: ["brochure", "floor plan", "floorplan", "pdf", "layout"],
+    responses: [
+      {
+        requires: ["brochureUrl"],
+        attachments: ["brochure"],
+        template: "Here's the {projectName|project} brochure with floor plans. Would you like our team to walk you through it?",
+      },
+      {
+        slot: "contact",
+        template: "I'll have our team send you the {projectName|project} brochure and floor plans. Share your name and phone.",
+      },
+    ],
+  },
+  {
+    id: "site_visit",
+    priority: 65,
+    topic: "site_visit",
+    keywords: ["site visit", "visit", "virtual tour", "schedule", "see the flat"],
+    responses: [
+      {
+        slot: "contact",
+        attachments: ["contactActions"],
+        template:
+          "Happy to set up a site visit[ to {projectName}]! Share your name and phone and our team will confirm a slot that suits you.",
+      },
+    ],
+  },
+  {
+    id: "contact",
+    priority: 65,
+    keywords: ["whatsapp", "call me", "contact number", "phone number", "talk to", "speak to"],
+    responses: [
+      {
+        requiresAny: ["contactPhone", "whatsappNumber"],
+        attachments: ["contactActions"],
+        template: "Sure! You can reach our property expert directly below, or share your name and phone for a call back.",
+      },
+      { slot: "contact", template: "Sure! Share your name and phone and our property expert will call you back shortly." },
+    ],
+  },
+
+  // Replies to lead details typed into the chat. They have no keywords and are
+  // picked by the chat route after entity extraction, not by matchIntent.
+  {
+    id: "lead_captured",
+    priority: 0,
+    responses: [
+      {
+        template:
+          "Thanks[, {visitorName}]! Our property expert will call you shortly on {phone}[ with the best options in {bhkType}].",
+      },
+    ],
+  },
+  {
+    id: "lead_updated",
+    priority: 0,
+    responses: [{ template: "Got it[, {visitorName}]! I've updated your details and our team will be in touch soon." }],
+  },
+  {
+    id: "ask_phone",
+    priority: 0,
+    responses: [
+      {
+        slot: "contact",
+        template: "Nice to meet you[, {visitorName}]! Could you share your phone number so our property expert can call you?",
+      },
+    ],
+  },
+
+  // Used when nothing else matches
+  {
+    id: FALLBACK_INTENT_ID,
+    priority: 0,
+    responses: [
+      {
+        minTurns: 3,
+        slot: "contact",
+        template: "That's interesting! Share your name and phone so I can connect you with our team.",
+      },
+      { template: "I'd love to help you with that! What would you like to know about the project?" },
+    ],
+  },
+];
+
+function isValidIntent(intent) {
+  return (
+    intent &&
+    typeof intent === "object" &&
+    typeof intent.id === "string" &&
+    intent.id.trim() &&
+    Array.isArray(intent.responses) &&
+    intent.responses.length > 0
+  );
+}
+
+/**
+ * Merge custom intents over the defaults. A custom intent with an existing id
+ * replaces the default one; new ids are appended.
+ */
+export function mergeIntents(baseIntents, customIntents = []) {
+  const merged = new Map(baseIntents.map((intent) => [intent.id, intent]));
+
+  for (const intent of customIntents) {
+    if (!isValidIntent(intent)) {
+      logger.warn("Skipping invalid custom chat intent", intent?.id || "(no id)");
+      continue;
+    }
+    merged.set(intent.id, { priority: 0, ...intent });
+  }
+
+  return Array.from(merged.values());
+}
+
+async function getChatIntentStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlChatIntentStore.js");
+  }
+  return await import("../storage/chatIntentStore.js");
+}
+
+// Custom intents and synonyms, or null when the store cannot be read
+async function loadCustomEntries() {
+  try {
+    const store = await getChatIntentStore();
+    const [intents, synonyms] = await Promise.all([store.listCustomIntents(), store.listCustomSynonyms()]);
+    return { intents, synonyms };
+  } catch (error) {
+    logger.warn("Failed to load custom chat intents, using defaults only", error.message);
+    return null;
+  }
+}
+
+export async function loadIntentRegistry() {
+  const registry = await loadChatRegistry();
+  return registry.intents;
+}
+
+/**
+ * Load intents plus the synonym dictionary used by the normalizer (defaults
+ * merged with the custom ones from the chat intent store), cached for
+ * REGISTRY_CACHE_MS.
+ */
+export async function loadChatRegistry() {
+  if (cachedRegistry && Date.now() - cachedAt < REGISTRY_CACHE_MS) {
+    return cachedRegistry;
+  }
+
+  const custom = await loadCustomEntries();
+  const registry = {
+    intents: mergeIntents(DEFAULT_INTENTS, Array.isArray(custom?.intents) ? custom.intents : []),
+    synonyms: mergeSynonyms(DEFAULT_SYNONYMS, custom?.synonyms),
+  };
+
+  // A failed read is retried on the next turn instead of caching the defaults
+  if (custom) {
+    cachedRegistry = registry;
+    cachedAt = Date.now();
+  }
+  return registry;
+}
+
+// Forget the cached registry after custom intents or synonyms change
+export function clearChatRegistryCache() {
+  cachedRegistry = null;
+}
+
+/**
+ * Apply a project's `responseTemplates` ({ intentId: template }) to the registry.
+ * The override replaces the intent's primary reply; the remaining variants (used
+ * when property details are missing) stay as defined.
+ */
+export function applyTemplateOverrides(intents, overrides) {
+  if (!overrides || typeof overrides !== "object") {
+    return intents;
+  }
+
+  return intents.map((intent) => {
+    const template = overrides[intent.id];
+    if (typeof template !== "string" || !template.trim()) {
+      return intent;
+    }
+
+    const primaryIndex = Math.max(0, intent.responses.findIndex((response) => !response.covered));
+    const responses = intent.responses.map((response, index) =>
+      index === primaryIndex ? { ...response, template } : response
+    );
+    return { ...intent, responses };
+  });
+}
+
+/**
+ * Default primary template per intent, used by the dashboard template editor.
+ */
+export function listDefaultTemplates(intents = DEFAULT_INTENTS) {
+  return intents.map((intent) => ({
+    id: intent.id,
+    template: (intent.responses.find((response) => !response.covered) || intent.responses[0])?.template || "",
+  }));
+}
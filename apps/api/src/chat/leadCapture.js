@@ -0,0 +1,182 @@
+/**
+ * Create or update a lead from details the visitor typed into the chat box,
+ * the same way POST /api/leads does for the widget's phone form.
+ */
+import { config } from "../config.js";
+import { normalizePhone } from "../utils/phoneValidation.js";
+import { normalizeBhkPreference, UNDECIDED_BHK_TYPES } from "../utils/bhkPreference.js";
+import { logger } from "../utils/logger.js";
+import { hasLeadSlots } from "./entityExtractor.js";
+import { loadIntentRegistry, applyTemplateOverrides } from "./intents.js";
+import { buildTemplateContext, selectIntentResponse, renderTemplate } from "./intentEngine.js";
+import { DEFAULT_LOCALE, getLocaleStrings, localizeIntents } from "./i18n.js";
+import { createOrTouchLead } from "../utils/leadDedup.js";
+import { applyLeadScore } from "../utils/leadScoring.js";
+import { emitWebhookEvent, serializeLeadForWebhook } from "../utils/webhooks.js";
+import { enqueueCrmLead } from "../utils/crmForwarder.js";
+
+async function getLeadStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadStore.js");
+  }
+  return await import("../storage/leadStore.js");
+}
+
+async function getEventStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlEventStore.js");
+  }
+  return await import("../storage/eventStore.js");
+}
+
+// Scoring failures keep the unscored lead rather than losing the capture
+async function scoreChatLead(leadStore, lead) {
+  try {
+    return await applyLeadScore(leadStore, lead);
+  } catch (error) {
+    logger.error("Failed to score chat lead", error);
+    return lead;
+  }
+}
+
+/**
+ * Whether a lead was captured from this visitor's chat on this microsite and
+ * project, so a later turn may update it.
+ */
+function isOwnChatLead(lead, { projectId, microsite, visitor }) {
+  if (lead.microsite !== microsite || (lead.metadata?.projectId || lead.microsite) !== projectId) {
+    return false;
+  }
+  const leadVisitorId = lead.metadata?.visitor?.visitorId;
+  return !leadVisitorId || leadVisitorId === visitor?.visitorId;
+}
+
+/**
+ * `leadId` is the lead captured earlier in the same chat session; it is only
+ * updated when it belongs to this visitor's chat (see isOwnChatLead), otherwise
+ * the details go through the normal create-or-touch path.
+ *
+ * Returns `{ lead, created, touched }` (`touched`: attached to an earlier lead with
+ * the same phone number), or null when the slots are not enough for a lead
+ * (no valid phone number yet).
+ */
+export async function captureChatLead({ slots, leadId, projectId, microsite, conversation, dialogueState, locale, visitor, io }) {
+  if (!hasLeadSlots(slots)) {
+    return null;
+  }
+
+  const phoneResult = normalizePhone(slots.phone);
+  if (phoneResult.error) {
+    return null;
+  }
+
+  const bhkPreference =
+    normalizeBhkPreference({ bhkType: slots.bhkType }) || { type: "Yet to decide", numeric: null };
+  const metadata = {
+    projectId,
+    ...(slots.name && { name: slots.name }),
+    phoneCountry: phoneResult.country?.name,
+    phoneCountryCode: phoneResult.country?.countryCode,
+    phoneDialCode: phoneResult.country?.code,
+    phoneSubscriber: phoneResult.subscriber,
+    capturedFrom: "chat_message",
+    // Language the visitor chatted in, so the call back can be in it too
+    ...(locale && { locale }),
+    // What the visitor asked about ("site_visit", "pricing"), the chat's stand-in for a CTA when scoring
+    ...(dialogueState?.coveredTopics?.length && { chatTopics: [...dialogueState.coveredTopics] }),
+    // Anonymous widget visitor / session ids, to stitch the lead to the visitor's events, and
+    // the UTM / referrer details its attribution is built from (utils/attribution.js)
+    ...(visitor?.visitorId && {
+      visitor: {
+        visitorId: visitor.visitorId,
+        sessionId: visitor.sessionId || null,
+        ...(visitor.utm && { utm: visitor.utm }),
+        ...(visitor.referrer && { referrer: visitor.referrer }),
+        ...(visitor.landingPage && { landingPage: visitor.landingPage }),
+        ...(visitor.firstTouch && { firstTouch: visitor.firstTouch }),
+      },
+    }),
+  };
+
+  const leadStore = await getLeadStore();
+
+  // Later turns (a name or BHK after the phone number) update the lead created earlier
+  const existing = leadId ? await leadStore.getLeadById(leadId) : null;
+  if (existing && isOwnChatLead(existing, { projectId, microsite, visitor })) {
+    const updatedLead = await leadStore.updateLead(existing.id, {
+      phone: phoneResult.value,
+      bhkType: bhkPreference.type,
+      bhk: bhkPreference.numeric,
+      metadata: { ...(existing.metadata || {}), ...metadata },
+      conversation,
+    });
+    const lead = await scoreChatLead(leadStore, updatedLead);
+    io?.to(microsite).emit("lead:updated", lead);
+    await emitWebhookEvent("lead.updated", { microsite, data: { lead: serializeLeadForWebhook(lead) } });
+    return { lead, created: false };
+  }
+
+  // A visitor who already enquired (another microsite, an earlier visit) gets a touch on that lead
+  const { lead: savedLead, created, touched, duplicateOf } = await createOrTouchLead(leadStore, {
+    phone: phoneResult.value,
+    bhk: bhkPreference.numeric,
+    bhkType: bhkPreference.type,
+    microsite,
+    metadata,
+    conversation,
+  });
+  const lead = await scoreChatLead(leadStore, savedLead);
+
+  io?.to(microsite).emit(created ? "lead:new" : "lead:updated", lead);
+  await enqueueCrmLead({ id: lead.id, phone: phoneResult.value, metadata });
+  await emitWebhookEvent(created ? "lead.created" : "lead.touched", {
+    microsite,
+    data: { lead: serializeLeadForWebhook(lead), ...(duplicateOf && { duplicateOf }) },
+  });
+
+  try {
+    const eventStore = await getEventStore();
+    await eventStore.recordEvent({
+      type: "lead_submitted",
+      projectId: microsite,
+      microsite,
+      visitorId: visitor?.visitorId || null,
+      sessionId: visitor?.sessionId || null,
+      payload: {
+        leadId: lead.id,
+        bhkType: bhkPreference.type,
+        source: "chat_message",
+        ...(bhkPreference.numeric !== null && { bhk: bhkPreference.numeric }),
+        ...(touched && { touch: true }),
+        ...(duplicateOf && { duplicateOf }),
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to record chat lead event", error);
+  }
+
+  return { lead, created, touched };
+}
+
+/**
+ * Render one of the lead capture replies ("lead_captured", "lead_updated",
+ * "ask_phone") in the visitor's locale, honouring the project's reply template overrides.
+ * Returns `{ response, slot }`.
+ */
+export async function renderLeadReply(intentId, { slots = {}, propertyInfo, agentName, responseTemplates, locale = DEFAULT_LOCALE }) {
+  const intents = applyTemplateOverrides(localizeIntents(await loadIntentRegistry(), locale), responseTemplates);
+  const intent = intents.find((candidate) => candidate.id === intentId);
+  const { listJoiner, andMore } = getLocaleStrings(locale);
+  const context = {
+    ...buildTemplateContext(propertyInfo, { agentName, listJoiner, andMore }),
+    visitorName: slots.name || "",
+    phone: slots.phone || "",
+    bhkType: slots.bhkType && !UNDECIDED_BHK_TYPES.includes(slots.bhkType) ? slots.bhkType : "",
+  };
+  const selected = selectIntentResponse(intent, context);
+
+  return {
+    response: selected ? renderTemplate(selected.template, context) : "",
+    slot: selected?.slot || null,
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * English chat catalog. Intent replies and keywords are the registry defaults
+ * (../intents.js), so only the strings used outside intent templates live here.
+ */
+export const EN_CATALOG = {
+  name: "English",
+  strings: {
+    defaultReply: "I'd love to help you with that! What would you like to know about the project?",
+    listJoiner: " and ",
+    andMore: " and more",
+    downloadBrochure: "Download Brochure",
+    callNow: "Call Now",
+    whatsappUs: "WhatsApp Us",
+    whatsappGreeting: "Hi, I'm interested in {projectName|this project}",
+    cardTitle: "{bhk}[ at {projectName}]",
+  },
+  quickReplies: {},
+  intents: {},
+};
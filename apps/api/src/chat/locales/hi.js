@@ -0,0 +1,144 @@
+/**
+ * Hindi chat catalog (see ../i18n.js for the shape).
+ */
+export const HI_CATALOG = {
+  name: "Hindi",
+  strings: {
+    defaultReply: "मैं इसमें आपकी मदद करना चाहूँगी! आप प्रोजेक्ट के बारे में क्या जानना चाहेंगे?",
+    listJoiner: " और ",
+    andMore: " और भी बहुत कुछ",
+    downloadBrochure: "ब्रोशर डाउनलोड करें",
+    callNow: "अभी कॉल करें",
+    whatsappUs: "WhatsApp करें",
+    whatsappGreeting: "नमस्ते, मुझे {projectName|इस प्रोजेक्ट} में रुचि है",
+    cardTitle: "{bhk}[ - {projectName}]",
+  },
+  quickReplies: {
+    Pricing: "कीमत",
+    Location: "लोकेशन",
+    Configurations: "कॉन्फ़िगरेशन",
+    Amenities: "सुविधाएँ",
+    "Schedule a site visit": "साइट विज़िट बुक करें",
+    "Download brochure": "ब्रोशर डाउनलोड करें",
+  },
+  intents: {
+    affirm_pricing_or_visit: {
+      responses: [
+        "बढ़िया! हमारे पास {bhkList|कई कॉन्फ़िगरेशन} उपलब्ध हैं। कीमत: {pricingList|मौजूदा कीमत के लिए हमारी टीम से बात करें}। क्या आप साइट विज़िट बुक करना चाहेंगे या और जानकारी चाहिए?",
+        "बढ़िया! {projectName|प्रोजेक्ट} की सही कीमत और साइट विज़िट के लिए अपना नाम और फ़ोन नंबर शेयर करें, हमारी टीम सब तय कर देगी।",
+      ],
+    },
+    affirm_location: {
+      responses: [
+        "बढ़िया! हमारे पास {bhkList|कई कॉन्फ़िगरेशन} उपलब्ध हैं। [कीमत {startingPrice} से शुरू होती है। ]क्या आप कॉन्फ़िगरेशन के बारे में और जानना चाहेंगे या साइट विज़िट बुक करना चाहेंगे?",
+      ],
+    },
+    affirm_pricing: {
+      responses: [
+        "बहुत बढ़िया! मैं आपको सबसे अच्छी कीमत और पेमेंट प्लान दिलाने में मदद करूँगी। अपना नाम और फ़ोन नंबर शेयर करें ताकि हमारी टीम खास ऑफ़र के साथ आपसे संपर्क कर सके।",
+      ],
+    },
+    affirm_configuration: {
+      responses: [
+        "परफ़ेक्ट! कीमत: {pricingList|मौजूदा कीमत के लिए हमारी टीम से बात करें}। क्या आप साइट विज़िट बुक करना चाहेंगे या और जानकारी चाहिए? अपना नाम और फ़ोन नंबर शेयर करें।",
+      ],
+    },
+    affirm: {
+      responses: [
+        "बहुत अच्छा! क्या आप हमारी कीमत या उपलब्ध कॉन्फ़िगरेशन के बारे में जानना चाहेंगे? अपना नाम और फ़ोन नंबर शेयर करें ताकि मैं आपकी बेहतर मदद कर सकूँ।",
+        "बहुत अच्छा! क्या आप {projectName|इस प्रोजेक्ट} के बारे में और जानना चाहेंगे? अपना नाम और फ़ोन नंबर शेयर करें ताकि मैं आपकी बेहतर मदद कर सकूँ।",
+      ],
+    },
+    deny: {
+      responses: [
+        "कोई बात नहीं! क्या {projectName|प्रोजेक्ट} के बारे में आप कुछ और जानना चाहेंगे? मैं मदद के लिए यहाँ हूँ!",
+      ],
+    },
+    greeting: {
+      responses: [
+        "नमस्ते! 👋 मैं Homesfy से {agentName} हूँ। मैं {projectName} के बारे में आपकी मदद के लिए यहाँ हूँ। आप क्या जानना चाहेंगे?",
+        "नमस्ते! 👋 मैं Homesfy से {agentName} हूँ। मैं आपका सपनों का घर ढूँढने में मदद के लिए यहाँ हूँ। आप क्या जानना चाहेंगे?",
+      ],
+    },
+    project_name: {
+      keywords: ["प्रोजेक्ट का नाम", "कौन सा प्रोजेक्ट", "ये क्या है"],
+      responses: [
+        "यह {projectName} है[, {developer} द्वारा][, {location} में]। क्या आप कीमत या उपलब्ध कॉन्फ़िगरेशन के बारे में जानना चाहेंगे?",
+        "मैं इसमें आपकी मदद करना चाहूँगी! अपना नाम और फ़ोन नंबर शेयर करें ताकि मैं आपकी बेहतर मदद कर सकूँ।",
+      ],
+    },
+    pricing: {
+      keywords: ["कीमत", "दाम", "रेट", "कितने का", "कितना", "बजट"],
+      responses: [
+        "कीमत: {pricingList|मौजूदा कीमत के लिए हमारी टीम से बात करें}। क्या आप साइट विज़िट बुक करना चाहेंगे या और जानकारी चाहिए? अपना नाम और फ़ोन नंबर शेयर करें।",
+        "जैसा बताया, कीमत {pricingList|हमारी टीम बेहतर बता पाएगी} है। हमारी टीम आपको नए ऑफ़र और पेमेंट प्लान भेज सकती है। अपना नाम और फ़ोन नंबर शेयर करेंगे?",
+      ],
+    },
+    location: {
+      keywords: ["लोकेशन", "कहाँ", "कहां", "पता", "जगह"],
+      responses: [
+        "{projectName|यह प्रोजेक्ट} {location} में है। [हमारे पास {bhkList} उपलब्ध हैं। ]क्या आप कीमत जानना चाहेंगे या साइट विज़िट बुक करना चाहेंगे?",
+        "मैं इसमें आपकी मदद करना चाहूँगी! अपना नाम और फ़ोन नंबर शेयर करें ताकि मैं आपकी बेहतर मदद कर सकूँ।",
+        "जैसा बताया, {projectName|प्रोजेक्ट} {location} में है। क्या आप साइट देखने आना चाहेंगे? अपना नाम और फ़ोन नंबर शेयर करें, हमारी टीम रास्ता भेज देगी।",
+      ],
+    },
+    configuration: {
+      keywords: ["बीएचके", "कमरे", "कॉन्फ़िगरेशन", "फ्लैट साइज़"],
+      responses: [
+        "हमारे पास {bhkList|कई कॉन्फ़िगरेशन} उपलब्ध हैं। क्या आप कीमत जानना चाहेंगे? अपना नाम और फ़ोन नंबर शेयर करें ताकि मैं आपकी बेहतर मदद कर सकूँ।",
+        "हमारे पास {bhkList|कई कॉन्फ़िगरेशन} उपलब्ध हैं। अपना नाम और फ़ोन नंबर शेयर करें ताकि मैं आपकी बेहतर मदद कर सकूँ।",
+      ],
+    },
+    amenities: {
+      keywords: ["सुविधा", "सुविधाएँ", "सुविधाएं", "क्या क्या है"],
+      responses: [
+        "हम {amenitiesList|आधुनिक सुविधाएँ} देते हैं। क्या आप कीमत जानना चाहेंगे या साइट विज़िट बुक करना चाहेंगे?",
+      ],
+    },
+    overview: {
+      keywords: ["जानकारी", "बताओ", "बताइए"],
+      responses: [
+        "[{projectName}। ][{developer} द्वारा। ][{location} में। ][{bhkList} कॉन्फ़िगरेशन उपलब्ध। ][कीमत {pricingList}। ][मुख्य सुविधाएँ: {topAmenities}। ][खास ऑफ़र: {specialOffers}। ][{area} का रहने का स्पेस। ]क्या आप कीमत, कॉन्फ़िगरेशन के बारे में जानना चाहेंगे या साइट विज़िट बुक करना चाहेंगे?",
+      ],
+    },
+    brochure: {
+      keywords: ["ब्रोशर", "फ्लोर प्लान", "लेआउट"],
+      responses: [
+        "यह रहा {projectName|प्रोजेक्ट} का ब्रोशर, फ्लोर प्लान के साथ। क्या आप चाहेंगे कि हमारी टीम आपको इसके बारे में समझाए?",
+        "हमारी टीम आपको {projectName|प्रोजेक्ट} का ब्रोशर और फ्लोर प्लान भेज देगी। अपना नाम और फ़ोन नंबर शेयर करें।",
+      ],
+    },
+    site_visit: {
+      keywords: ["साइट विज़िट", "साइट विजिट", "देखने आना", "फ्लैट देखना", "विज़िट"],
+      responses: [
+        "[{projectName} की ]साइट विज़िट खुशी से तय करेंगे! अपना नाम और फ़ोन नंबर शेयर करें, हमारी टीम आपके हिसाब से समय तय कर देगी।",
+      ],
+    },
+    contact: {
+      keywords: ["व्हाट्सएप", "कॉल करो", "कॉल कीजिए", "संपर्क", "नंबर दो", "बात करनी है"],
+      responses: [
+        "ज़रूर! आप नीचे से सीधे हमारे प्रॉपर्टी एक्सपर्ट से बात कर सकते हैं, या कॉल बैक के लिए अपना नाम और फ़ोन नंबर शेयर करें।",
+        "ज़रूर! अपना नाम और फ़ोन नंबर शेयर करें, हमारे प्रॉपर्टी एक्सपर्ट जल्द ही आपको कॉल करेंगे।",
+      ],
+    },
+    lead_captured: {
+      responses: [
+        "धन्यवाद[, {visitorName}]! हमारे प्रॉपर्टी एक्सपर्ट जल्द ही {phone} पर आपको कॉल करेंगे[ और {bhkType} के सबसे अच्छे विकल्प बताएँगे]।",
+      ],
+    },
+    lead_updated: {
+      responses: ["ठीक है[, {visitorName}]! मैंने आपकी जानकारी अपडेट कर दी है, हमारी टीम जल्द ही संपर्क करेगी।"],
+    },
+    ask_phone: {
+      responses: [
+        "आपसे मिलकर अच्छा लगा[, {visitorName}]! क्या आप अपना फ़ोन नंबर शेयर करेंगे ताकि हमारे प्रॉपर्टी एक्सपर्ट आपको कॉल कर सकें?",
+      ],
+    },
+    fallback: {
+      responses: [
+        "बढ़िया! अपना नाम और फ़ोन नंबर शेयर करें ताकि मैं आपको हमारी टीम से जोड़ सकूँ।",
+        "मैं इसमें आपकी मदद करना चाहूँगी! आप प्रोजेक्ट के बारे में क्या जानना चाहेंगे?",
+      ],
+    },
+  },
+};
@@ -0,0 +1,144 @@
+/**
+ * Marathi chat catalog (see ../i18n.js for the shape).
+ */
+export const MR_CATALOG = {
+  name: "Marathi",
+  strings: {
+    defaultReply: "मी यात नक्की मदत करेन! तुम्हाला प्रोजेक्टबद्दल काय जाणून घ्यायचे आहे?",
+    listJoiner: " आणि ",
+    andMore: " आणि बरेच काही",
+    downloadBrochure: "ब्रोशर डाउनलोड करा",
+    callNow: "आता कॉल करा",
+    whatsappUs: "WhatsApp करा",
+    whatsappGreeting: "नमस्कार, मला {projectName|या प्रोजेक्ट}मध्ये रस आहे",
+    cardTitle: "{bhk}[ - {projectName}]",
+  },
+  quickReplies: {
+    Pricing: "किंमत",
+    Location: "लोकेशन",
+    Configurations: "कॉन्फिगरेशन",
+    Amenities: "सुविधा",
+    "Schedule a site visit": "साइट व्हिजिट बुक करा",
+    "Download brochure": "ब्रोशर डाउनलोड करा",
+  },
+  intents: {
+    affirm_pricing_or_visit: {
+      responses: [
+        "छान! आमच्याकडे {bhkList|अनेक कॉन्फिगरेशन} उपलब्ध आहेत. किंमत: {pricingList|सध्याच्या किंमतीसाठी आमच्या टीमशी बोला}. तुम्हाला साइट व्हिजिट बुक करायची आहे की अधिक माहिती हवी आहे?",
+        "छान! {projectName|प्रोजेक्ट}ची नेमकी किंमत आणि साइट व्हिजिटसाठी तुमचे नाव आणि फोन नंबर शेअर करा, आमची टीम सर्व ठरवून देईल.",
+      ],
+    },
+    affirm_location: {
+      responses: [
+        "छान! आमच्याकडे {bhkList|अनेक कॉन्फिगरेशन} उपलब्ध आहेत. [किंमत {startingPrice} पासून सुरू होते. ]तुम्हाला कॉन्फिगरेशनबद्दल अधिक जाणून घ्यायचे आहे की साइट व्हिजिट बुक करायची आहे?",
+      ],
+    },
+    affirm_pricing: {
+      responses: [
+        "उत्तम! सर्वोत्तम किंमत आणि पेमेंट प्लॅन मिळवून देण्यात मी तुम्हाला मदत करेन. तुमचे नाव आणि फोन नंबर शेअर करा म्हणजे आमची टीम खास ऑफरसह तुमच्याशी संपर्क करेल.",
+      ],
+    },
+    affirm_configuration: {
+      responses: [
+        "परफेक्ट! किंमत: {pricingList|सध्याच्या किंमतीसाठी आमच्या टीमशी बोला}. तुम्हाला साइट व्हिजिट बुक करायची आहे की अधिक माहिती हवी आहे? तुमचे नाव आणि फोन नंबर शेअर करा.",
+      ],
+    },
+    affirm: {
+      responses: [
+        "छान! तुम्हाला आमची किंमत किंवा उपलब्ध कॉन्फिगरेशनबद्दल जाणून घ्यायचे आहे का? तुमचे नाव आणि फोन नंबर शेअर करा म्हणजे मी तुम्हाला अधिक चांगली मदत करू शकेन.",
+        "छान! तुम्हाला {projectName|या प्रोजेक्ट}बद्दल अधिक जाणून घ्यायचे आहे का? तुमचे नाव आणि फोन नंबर शेअर करा म्हणजे मी तुम्हाला अधिक चांगली मदत करू शकेन.",
+      ],
+    },
+    deny: {
+      responses: [
+        "काही हरकत नाही! {projectName|प्रोजेक्ट}बद्दल तुम्हाला आणखी काही जाणून घ्यायचे आहे का? मी मदतीसाठी इथे आहे!",
+      ],
+    },
+    greeting: {
+      responses: [
+        "नमस्कार! 👋 मी Homesfy कडून {agentName}. {projectName} बद्दल तुम्हाला मदत करण्यासाठी मी इथे आहे. तुम्हाला काय जाणून घ्यायचे आहे?",
+        "नमस्कार! 👋 मी Homesfy कडून {agentName}. तुमचे स्वप्नातील घर शोधण्यात मदत करण्यासाठी मी इथे आहे. तुम्हाला काय जाणून घ्यायचे आहे?",
+      ],
+    },
+    project_name: {
+      keywords: ["प्रोजेक्टचे नाव", "कोणता प्रोजेक्ट", "हे काय आहे"],
+      responses: [
+        "हा {projectName} आहे[, {developer} यांचा][, {location} येथे]. तुम्हाला किंमत किंवा उपलब्ध कॉन्फिगरेशनबद्दल जाणून घ्यायचे आहे का?",
+        "मी यात नक्की मदत करेन! तुमचे नाव आणि फोन नंबर शेअर करा म्हणजे मी तुम्हाला अधिक चांगली मदत करू शकेन.",
+      ],
+    },
+    pricing: {
+      keywords: ["किंमत", "दर", "रेट", "किती", "बजेट"],
+      responses: [
+        "किंमत: {pricingList|सध्याच्या किंमतीसाठी आमच्या टीमशी बोला}. तुम्हाला साइट व्हिजिट बुक करायची आहे की अधिक माहिती हवी आहे? तुमचे नाव आणि फोन नंबर शेअर करा.",
+        "आधी सांगितल्याप्रमाणे, किंमत {pricingList|आमची टीम अधिक चांगली सांगेल} आहे. आमची टीम तुम्हाला नवीन ऑफर आणि पेमेंट प्लॅन पाठवू शकते. तुमचे नाव आणि फोन नंबर शेअर कराल का?",
+      ],
+    },
+    location: {
+      keywords: ["लोकेशन", "कुठे", "पत्ता", "ठिकाण"],
+      responses: [
+        "{projectName|हा प्रोजेक्ट} {location} येथे आहे. [आमच्याकडे {bhkList} उपलब्ध आहेत. ]तुम्हाला किंमत जाणून घ्यायची आहे की साइट व्हिजिट बुक करायची आहे?",
+        "मी यात नक्की मदत करेन! तुमचे नाव आणि फोन नंबर शेअर करा म्हणजे मी तुम्हाला अधिक चांगली मदत करू शकेन.",
+        "आधी सांगितल्याप्रमाणे, {projectName|प्रोजेक्ट} {location} येथे आहे. तुम्हाला साइट पाहायला यायचे आहे का? तुमचे नाव आणि फोन नंबर शेअर करा, आमची टीम रस्ता पाठवेल.",
+      ],
+    },
+    configuration: {
+      keywords: ["बीएचके", "खोल्या", "कॉन्फिगरेशन", "फ्लॅट साइज"],
+      responses: [
+        "आमच्याकडे {bhkList|अनेक कॉन्फिगरेशन} उपलब्ध आहेत. तुम्हाला किंमत जाणून घ्यायची आहे का? तुमचे नाव आणि फोन नंबर शेअर करा म्हणजे मी तुम्हाला अधिक चांगली मदत करू शकेन.",
+        "आमच्याकडे {bhkList|अनेक कॉन्फिगरेशन} उपलब्ध आहेत. तुमचे नाव आणि फोन नंबर शेअर करा म्हणजे मी तुम्हाला अधिक चांगली मदत करू शकेन.",
+      ],
+    },
+    amenities: {
+      keywords: ["सुविधा", "सोयी", "काय काय आहे"],
+      responses: [
+        "आम्ही {amenitiesList|आधुनिक सुविधा} देतो. तुम्हाला किंमत जाणून घ्यायची आहे की साइट व्हिजिट बुक करायची आहे?",
+      ],
+    },
+    overview: {
+      keywords: ["माहिती", "सांगा"],
+      responses: [
+        "[{projectName}. ][{developer} यांचा. ][{location} येथे. ][{bhkList} कॉन्फिगरेशन उपलब्ध. ][किंमत {pricingList}. ][मुख्य सुविधा: {topAmenities}. ][खास ऑफर: {specialOffers}. ][{area} राहण्याची जागा. ]तुम्हाला किंमत, कॉन्फिगरेशनबद्दल जाणून घ्यायचे आहे की साइट व्हिजिट बुक करायची आहे?",
+      ],
+    },
+    brochure: {
+      keywords: ["ब्रोशर", "फ्लोअर प्लॅन", "लेआउट"],
+      responses: [
+        "हे घ्या {projectName|प्रोजेक्ट}चे ब्रोशर, फ्लोअर प्लॅनसह. आमच्या टीमने तुम्हाला ते समजावून सांगावे असे वाटते का?",
+        "आमची टीम तुम्हाला {projectName|प्रोजेक्ट}चे ब्रोशर आणि फ्लोअर प्लॅन पाठवेल. तुमचे नाव आणि फोन नंबर शेअर करा.",
+      ],
+    },
+    site_visit: {
+      keywords: ["साइट व्हिजिट", "भेट", "पाहायला यायचे", "फ्लॅट पाहायचा"],
+      responses: [
+        "[{projectName} ची ]साइट व्हिजिट आनंदाने ठरवू! तुमचे नाव आणि फोन नंबर शेअर करा, आमची टीम तुमच्या सोयीची वेळ निश्चित करेल.",
+      ],
+    },
+    contact: {
+      keywords: ["व्हॉट्सॲप", "व्हाट्सअप", "कॉल करा", "संपर्क", "नंबर द्या", "बोलायचे आहे"],
+      responses: [
+        "नक्की! तुम्ही खाली थेट आमच्या प्रॉपर्टी एक्सपर्टशी संपर्क करू शकता, किंवा कॉल बॅकसाठी तुमचे नाव आणि फोन नंबर शेअर करा.",
+        "नक्की! तुमचे नाव आणि फोन नंबर शेअर करा, आमचे प्रॉपर्टी एक्सपर्ट लवकरच तुम्हाला कॉल करतील.",
+      ],
+    },
+    lead_captured: {
+      responses: [
+        "धन्यवाद[, {visitorName}]! आमचे प्रॉपर्टी एक्सपर्ट लवकरच {phone} वर तुम्हाला कॉल करतील[ आणि {bhkType} मधील सर्वोत्तम पर्याय सांगतील].",
+      ],
+    },
+    lead_updated: {
+      responses: ["ठीक आहे[, {visitorName}]! मी तुमची माहिती अपडेट केली आहे, आमची टीम लवकरच संपर्क करेल."],
+    },
+    ask_phone: {
+      responses: [
+        "तुम्हाला भेटून आनंद झाला[, {visitorName}]! आमचे प्रॉपर्टी एक्सपर्ट तुम्हाला कॉल करू शकतील म्हणून तुमचा फोन नंबर शेअर कराल का?",
+      ],
+    },
+    fallback: {
+      responses: [
+        "छान! तुमचे नाव आणि फोन नंबर शेअर करा म्हणजे मी तुम्हाला आमच्या टीमशी जोडू शकेन.",
+        "मी यात नक्की मदत करेन! तुम्हाला प्रोजेक्टबद्दल काय जाणून घ्यायचे आहे?",
+      ],
+    },
+  },
+};
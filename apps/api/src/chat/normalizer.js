@@ -0,0 +1,174 @@
+/**
+ * Message normalization in front of intent matching: lower-cases and strips
+ * punctuation, rewrites synonyms / Hinglish phrases to canonical words and
+ * corrects small typos ("prise", "loaction", "amenties") against the words
+ * the intent registry knows.
+ */
+import { DEFAULT_SYNONYMS } from "./synonyms.js";
+import { isCommonWord } from "./commonWords.js";
+
+// Base vocabulary besides the words pulled from the intent registry
+const BASE_VOCABULARY = [
+  "price", "pricing", "cost", "location", "address", "situated", "amenities", "facilities",
+  "features", "configuration", "configurations", "bedroom", "brief", "details", "detail",
+  "overview", "highlights", "project", "possession", "available", "hello",
+];
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+ * bailing out once the distance exceeds `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const matrix = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j += 1) matrix[0][j] = j;
+
+  for (let i = 1; i < rows; i += 1) {
+    let rowMin = Infinity;
+    for (let j = 1; j < cols; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(matrix[i - 1][j] + 1, matrix[i][j - 1] + 1, matrix[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, matrix[i - 2][j - 2] + 1);
+      }
+      matrix[i][j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+  }
+
+  return matrix[a.length][b.length];
+}
+
+function allowedDistance(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 5) return 1;
+  return 2;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function cleanText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Merge synonym dictionaries ({ canonical: [variants] }).
+ */
+export function mergeSynonyms(base = DEFAULT_SYNONYMS, extra = {}) {
+  const merged = {};
+  for (const source of [base, extra]) {
+    if (!source || typeof source !== "object") continue;
+    for (const [canonical, variants] of Object.entries(source)) {
+      if (!Array.isArray(variants)) continue;
+      const key = cleanText(canonical);
+      if (!key) continue;
+      merged[key] = [...(merged[key] || []), ...variants.map(cleanText).filter(Boolean)];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Collect the single words used by intent patterns plus the base vocabulary.
+ * These are the targets for typo correction.
+ */
+export function buildVocabulary(intents = [], synonyms = DEFAULT_SYNONYMS) {
+  const words = new Set(BASE_VOCABULARY);
+
+  const addWords = (text) => {
+    for (const word of cleanText(text).split(" ")) {
+      if (word.length > 3) words.add(word);
+    }
+  };
+
+  for (const intent of intents) {
+    for (const pattern of [].concat(intent.keywords || [])) {
+      [].concat(pattern).forEach(addWords);
+    }
+  }
+  Object.keys(synonyms || {}).forEach(addWords);
+
+  return Array.from(words);
+}
+
+// "ha", "ji", "na", "ho" are also fillers in ordinary sentences ("batao na",
+// "price kya hai ji"), so yes / no variants only count as a whole short reply
+const SHORT_REPLIES = ["yes", "no"];
+
+function replaceVariants(text, synonyms) {
+  const replacements = [];
+  for (const [canonical, variants] of synonyms) {
+    for (const variant of variants) {
+      if (variant && variant !== canonical) replacements.push([variant, canonical]);
+    }
+  }
+  // Longest phrases first so "kitne ka hai" wins over "kitne ka"
+  replacements.sort((a, b) => b[0].length - a[0].length);
+
+  let result = ` ${text} `;
+  for (const [variant, canonical] of replacements) {
+    const pattern = new RegExp(`(?<=\\s)${escapeRegExp(variant)}(?=\\s)`, "g");
+    result = result.replace(pattern, canonical);
+  }
+  return result.trim();
+}
+
+function applySynonyms(text, synonyms) {
+  const entries = Object.entries(synonyms);
+  const isShortReply = ([canonical]) => SHORT_REPLIES.includes(canonical);
+
+  const asReply = replaceVariants(text, entries.filter(isShortReply));
+  if (asReply.split(" ").every((word) => SHORT_REPLIES.includes(word))) {
+    return asReply;
+  }
+  return replaceVariants(text, entries.filter((entry) => !isShortReply(entry)));
+}
+
+function correctWord(word, vocabulary) {
+  const max = allowedDistance(word);
+  if (max === 0 || vocabulary.includes(word) || !/^[a-z]+$/.test(word) || isCommonWord(word)) {
+    return word;
+  }
+
+  let best = null;
+  for (const candidate of vocabulary) {
+    // Mobile typos almost always keep the first letter; requiring it avoids most false corrections
+    if (candidate[0] !== word[0]) continue;
+    const distance = editDistance(word, candidate, max);
+    if (distance <= max && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  }
+
+  return best ? best.candidate : word;
+}
+
+/**
+ * Normalize a visitor message for intent matching.
+ */
+export function normalizeMessage(message, { vocabulary = BASE_VOCABULARY, synonyms = DEFAULT_SYNONYMS } = {}) {
+  const cleaned = cleanText(message);
+  if (!cleaned) return "";
+
+  // Synonyms first so transliterated words are not "corrected" into unrelated vocabulary
+  return applySynonyms(cleaned, synonyms)
+    .split(" ")
+    .map((word) => correctWord(word, vocabulary))
+    .join(" ");
+}
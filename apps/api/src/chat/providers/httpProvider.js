@@ -0,0 +1,110 @@
+/**
+ * HTTP answer provider for OpenAI-compatible chat completion endpoints
+ * (local llama.cpp / Ollama servers, or any hosted API speaking the same protocol).
+ */
+import { buildTemplateContext } from "../intentEngine.js";
+import { searchFaqs } from "../faqRetriever.js";
+import { DEFAULT_LOCALE, getLocaleName } from "../i18n.js";
+
+const MAX_HISTORY_MESSAGES = 12;
+
+/**
+ * Build the system prompt that grounds the model in the project's propertyInfo
+ * and the knowledge-base entries relevant to the visitor's message.
+ */
+export function buildGroundingPrompt(propertyInfo = {}, agentName = "Riya", relevantFaqs = [], locale = DEFAULT_LOCALE) {
+  const context = buildTemplateContext(propertyInfo, { agentName });
+  const facts = [
+    context.projectName && `Project: ${context.projectName}`,
+    context.developer && `Developer: ${context.developer}`,
+    context.location && `Location: ${context.location}`,
+    context.bhkList && `Configurations: ${context.bhkList}`,
+    context.pricingList && `Pricing: ${context.pricingList}`,
+    context.amenitiesList && `Amenities: ${context.amenitiesList}`,
+    context.area && `Area: ${context.area}`,
+    context.specialOffers && `Special offers: ${context.specialOffers}`,
+    propertyInfo?.possession && `Possession: ${propertyInfo.possession}`,
+  ].filter(Boolean);
+
+  return [
+    `You are ${context.agentName}, a friendly real-estate assistant for Homesfy chatting with a visitor on a project website.`,
+    "Answer only from the project facts below. If the answer is not in the facts, say our team will share the details and ask for the visitor's name and phone number.",
+    "Never invent prices, dates, approvals or offers. Keep replies under 60 words and end by inviting a site visit or a call back when it fits.",
+    ...(locale !== DEFAULT_LOCALE
+      ? [`Reply in ${getLocaleName(locale)}, keeping project names, prices and amenity names as written.`]
+      : []),
+    "",
+    "Project facts:",
+    facts.length > 0 ? facts.map((fact) => `- ${fact}`).join("\n") : "- No project details are available.",
+    ...(relevantFaqs.length > 0
+      ? ["", "Project FAQs:", ...relevantFaqs.map((faq) => `Q: ${faq.question}\nA: ${faq.answer}`)]
+      : []),
+  ].join("\n");
+}
+
+function toChatMessages(conversation = []) {
+  return conversation
+    .filter((entry) => entry && entry.text)
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map((entry) => ({
+      role: entry.type === "user" ? "user" : "assistant",
+      content: entry.text,
+    }));
+}
+
+export function createHttpProvider({ url, apiKey, model, timeoutMs = 8000, fetchImpl = globalThis.fetch }) {
+  if (!url) {
+    throw new Error("HTTP chat provider requires a URL (CHAT_PROVIDER_URL)");
+  }
+
+  return {
+    name: "http",
+
+    async answer({ message, conversation, propertyInfo, agentName, faqs, locale }) {
+      const relevantFaqs = searchFaqs(faqs, message).map((match) => match.faq);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetchImpl(`${url}/chat/completions`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          },
+          body: JSON.stringify({
+            model,
+            temperature: 0.3,
+            max_tokens: 200,
+            messages: [
+              { role: "system", content: buildGroundingPrompt(propertyInfo, agentName, relevantFaqs, locale) },
+              ...toChatMessages(conversation),
+              { role: "user", content: message },
+            ],
+          }),
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          throw new Error(`Chat provider responded with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        const content = data?.choices?.[0]?.message?.content;
+        if (typeof content !== "string" || !content.trim()) {
+          throw new Error("Chat provider returned an empty answer");
+        }
+
+        return { response: content.trim(), aiUsed: true };
+      } catch (error) {
+        if (error.name === "AbortError") {
+          throw new Error(`Chat provider timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    },
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Chat answer providers.
+ *
+ * A provider is `{ name, answer(request) }` where `request` is
+ * `{ message, conversation, state, propertyInfo, agentName, responseTemplates, faqs, locale }`
+ * and `answer` resolves to at least `{ response, aiUsed }`. `locale` ("en", "hi", "mr")
+ * is the language the reply should be in.
+ *
+ * The keyword provider always runs (it is cheap and owns the intent id and the
+ * dialogue state); the configured provider, if any, replaces its reply text and
+ * falls back to it on timeout or error. The keyword intent's rich payload (quick
+ * replies, cards, actions) only goes out with the keyword reply it was built for.
+ */
+import { config } from "../../config.js";
+import { logger } from "../../utils/logger.js";
+import { createKeywordProvider } from "./keywordProvider.js";
+import { createHttpProvider } from "./httpProvider.js";
+
+const keywordProvider = createKeywordProvider();
+let configuredProvider = null;
+
+export function getAnswerProvider() {
+  if (configuredProvider) {
+    return configuredProvider;
+  }
+
+  const { type, url, apiKey, model, timeoutMs } = config.chatProvider || {};
+
+  if (type === "http") {
+    try {
+      configuredProvider = createHttpProvider({ url, apiKey, model, timeoutMs });
+      logger.log(`💬 Chat provider: HTTP (${model})`);
+      return configuredProvider;
+    } catch (error) {
+      logger.warn("HTTP chat provider is not configured, using keyword engine:", error.message);
+    }
+  }
+
+  configuredProvider = keywordProvider;
+  return configuredProvider;
+}
+
+export async function answerChatMessage(request) {
+  const keywordAnswer = await keywordProvider.answer(request);
+  const provider = getAnswerProvider();
+
+  if (provider === keywordProvider) {
+    return { ...keywordAnswer, provider: keywordProvider.name, fallback: true };
+  }
+
+  try {
+    const answer = await provider.answer(request);
+    return {
+      ...keywordAnswer,
+      response: answer.response,
+      // Buttons and cards built for the keyword reply could contradict the model's text
+      rich: null,
+      // The model's reply may not ask what the keyword reply would have asked
+      state: { ...keywordAnswer.state, lastAskedTopic: null },
+      aiUsed: Boolean(answer.aiUsed),
+      provider: provider.name,
+      fallback: false,
+    };
+  } catch (error) {
+    logger.warn(`Chat provider "${provider.name}" failed, using keyword engine:`, error.message);
+    return { ...keywordAnswer, provider: keywordProvider.name, fallback: true };
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Keyword answer provider: the built-in intent registry + normalizer.
+ * Always available, and the fallback for every other provider.
+ */
+import { loadChatRegistry, applyTemplateOverrides, FALLBACK_INTENT_ID } from "../intents.js";
+import {
+  matchIntent,
+  buildTemplateContext,
+  selectIntentResponse,
+  renderTemplate,
+  createDialogueState,
+  nextDialogueState,
+} from "../intentEngine.js";
+import { normalizeMessage, buildVocabulary } from "../normalizer.js";
+import { searchFaqs } from "../faqRetriever.js";
+import { buildRichPayload } from "../richPayload.js";
+import { DEFAULT_LOCALE, getLocaleStrings, localizeIntents } from "../i18n.js";
+
+const FAQ_INTENT_ID = "faq";
+
+export function createKeywordProvider() {
+  return {
+    name: "keyword",
+
+    async answer({ message, conversation, state, propertyInfo, agentName, responseTemplates, faqs, locale = DEFAULT_LOCALE }) {
+      const hasPropertyInfo = propertyInfo && Object.keys(propertyInfo).length > 0;
+      const registry = await loadChatRegistry();
+      const strings = getLocaleStrings(locale);
+      const intents = applyTemplateOverrides(localizeIntents(registry.intents, locale), responseTemplates);
+      const fallbackIntent = intents.find((candidate) => candidate.id === FALLBACK_INTENT_ID);
+
+      // Typos, synonyms and Hinglish ("prise", "loaction", "kitne ka hai") are normalized before matching
+      const normalizedMessage = normalizeMessage(message, {
+        vocabulary: buildVocabulary(intents, registry.synonyms),
+        synonyms: registry.synonyms,
+      });
+      const { intent } = hasPropertyInfo
+        ? matchIntent(intents, normalizedMessage, conversation, state)
+        : { intent: fallbackIntent };
+
+      const dialogueState = createDialogueState(state);
+
+      // The project's knowledge base answers what no intent covers, before the generic fallback
+      if (!intent || intent.id === FALLBACK_INTENT_ID) {
+        const [faqMatch] = searchFaqs(faqs, message, { limit: 1 });
+        if (faqMatch) {
+          return {
+            response: faqMatch.faq.answer,
+            intent: FAQ_INTENT_ID,
+            faqId: faqMatch.faq.id,
+            state: nextDialogueState(dialogueState, { topic: FAQ_INTENT_ID }, null),
+            rich: null,
+            aiUsed: false,
+          };
+        }
+      }
+
+      const templateContext = buildTemplateContext(propertyInfo, {
+        agentName,
+        listJoiner: strings.listJoiner,
+        andMore: strings.andMore,
+      });
+      const selectOptions = {
+        turns: conversation ? conversation.length : 0,
+        coveredTopics: dialogueState.coveredTopics,
+      };
+      let matchedIntent = intent;
+      let selected = selectIntentResponse(matchedIntent, templateContext, selectOptions);
+
+      // Intents whose responses all need missing property details fall through to the fallback
+      if (!selected) {
+        matchedIntent = fallbackIntent;
+        selected = selectIntentResponse(matchedIntent, templateContext, selectOptions);
+      }
+
+      return {
+        response: (selected && renderTemplate(selected.template, templateContext)) || strings.defaultReply,
+        intent: matchedIntent?.id || FALLBACK_INTENT_ID,
+        state: nextDialogueState(dialogueState, matchedIntent, selected),
+        rich: buildRichPayload(selected, propertyInfo, locale),
+        aiUsed: false,
+      };
+    },
+  };
+}
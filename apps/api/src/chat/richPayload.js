@@ -0,0 +1,111 @@
+/**
+ * Structured extras for a chat reply, returned as `rich` next to the plain
+ * `response` text (which stays complete on its own for widgets that ignore `rich`):
+ *
+ *   {
+ *     quickReplies: [{ label, value }],
+ *     cards:        [{ type: "property", title, subtitle, price, bhk }],
+ *     links:        [{ type: "brochure", label, url }],
+ *     actions:      [{ type: "call" | "whatsapp", label, url }],
+ *   }
+ *
+ * Intent responses opt in with `quickReplies: [...]` and
+ * `attachments: ["priceCards", "brochure", "contactActions"]`. Labels follow the
+ * visitor's locale; a quick reply's `value` stays the English label so it matches
+ * the same intent whatever the language.
+ */
+import { renderTemplate } from "./intentEngine.js";
+import { DEFAULT_LOCALE, getLocaleStrings, translateQuickReply } from "./i18n.js";
+
+const MAX_QUICK_REPLIES = 4;
+const MAX_CARDS = 6;
+
+function isSafeUrl(url) {
+  if (typeof url !== "string" || !url.trim()) return false;
+  try {
+    const parsed = new URL(url.trim());
+    return parsed.protocol === "https:" || parsed.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+function digitsOf(phone) {
+  return typeof phone === "string" || typeof phone === "number" ? String(phone).replace(/[^\d+]/g, "") : "";
+}
+
+function buildPriceCards(propertyInfo = {}, strings) {
+  const pricing =
+    propertyInfo.pricing && typeof propertyInfo.pricing === "object" && !Array.isArray(propertyInfo.pricing)
+      ? propertyInfo.pricing
+      : {};
+
+  return Object.entries(pricing)
+    .filter(([, price]) => typeof price === "string" || typeof price === "number")
+    .slice(0, MAX_CARDS)
+    .map(([bhk, price]) => ({
+      type: "property",
+      title: renderTemplate(strings.cardTitle, { bhk, projectName: propertyInfo.projectName }),
+      subtitle: propertyInfo.location || "",
+      price: String(price),
+      bhk,
+    }));
+}
+
+function buildBrochureLinks(propertyInfo = {}, strings) {
+  return isSafeUrl(propertyInfo.brochureUrl)
+    ? [{ type: "brochure", label: strings.downloadBrochure, url: propertyInfo.brochureUrl.trim() }]
+    : [];
+}
+
+function buildContactActions(propertyInfo = {}, strings) {
+  const actions = [];
+  const phone = digitsOf(propertyInfo.contactPhone);
+  const whatsapp = digitsOf(propertyInfo.whatsappNumber || propertyInfo.contactPhone).replace(/^\+/, "");
+
+  if (phone.replace(/\D/g, "").length >= 6) {
+    actions.push({ type: "call", label: strings.callNow, url: `tel:${phone}` });
+  }
+  if (whatsapp.length >= 6) {
+    const text = encodeURIComponent(renderTemplate(strings.whatsappGreeting, { projectName: propertyInfo.projectName }));
+    actions.push({ type: "whatsapp", label: strings.whatsappUs, url: `https://wa.me/${whatsapp}?text=${text}` });
+  }
+
+  return actions;
+}
+
+const ATTACHMENT_BUILDERS = {
+  priceCards: (propertyInfo, strings) => ({ cards: buildPriceCards(propertyInfo, strings) }),
+  brochure: (propertyInfo, strings) => ({ links: buildBrochureLinks(propertyInfo, strings) }),
+  contactActions: (propertyInfo, strings) => ({ actions: buildContactActions(propertyInfo, strings) }),
+};
+
+/**
+ * Build the `rich` payload for the selected intent response.
+ * Returns null when the response declares nothing that can be shown.
+ */
+export function buildRichPayload(response, propertyInfo = {}, locale = DEFAULT_LOCALE) {
+  if (!response) return null;
+
+  const strings = getLocaleStrings(locale);
+
+  const rich = { quickReplies: [], cards: [], links: [], actions: [] };
+
+  if (Array.isArray(response.quickReplies)) {
+    rich.quickReplies = response.quickReplies
+      .filter((label) => typeof label === "string" && label.trim())
+      .slice(0, MAX_QUICK_REPLIES)
+      .map((label) => ({ label: translateQuickReply(label, locale), value: label }));
+  }
+
+  for (const attachment of [].concat(response.attachments || [])) {
+    const build = ATTACHMENT_BUILDERS[attachment];
+    if (!build) continue;
+    for (const [key, items] of Object.entries(build(propertyInfo || {}, strings))) {
+      rich[key] = [...rich[key], ...items];
+    }
+  }
+
+  const hasContent = Object.values(rich).some((items) => items.length > 0);
+  return hasContent ? rich : null;
+}
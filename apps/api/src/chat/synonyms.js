@@ -0,0 +1,53 @@
+/**
+ * Synonym dictionary for the chat normalizer.
+ *
+ * Each key is the canonical word the intent registry understands; the values are
+ * variants visitors actually type (English synonyms, Hinglish/Marathi
+ * transliterations and a few Devanagari words). Multi-word variants are matched
+ * as whole phrases before single words. More entries can be added per deployment
+ * from the dashboard (see loadChatRegistry in intents.js).
+ */
+export const DEFAULT_SYNONYMS = {
+  price: [
+    "rate",
+    "rates",
+    "budget",
+    "kitne ka hai",
+    "kitne ka",
+    "kitne ki",
+    "kitne me",
+    "kitne mein",
+    "kitna hai",
+    "kitna",
+    "kimat",
+    "keemat",
+    "qeemat",
+    "kimmat",
+    "daam",
+    "bhav",
+    "किंमत",
+    "कीमत",
+    "दाम",
+  ],
+  location: [
+    "kaha hai",
+    "kahan hai",
+    "kidhar hai",
+    "kaha",
+    "kahan",
+    "kidhar",
+    "kuthe",
+    "jagah",
+    "locality",
+    "कहाँ",
+    "कहां",
+    "कुठे",
+  ],
+  amenities: ["suvidha", "suvidhaye", "suvidhayein", "सुविधा"],
+  configuration: ["flat size", "unit size", "carpet area"],
+  overview: ["ke baare mein", "ke bare me", "ke bare mein", "jaankari", "jankari", "batao", "bataiye", "बताओ", "जानकारी"],
+  hello: ["namaste", "namaskar", "hii", "hiii", "helo", "hlo", "hey there", "नमस्ते", "नमस्कार", "हाय", "हेलो"],
+  // Only applied when the whole message is a short reply (see normalizer.js)
+  yes: ["haan", "haa", "han", "ha", "ji haan", "ji", "theek hai", "thik hai", "ho", "हाँ", "हां", "होय", "हो"],
+  no: ["nahi", "nahin", "nai", "na", "nako", "नहीं", "नको", "नाही"],
+};
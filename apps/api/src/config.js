@@ -80,6 +80,11 @@ if (hasIndividualVars) {
   }
 }
 
+const rawCrmLeadsUrl = (process.env.CRM_LEADS_URL || "").trim();
+const crmLeadsUrl = ["off", "none", "false"].includes(rawCrmLeadsUrl.toLowerCase())
+  ? null
+  : rawCrmLeadsUrl || (process.env.NODE_ENV === "production" ? "https://api.homesfy.in/api/leads/create" : null);
+
 // Create config object with mutable dataStore
 const configObj = {
   port: Number.isFinite(normalizedPort) ? normalizedPort : 4000,
@@ -90,6 +95,54 @@ const configObj = {
   dataStore: dataStore, // Will be updated after MySQL connection
   databaseUrl: databaseUrl || null,
   widgetConfigApiKey: (process.env.WIDGET_CONFIG_API_KEY && process.env.WIDGET_CONFIG_API_KEY.trim()) || null,
+  // Chat answer provider: "keyword" (built-in intent engine) or "http" (OpenAI-compatible endpoint,
+  // e.g. a local llama.cpp / Ollama server). The keyword engine is always the fallback.
+  chatProvider: {
+    type: ((process.env.CHAT_PROVIDER || "keyword").trim().toLowerCase()) || "keyword",
+    url: (process.env.CHAT_PROVIDER_URL && process.env.CHAT_PROVIDER_URL.trim().replace(/\/+$/, "")) || null,
+    apiKey: (process.env.CHAT_PROVIDER_API_KEY && process.env.CHAT_PROVIDER_API_KEY.trim()) || null,
+    model: (process.env.CHAT_PROVIDER_MODEL && process.env.CHAT_PROVIDER_MODEL.trim()) || "llama3",
+    timeoutMs: Number(process.env.CHAT_PROVIDER_TIMEOUT_MS) > 0 ? Number(process.env.CHAT_PROVIDER_TIMEOUT_MS) : 8000,
+  },
+  // Repeat enquiries from a phone number that already has a lead within the window either attach
+  // to that lead as another "touch" or are stored as a duplicate pointing at it. 0 hours disables dedup.
+  leadDedup: {
+    mode: (process.env.LEAD_DEDUP_MODE || "").trim().toLowerCase() === "duplicate" ? "duplicate" : "touch",
+    windowHours:
+      process.env.LEAD_DEDUP_WINDOW_HOURS !== undefined && Number(process.env.LEAD_DEDUP_WINDOW_HOURS) >= 0
+        ? Number(process.env.LEAD_DEDUP_WINDOW_HOURS)
+        : 24 * 30,
+  },
+  // Outbound webhooks: failed deliveries are retried with exponential backoff up to maxAttempts
+  webhooks: {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) > 0 ? Math.floor(Number(process.env.WEBHOOK_MAX_ATTEMPTS)) : 6,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) > 0 ? Number(process.env.WEBHOOK_TIMEOUT_MS) : 10000,
+  },
+  // Server-side CRM forwarding of captured leads (see utils/crmForwarder.js). Production defaults to the
+  // Homesfy CRM the widget used to post to from the browser; elsewhere forwarding is off unless
+  // CRM_LEADS_URL is set (e.g. to the mock CRM: npm run mock-crm). CRM_LEADS_URL=off disables it.
+  crm: {
+    url: crmLeadsUrl,
+    apiKey: (process.env.CRM_API_KEY && process.env.CRM_API_KEY.trim()) || null,
+    defaultProjectId: Number(process.env.CRM_DEFAULT_PROJECT_ID) || 5796,
+    maxAttempts: Number(process.env.CRM_MAX_ATTEMPTS) > 0 ? Math.floor(Number(process.env.CRM_MAX_ATTEMPTS)) : 8,
+    timeoutMs: Number(process.env.CRM_TIMEOUT_MS) > 0 ? Number(process.env.CRM_TIMEOUT_MS) : 10000,
+  },
+  // Scheduled project digests (see utils/digest.js), emailed through SMTP_HOST. Without it digests can
+  // still be previewed and downloaded from the dashboard; locally, point it at the sink: npm run mock-smtp
+  digests: {
+    smtp: {
+      host: (process.env.SMTP_HOST && process.env.SMTP_HOST.trim()) || null,
+      port: Number(process.env.SMTP_PORT) > 0 ? Number(process.env.SMTP_PORT) : 587,
+      secure: (process.env.SMTP_SECURE || "").trim().toLowerCase() === "true",
+      user: (process.env.SMTP_USER && process.env.SMTP_USER.trim()) || null,
+      pass: process.env.SMTP_PASS || null,
+    },
+    from: (process.env.DIGEST_FROM && process.env.DIGEST_FROM.trim()) || "Homesfy Chat <no-reply@homesfy.in>",
+    // Link to the dashboard in digest emails
+    dashboardUrl: (process.env.DASHBOARD_URL && process.env.DASHBOARD_URL.trim().replace(/\/+$/, "")) || null,
+    maxAttempts: Number(process.env.DIGEST_MAX_ATTEMPTS) > 0 ? Math.floor(Number(process.env.DIGEST_MAX_ATTEMPTS)) : 3,
+  },
   // Function to update dataStore after MySQL connection
   setDataStore(newStore) {
     this.dataStore = newStore;
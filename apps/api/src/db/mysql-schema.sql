@@ -1,5 +1,7 @@
 -- MySQL Schema for Homesfy Chat Buddy
 -- Run this to create all tables in MySQL database
+-- Columns added to a table after it first shipped are also listed in COLUMN_MIGRATIONS
+-- (db/mysql.js), which adds them to existing databases before this file runs
 
 -- Users table for authentication
 CREATE TABLE IF NOT EXISTS users (
@@ -34,6 +36,14 @@ CREATE TABLE IF NOT EXISTS leads (
     metadata JSON DEFAULT ('{}'),
     conversation JSON DEFAULT ('[]'),
     location JSON,
+    duplicate_of INT,
+    assigned_to VARCHAR(255),
+    score INT,
+    -- Copies of metadata fields the lead list filters on, so they can be indexed
+    utm_source VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.visitor.utm.source')), 255)) VIRTUAL,
+    utm_medium VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.visitor.utm.medium')), 255)) VIRTUAL,
+    utm_campaign VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.visitor.utm.campaign')), 255)) VIRTUAL,
+    phone_country VARCHAR(10) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.phoneCountryCode')), 10)) VIRTUAL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     CHECK (status IN ('new', 'contacted', 'qualified', 'closed'))
@@ -45,6 +55,70 @@ CREATE INDEX IF NOT EXISTS idx_leads_microsite ON leads(microsite);
 CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
 CREATE INDEX IF NOT EXISTS idx_leads_created_at ON leads(created_at);
 CREATE INDEX IF NOT EXISTS idx_leads_phone_microsite ON leads(phone, microsite);
+CREATE INDEX IF NOT EXISTS idx_leads_duplicate_of ON leads(duplicate_of);
+CREATE INDEX IF NOT EXISTS idx_leads_assigned_to ON leads(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_leads_score ON leads(score);
+CREATE INDEX IF NOT EXISTS idx_leads_bhk_type ON leads(bhk_type);
+CREATE INDEX IF NOT EXISTS idx_leads_lead_source ON leads(lead_source);
+CREATE INDEX IF NOT EXISTS idx_leads_utm_source ON leads(utm_source, utm_medium, created_at);
+CREATE INDEX IF NOT EXISTS idx_leads_utm_campaign ON leads(utm_campaign);
+CREATE INDEX IF NOT EXISTS idx_leads_phone_country ON leads(phone_country);
+
+-- Lead status / owner changes (who changed what, when, with an optional note)
+CREATE TABLE IF NOT EXISTS lead_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    lead_id INT NOT NULL,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    from_owner VARCHAR(255),
+    to_owner VARCHAR(255),
+    changed_by VARCHAR(255),
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_status_history_lead_id ON lead_status_history(lead_id);
+
+-- Notes sales reps add to a lead (call outcomes etc.)
+CREATE TABLE IF NOT EXISTS lead_notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    lead_id INT NOT NULL,
+    body TEXT NOT NULL,
+    author VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_notes_lead_id ON lead_notes(lead_id);
+
+-- Free-form tags on leads
+CREATE TABLE IF NOT EXISTS lead_tags (
+    lead_id INT NOT NULL,
+    tag VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lead_id, tag),
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_tags_tag ON lead_tags(tag);
+
+-- Scheduled callbacks; open until completed_at is set
+CREATE TABLE IF NOT EXISTS lead_follow_ups (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    lead_id INT NOT NULL,
+    due_at DATETIME NOT NULL,
+    note TEXT,
+    created_by VARCHAR(255),
+    completed_at DATETIME,
+    completed_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_follow_ups_lead_id ON lead_follow_ups(lead_id);
+CREATE INDEX IF NOT EXISTS idx_lead_follow_ups_due_at ON lead_follow_ups(completed_at, due_at);
 
 -- Chat sessions table
 CREATE TABLE IF NOT EXISTS chat_sessions (
@@ -57,6 +131,8 @@ CREATE TABLE IF NOT EXISTS chat_sessions (
     conversation JSON DEFAULT ('[]'),
     metadata JSON DEFAULT ('{}'),
     location JSON,
+    -- SHA-256 of the token the widget sends back on every chat API turn (see chat/chatSession.js)
+    token_hash CHAR(64),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL
@@ -66,6 +142,7 @@ CREATE TABLE IF NOT EXISTS chat_sessions (
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_microsite ON chat_sessions(microsite);
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_lead_id ON chat_sessions(lead_id);
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_project_id ON chat_sessions(project_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_sessions_token_hash ON chat_sessions(token_hash);
 
 -- Events table for analytics
 CREATE TABLE IF NOT EXISTS events (
@@ -73,6 +150,9 @@ CREATE TABLE IF NOT EXISTS events (
     type VARCHAR(100) NOT NULL,
     project_id VARCHAR(255) NOT NULL,
     microsite VARCHAR(255),
+    -- Anonymous widget ids: visitor_id persists across visits, session_id is one visit
+    visitor_id VARCHAR(64),
+    session_id VARCHAR(64),
     payload JSON DEFAULT ('{}'),
     location JSON,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -83,6 +163,9 @@ CREATE INDEX IF NOT EXISTS idx_events_type ON events(type);
 CREATE INDEX IF NOT EXISTS idx_events_project_id ON events(project_id);
 CREATE INDEX IF NOT EXISTS idx_events_microsite ON events(microsite);
 CREATE INDEX IF NOT EXISTS idx_events_created_at ON events(created_at);
+CREATE INDEX IF NOT EXISTS idx_events_project_created_at ON events(project_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_events_visitor_id ON events(visitor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_events_session_id ON events(session_id, created_at);
 
 -- Widget config table
 CREATE TABLE IF NOT EXISTS widget_configs (
@@ -100,6 +183,9 @@ CREATE TABLE IF NOT EXISTS widget_configs (
     auto_open_delay_ms INT DEFAULT 4000,
     welcome_message TEXT DEFAULT 'Hi, I''m Riya from Homesfy 👋\nHow can I help you today?',
     property_info JSON DEFAULT ('{}'),
+    response_templates JSON DEFAULT ('{}'),
+    locale VARCHAR(10) DEFAULT 'en',
+    lead_scoring JSON DEFAULT ('{}'),
     created_by VARCHAR(255),
     updated_by VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -110,3 +196,140 @@ CREATE TABLE IF NOT EXISTS widget_configs (
 -- Create index for widget_configs
 CREATE INDEX IF NOT EXISTS idx_widget_configs_project_id ON widget_configs(project_id);
 
+-- Project knowledge base (FAQs consulted by the chat before the generic fallback)
+CREATE TABLE IF NOT EXISTS project_faqs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    keywords JSON DEFAULT ('[]'),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_faqs_project_id ON project_faqs(project_id);
+
+-- Chat intents added or overridden from the dashboard (the intent's registry definition, see chat/intents.js)
+CREATE TABLE IF NOT EXISTS chat_intents (
+    intent_id VARCHAR(100) PRIMARY KEY,
+    definition JSON NOT NULL,
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Extra chat normalizer synonyms: variants visitors type for a canonical word
+CREATE TABLE IF NOT EXISTS chat_synonyms (
+    canonical VARCHAR(100) PRIMARY KEY,
+    variants JSON DEFAULT ('[]'),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Outbound webhooks; microsite NULL means every project
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    events JSON DEFAULT ('[]'),
+    microsite VARCHAR(255),
+    active BOOLEAN DEFAULT TRUE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Webhook delivery log; pending deliveries are retried at next_attempt_at
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    webhook_id INT NOT NULL,
+    event VARCHAR(100) NOT NULL,
+    payload JSON DEFAULT ('{}'),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at DATETIME,
+    response_status INT,
+    error TEXT,
+    delivered_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+    CHECK (status IN ('pending', 'succeeded', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at);
+
+-- Leads waiting to be (or already) forwarded to the CRM; pending rows are retried at next_attempt_at
+CREATE TABLE IF NOT EXISTS crm_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    lead_id INT NOT NULL,
+    payload JSON DEFAULT ('{}'),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    next_attempt_at DATETIME,
+    response_status INT,
+    response_body TEXT,
+    error TEXT,
+    sent_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_crm_outbox_due ON crm_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_crm_outbox_lead_id ON crm_outbox(lead_id);
+
+-- Ad spend per project and UTM source / medium / campaign, for the attribution report
+CREATE TABLE IF NOT EXISTS campaign_costs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    utm_source VARCHAR(255) NOT NULL,
+    utm_medium VARCHAR(255),
+    utm_campaign VARCHAR(255),
+    spent_on DATE NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'INR',
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_costs_project ON campaign_costs(project_id, spent_on);
+
+-- Scheduled digest emails per project; send_hour / weekday are local to utc_offset (minutes east of UTC)
+CREATE TABLE IF NOT EXISTS project_digests (
+    project_id VARCHAR(255) PRIMARY KEY,
+    enabled BOOLEAN DEFAULT FALSE,
+    frequency VARCHAR(10) NOT NULL DEFAULT 'daily',
+    send_hour INT DEFAULT 9,
+    weekday INT DEFAULT 1,
+    utc_offset INT DEFAULT 330,
+    recipients JSON DEFAULT ('[]'),
+    attach_pdf BOOLEAN DEFAULT FALSE,
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CHECK (frequency IN ('daily', 'weekly'))
+);
+
+-- Digest email log; failed scheduled digests are retried until DIGEST_MAX_ATTEMPTS
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    project_id VARCHAR(255) NOT NULL,
+    frequency VARCHAR(10) NOT NULL,
+    period_start DATETIME NOT NULL,
+    period_end DATETIME NOT NULL,
+    recipients JSON DEFAULT ('[]'),
+    manual BOOLEAN DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    error TEXT,
+    sent_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_deliveries_project ON digest_deliveries(project_id, period_end);
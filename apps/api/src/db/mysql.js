@@ -233,11 +233,80 @@ export async function query(text, params) {
     }
 }
 
+/**
+ * Columns added to tables after they first shipped. CREATE TABLE IF NOT EXISTS
+ * leaves an existing table as it is, so migrateColumns() adds each column a
+ * table is missing (new databases get them from mysql-schema.sql).
+ */
+const COLUMN_MIGRATIONS = [
+  // Per-project chat reply templates ({ intentId: template })
+  { table: 'widget_configs', column: 'response_templates', definition: "JSON DEFAULT ('{}')" },
+  // Default chat language ("en", "hi", "mr")
+  { table: 'widget_configs', column: 'locale', definition: "VARCHAR(10) DEFAULT 'en'" },
+  // Lead a repeat enquiry duplicates (LEAD_DEDUP_MODE=duplicate)
+  { table: 'leads', column: 'duplicate_of', definition: 'INT' },
+  // Dashboard user a lead is assigned to
+  { table: 'leads', column: 'assigned_to', definition: 'VARCHAR(255)' },
+  // Lead score (0-100, see utils/leadScoring.js)
+  { table: 'leads', column: 'score', definition: 'INT' },
+  // Per-project lead scoring overrides
+  { table: 'widget_configs', column: 'lead_scoring', definition: "JSON DEFAULT ('{}')" },
+  // Generated filter columns (see the leads table)
+  {
+    table: 'leads',
+    column: 'utm_source',
+    definition: "VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.visitor.utm.source')), 255)) VIRTUAL",
+  },
+  {
+    table: 'leads',
+    column: 'utm_medium',
+    definition: "VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.visitor.utm.medium')), 255)) VIRTUAL",
+  },
+  {
+    table: 'leads',
+    column: 'utm_campaign',
+    definition: "VARCHAR(255) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.visitor.utm.campaign')), 255)) VIRTUAL",
+  },
+  {
+    table: 'leads',
+    column: 'phone_country',
+    definition: "VARCHAR(10) GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.phoneCountryCode')), 10)) VIRTUAL",
+  },
+  // Widget visitor / session ids on events
+  { table: 'events', column: 'visitor_id', definition: 'VARCHAR(64)' },
+  { table: 'events', column: 'session_id', definition: 'VARCHAR(64)' },
+  // Chat API session token hash (see chat/chatSession.js)
+  { table: 'chat_sessions', column: 'token_hash', definition: 'CHAR(64)' },
+];
+
+/**
+ * Add the COLUMN_MIGRATIONS columns existing tables are missing. Runs before
+ * the schema file, whose indexes may cover these columns; tables that do not
+ * exist yet are left to their CREATE TABLE.
+ */
+async function migrateColumns() {
+  const { rows } = await query(
+    'SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()'
+  );
+  const tables = new Set(rows.map(row => row.table_name));
+  const columns = new Set(rows.map(row => `${row.table_name}.${row.column_name}`));
+
+  for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+    if (!tables.has(table) || columns.has(`${table}.${column}`)) {
+      continue;
+    }
+    await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Added column ${table}.${column}`);
+  }
+}
+
 /**
  * Initialize database schema (run migrations)
  */
 export async function initializeSchema() {
   try {
+    await migrateColumns();
+
     const fs = await import('fs');
     const path = await import('path');
     const { fileURLToPath } = await import('url');
@@ -249,9 +318,12 @@ export async function initializeSchema() {
     
     const schema = fs.readFileSync(schemaPath, 'utf8');
     
-    // Split by semicolons and execute each statement
-    // Filter out comments and empty statements
+    // Drop comment lines first (they may contain semicolons), then split by semicolons
+    // and execute each statement, skipping empty ones
     const statements = schema
+      .split('\n')
+      .filter(line => !line.trim().startsWith('--'))
+      .join('\n')
       .split(';')
       .map(s => s.trim())
       .filter(s => {
@@ -0,0 +1,196 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { parseAnalyticsQuery } from "../utils/analytics.js";
+import {
+  ATTRIBUTION_GROUPINGS,
+  ATTRIBUTION_MODELS,
+  attributionReportToCsv,
+  buildAttributionReport,
+} from "../utils/attribution.js";
+
+const router = express.Router();
+
+// Helper functions to get the right storage modules
+async function getLeadStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadStore.js");
+  } else {
+    return await import("../storage/leadStore.js");
+  }
+}
+
+async function getCampaignCostStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlCampaignCostStore.js");
+  } else {
+    return await import("../storage/campaignCostStore.js");
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function cleanText(value, maxLength) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+// Calendar day (YYYY-MM-DD) a time falls on at the caller's UTC offset (minutes)
+function localDate(date, utcOffset) {
+  return new Date(date.getTime() + utcOffset * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Leads, conversions and ad spend per UTM source / medium / campaign or
+ * referrer domain, credited to each lead's first or last touch
+ * (?model=first|last, ?groupBy=source|source_medium|campaign|referrer).
+ * Takes the analytics range (projectId, microsite, startDate, endDate,
+ * utcOffset); ?format=csv downloads the rows.
+ */
+router.get("/report", async (req, res) => {
+  const range = parseAnalyticsQuery({ ...req.query, interval: "day" });
+  if (range.error) {
+    return res.status(400).json({ message: range.error });
+  }
+
+  const model = req.query.model || "last";
+  if (!ATTRIBUTION_MODELS.includes(model)) {
+    return res.status(400).json({ message: `model must be one of ${ATTRIBUTION_MODELS.join(", ")}` });
+  }
+  const groupBy = req.query.groupBy || "source";
+  if (!ATTRIBUTION_GROUPINGS[groupBy]) {
+    return res.status(400).json({ message: `groupBy must be one of ${Object.keys(ATTRIBUTION_GROUPINGS).join(", ")}` });
+  }
+
+  try {
+    const leadStore = await getLeadStore();
+    const leads = await leadStore.listLeadAttributions({
+      projectId: range.projectId,
+      microsite: range.microsite,
+      startDate: range.startDate,
+      endDate: range.endDate,
+    });
+
+    // Spend is entered per project, so it is only comparable within one
+    const costStore = await getCampaignCostStore();
+    const costs = range.projectId
+      ? await costStore.listCampaignCosts({
+          projectId: range.projectId,
+          startDate: localDate(range.startDate, range.utcOffset),
+          endDate: localDate(range.endDate, range.utcOffset),
+        })
+      : [];
+
+    const rows = buildAttributionReport(leads, costs, { model, groupBy });
+
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="attribution-${groupBy}-${model}-touch-${localDate(range.startDate, range.utcOffset)}.csv"`
+      );
+      return res.send(attributionReportToCsv(rows, groupBy));
+    }
+
+    const totals = rows.reduce(
+      (sum, row) => ({
+        leads: sum.leads + row.leads,
+        converted: sum.converted + row.converted,
+        cost: Math.round((sum.cost + row.cost) * 100) / 100,
+      }),
+      { leads: 0, converted: 0, cost: 0 }
+    );
+
+    res.json({
+      range: { startDate: range.startDate.toISOString(), endDate: range.endDate.toISOString() },
+      model,
+      groupBy,
+      currencies: [...new Set(costs.map((cost) => cost.currency))],
+      totals: {
+        ...totals,
+        conversionRate: totals.leads ? totals.converted / totals.leads : null,
+        costPerLead: totals.cost && totals.leads ? Math.round((totals.cost / totals.leads) * 100) / 100 : null,
+      },
+      rows,
+    });
+  } catch (error) {
+    logger.error("Failed to build attribution report", error);
+    res.status(500).json({ message: "Failed to build attribution report" });
+  }
+});
+
+// Campaign costs of a project (?projectId, optional ?startDate / ?endDate as YYYY-MM-DD)
+router.get("/costs", async (req, res) => {
+  const { projectId, startDate, endDate } = req.query;
+  if (!projectId) {
+    return res.status(400).json({ message: "projectId is required" });
+  }
+  if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+    return res.status(400).json({ message: "startDate and endDate must be YYYY-MM-DD dates" });
+  }
+
+  try {
+    const costStore = await getCampaignCostStore();
+    const costs = await costStore.listCampaignCosts({ projectId: String(projectId), startDate, endDate });
+    res.json({ costs });
+  } catch (error) {
+    logger.error("Failed to load campaign costs", error);
+    res.status(500).json({ message: "Failed to load campaign costs" });
+  }
+});
+
+// Record ad spend for a project's UTM source (and optionally medium / campaign) on a day
+router.post("/costs", requireApiKey, async (req, res) => {
+  const body = req.body || {};
+  const projectId = cleanText(body.projectId, 255);
+  const source = cleanText(body.source, 255);
+  const amount = Number(body.amount);
+  const currency = (cleanText(body.currency, 3) || "INR").toUpperCase();
+
+  if (!projectId || !source) {
+    return res.status(400).json({ message: "projectId and source are required" });
+  }
+  if (typeof body.spentOn !== "string" || !DATE_PATTERN.test(body.spentOn) || Number.isNaN(new Date(body.spentOn).getTime())) {
+    return res.status(400).json({ message: "spentOn must be a YYYY-MM-DD date" });
+  }
+  if (!Number.isFinite(amount) || amount < 0 || amount >= 1e10) {
+    return res.status(400).json({ message: "amount must be a non-negative number" });
+  }
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return res.status(400).json({ message: "currency must be a 3-letter code" });
+  }
+
+  try {
+    const costStore = await getCampaignCostStore();
+    const cost = await costStore.createCampaignCost({
+      projectId,
+      source,
+      medium: cleanText(body.medium, 255),
+      campaign: cleanText(body.campaign, 255),
+      spentOn: body.spentOn,
+      amount: Math.round(amount * 100) / 100,
+      currency,
+      createdBy: cleanText(body.createdBy, 255),
+    });
+    res.status(201).json({ message: "Cost added", cost });
+  } catch (error) {
+    logger.error("Failed to add campaign cost", error);
+    res.status(500).json({ message: "Failed to add campaign cost" });
+  }
+});
+
+router.delete("/costs/:id", requireApiKey, async (req, res) => {
+  try {
+    const costStore = await getCampaignCostStore();
+    const deleted = await costStore.deleteCampaignCost(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "Cost not found" });
+    }
+    res.json({ message: "Cost deleted" });
+  } catch (error) {
+    logger.error("Failed to delete campaign cost", error);
+    res.status(500).json({ message: "Failed to delete campaign cost" });
+  }
+});
+
+export default router;
@@ -1,7 +1,14 @@
 import express from "express";
 import { config } from "../config.js";
-import { sanitizeString, sanitizeProjectId, sanitizeMicrosite, sanitizeConversation } from "../utils/sanitize.js";
+import { sanitizeString, sanitizeProjectId, sanitizeMicrosite, sanitizeConversation, sanitizeDialogueState, sanitizeVisitorId, sanitizeMetadata, sanitizeResponseTemplates } from "../utils/sanitize.js";
 import { logger } from "../utils/logger.js";
+import { loadIntentRegistry, listDefaultTemplates, applyTemplateOverrides, FALLBACK_INTENT_ID } from "../chat/intents.js";
+import { TEMPLATE_PLACEHOLDERS, buildTemplateContext, renderTemplate } from "../chat/intentEngine.js";
+import { answerChatMessage } from "../chat/providers/index.js";
+import { extractEntities, mergeSlots } from "../chat/entityExtractor.js";
+import { captureChatLead, renderLeadReply } from "../chat/leadCapture.js";
+import { findChatSession, saveChatTurn } from "../chat/chatSession.js";
+import { resolveLocale, localizeIntents, getLocaleStrings, SUPPORTED_LOCALES } from "../chat/i18n.js";
 
 const router = express.Router();
 
@@ -31,203 +38,325 @@ async function getConfigStore() {
   }
 }
 
+async function getFaqStore() {
+  if (config.dataStore === "mysql") {
+    try {
+      return await import("../storage/mysqlFaqStore.js");
+    } catch (error) {
+      logger.error("Failed to load MySQL FAQ store, falling back to file store", error);
+    }
+  }
+  return import("../storage/faqStore.js");
+}
+
+async function getEventStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlEventStore.js");
+  }
+  return await import("../storage/eventStore.js");
+}
+
+async function loadProjectFaqs(projectId) {
+  try {
+    const { listFaqs } = await getFaqStore();
+    return await listFaqs({ projectId });
+  } catch (error) {
+    // A broken knowledge base should never take the chat down
+    logger.warn("Chat API: Failed to load project FAQs:", error.message);
+    return [];
+  }
+}
+
+const NAME_SLOTS = ["contact", "name"];
+
+// Set by the project in the dashboard; never detected from the page, so kept even with client propertyInfo
+const PROJECT_CONTACT_FIELDS = ["brochureUrl", "contactPhone", "whatsappNumber"];
+
+function pickProjectContactFields(propertyInfo = {}) {
+  return Object.fromEntries(
+    PROJECT_CONTACT_FIELDS.filter((field) => propertyInfo[field]).map((field) => [field, propertyInfo[field]])
+  );
+}
+
+/**
+ * Keep a question the chat had no answer for (the project digest lists them so
+ * the knowledge base can be filled in). Digit runs are masked so a phone
+ * number typed along with the question is not stored with it.
+ */
+async function recordUnansweredQuestion({ message, projectId, microsite, visitor }) {
+  try {
+    const eventStore = await getEventStore();
+    await eventStore.recordEvent({
+      type: "chat_unanswered",
+      projectId,
+      microsite: microsite || projectId,
+      visitorId: visitor.visitorId || null,
+      sessionId: visitor.sessionId || null,
+      payload: { label: message.replace(/\d[\d\s-]{4,}\d/g, "***").slice(0, 300) },
+    });
+  } catch (error) {
+    logger.error("Chat API: Failed to record unanswered question", error);
+  }
+}
+
+/**
+ * Pick up name / phone / BHK typed into the chat and create or update the lead
+ * once a phone number is known. Returns the answer with the reply and state adjusted,
+ * and `lead` set to the lead created or updated (for the chat session).
+ */
+async function applyLeadCapture(answer, { message, previousState, chatSession, projectId, microsite, conversation, propertyInfo, agentName, responseTemplates, locale, visitor, io }) {
+  const entities = extractEntities(message, {
+    // A bare "Rahul Sharma" only counts as a name right after the bot asked for it
+    bareName: answer.intent === FALLBACK_INTENT_ID && NAME_SLOTS.includes(previousState?.pendingSlot),
+  });
+  if (Object.keys(entities).length === 0) {
+    return answer;
+  }
+
+  const state = { ...answer.state, slots: mergeSlots(answer.state.slots, entities) };
+  const replyOptions = { slots: state.slots, propertyInfo, agentName, responseTemplates, locale };
+
+  // Only the lead this chat session captured; a lead id from the client is never trusted
+  const sessionLeadId = chatSession?.leadId ?? chatSession?.lead_id ?? null;
+  let capture = null;
+  try {
+    capture = await captureChatLead({
+      slots: state.slots,
+      leadId: sessionLeadId,
+      projectId,
+      microsite: microsite || projectId,
+      conversation: [...conversation, { type: "user", text: message, timestamp: new Date().toISOString() }],
+      dialogueState: state,
+      locale,
+      visitor,
+      io,
+    });
+  } catch (error) {
+    logger.error("Chat API: Failed to capture lead from chat message", error);
+  }
+
+  // Touching the lead this session already touched is not a new enquiry
+  const newEnquiry = capture && (capture.created || capture.touched) && String(capture.lead.id) !== String(sessionLeadId);
+  // Later details that came with a real question ("is 3bhk available?") keep the answer
+  if (capture && !newEnquiry && answer.intent !== FALLBACK_INTENT_ID) {
+    return { ...answer, state, leadId: capture.lead.id, lead: capture.lead };
+  }
+
+  if (capture) {
+    const intent = newEnquiry ? "lead_captured" : "lead_updated";
+    const reply = await renderLeadReply(intent, replyOptions);
+    return {
+      ...answer,
+      response: reply.response || answer.response,
+      intent,
+      rich: null,
+      state: { ...state, lastAskedTopic: null, pendingSlot: reply.slot },
+      leadId: capture.lead.id,
+      lead: capture.lead,
+    };
+  }
+
+  // A name without a phone number yet: ask for the number instead of a generic reply
+  if (entities.name && !state.slots.phone && answer.intent === FALLBACK_INTENT_ID) {
+    const reply = await renderLeadReply("ask_phone", replyOptions);
+    return {
+      ...answer,
+      response: reply.response || answer.response,
+      intent: "ask_phone",
+      rich: null,
+      state: { ...state, lastAskedTopic: null, pendingSlot: reply.slot },
+    };
+  }
+
+  return { ...answer, state };
+}
+
+// Default reply templates and the placeholders they can use (for the dashboard template editor)
+router.get("/templates", async (req, res) => {
+  try {
+    const locale = resolveLocale(req.query.locale);
+    const intents = localizeIntents(await loadIntentRegistry(), locale);
+    res.json({
+      templates: listDefaultTemplates(intents),
+      placeholders: TEMPLATE_PLACEHOLDERS,
+      locale,
+      locales: SUPPORTED_LOCALES,
+    });
+  } catch (error) {
+    logger.error("Failed to load chat templates", error);
+    res.status(500).json({ message: "Failed to load chat templates" });
+  }
+});
+
+// Stand-in project and visitor for previews of a project without property details yet
+const PREVIEW_PROPERTY_INFO = {
+  projectName: "Skyline Residences",
+  developer: "Homesfy Developers",
+  location: "Thane West",
+  availableBhk: ["2 BHK", "3 BHK"],
+  pricing: { "2 BHK": "₹1.2 Cr", "3 BHK": "₹1.8 Cr" },
+  amenities: ["Swimming Pool", "Gym", "Clubhouse", "Kids Play Area"],
+};
+const PREVIEW_VISITOR = { visitorName: "Rahul", phone: "+919876543210", bhkType: "2 BHK" };
+
+/**
+ * Each intent's primary reply rendered the way the chat renders it, for the
+ * dashboard template editor. Takes the unsaved { responseTemplates,
+ * propertyInfo, agentName, locale } and returns { previews: { intentId: text } }.
+ */
+router.post("/templates/preview", async (req, res) => {
+  try {
+    const { propertyInfo, agentName } = req.body;
+    const locale = resolveLocale(req.body.locale);
+    const responseTemplates = sanitizeResponseTemplates(req.body.responseTemplates);
+    const intents = applyTemplateOverrides(localizeIntents(await loadIntentRegistry(), locale), responseTemplates);
+
+    const hasPropertyInfo = propertyInfo && typeof propertyInfo === "object" && Object.keys(propertyInfo).length > 0;
+    const { listJoiner, andMore } = getLocaleStrings(locale);
+    const context = {
+      ...buildTemplateContext(hasPropertyInfo ? propertyInfo : PREVIEW_PROPERTY_INFO, {
+        agentName: typeof agentName === "string" ? sanitizeString(agentName).slice(0, 100) : undefined,
+        listJoiner,
+        andMore,
+      }),
+      ...PREVIEW_VISITOR,
+    };
+
+    const previews = Object.fromEntries(
+      listDefaultTemplates(intents).map(({ id, template }) => [id, renderTemplate(template, context)])
+    );
+    res.json({ previews, locale });
+  } catch (error) {
+    logger.error("Failed to render chat template previews", error);
+    res.status(500).json({ message: "Failed to render chat template previews" });
+  }
+});
+
 router.post("/", async (req, res) => {
   try {
-    let { message, conversation, projectId, microsite, selectedCta, selectedBhk, propertyInfo: clientPropertyInfo } = req.body;
+    let { message, conversation, projectId, microsite, selectedCta, selectedBhk, propertyInfo: clientPropertyInfo, state, locale: visitorLocale } = req.body;
 
     // Sanitize inputs
     message = sanitizeString(message);
     projectId = sanitizeProjectId(projectId);
     microsite = sanitizeMicrosite(microsite);
     conversation = sanitizeConversation(conversation);
+    state = sanitizeDialogueState(state);
+    // Anonymous widget ids, kept on a lead captured from the chat and its lead_submitted event,
+    // and the page's UTM / referrer details for the lead's attribution
+    const visitorContext = sanitizeMetadata(req.body.visitor) || {};
+    const visitor = {
+      visitorId: sanitizeVisitorId(req.body.visitorId),
+      sessionId: sanitizeVisitorId(req.body.sessionId),
+      utm: visitorContext.utm,
+      referrer: visitorContext.referrer,
+      landingPage: visitorContext.landingPage,
+      firstTouch: visitorContext.firstTouch,
+    };
 
     if (!message || !projectId) {
       return res.status(400).json({ error: "Message and projectId are required" });
     }
 
+    // The dialogue state stored with the chat session wins over the client's copy; older widget
+    // builds that don't send the session token yet keep threading the state themselves
+    const sessionMicrosite = microsite || projectId;
+    let chatSession = null;
+    try {
+      chatSession = await findChatSession(sanitizeVisitorId(req.body.chatSessionToken), {
+        projectId,
+        microsite: sessionMicrosite,
+      });
+    } catch (error) {
+      logger.error("Chat API: Failed to load chat session", error);
+    }
+    if (chatSession?.metadata?.dialogueState) {
+      state = sanitizeDialogueState(chatSession.metadata.dialogueState);
+    }
+
     // Fetch widget config and property information
     const { getWidgetConfig } = await getConfigStore();
     const widgetConfig = await getWidgetConfig(projectId);
     // Use client-provided propertyInfo if available (auto-detected), otherwise use config
+    const configPropertyInfo = widgetConfig.propertyInfo || {};
     const propertyInfo = clientPropertyInfo && Object.keys(clientPropertyInfo).length > 0 
-      ? clientPropertyInfo 
-      : (widgetConfig.propertyInfo || {});
+      ? { ...pickProjectContactFields(configPropertyInfo), ...clientPropertyInfo }
+      : configPropertyInfo;
     const agentName = widgetConfig.agentName || "Riya";
+    const faqs = await loadProjectFaqs(projectId);
+    // The visitor's language (browser or manual choice in the widget) wins over the project default
+    const projectLocale = resolveLocale(widgetConfig.locale);
+    const locale = resolveLocale(visitorLocale, projectLocale);
+    // Template overrides are written in the project's language, so other languages keep the catalog replies
+    const responseTemplates = locale === projectLocale ? widgetConfig.responseTemplates : null;
     
     logger.log("Chat API: Received propertyInfo:", propertyInfo ? Object.keys(propertyInfo) : 'none');
     // Removed sensitive logging - message content logging removed for privacy
-    logger.log("Chat API: Using keyword matching for responses");
+    logger.log("Chat API: Answer provider:", config.chatProvider?.type || "keyword");
 
-    // Use property info to give a helpful response
-    const hasPropertyInfo = propertyInfo && Object.keys(propertyInfo).length > 0;
-    
-    if (hasPropertyInfo && message) {
-      const lowerMessage = message.toLowerCase().trim();
-      const lastUserMessage = conversation && conversation.length > 0 
-        ? conversation[conversation.length - 1]?.text?.toLowerCase() || ''
-        : '';
-      const contextMessage = lastUserMessage || lowerMessage;
-      
-      // Handle simple responses like "yes", "no", "ok", "sure"
-      if (['yes', 'yeah', 'yep', 'sure', 'ok', 'okay', 'alright', 'fine', 'correct', 'right'].includes(lowerMessage)) {
-        // Look at last AGENT message to understand what they're saying yes to
-        const lastAgentMessage = conversation && conversation.length > 0
-          ? conversation.filter(m => m.type === 'agent' || m.type === 'system').slice(-1)[0]?.text?.toLowerCase() || ''
-          : '';
-        
-        // Check what the agent just asked about
-        if (lastAgentMessage.includes('would you like to know about') && (lastAgentMessage.includes('pricing') || lastAgentMessage.includes('site visit'))) {
-          const bhkText = propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0
-            ? propertyInfo.availableBhk.join(' and ')
-            : 'various configurations';
-          const pricingText = propertyInfo.pricing && typeof propertyInfo.pricing === 'object' && Object.keys(propertyInfo.pricing).length > 0
-            ? Object.entries(propertyInfo.pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(', ')
-            : 'Check with our team for current pricing';
-          const response = `Great! We have ${bhkText} available. Our pricing: ${pricingText}. Would you like to schedule a site visit or get more details?`;
-          return res.json({ response, aiUsed: false, fallback: true });
-        }
-        
-        if (lastAgentMessage.includes('located in') || (lastAgentMessage.includes('location') && lastAgentMessage.includes('would you like'))) {
-          const bhkText = propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0
-            ? propertyInfo.availableBhk.join(' and ')
-            : 'various configurations';
-          const pricingInfo = propertyInfo.pricing && Object.keys(propertyInfo.pricing).length > 0
-            ? `Pricing starts from ${Object.values(propertyInfo.pricing)[0]}. `
-            : '';
-          const response = `Great! We have ${bhkText} available. ${pricingInfo}Would you like to know more about the configurations or schedule a site visit?`;
-          return res.json({ response, aiUsed: false, fallback: true });
-        }
-        
-        if (lastAgentMessage.includes('pricing') && lastAgentMessage.includes('would you') && !lastAgentMessage.includes('location')) {
-          const response = `Excellent! I'd love to help you with the best pricing and payment plans. Share your name and phone so our team can reach out with exclusive offers.`;
-          return res.json({ response, aiUsed: false, fallback: true });
-        }
-        
-        if (lastAgentMessage.includes('bhk') || lastAgentMessage.includes('configuration') || lastAgentMessage.includes('bedroom')) {
-          const pricingText = propertyInfo.pricing && typeof propertyInfo.pricing === 'object' && Object.keys(propertyInfo.pricing).length > 0
-            ? Object.entries(propertyInfo.pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(', ')
-            : 'Check with our team for current pricing';
-          const response = `Perfect! Our pricing: ${pricingText}. Would you like to schedule a site visit or get more details? Share your name and phone.`;
-          return res.json({ response, aiUsed: false, fallback: true });
-        }
-        
-        // Generic yes response
-        const response = `That's great! ${propertyInfo.pricing && Object.keys(propertyInfo.pricing).length > 0 
-          ? `Would you like to know about our pricing or available configurations?` 
-          : `Would you like to know more about ${propertyInfo.projectName || 'this project'}?`} Share your name and phone so I can assist you better.`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle "no" responses
-      if (['no', 'nope', 'not', "don't", 'nah'].includes(lowerMessage)) {
-        const response = `No worries! Is there anything else about ${propertyInfo.projectName || 'the project'} you'd like to know? I'm here to help!`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle greetings
-      if (['hi', 'hello', 'hey', 'hello there', 'hi there'].includes(lowerMessage)) {
-        const projectText = propertyInfo.projectName 
-          ? `I'm here to help you with ${propertyInfo.projectName}.` 
-          : "I'm here to help you find your dream home.";
-        const response = `Hi! 👋 I'm ${agentName} from Homesfy. ${projectText} What would you like to know?`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle project name questions
-      if (lowerMessage.includes('project name') || lowerMessage.includes('name of project') || lowerMessage.includes('what is this') || lowerMessage.includes('what project')) {
-        const response = propertyInfo.projectName 
-          ? `This is ${propertyInfo.projectName}${propertyInfo.developer ? ` by ${propertyInfo.developer}` : ''}${propertyInfo.location ? ` located in ${propertyInfo.location}` : ''}. Would you like to know more about pricing or available configurations?`
-          : "I'd love to help you with that! Share your name and phone so I can assist you better.";
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle pricing questions
-      if (lowerMessage.includes('cost') || lowerMessage.includes('price') || lowerMessage.includes('pricing') || lowerMessage.includes('how much')) {
-        const pricingText = propertyInfo.pricing && typeof propertyInfo.pricing === 'object' && Object.keys(propertyInfo.pricing).length > 0
-          ? Object.entries(propertyInfo.pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(', ')
-          : 'Check with our team for current pricing';
-        const response = `Our pricing: ${pricingText}. Would you like to schedule a site visit or get more details? Share your name and phone.`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle location questions
-      if (lowerMessage.includes('location') || lowerMessage.includes('where') || lowerMessage.includes('address') || lowerMessage.includes('situated')) {
-        const response = propertyInfo.location
-          ? `${propertyInfo.projectName || 'This project'} is located in ${propertyInfo.location}. ${propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0 
-            ? `We have ${propertyInfo.availableBhk.join(' and ')} available. ` 
-            : ''}Would you like to know about pricing or schedule a site visit?`
-          : "I'd love to help you with that! Share your name and phone so I can assist you better.";
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle BHK questions
-      if (lowerMessage.includes('bhk') || lowerMessage.includes('configuration') || lowerMessage.includes('bedroom') || lowerMessage.includes('room')) {
-        const bhkText = propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0
-          ? propertyInfo.availableBhk.join(' and ')
-          : 'various configurations';
-        const response = `We have ${bhkText} available. ${propertyInfo.pricing && Object.keys(propertyInfo.pricing).length > 0 
-          ? `Would you like to know about pricing? ` 
-          : ''}Share your name and phone so I can assist you better.`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle amenities questions
-      if (lowerMessage.includes('amenit') || lowerMessage.includes('facilit') || lowerMessage.includes('feature') || lowerMessage.includes('what do you have')) {
-        const amenitiesText = propertyInfo.amenities && Array.isArray(propertyInfo.amenities) && propertyInfo.amenities.length > 0
-          ? propertyInfo.amenities.slice(0, 8).join(', ')
-          : 'modern amenities';
-        const response = `We offer ${amenitiesText}${propertyInfo.amenities && propertyInfo.amenities.length > 8 ? ' and more' : ''}. Would you like to know about pricing or schedule a site visit?`;
-        return res.json({ response, aiUsed: false, fallback: true });
-      }
-      
-      // Handle "brief details", "highlights", "overview" requests
-      const isBriefRequest = lowerMessage.includes('brief') || 
-                            lowerMessage.includes('breif') || 
-                            lowerMessage.includes('detail') || 
-                            lowerMessage.includes('highlight') || 
-                            lowerMessage.includes('overview') || 
-                            lowerMessage.includes('tell me about') || 
-                            lowerMessage.includes('about the project') ||
-                            lowerMessage.includes('about this project') ||
-                            (lowerMessage.includes('can give') && (lowerMessage.includes('brief') || lowerMessage.includes('breif') || lowerMessage.includes('detail'))) ||
-                            (lowerMessage.includes('give me') && (lowerMessage.includes('brief') || lowerMessage.includes('breif') || lowerMessage.includes('detail') || lowerMessage.includes('info')));
-      
-      if (isBriefRequest) {
-        const highlights = [];
-        if (propertyInfo.projectName) highlights.push(`${propertyInfo.projectName}`);
-        if (propertyInfo.developer) highlights.push(`by ${propertyInfo.developer}`);
-        if (propertyInfo.location) highlights.push(`located in ${propertyInfo.location}`);
-        if (propertyInfo.availableBhk && Array.isArray(propertyInfo.availableBhk) && propertyInfo.availableBhk.length > 0) {
-          highlights.push(`available in ${propertyInfo.availableBhk.join(' and ')} configurations`);
-        }
-        if (propertyInfo.pricing && typeof propertyInfo.pricing === 'object' && Object.keys(propertyInfo.pricing).length > 0) {
-          const pricingList = Object.entries(propertyInfo.pricing).map(([bhk, price]) => `${bhk}: ${price}`).join(', ');
-          highlights.push(`pricing ranges from ${pricingList}`);
-        }
-        if (propertyInfo.amenities && Array.isArray(propertyInfo.amenities) && propertyInfo.amenities.length > 0) {
-          const topAmenities = propertyInfo.amenities.slice(0, 5).join(', ');
-          highlights.push(`key amenities include ${topAmenities}`);
-        }
-        if (propertyInfo.specialOffers && propertyInfo.specialOffers !== 'None' && propertyInfo.specialOffers.trim()) {
-          highlights.push(`special offer: ${propertyInfo.specialOffers}`);
-        }
-        
-        if (highlights.length > 0) {
-          let response = highlights.join('. ');
-          if (propertyInfo.area && propertyInfo.area !== 'Not specified') {
-            response += `. The project offers ${propertyInfo.area} of living space`;
-          }
-          response += '. Would you like to know more about pricing, configurations, or schedule a site visit?';
-          return res.json({ response: response.replace(/\.\s*\./g, '.').replace(/\s+/g, ' ').trim(), aiUsed: false, fallback: true });
-        }
-      }
+    const chatAnswer = await answerChatMessage({
+      message,
+      conversation,
+      state,
+      propertyInfo,
+      agentName,
+      responseTemplates,
+      faqs,
+      locale,
+    });
+    const answer = await applyLeadCapture(chatAnswer, {
+      message,
+      previousState: state,
+      chatSession,
+      projectId,
+      microsite,
+      conversation: conversation || [],
+      propertyInfo,
+      agentName,
+      responseTemplates,
+      locale,
+      visitor,
+      io: req.io,
+    });
+
+    if (answer.intent === FALLBACK_INTENT_ID) {
+      await recordUnansweredQuestion({ message, projectId, microsite, visitor });
     }
-    
-    // Generic fallback response
-    const fallbackResponse = conversation && conversation.length > 2
-      ? "That's interesting! Share your name and phone so I can connect you with our team."
-      : "I'd love to help you with that! What would you like to know about the project?";
-    return res.json({ response: fallbackResponse, aiUsed: false, fallback: true });
+
+    let chatSessionToken = chatSession ? req.body.chatSessionToken : null;
+    try {
+      const now = new Date().toISOString();
+      const saved = await saveChatTurn(chatSession, {
+        projectId,
+        microsite: sessionMicrosite,
+        state: answer.state,
+        conversation: [
+          ...(conversation || []),
+          { type: "user", text: message, timestamp: now },
+          { type: "system", text: answer.response, timestamp: now },
+        ],
+        lead: answer.lead,
+        visitor,
+      });
+      chatSessionToken = saved.token || chatSessionToken;
+    } catch (error) {
+      logger.error("Chat API: Failed to store chat session", error);
+    }
+
+    return res.json({
+      response: answer.response,
+      intent: answer.intent,
+      locale,
+      state: answer.state,
+      provider: answer.provider,
+      aiUsed: answer.aiUsed,
+      fallback: answer.fallback,
+      // Structured extras (quick replies, cards, links, actions); `response` stays the full plain-text reply
+      ...(answer.rich && { rich: answer.rich }),
+      ...(answer.leadId && { leadId: answer.leadId }),
+      // Sent back with the next message so the session's stored state is used
+      ...(chatSessionToken && { chatSessionToken }),
+    });
     
   } catch (error) {
     logger.error("❌ Chat API: Error processing request:", error);
@@ -0,0 +1,290 @@
+import express from "express";
+import { config } from "../config.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { logger } from "../utils/logger.js";
+import { sanitizeString } from "../utils/sanitize.js";
+import { DEFAULT_INTENTS, loadChatRegistry, clearChatRegistryCache } from "../chat/intents.js";
+import { DEFAULT_SYNONYMS } from "../chat/synonyms.js";
+import { TEMPLATE_PLACEHOLDERS, matchIntent } from "../chat/intentEngine.js";
+import { buildVocabulary, normalizeMessage } from "../chat/normalizer.js";
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES } from "../chat/i18n.js";
+
+/**
+ * Custom chat intents and normalizer synonyms, edited from the dashboard.
+ * A custom intent with a default intent's id replaces it (see mergeIntents).
+ * Reads are public like FAQs; changes need the API key.
+ */
+const router = express.Router();
+
+const NAME_PATTERN = /^[a-z0-9_]{1,64}$/;
+const MAX_TERMS = 50;
+const MAX_TERM_LENGTH = 100;
+const MAX_RESPONSES = 10;
+const MAX_TEMPLATE_LENGTH = 1000;
+const ATTACHMENTS = ["priceCards", "brochure", "contactActions"];
+
+// Helper function to get the right storage module
+async function getChatIntentStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlChatIntentStore.js");
+  }
+  return await import("../storage/chatIntentStore.js");
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+function sanitizeTerm(value) {
+  return typeof value === "string" ? sanitizeString(value).toLowerCase().slice(0, MAX_TERM_LENGTH) : "";
+}
+
+function sanitizeTerms(list) {
+  return (Array.isArray(list) ? list : []).map(sanitizeTerm).filter(Boolean).slice(0, MAX_TERMS);
+}
+
+// Keyword patterns: a phrase, or a list of phrases that must all appear
+function sanitizeKeywords(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((pattern) => (Array.isArray(pattern) ? sanitizeTerms(pattern) : sanitizeTerm(pattern)))
+    .filter((pattern) => pattern.length > 0)
+    .slice(0, MAX_TERMS);
+}
+
+function sanitizeName(value) {
+  return typeof value === "string" && NAME_PATTERN.test(value) ? value : null;
+}
+
+function sanitizeTemplate(value) {
+  return typeof value === "string" ? sanitizeString(value).slice(0, MAX_TEMPLATE_LENGTH) : "";
+}
+
+function sanitizeResponse(response) {
+  if (!response || typeof response !== "object") {
+    return null;
+  }
+  const template = sanitizeTemplate(response.template);
+  if (!template) {
+    return null;
+  }
+
+  const placeholders = (list) => (Array.isArray(list) ? list.filter((name) => TEMPLATE_PLACEHOLDERS.includes(name)) : []);
+  const requires = placeholders(response.requires);
+  const requiresAny = placeholders(response.requiresAny);
+  const quickReplies = (Array.isArray(response.quickReplies) ? response.quickReplies : [])
+    .map((label) => cleanText(label, 60))
+    .filter(Boolean)
+    .slice(0, 6);
+  const attachments = Array.isArray(response.attachments)
+    ? response.attachments.filter((attachment) => ATTACHMENTS.includes(attachment))
+    : [];
+  const minTurns = Number.parseInt(response.minTurns, 10);
+
+  return {
+    template,
+    ...(requires.length > 0 && { requires }),
+    ...(requiresAny.length > 0 && { requiresAny }),
+    ...(response.covered === true && { covered: true }),
+    ...(sanitizeName(response.asks) && { asks: response.asks }),
+    ...(sanitizeName(response.slot) && { slot: response.slot }),
+    ...(minTurns > 0 && { minTurns: Math.min(minTurns, 50) }),
+    ...(quickReplies.length > 0 && { quickReplies }),
+    ...(attachments.length > 0 && { attachments }),
+  };
+}
+
+function sanitizeContext(context) {
+  if (!context || typeof context !== "object") {
+    return null;
+  }
+  const lastAskedTopic = sanitizeName(context.lastAskedTopic);
+  const message = context.lastAgentMessage;
+  const lastAgentMessage =
+    message && typeof message === "object"
+      ? Object.fromEntries(
+          ["all", "any", "none"]
+            .map((key) => [key, sanitizeTerms(message[key])])
+            .filter(([, terms]) => terms.length > 0)
+        )
+      : {};
+
+  if (!lastAskedTopic && Object.keys(lastAgentMessage).length === 0) {
+    return null;
+  }
+  return {
+    ...(lastAskedTopic && { lastAskedTopic }),
+    ...(Object.keys(lastAgentMessage).length > 0 && { lastAgentMessage }),
+  };
+}
+
+// Translations: { hi: { exact, keywords, responses: [template per response] } }
+function sanitizeLocales(locales) {
+  if (!locales || typeof locales !== "object") {
+    return null;
+  }
+  const entries = SUPPORTED_LOCALES.filter((locale) => locale !== DEFAULT_LOCALE && locales[locale])
+    .map((locale) => {
+      const translation = locales[locale];
+      const responses = (Array.isArray(translation.responses) ? translation.responses : [])
+        .slice(0, MAX_RESPONSES)
+        .map(sanitizeTemplate);
+      return [
+        locale,
+        {
+          exact: sanitizeTerms(translation.exact),
+          keywords: sanitizeKeywords(translation.keywords),
+          responses,
+        },
+      ];
+    });
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Validate an intent definition for `id`. Returns `{ error }` or `{ intent }`
+ * holding only the fields the chat uses.
+ */
+function parseIntentBody(id, body = {}) {
+  if (!sanitizeName(id)) {
+    return { error: "id must be 1-64 lowercase letters, digits or underscores" };
+  }
+
+  const responses = (Array.isArray(body.responses) ? body.responses : [])
+    .slice(0, MAX_RESPONSES)
+    .map(sanitizeResponse);
+  if (responses.length === 0 || responses.some((response) => !response)) {
+    return { error: "responses must be a list of { template } replies" };
+  }
+
+  const priority = Number(body.priority);
+  const context = sanitizeContext(body.context);
+  const locales = sanitizeLocales(body.locales);
+  const topic = sanitizeName(body.topic);
+
+  return {
+    intent: {
+      id,
+      priority: Number.isFinite(priority) ? Math.max(0, Math.min(1000, Math.round(priority))) : 0,
+      exact: sanitizeTerms(body.exact),
+      keywords: sanitizeKeywords(body.keywords),
+      ...(topic && { topic }),
+      ...(context && { context }),
+      responses,
+      ...(locales && { locales }),
+    },
+  };
+}
+
+// Custom intents plus the built-in ones (read-only, for "customize a default")
+router.get("/", async (req, res) => {
+  try {
+    const { listCustomIntents } = await getChatIntentStore();
+    res.json({ items: await listCustomIntents(), defaults: DEFAULT_INTENTS });
+  } catch (error) {
+    logger.error("Failed to list chat intents", error);
+    res.status(500).json({ message: "Failed to list chat intents" });
+  }
+});
+
+router.get("/synonyms", async (req, res) => {
+  try {
+    const { listCustomSynonyms } = await getChatIntentStore();
+    res.json({ items: await listCustomSynonyms(), defaults: DEFAULT_SYNONYMS });
+  } catch (error) {
+    logger.error("Failed to list chat synonyms", error);
+    res.status(500).json({ message: "Failed to list chat synonyms" });
+  }
+});
+
+// Which intent a message would match with the current registry (dashboard "test a message")
+router.post("/test", async (req, res) => {
+  try {
+    const message = sanitizeString(req.body.message);
+    if (typeof message !== "string" || !message) {
+      return res.status(400).json({ message: "message is required" });
+    }
+
+    const { intents, synonyms } = await loadChatRegistry();
+    const normalized = normalizeMessage(message.slice(0, 500), {
+      vocabulary: buildVocabulary(intents, synonyms),
+      synonyms,
+    });
+    const { intent, score } = matchIntent(intents, normalized);
+    res.json({ intent: intent?.id || null, score, normalized });
+  } catch (error) {
+    logger.error("Failed to test chat intents", error);
+    res.status(500).json({ message: "Failed to test chat intents" });
+  }
+});
+
+router.put("/synonyms/:canonical", requireApiKey, async (req, res) => {
+  try {
+    const canonical = sanitizeTerm(req.params.canonical);
+    const variants = sanitizeTerms(req.body.variants);
+    if (!canonical) {
+      return res.status(400).json({ message: "Invalid canonical word" });
+    }
+    if (variants.length === 0) {
+      return res.status(400).json({ message: "variants must list at least one word or phrase" });
+    }
+
+    const { saveCustomSynonyms } = await getChatIntentStore();
+    const saved = await saveCustomSynonyms(canonical, variants);
+    clearChatRegistryCache();
+    res.json(saved);
+  } catch (error) {
+    logger.error("Failed to save chat synonyms", error);
+    res.status(500).json({ message: "Failed to save chat synonyms" });
+  }
+});
+
+router.delete("/synonyms/:canonical", requireApiKey, async (req, res) => {
+  try {
+    const { deleteCustomSynonyms } = await getChatIntentStore();
+    const deleted = await deleteCustomSynonyms(sanitizeTerm(req.params.canonical));
+    if (!deleted) {
+      return res.status(404).json({ message: "Synonyms not found" });
+    }
+    clearChatRegistryCache();
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Failed to delete chat synonyms", error);
+    res.status(500).json({ message: "Failed to delete chat synonyms" });
+  }
+});
+
+// Create or replace a custom intent
+router.put("/:id", requireApiKey, async (req, res) => {
+  try {
+    const { intent, error } = parseIntentBody(req.params.id, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { saveCustomIntent } = await getChatIntentStore();
+    const saved = await saveCustomIntent(intent, { updatedBy: cleanText(req.body.updatedBy, 255) });
+    clearChatRegistryCache();
+    res.json(saved);
+  } catch (error) {
+    logger.error("Failed to save chat intent", error);
+    res.status(500).json({ message: "Failed to save chat intent" });
+  }
+});
+
+// Deleting a custom copy of a default intent brings the default back
+router.delete("/:id", requireApiKey, async (req, res) => {
+  try {
+    const { deleteCustomIntent } = await getChatIntentStore();
+    const deleted = await deleteCustomIntent(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "Chat intent not found" });
+    }
+    clearChatRegistryCache();
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Failed to delete chat intent", error);
+    res.status(500).json({ message: "Failed to delete chat intent" });
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeProjectId } from "../utils/sanitize.js";
+import {
+  DEFAULT_DIGEST_SETTINGS,
+  DIGEST_FREQUENCIES,
+  compileDigest,
+  isDigestEmailEnabled,
+  latestDigestPeriod,
+  parseDigestSettings,
+  sendDigest,
+} from "../utils/digest.js";
+import { digestFileName, renderDigestHtml, renderDigestPdf } from "../utils/digestRender.js";
+
+const router = express.Router();
+
+// Settings list recipient email addresses, so every route needs the API key (reads too)
+router.use(requireApiKey);
+
+// Helper function to get the right storage module
+async function getDigestStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlDigestStore.js");
+  } else {
+    return await import("../storage/digestStore.js");
+  }
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+function readProjectId(req, res) {
+  const projectId = sanitizeProjectId(req.params.projectId);
+  if (!projectId) {
+    res.status(400).json({ message: "Invalid projectId" });
+    return null;
+  }
+  return projectId;
+}
+
+// Saved settings over the defaults, so projects without a digest still get a full form
+async function loadSettings(projectId) {
+  const digestStore = await getDigestStore();
+  const saved = await digestStore.getDigestSettings(projectId);
+  return { ...DEFAULT_DIGEST_SETTINGS, ...saved, projectId };
+}
+
+// A project's digest settings, its recent deliveries and whether email is available
+router.get("/:projectId", async (req, res) => {
+  try {
+    const projectId = readProjectId(req, res);
+    if (!projectId) return;
+
+    const digestStore = await getDigestStore();
+    const [settings, deliveries] = await Promise.all([
+      loadSettings(projectId),
+      digestStore.listDigestDeliveries({ projectId, limit: 10 }),
+    ]);
+    res.json({ settings, deliveries, emailEnabled: isDigestEmailEnabled() });
+  } catch (error) {
+    logger.error("Failed to load digest settings", error);
+    res.status(500).json({ message: "Failed to load digest settings" });
+  }
+});
+
+router.put("/:projectId", async (req, res) => {
+  try {
+    const projectId = readProjectId(req, res);
+    if (!projectId) return;
+
+    const { error, values } = parseDigestSettings(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const digestStore = await getDigestStore();
+    const settings = await digestStore.saveDigestSettings(projectId, {
+      ...values,
+      updatedBy: cleanText(req.body.updatedBy, 255),
+    });
+    res.json({ message: "Digest settings saved", settings });
+  } catch (error) {
+    logger.error("Failed to save digest settings", error);
+    res.status(500).json({ message: "Failed to save digest settings" });
+  }
+});
+
+// Download the latest complete period's digest: ?format=html (default) or pdf, optionally ?frequency=
+router.get("/:projectId/report", async (req, res) => {
+  try {
+    const projectId = readProjectId(req, res);
+    if (!projectId) return;
+
+    const format = req.query.format || "html";
+    if (!["html", "pdf"].includes(format)) {
+      return res.status(400).json({ message: "format must be html or pdf" });
+    }
+    const settings = await loadSettings(projectId);
+    if (req.query.frequency !== undefined) {
+      if (!DIGEST_FREQUENCIES[req.query.frequency]) {
+        return res.status(400).json({ message: `frequency must be one of ${Object.keys(DIGEST_FREQUENCIES).join(", ")}` });
+      }
+      settings.frequency = req.query.frequency;
+    }
+
+    const digest = await compileDigest({
+      projectId,
+      ...latestDigestPeriod(settings),
+      frequency: settings.frequency,
+      utcOffset: settings.utcOffset,
+    });
+
+    res.setHeader("Content-Disposition", `attachment; filename="${digestFileName(digest, format)}"`);
+    if (format === "pdf") {
+      res.type("application/pdf").send(await renderDigestPdf(digest));
+    } else {
+      res.type("html").send(renderDigestHtml(digest, { dashboardUrl: config.digests.dashboardUrl }));
+    }
+  } catch (error) {
+    logger.error("Failed to build digest report", error);
+    res.status(500).json({ message: "Failed to build digest report" });
+  }
+});
+
+// Email the latest complete period's digest now, to `recipients` or the saved ones; the response carries the logged delivery
+router.post("/:projectId/send", async (req, res) => {
+  try {
+    const projectId = readProjectId(req, res);
+    if (!projectId) return;
+
+    if (!isDigestEmailEnabled()) {
+      return res.status(400).json({ message: "Digest emails are disabled (SMTP_HOST not set)" });
+    }
+
+    const settings = await loadSettings(projectId);
+    let { recipients } = settings;
+    if (req.body?.recipients !== undefined) {
+      const parsed = parseDigestSettings({ recipients: req.body.recipients });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      recipients = parsed.values.recipients;
+    }
+    if (recipients.length === 0) {
+      return res.status(400).json({ message: "Add at least one recipient" });
+    }
+
+    const delivery = await sendDigest({
+      projectId,
+      settings,
+      period: latestDigestPeriod(settings),
+      recipients,
+      manual: true,
+    });
+    res.json({
+      message: delivery.status === "sent" ? "Digest sent" : "Digest could not be sent",
+      delivery,
+    });
+  } catch (error) {
+    logger.error("Failed to send digest", error);
+    res.status(500).json({ message: "Failed to send digest" });
+  }
+});
+
+export default router;
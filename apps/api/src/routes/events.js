@@ -1,9 +1,26 @@
 import express from "express";
 import { config } from "../config.js";
 import { logger } from "../utils/logger.js";
+import { emitWebhookEvent } from "../utils/webhooks.js";
+import { sanitizeVisitorId } from "../utils/sanitize.js";
+import {
+  ANALYTICS_INTERVALS,
+  CTA_REPORT_EVENT_TYPES,
+  buildCtaReport,
+  buildFunnel,
+  buildTimeSeries,
+  parseAnalyticsQuery,
+  sumByType,
+} from "../utils/analytics.js";
 
 const router = express.Router();
 
+// Widget events forwarded to webhooks subscribed to them
+const WEBHOOK_EVENT_TYPES = {
+  chat_started: "chat.started",
+  cta_selected: "chat.cta_selected",
+};
+
 // Helper function to get the right storage module
 async function getEventStore() {
   if (config.dataStore === "mysql") {
@@ -43,6 +60,9 @@ router.post("/", async (req, res) => {
     }
 
     const { type, projectId, microsite, payload } = bodyData;
+    // Anonymous ids from the widget (see visitorIdentity.js); older widgets sent sessionId in the payload
+    const visitorId = sanitizeVisitorId(bodyData.visitorId);
+    const sessionId = sanitizeVisitorId(bodyData.sessionId) || sanitizeVisitorId(payload?.sessionId);
 
     if (!type || !projectId) {
       return res.status(400).json({ message: "type and projectId required" });
@@ -57,9 +77,19 @@ router.post("/", async (req, res) => {
       type, 
       projectId, 
       microsite, 
+      visitorId,
+      sessionId,
       payload: payload || bodyData.payload || {},
       location
     });
+
+    if (WEBHOOK_EVENT_TYPES[type]) {
+      await emitWebhookEvent(WEBHOOK_EVENT_TYPES[type], {
+        microsite: microsite || projectId,
+        data: { projectId, payload: payload || bodyData.payload || {}, location },
+      });
+    }
+
     res.status(201).json({ message: "Event recorded", event });
   } catch (error) {
     logger.error("Failed to record event", error);
@@ -81,6 +111,109 @@ router.get("/", async (_req, res) => {
   }
 });
 
+// A widget visitor's or session's events, oldest first: ?visitorId=... or ?sessionId=...
+router.get("/journey", async (req, res) => {
+  const visitorId = sanitizeVisitorId(req.query.visitorId);
+  const sessionId = sanitizeVisitorId(req.query.sessionId);
+  if (!visitorId && !sessionId) {
+    return res.status(400).json({ message: "visitorId or sessionId is required" });
+  }
+
+  try {
+    const eventStore = await getEventStore();
+    const events = await eventStore.listJourneyEvents({ visitorId, sessionId, limit: req.query.limit });
+    const sessionCount = new Set(events.map((event) => event.sessionId || event.session_id).filter(Boolean)).size;
+
+    res.json({ visitorId, sessionId, sessionCount, events });
+  } catch (error) {
+    logger.error("Failed to load visitor journey", error);
+    res.status(500).json({ message: "Failed to load visitor journey" });
+  }
+});
+
+/**
+ * Event time series and conversion funnel for the analytics page.
+ * Query: projectId, microsite, startDate, endDate, interval ("day" or "hour")
+ * and utcOffset (minutes east of UTC the days start at). `previousTotals` are
+ * the totals of the same-length period just before, for trends.
+ */
+router.get("/analytics", async (req, res) => {
+  const range = parseAnalyticsQuery(req.query);
+  if (range.error) {
+    return res.status(400).json({ message: range.error });
+  }
+
+  try {
+    const eventStore = await getEventStore();
+    const bucketQuery = {
+      projectId: range.projectId,
+      microsite: range.microsite,
+      bucketSeconds: ANALYTICS_INTERVALS[range.interval].seconds,
+      offsetSeconds: range.utcOffset * 60,
+    };
+    const periodMs = range.endDate - range.startDate;
+
+    const rows = await eventStore.countEventsByBucket({
+      ...bucketQuery,
+      startDate: range.startDate,
+      endDate: range.endDate,
+    });
+    const previousRows = await eventStore.countEventsByBucket({
+      ...bucketQuery,
+      startDate: new Date(range.startDate.getTime() - periodMs),
+      endDate: range.startDate,
+    });
+    const totals = sumByType(rows);
+
+    res.json({
+      range: {
+        startDate: range.startDate.toISOString(),
+        endDate: range.endDate.toISOString(),
+        interval: range.interval,
+        utcOffset: range.utcOffset,
+      },
+      totals,
+      previousTotals: sumByType(previousRows),
+      series: buildTimeSeries(rows, range),
+      funnel: buildFunnel(totals),
+    });
+  } catch (error) {
+    logger.error("Failed to build event analytics", error);
+    res.status(500).json({ message: "Failed to build event analytics" });
+  }
+});
+
+/**
+ * CTA and BHK performance: widget sessions and leads per CTA, per BHK choice
+ * and per CTA + BHK pair. Query: projectId, microsite, startDate, endDate
+ * (the last 30 days by default, at most a year).
+ */
+router.get("/reports/cta", async (req, res) => {
+  const range = parseAnalyticsQuery({ ...req.query, interval: "day" });
+  if (range.error) {
+    return res.status(400).json({ message: range.error });
+  }
+
+  try {
+    const eventStore = await getEventStore();
+    const events = await eventStore.listSessionEvents({
+      projectId: range.projectId,
+      microsite: range.microsite,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      types: CTA_REPORT_EVENT_TYPES,
+    });
+
+    res.json({
+      range: { startDate: range.startDate.toISOString(), endDate: range.endDate.toISOString() },
+      ...buildCtaReport(events),
+    });
+  } catch (error) {
+    logger.error("Failed to build CTA report", error);
+    res.status(500).json({ message: "Failed to build CTA report" });
+  }
+});
+
 export default router;
 
 
@@ -0,0 +1,158 @@
+import express from "express";
+import { config } from "../config.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { logger } from "../utils/logger.js";
+import { sanitizeString, sanitizeProjectId } from "../utils/sanitize.js";
+import { searchFaqs } from "../chat/faqRetriever.js";
+
+const router = express.Router();
+
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 2000;
+const MAX_KEYWORDS = 20;
+
+// Helper function to get the right storage module
+async function getFaqStore() {
+  if (config.dataStore === "mysql") {
+    try {
+      return await import("../storage/mysqlFaqStore.js");
+    } catch (error) {
+      logger.error("Failed to load MySQL FAQ store, falling back to file store", error);
+      // Fall through to file store
+    }
+  }
+
+  return import("../storage/faqStore.js");
+}
+
+function sanitizeKeywords(keywords) {
+  const list = typeof keywords === "string" ? keywords.split(",") : keywords;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+    .filter((keyword) => typeof keyword === "string")
+    .map((keyword) => sanitizeString(keyword).toLowerCase())
+    .filter(Boolean)
+    .slice(0, MAX_KEYWORDS);
+}
+
+/**
+ * Validate a FAQ payload. With `partial`, missing fields are allowed (updates).
+ */
+function parseFaqPayload(body = {}, { partial = false } = {}) {
+  const payload = {};
+
+  for (const [field, maxLength] of [["question", MAX_QUESTION_LENGTH], ["answer", MAX_ANSWER_LENGTH]]) {
+    if (body[field] === undefined && partial) continue;
+
+    const value = sanitizeString(body[field]);
+    if (typeof value !== "string" || !value) {
+      return { error: `${field} is required` };
+    }
+    if (value.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    payload[field] = value;
+  }
+
+  if (body.keywords !== undefined) {
+    payload.keywords = sanitizeKeywords(body.keywords);
+  }
+
+  return { payload };
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.query.projectId);
+    const { listFaqs } = await getFaqStore();
+    const faqs = await listFaqs({ projectId });
+    res.json({ items: faqs });
+  } catch (error) {
+    logger.error("Failed to list FAQs", error);
+    res.status(500).json({ message: "Failed to list FAQs" });
+  }
+});
+
+// Preview which FAQ the chat would answer with (dashboard "test a question")
+router.get("/search", async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.query.projectId);
+    const query = sanitizeString(req.query.q);
+
+    if (!projectId || !query) {
+      return res.status(400).json({ message: "projectId and q are required" });
+    }
+
+    const { listFaqs } = await getFaqStore();
+    const matches = searchFaqs(await listFaqs({ projectId }), query);
+    res.json({
+      items: matches.map((match) => ({
+        ...match.faq,
+        score: Number(match.score.toFixed(3)),
+        coverage: Number(match.coverage.toFixed(2)),
+      })),
+    });
+  } catch (error) {
+    logger.error("Failed to search FAQs", error);
+    res.status(500).json({ message: "Failed to search FAQs" });
+  }
+});
+
+router.post("/", requireApiKey, async (req, res) => {
+  try {
+    const projectId = sanitizeProjectId(req.body.projectId);
+    if (!projectId) {
+      return res.status(400).json({ message: "Missing or invalid projectId" });
+    }
+
+    const { payload, error } = parseFaqPayload(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { createFaq } = await getFaqStore();
+    const faq = await createFaq({ projectId, ...payload });
+    res.status(201).json(faq);
+  } catch (error) {
+    logger.error("Failed to create FAQ", error);
+    res.status(500).json({ message: "Failed to create FAQ" });
+  }
+});
+
+router.put("/:id", requireApiKey, async (req, res) => {
+  try {
+    const { payload, error } = parseFaqPayload(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { updateFaq } = await getFaqStore();
+    const faq = await updateFaq(req.params.id, payload);
+    if (!faq) {
+      return res.status(404).json({ message: "FAQ not found" });
+    }
+    res.json(faq);
+  } catch (error) {
+    logger.error("Failed to update FAQ", error);
+    res.status(500).json({ message: "Failed to update FAQ" });
+  }
+});
+
+router.delete("/:id", requireApiKey, async (req, res) => {
+  try {
+    const { deleteFaq } = await getFaqStore();
+    const deleted = await deleteFaq(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "FAQ not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Failed to delete FAQ", error);
+    res.status(500).json({ message: "Failed to delete FAQ" });
+  }
+});
+
+export default router;
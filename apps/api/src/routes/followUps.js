@@ -0,0 +1,72 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Helper function to get the right storage module
+async function getFollowUpStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlFollowUpStore.js");
+  } else {
+    return await import("../storage/followUpStore.js");
+  }
+}
+
+// Reminders: open follow-ups due before `dueBefore` (e.g. the end of today in the
+// dashboard's timezone), optionally for one owner ("unassigned" for none) or microsite
+router.get("/", async (req, res) => {
+  try {
+    const { dueBefore, owner, microsite, limit = 200 } = req.query;
+
+    if (dueBefore && Number.isNaN(new Date(dueBefore).getTime())) {
+      return res.status(400).json({ message: "Invalid dueBefore date" });
+    }
+
+    const followUpStore = await getFollowUpStore();
+    const items = await followUpStore.listDueFollowUps({ dueBefore, owner, microsite, limit });
+
+    res.json({ items, total: items.length });
+  } catch (error) {
+    logger.error("Failed to list follow-ups", error);
+    res.status(500).json({ message: "Failed to list follow-ups" });
+  }
+});
+
+// Complete / reopen a follow-up or move its due date
+router.patch("/:id", requireApiKey, async (req, res) => {
+  try {
+    const { completed, dueAt, note, changedBy } = req.body || {};
+
+    if (dueAt !== undefined && Number.isNaN(new Date(dueAt).getTime())) {
+      return res.status(400).json({ message: "Invalid dueAt date" });
+    }
+
+    const followUpStore = await getFollowUpStore();
+    const existing = await followUpStore.getFollowUpById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Follow-up not found" });
+    }
+
+    const updates = {
+      ...(dueAt !== undefined && { dueAt }),
+      ...(typeof note === "string" && { note: note.trim().slice(0, 2000) || null }),
+    };
+    if (completed === true) {
+      updates.completedAt = new Date().toISOString();
+      updates.completedBy = typeof changedBy === "string" && changedBy.trim() ? changedBy.trim().slice(0, 255) : null;
+    } else if (completed === false) {
+      updates.completedAt = null;
+      updates.completedBy = null;
+    }
+
+    const followUp = await followUpStore.updateFollowUp(existing.id, updates);
+    res.json({ message: "Follow-up updated", followUp });
+  } catch (error) {
+    logger.error("Failed to update follow-up", error);
+    res.status(500).json({ message: "Failed to update follow-up" });
+  }
+});
+
+export default router;
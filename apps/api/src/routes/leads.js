@@ -1,8 +1,26 @@
+import crypto from "crypto";
 import express from "express";
+import multer from "multer";
 import { config } from "../config.js";
 import { normalizePhone } from "../utils/phoneValidation.js";
-import { sanitizeMetadata, sanitizeConversation, sanitizeMicrosite } from "../utils/sanitize.js";
+import { normalizeBhkPreference } from "../utils/bhkPreference.js";
+import { sanitizeMetadata, sanitizeConversation, sanitizeMicrosite, sanitizeDialogueState, sanitizeVisitorId } from "../utils/sanitize.js";
 import { logger } from "../utils/logger.js";
+import { createOrTouchLead, buildMergeUpdates } from "../utils/leadDedup.js";
+import { findChatSession } from "../chat/chatSession.js";
+import { applyLeadScore, loadLeadScoring, DEFAULT_LEAD_SCORING } from "../utils/leadScoring.js";
+import { EXPORT_COLUMNS, EXPORT_FORMATS, resolveExportColumns, createExportWriter } from "../utils/leadExport.js";
+import {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  DEFAULT_IMPORT_SOURCE,
+  parseCsv,
+  resolveImportMapping,
+  buildImportRow,
+} from "../utils/leadImport.js";
+import { emitWebhookEvent, serializeLeadForWebhook } from "../utils/webhooks.js";
+import { enqueueCrmLead, getLeadCrmStatus, isCrmForwardingEnabled, retryCrmOutboxEntry } from "../utils/crmForwarder.js";
+import { requireApiKey } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -43,69 +61,70 @@ async function getSessionStore() {
   }
 }
 
-const SPECIAL_BHK_MAPPINGS = new Map([
-  ["duplex", { type: "Duplex", numeric: null }],
-  ["justbrowsing", { type: "Just Browsing", numeric: null }],
-  ["justlooking", { type: "Just Browsing", numeric: null }],
-  ["other", { type: "Other", numeric: null }],
-  ["yettodecide", { type: "Yet to decide", numeric: null }],
-]);
-
-function normalizeKey(value) {
-  return String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+async function getHistoryStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadHistoryStore.js");
+  } else {
+    return await import("../storage/leadHistoryStore.js");
+  }
 }
 
-function normalizeBhkPreference({ bhk, bhkType }) {
-  if (bhk !== undefined && bhk !== null && bhk !== "") {
-    const numericValue = Number(bhk);
+async function getNoteStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadNoteStore.js");
+  } else {
+    return await import("../storage/leadNoteStore.js");
+  }
+}
 
-    if (Number.isFinite(numericValue)) {
-      if (numericValue === 0) {
-        return { type: "Yet to decide", numeric: null };
-      }
+async function getTagStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadTagStore.js");
+  } else {
+    return await import("../storage/leadTagStore.js");
+  }
+}
 
-      const rounded = Math.round(numericValue);
-      if (rounded >= 1 && rounded <= 4) {
-        return { type: `${rounded} BHK`, numeric: rounded };
-      }
+async function getFollowUpStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlFollowUpStore.js");
+  } else {
+    return await import("../storage/followUpStore.js");
+  }
+}
 
-      return { type: "Other", numeric: rounded };
-    }
+async function getCrmOutboxStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlCrmOutboxStore.js");
+  } else {
+    return await import("../storage/crmOutboxStore.js");
   }
+}
 
-  if (bhkType !== undefined && bhkType !== null && bhkType !== "") {
-    const trimmed = String(bhkType).trim();
-    if (!trimmed) {
-      return null;
-    }
+// Matches the CHECK constraint on leads.status
+const LEAD_STATUSES = ["new", "contacted", "qualified", "closed"];
 
-    const compactKey = normalizeKey(trimmed);
+function cleanText(value, maxLength) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
 
-    if (SPECIAL_BHK_MAPPINGS.has(compactKey)) {
-      return SPECIAL_BHK_MAPPINGS.get(compactKey);
-    }
+const MAX_TAGS = 20;
 
-    const digitsMatch = trimmed.match(/(\d+)/);
-    if (digitsMatch) {
-      const numeric = Number(digitsMatch[1]);
-      if (Number.isFinite(numeric)) {
-        if (numeric === 0) {
-          return { type: "Yet to decide", numeric: null };
-        }
-        if (numeric >= 1 && numeric <= 4) {
-          return { type: `${numeric} BHK`, numeric };
-        }
-        return { type: "Other", numeric };
-      }
-    }
+// Tags are compared case-insensitively, so they are stored lower-case and trimmed
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return null;
   }
-
-  return null;
+  const normalized = tags
+    .filter((tag) => typeof tag === "string")
+    .map((tag) => tag.trim().toLowerCase().replace(/\s+/g, " ").slice(0, 50))
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_TAGS);
 }
 
 router.post("/", async (req, res) => {
   try {
-    let { phone, bhk, bhkType, microsite, metadata, conversation } = req.body;
+    let { phone, bhk, bhkType, microsite, metadata, conversation, dialogueState } = req.body;
 
     // Sanitize inputs
     microsite = sanitizeMicrosite(microsite);
@@ -116,6 +135,7 @@ router.post("/", async (req, res) => {
     // Sanitize metadata and conversation
     metadata = sanitizeMetadata(metadata);
     conversation = sanitizeConversation(conversation);
+    dialogueState = sanitizeDialogueState(dialogueState);
 
     const normalizedBhk = normalizeBhkPreference({ bhk, bhkType });
 
@@ -175,7 +195,8 @@ router.post("/", async (req, res) => {
     const sessionStore = await getSessionStore();
     const eventStore = await getEventStore();
 
-    const lead = await leadStore.createLead({
+    // A repeat enquiry from the same phone number attaches to (or duplicates) the existing lead
+    const { lead: savedLead, created, duplicateOf } = await createOrTouchLead(leadStore, {
       phone: normalizedPhone,
       bhk: normalizedBhk.numeric,
       bhkType: normalizedBhk.type,
@@ -185,46 +206,118 @@ router.post("/", async (req, res) => {
       location,
     });
 
+    // (Re)score with the project's rules; a repeat enquiry raises the score of the lead it touched
+    let lead = savedLead;
+    try {
+      lead = await applyLeadScore(leadStore, savedLead);
+    } catch (error) {
+      logger.error("Failed to score lead", error);
+    }
+
     // Get lead ID (MySQL uses id, file storage uses id)
     const leadId = lead.id;
 
     try {
-      await sessionStore.createChatSession({
-        microsite,
-        projectId: metadataPayload?.projectId || metadata?.projectId,
+      const sessionFields = {
         leadId: leadId,
         phone: normalizedPhone ?? sanitizedPhone,
         bhkType: normalizedBhk.type,
         conversation,
-        metadata: metadataPayload,
-        location,
+      };
+      // A visitor who chatted first already has a session holding the chat API's dialogue state
+      const chatSession = await findChatSession(sanitizeVisitorId(req.body.chatSessionToken), {
+        projectId: metadataPayload?.projectId,
+        microsite,
       });
+
+      if (chatSession) {
+        await sessionStore.updateChatSession(chatSession.id, {
+          ...sessionFields,
+          metadata: { ...(metadataPayload || {}), dialogueState: chatSession.metadata?.dialogueState },
+          location,
+        });
+      } else {
+        await sessionStore.createChatSession({
+          ...sessionFields,
+          microsite,
+          projectId: metadataPayload?.projectId || metadata?.projectId,
+          // Older widget builds send the chat API dialogue state (topics covered, pending slot) along
+          metadata: dialogueState ? { ...(metadataPayload || {}), dialogueState } : metadataPayload,
+          location,
+        });
+      }
     } catch (error) {
       logger.error("Failed to store chat session", error);
     }
 
-    req.io?.to(microsite).emit("lead:new", lead);
+    req.io?.to(microsite).emit(created ? "lead:new" : "lead:updated", lead);
+
+    // Every enquiry goes to the CRM (a repeat one too), with the details submitted this time
+    await enqueueCrmLead(
+      { id: leadId, phone: normalizedPhone, metadata: metadataPayload || {} },
+      { clientIp: req.ip }
+    );
+    await emitWebhookEvent(created ? "lead.created" : "lead.touched", {
+      microsite,
+      data: { lead: serializeLeadForWebhook(lead), ...(duplicateOf && { duplicateOf }) },
+    });
 
     await eventStore.recordEvent({
       type: "lead_submitted",
       projectId: microsite,
       microsite,
+      // Same visitor / session ids as the widget's own events: this one closes the journey
+      visitorId: sanitizeVisitorId(metadataPayload?.visitor?.visitorId),
+      sessionId: sanitizeVisitorId(metadataPayload?.visitor?.sessionId),
       payload: {
         leadId: leadId,
         bhkType: normalizedBhk.type,
         ...(normalizedBhk.numeric !== null &&
           normalizedBhk.numeric !== undefined && { bhk: normalizedBhk.numeric }),
+        ...(!created && { touch: true }),
+        ...(duplicateOf && { duplicateOf }),
       },
       location,
     });
 
-    res.status(201).json({ message: "Lead created", lead });
+    if (!created) {
+      return res.status(200).json({ message: "Lead updated", lead, touch: true });
+    }
+    res.status(201).json({ message: "Lead created", lead, ...(duplicateOf && { duplicateOf }) });
   } catch (error) {
     logger.error("Failed to create lead", error);
     res.status(500).json({ message: "Failed to create lead" });
   }
 });
 
+/**
+ * Filters shared by the list and the export (GET / and GET /export).
+ * Exact-match filters: status, bhkType, leadSource, country (ISO code of the
+ * phone number, e.g. "IN"), utmSource, utmMedium, utmCampaign and owner
+ * ("unassigned" for leads without one); hasPhone is "true" or "false".
+ */
+function parseLeadFilters(query) {
+  const { microsite, search, startDate, endDate, status, minScore, sort, hasPhone } = query;
+  const country = cleanText(query.country, 2);
+  return {
+    microsite,
+    search,
+    startDate,
+    endDate,
+    status: LEAD_STATUSES.includes(status) ? status : undefined,
+    minScore: minScore !== undefined && minScore !== "" && Number.isFinite(Number(minScore)) ? Number(minScore) : undefined,
+    sort: sort === "score" ? "score" : undefined,
+    bhkType: cleanText(query.bhkType, 50) || undefined,
+    leadSource: cleanText(query.leadSource, 100) || undefined,
+    country: country ? country.toUpperCase() : undefined,
+    utmSource: cleanText(query.utmSource, 255) || undefined,
+    utmMedium: cleanText(query.utmMedium, 255) || undefined,
+    utmCampaign: cleanText(query.utmCampaign, 255) || undefined,
+    hasPhone: hasPhone === "true" ? true : hasPhone === "false" ? false : undefined,
+    owner: cleanText(query.owner, 255) || undefined,
+  };
+}
+
 router.get("/", async (req, res) => {
   try {
     const { microsite, search, startDate, endDate, limit = 50, skip = 0 } =
@@ -243,14 +336,15 @@ router.get("/", async (req, res) => {
     });
     
     const leadStore = await getLeadStore();
-    const { items, total } = await leadStore.listLeads({
-      microsite,
-      search,
-      startDate,
-      endDate,
+    const tagStore = await getTagStore();
+    const result = await leadStore.listLeads({
+      ...parseLeadFilters(req.query),
       limit,
       skip,
     });
+    const { total } = result;
+    const tagsByLead = await tagStore.getTagsForLeads(result.items.map((lead) => lead.id));
+    const items = result.items.map((lead) => ({ ...lead, tags: tagsByLead[lead.id] || [] }));
 
     logger.log("✅ GET /leads response:", {
       itemsCount: Array.isArray(items) ? items.length : "not an array",
@@ -270,6 +364,686 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Values present in the leads (with counts) for the dashboard's filter chips
+router.get("/filters", async (req, res) => {
+  try {
+    const leadStore = await getLeadStore();
+    const options = await leadStore.listLeadFilterOptions({ microsite: req.query.microsite });
+    res.json({ statuses: LEAD_STATUSES, ...options });
+  } catch (error) {
+    logger.error("Failed to list lead filter options", error);
+    res.status(500).json({ message: "Failed to list lead filter options" });
+  }
+});
+
+// CSV uploads are parsed in memory; MAX_IMPORT_ROWS keeps a file well under the size limit
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    const isCsv = /\.(csv|txt)$/i.test(file.originalname) || /csv|text\/plain|ms-excel/.test(file.mimetype);
+    cb(isCsv ? null : new Error("Only CSV files can be imported"), isCsv);
+  },
+});
+
+// Fields CSV columns can be mapped to, for the dashboard's import form
+router.get("/import/fields", (_req, res) => {
+  res.json({
+    fields: IMPORT_FIELDS.map(({ id, label, required }) => ({ id, label, required: Boolean(required) })),
+    defaultLeadSource: DEFAULT_IMPORT_SOURCE,
+    maxRows: MAX_IMPORT_ROWS,
+  });
+});
+
+/**
+ * Import leads from a CSV upload (multipart field "file"). Other fields:
+ *   mapping     JSON { fieldId: "CSV header" }; unmapped fields are matched by header name
+ *   microsite   used for rows without a microsite column/value
+ *   leadSource  stored as lead_source (default "Import") unless a row has its own
+ *   dryRun      "true" to validate every row without saving anything
+ *   importedBy  dashboard user, recorded on notes and status history
+ * Rows are deduplicated by phone like widget leads, so a known number gets a touch.
+ * Saved rows are also scored, forwarded to the CRM and sent to webhooks.
+ */
+router.post("/import", requireApiKey, (req, res, next) => {
+  importUpload.single("file")(req, res, (error) => {
+    if (error) {
+      const message = error.code === "LIMIT_FILE_SIZE" ? "CSV file is too large (max 5MB)" : error.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "No CSV file uploaded" });
+    }
+
+    let requestedMapping = {};
+    if (req.body.mapping) {
+      try {
+        requestedMapping = JSON.parse(req.body.mapping);
+      } catch {
+        return res.status(400).json({ message: "mapping must be a JSON object" });
+      }
+    }
+
+    const [headers = [], ...dataRows] = parseCsv(req.file.buffer.toString("utf8"));
+    if (headers.length === 0) {
+      return res.status(400).json({ message: "The CSV file is empty" });
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Too many rows (max ${MAX_IMPORT_ROWS} per import)` });
+    }
+
+    const { mapping, errors: mappingErrors } = resolveImportMapping(
+      headers,
+      requestedMapping && typeof requestedMapping === "object" ? requestedMapping : {}
+    );
+    const mappedHeaders = Object.fromEntries(
+      Object.entries(mapping).map(([fieldId, index]) => [fieldId, headers[index]])
+    );
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({ message: mappingErrors.join("; "), headers, mapping: mappedHeaders });
+    }
+
+    const dryRun = req.body.dryRun === "true" || req.body.dryRun === true;
+    const importId = crypto.randomUUID();
+    const importedBy = cleanText(req.body.importedBy, 255);
+    const options = {
+      defaultMicrosite: req.body.microsite,
+      defaultLeadSource: cleanText(req.body.leadSource, 100),
+      statuses: LEAD_STATUSES,
+      importId,
+    };
+
+    const leadStore = await getLeadStore();
+    const historyStore = await getHistoryStore();
+    const noteStore = await getNoteStore();
+    const firstRowByPhone = new Map();
+    const rows = [];
+
+    for (const [index, cells] of dataRows.entries()) {
+      // Header is line 1, so data rows start at line 2
+      const rowNumber = index + 2;
+      const { errors, lead: row } = buildImportRow(cells, mapping, options);
+      if (errors.length > 0) {
+        rows.push({ row: rowNumber, status: "error", errors });
+        continue;
+      }
+
+      const warnings = [];
+      if (firstRowByPhone.has(row.phone)) {
+        warnings.push(`Same phone as row ${firstRowByPhone.get(row.phone)}; it will be added as a repeat enquiry`);
+      } else {
+        firstRowByPhone.set(row.phone, rowNumber);
+      }
+
+      if (dryRun) {
+        rows.push({ row: rowNumber, status: "valid", errors: [], warnings });
+        continue;
+      }
+
+      try {
+        const { lead: savedLead, created, duplicateOf } = await createOrTouchLead(leadStore, {
+          phone: row.phone,
+          bhk: row.bhk,
+          bhkType: row.bhkType,
+          microsite: row.microsite,
+          metadata: row.metadata,
+          conversation: [],
+          leadSource: row.leadSource,
+        });
+        let lead = savedLead;
+
+        // Status / owner from the file only apply to new leads; existing ones keep theirs
+        if (created && ((row.status && row.status !== "new") || row.assignedTo)) {
+          lead = await leadStore.updateLead(lead.id, {
+            ...(row.status && { status: row.status }),
+            ...(row.assignedTo && { assignedTo: row.assignedTo }),
+          });
+          await historyStore.addLeadHistoryEntry({
+            leadId: lead.id,
+            fromStatus: "new",
+            toStatus: row.status || "new",
+            fromOwner: null,
+            toOwner: row.assignedTo,
+            changedBy: importedBy,
+            note: "Set by CSV import",
+          });
+        }
+        if (row.note) {
+          await noteStore.createLeadNote({ leadId: lead.id, body: row.note, author: importedBy });
+        }
+
+        try {
+          lead = await applyLeadScore(leadStore, lead);
+        } catch (error) {
+          logger.error("Failed to score imported lead", error);
+        }
+
+        // Imported enquiries reach the CRM through the same outbox as widget and chat leads
+        await enqueueCrmLead({ id: lead.id, phone: row.phone, metadata: row.metadata || {} });
+        await emitWebhookEvent(created ? "lead.created" : "lead.touched", {
+          microsite: lead.microsite,
+          data: { lead: serializeLeadForWebhook(lead), ...(duplicateOf && { duplicateOf }), importId },
+        });
+
+        rows.push({
+          row: rowNumber,
+          status: created ? "created" : "touched",
+          leadId: lead.id,
+          ...(duplicateOf && { duplicateOf }),
+          errors: [],
+          warnings,
+        });
+      } catch (error) {
+        logger.error(`Failed to import lead from CSV row ${rowNumber}`, error);
+        rows.push({ row: rowNumber, status: "error", errors: ["Failed to save lead"] });
+      }
+    }
+
+    const count = (status) => rows.filter((row) => row.status === status).length;
+    const summary = {
+      dryRun,
+      ...(!dryRun && { importId }),
+      headers,
+      mapping: mappedHeaders,
+      total: rows.length,
+      valid: rows.length - count("error"),
+      created: count("created"),
+      touched: count("touched"),
+      failed: count("error"),
+    };
+
+    if (!dryRun) {
+      logger.log(`📥 Imported leads from CSV: ${summary.created} created, ${summary.touched} touched, ${summary.failed} failed`);
+    }
+
+    res.json({ ...summary, rows });
+  } catch (error) {
+    logger.error("Failed to import leads", error);
+    res.status(500).json({ message: "Failed to import leads" });
+  }
+});
+
+// Columns GET /export can write, for the dashboard's column picker
+router.get("/export/columns", (_req, res) => {
+  res.json({ columns: EXPORT_COLUMNS.map(({ id, label }) => ({ id, label })) });
+});
+
+// Every lead matching the list filters, streamed page by page as CSV, XLSX or JSON.
+// `columns` is a comma-separated list of column ids (all columns when omitted).
+router.get("/export", async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ message: "format must be one of csv, xlsx, json" });
+  }
+
+  const { columns, unknown } = resolveExportColumns(req.query.columns);
+  if (unknown.length > 0) {
+    return res.status(400).json({ message: `Unknown export columns: ${unknown.join(", ")}` });
+  }
+
+  const filters = parseLeadFilters(req.query);
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+
+  try {
+    const leadStore = await getLeadStore();
+    const tagStore = await getTagStore();
+    const includeTags = columns.some((column) => column.id === "tags");
+
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="leads-${timestamp}.${EXPORT_FORMATS[format].extension}"`
+    );
+
+    const writer = createExportWriter(format, res, columns);
+    await writer.start();
+
+    const pageSize = 500;
+    let exported = 0;
+    for (let skip = 0; ; skip += pageSize) {
+      const { items } = await leadStore.listLeads({ ...filters, limit: pageSize, skip });
+      const tagsByLead = includeTags ? await tagStore.getTagsForLeads(items.map((lead) => lead.id)) : {};
+      await writer.writeLeads(items.map((lead) => ({ ...lead, tags: tagsByLead[lead.id] || [] })));
+      exported += items.length;
+      if (items.length < pageSize || res.destroyed) break;
+    }
+
+    await writer.finish();
+    logger.log(`📤 Exported ${exported} leads as ${format}`);
+  } catch (error) {
+    logger.error("Failed to export leads", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Failed to export leads" });
+    } else {
+      // Part of the file is already out; cut the download short rather than send a truncated file as complete
+      res.destroy(error);
+    }
+  }
+});
+
+// Every tag in use, for suggestions in the dashboard
+router.get("/tags", async (_req, res) => {
+  try {
+    const tagStore = await getTagStore();
+    res.json({ tags: await tagStore.listAllTags() });
+  } catch (error) {
+    logger.error("Failed to list lead tags", error);
+    res.status(500).json({ message: "Failed to list lead tags" });
+  }
+});
+
+// Default scoring rules and, for a project, the rules its leads are scored with
+router.get("/scoring-rules", async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    res.json({
+      defaults: DEFAULT_LEAD_SCORING,
+      ...(projectId && { rules: await loadLeadScoring(String(projectId)) }),
+    });
+  } catch (error) {
+    logger.error("Failed to load lead scoring rules", error);
+    res.status(500).json({ message: "Failed to load lead scoring rules" });
+  }
+});
+
+// Recompute the score of every lead (or a microsite's leads), e.g. after changing a project's rules
+router.post("/rescore", requireApiKey, async (req, res) => {
+  try {
+    const microsite = req.body?.microsite ? sanitizeMicrosite(req.body.microsite) : undefined;
+    if (req.body?.microsite && !microsite) {
+      return res.status(400).json({ message: "Invalid microsite" });
+    }
+
+    const leadStore = await getLeadStore();
+    const rulesByProject = new Map();
+    const pageSize = 500;
+    let rescored = 0;
+
+    for (let skip = 0; ; skip += pageSize) {
+      const { items } = await leadStore.listLeads({ microsite, limit: pageSize, skip });
+      for (const lead of items) {
+        const projectId = lead.metadata?.projectId || lead.microsite;
+        if (!rulesByProject.has(projectId)) {
+          rulesByProject.set(projectId, await loadLeadScoring(projectId));
+        }
+        await applyLeadScore(leadStore, lead, { rules: rulesByProject.get(projectId) });
+        rescored += 1;
+      }
+      if (items.length < pageSize) break;
+    }
+
+    res.json({ message: "Leads rescored", rescored });
+  } catch (error) {
+    logger.error("Failed to rescore leads", error);
+    res.status(500).json({ message: "Failed to rescore leads" });
+  }
+});
+
+// CRM forwarding overview: counts by status and the newest outbox entries (optionally one status)
+router.get("/crm-outbox", async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !["pending", "sent", "failed"].includes(status)) {
+      return res.status(400).json({ message: "status must be pending, sent or failed" });
+    }
+
+    const outboxStore = await getCrmOutboxStore();
+    const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 100));
+    const [counts, items] = await Promise.all([
+      outboxStore.countOutboxEntriesByStatus(),
+      outboxStore.listOutboxEntries({ status, limit }),
+    ]);
+    res.json({ enabled: isCrmForwardingEnabled(), counts, items });
+  } catch (error) {
+    logger.error("Failed to list CRM outbox", error);
+    res.status(500).json({ message: "Failed to list CRM outbox" });
+  }
+});
+
+// A single lead with everything the detail page shows: chat sessions, events recorded
+// against it (or the leads merged into it), status history, notes, tags and follow-ups
+router.get("/:id", async (req, res) => {
+  try {
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const sessionStore = await getSessionStore();
+    const eventStore = await getEventStore();
+    const historyStore = await getHistoryStore();
+
+    const noteStore = await getNoteStore();
+    const tagStore = await getTagStore();
+    const followUpStore = await getFollowUpStore();
+    const leadIds = [lead.id, ...(lead.metadata?.mergedLeadIds || [])];
+    // Widget visitors behind the lead and its touches, for the journey that led to it
+    const visitorIds = [
+      ...new Set(
+        [lead.metadata?.visitor?.visitorId, ...(lead.metadata?.touches || []).map((touch) => touch.visitorId)].filter(Boolean)
+      ),
+    ];
+
+    const [{ items: sessions }, events, history, notes, tags, followUps, crm] = await Promise.all([
+      sessionStore.listChatSessions({ leadId: lead.id, limit: 50 }),
+      eventStore.listLeadEvents(leadIds, { visitorIds }),
+      historyStore.listLeadHistory(lead.id),
+      noteStore.listLeadNotes(lead.id),
+      tagStore.getLeadTags(lead.id),
+      followUpStore.listLeadFollowUps(lead.id),
+      getLeadCrmStatus(lead.id),
+    ]);
+
+    res.json({ lead: { ...lead, tags }, sessions, events, history, notes, followUps, crm });
+  } catch (error) {
+    logger.error("Failed to load lead", error);
+    res.status(500).json({ message: "Failed to load lead" });
+  }
+});
+
+// Change a lead's status and/or owner; every change is logged with who made it and an optional note
+router.patch("/:id", requireApiKey, async (req, res) => {
+  try {
+    const { status, assignedTo } = req.body || {};
+
+    if (status === undefined && assignedTo === undefined) {
+      return res.status(400).json({ message: "Provide a status and/or assignedTo" });
+    }
+    if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status (expected one of: ${LEAD_STATUSES.join(", ")})` });
+    }
+    if (assignedTo !== undefined && assignedTo !== null && typeof assignedTo !== "string") {
+      return res.status(400).json({ message: "assignedTo must be a username or null" });
+    }
+
+    const leadStore = await getLeadStore();
+    const existing = await leadStore.getLeadById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const currentStatus = existing.status || "new";
+    const currentOwner = existing.assignedTo ?? existing.assigned_to ?? null;
+    const nextStatus = status ?? currentStatus;
+    const nextOwner = assignedTo === undefined ? currentOwner : cleanText(assignedTo, 255);
+
+    if (nextStatus === currentStatus && nextOwner === currentOwner) {
+      return res.json({ message: "Lead unchanged", lead: existing });
+    }
+
+    const lead = await leadStore.updateLead(existing.id, {
+      ...(nextStatus !== currentStatus && { status: nextStatus }),
+      ...(nextOwner !== currentOwner && { assignedTo: nextOwner }),
+    });
+
+    const historyStore = await getHistoryStore();
+    const historyEntry = await historyStore.addLeadHistoryEntry({
+      leadId: existing.id,
+      fromStatus: currentStatus,
+      toStatus: nextStatus,
+      fromOwner: currentOwner,
+      toOwner: nextOwner,
+      changedBy: cleanText(req.body.changedBy, 255),
+      note: cleanText(req.body.note, 2000),
+    });
+
+    req.io?.to(existing.microsite).emit("lead:updated", lead);
+    await emitWebhookEvent("lead.updated", {
+      microsite: existing.microsite,
+      data: {
+        lead: serializeLeadForWebhook(lead),
+        changes: {
+          ...(nextStatus !== currentStatus && { status: { from: currentStatus, to: nextStatus } }),
+          ...(nextOwner !== currentOwner && { assignedTo: { from: currentOwner, to: nextOwner } }),
+        },
+        changedBy: cleanText(req.body.changedBy, 255),
+      },
+    });
+
+    res.json({ message: "Lead updated", lead, historyEntry });
+  } catch (error) {
+    logger.error("Failed to update lead", error);
+    res.status(500).json({ message: "Failed to update lead" });
+  }
+});
+
+router.get("/:id/history", async (req, res) => {
+  try {
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const historyStore = await getHistoryStore();
+    const items = await historyStore.listLeadHistory(lead.id);
+    res.json({ items });
+  } catch (error) {
+    logger.error("Failed to load lead history", error);
+    res.status(500).json({ message: "Failed to load lead history" });
+  }
+});
+
+router.post("/:id/notes", requireApiKey, async (req, res) => {
+  try {
+    const body = cleanText(req.body?.body, 5000);
+    if (!body) {
+      return res.status(400).json({ message: "Note text is required" });
+    }
+
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const noteStore = await getNoteStore();
+    const note = await noteStore.createLeadNote({
+      leadId: lead.id,
+      body,
+      author: cleanText(req.body.author, 255),
+    });
+    await emitWebhookEvent("lead.note_added", {
+      microsite: lead.microsite,
+      data: { lead: serializeLeadForWebhook(lead), note },
+    });
+    res.status(201).json({ message: "Note added", note });
+  } catch (error) {
+    logger.error("Failed to add lead note", error);
+    res.status(500).json({ message: "Failed to add lead note" });
+  }
+});
+
+router.delete("/:id/notes/:noteId", requireApiKey, async (req, res) => {
+  try {
+    const noteStore = await getNoteStore();
+    const deleted = await noteStore.deleteLeadNote(req.params.id, req.params.noteId);
+    if (!deleted) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+    res.json({ message: "Note deleted" });
+  } catch (error) {
+    logger.error("Failed to delete lead note", error);
+    res.status(500).json({ message: "Failed to delete lead note" });
+  }
+});
+
+// Replace the lead's tags
+router.put("/:id/tags", requireApiKey, async (req, res) => {
+  try {
+    const tags = normalizeTags(req.body?.tags);
+    if (!tags) {
+      return res.status(400).json({ message: "tags must be a list of strings" });
+    }
+
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const tagStore = await getTagStore();
+    const saved = await tagStore.setLeadTags(lead.id, tags);
+    req.io?.to(lead.microsite).emit("lead:updated", { ...lead, tags: saved });
+    await emitWebhookEvent("lead.updated", {
+      microsite: lead.microsite,
+      data: { lead: serializeLeadForWebhook({ ...lead, tags: saved }), changes: { tags: saved } },
+    });
+    res.json({ message: "Tags updated", tags: saved });
+  } catch (error) {
+    logger.error("Failed to update lead tags", error);
+    res.status(500).json({ message: "Failed to update lead tags" });
+  }
+});
+
+router.post("/:id/follow-ups", requireApiKey, async (req, res) => {
+  try {
+    const dueAt = req.body?.dueAt ? new Date(req.body.dueAt) : null;
+    if (!dueAt || Number.isNaN(dueAt.getTime())) {
+      return res.status(400).json({ message: "A valid dueAt date is required" });
+    }
+
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const followUpStore = await getFollowUpStore();
+    const followUp = await followUpStore.createFollowUp({
+      leadId: lead.id,
+      dueAt,
+      note: cleanText(req.body.note, 2000),
+      createdBy: cleanText(req.body.createdBy, 255),
+    });
+    res.status(201).json({ message: "Follow-up scheduled", followUp });
+  } catch (error) {
+    logger.error("Failed to schedule follow-up", error);
+    res.status(500).json({ message: "Failed to schedule follow-up" });
+  }
+});
+
+// Recompute one lead's score
+router.post("/:id/score", requireApiKey, async (req, res) => {
+  try {
+    const leadStore = await getLeadStore();
+    const existing = await leadStore.getLeadById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const lead = await applyLeadScore(leadStore, existing);
+    req.io?.to(lead.microsite).emit("lead:updated", lead);
+    res.json({ message: "Lead rescored", lead });
+  } catch (error) {
+    logger.error("Failed to rescore lead", error);
+    res.status(500).json({ message: "Failed to rescore lead" });
+  }
+});
+
+// Forward the lead to the CRM again now: its newest outbox entry, or a new one if it was never queued
+router.post("/:id/crm/retry", requireApiKey, async (req, res) => {
+  try {
+    if (!isCrmForwardingEnabled()) {
+      return res.status(409).json({ message: "CRM forwarding is not configured (CRM_LEADS_URL)" });
+    }
+
+    const leadStore = await getLeadStore();
+    const lead = await leadStore.getLeadById(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const { entries } = await getLeadCrmStatus(lead.id);
+    if (entries[0]?.status === "sent") {
+      return res.status(409).json({ message: "Lead was already sent to the CRM" });
+    }
+
+    const entry = entries[0]
+      ? await retryCrmOutboxEntry(entries[0])
+      : await enqueueCrmLead(lead, { clientIp: lead.metadata?.visitor?.ip });
+    res.json({ message: "CRM forwarding queued", entry });
+  } catch (error) {
+    logger.error("Failed to retry CRM forwarding", error);
+    res.status(500).json({ message: "Failed to retry CRM forwarding" });
+  }
+});
+
+// Merge other leads for the same person (e.g. enquiries under another number) into this one
+router.post("/:id/merge", requireApiKey, async (req, res) => {
+  try {
+    const targetId = String(req.params.id);
+    const leadIds = Array.isArray(req.body?.leadIds)
+      ? [...new Set(req.body.leadIds.map((id) => String(id).trim()))].filter((id) => id && id !== targetId)
+      : [];
+
+    if (leadIds.length === 0) {
+      return res.status(400).json({ message: "leadIds must list at least one other lead" });
+    }
+    if (leadIds.length > 50) {
+      return res.status(400).json({ message: "Too many leads to merge at once (max 50)" });
+    }
+
+    const leadStore = await getLeadStore();
+    const target = await leadStore.getLeadById(targetId);
+    if (!target) {
+      return res.status(404).json({ message: "Lead not found" });
+    }
+
+    const sources = await Promise.all(leadIds.map((id) => leadStore.getLeadById(id)));
+    const missingIndex = sources.findIndex((source) => !source);
+    if (missingIndex !== -1) {
+      return res.status(404).json({ message: `Lead ${leadIds[missingIndex]} not found` });
+    }
+
+    const sourceIds = sources.map((source) => source.id);
+    const updates = buildMergeUpdates(target, sources);
+
+    // Move everything attached to the sources first: deleting a MySQL lead clears
+    // chat_sessions.lead_id and deletes its history, notes, tags, follow-ups and CRM forwards
+    const sessionStore = await getSessionStore();
+    const historyStore = await getHistoryStore();
+    const noteStore = await getNoteStore();
+    const tagStore = await getTagStore();
+    const followUpStore = await getFollowUpStore();
+    const outboxStore = await getCrmOutboxStore();
+    await sessionStore.reassignChatSessions(sourceIds, target.id);
+    await historyStore.reassignLeadHistory(sourceIds, target.id);
+    await noteStore.reassignLeadNotes(sourceIds, target.id);
+    await tagStore.reassignLeadTags(sourceIds, target.id);
+    await followUpStore.reassignFollowUps(sourceIds, target.id);
+    await outboxStore.reassignOutboxEntries(sourceIds, target.id);
+    const mergedLead = await leadStore.mergeLeads(target.id, sourceIds, updates);
+
+    // The merged enquiries count as repeat visits
+    let lead = mergedLead;
+    try {
+      lead = await applyLeadScore(leadStore, mergedLead);
+    } catch (error) {
+      logger.error("Failed to score merged lead", error);
+    }
+
+    req.io?.to(target.microsite).emit("lead:updated", lead);
+    for (const source of sources) {
+      req.io?.to(source.microsite).emit("lead:merged", { id: source.id, mergedInto: target.id });
+    }
+    await emitWebhookEvent("lead.merged", {
+      microsite: target.microsite,
+      data: { lead: serializeLeadForWebhook(lead), mergedLeadIds: sourceIds },
+    });
+
+    res.json({ message: "Leads merged", lead, mergedLeadIds: sourceIds });
+  } catch (error) {
+    logger.error("Failed to merge leads", error);
+    res.status(500).json({ message: "Failed to merge leads" });
+  }
+});
+
 export default router;
 
 
@@ -0,0 +1,215 @@
+import express from "express";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { requireApiKey } from "../middleware/auth.js";
+import { sanitizeMicrosite } from "../utils/sanitize.js";
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_IDS,
+  generateWebhookSecret,
+  sendTestWebhook,
+  redeliverWebhook,
+} from "../utils/webhooks.js";
+
+const router = express.Router();
+
+// Webhook secrets are returned in full, so every route needs the API key (reads too)
+router.use(requireApiKey);
+
+// Helper function to get the right storage module
+async function getWebhookStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWebhookStore.js");
+  } else {
+    return await import("../storage/webhookStore.js");
+  }
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a create (all fields) or update (only the fields given) body.
+ * Returns `{ error }` or `{ values }` ready for the store.
+ */
+function parseWebhookBody(body, { partial = false } = {}) {
+  const { name, url, events, microsite, active, secret } = body || {};
+  const values = {};
+
+  if (name !== undefined || !partial) {
+    values.name = cleanText(name, 255);
+    if (!values.name) return { error: "name is required" };
+  }
+  if (url !== undefined || !partial) {
+    if (typeof url !== "string" || url.length > 2048 || !isHttpUrl(url.trim())) {
+      return { error: "url must be an http(s) URL" };
+    }
+    values.url = url.trim();
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return { error: "events must list at least one event" };
+    }
+    const unknown = events.filter((event) => !WEBHOOK_EVENT_IDS.includes(event));
+    if (unknown.length > 0) {
+      return { error: `Unknown events: ${unknown.join(", ")} (expected: ${WEBHOOK_EVENT_IDS.join(", ")})` };
+    }
+    values.events = [...new Set(events)];
+  }
+  if (microsite !== undefined) {
+    // null / "" makes the webhook global
+    values.microsite = microsite ? sanitizeMicrosite(microsite) : null;
+    if (microsite && !values.microsite) return { error: "Invalid microsite" };
+  }
+  if (active !== undefined) {
+    if (typeof active !== "boolean") return { error: "active must be true or false" };
+    values.active = active;
+  }
+  if (secret !== undefined) {
+    values.secret = cleanText(secret, 255);
+    if (!values.secret || values.secret.length < 16) {
+      return { error: "secret must be at least 16 characters" };
+    }
+  }
+
+  return { values };
+}
+
+// Webhooks (optionally those that fire for one microsite) and the events they can subscribe to
+router.get("/", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const items = await webhookStore.listWebhooks({ microsite: req.query.microsite });
+    res.json({ items, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    logger.error("Failed to list webhooks", error);
+    res.status(500).json({ message: "Failed to list webhooks" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const { error, values } = parseWebhookBody(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const webhookStore = await getWebhookStore();
+    const webhook = await webhookStore.createWebhook({
+      microsite: null,
+      active: true,
+      secret: generateWebhookSecret(),
+      ...values,
+      createdBy: cleanText(req.body.createdBy, 255),
+    });
+    res.status(201).json({ message: "Webhook created", webhook });
+  } catch (error) {
+    logger.error("Failed to create webhook", error);
+    res.status(500).json({ message: "Failed to create webhook" });
+  }
+});
+
+router.patch("/:id", async (req, res) => {
+  try {
+    const { error, values } = parseWebhookBody(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (req.body?.rotateSecret === true) {
+      values.secret = generateWebhookSecret();
+    }
+
+    const webhookStore = await getWebhookStore();
+    const existing = await webhookStore.getWebhookById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const webhook = await webhookStore.updateWebhook(existing.id, values);
+    res.json({ message: "Webhook updated", webhook });
+  } catch (error) {
+    logger.error("Failed to update webhook", error);
+    res.status(500).json({ message: "Failed to update webhook" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const deleted = await webhookStore.deleteWebhook(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+    res.json({ message: "Webhook deleted" });
+  } catch (error) {
+    logger.error("Failed to delete webhook", error);
+    res.status(500).json({ message: "Failed to delete webhook" });
+  }
+});
+
+// Send a signed "webhook.test" event now; the response carries the logged attempt
+router.post("/:id/test", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const webhook = await webhookStore.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const delivery = await sendTestWebhook(webhook);
+    res.json({
+      message: delivery.status === "succeeded" ? "Test delivered" : "Test delivery failed",
+      delivery,
+    });
+  } catch (error) {
+    logger.error("Failed to send test webhook", error);
+    res.status(500).json({ message: "Failed to send test webhook" });
+  }
+});
+
+// Delivery log, newest first
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const webhook = await webhookStore.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const limit = Math.max(1, Math.min(200, parseInt(req.query.limit, 10) || 50));
+    const items = await webhookStore.listDeliveries({ webhookId: webhook.id, limit });
+    res.json({ items });
+  } catch (error) {
+    logger.error("Failed to list webhook deliveries", error);
+    res.status(500).json({ message: "Failed to list webhook deliveries" });
+  }
+});
+
+// Queue a logged delivery again (e.g. after fixing the receiving endpoint)
+router.post("/:id/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const webhookStore = await getWebhookStore();
+    const delivery = await webhookStore.getDeliveryById(req.params.deliveryId);
+    if (!delivery || String(delivery.webhookId) !== String(req.params.id)) {
+      return res.status(404).json({ message: "Delivery not found" });
+    }
+
+    const updated = await redeliverWebhook(delivery);
+    res.json({ message: "Delivery queued", delivery: updated });
+  } catch (error) {
+    logger.error("Failed to redeliver webhook", error);
+    res.status(500).json({ message: "Failed to redeliver webhook" });
+  }
+});
+
+export default router;
@@ -2,6 +2,9 @@ import express from "express";
 import { config } from "../config.js";
 import { requireApiKey } from "../middleware/auth.js";
 import { logger } from "../utils/logger.js";
+import { sanitizeResponseTemplates } from "../utils/sanitize.js";
+import { normalizeLocale, DEFAULT_LOCALE } from "../chat/i18n.js";
+import { sanitizeLeadScoring } from "../utils/leadScoring.js";
 
 const router = express.Router();
 
@@ -90,6 +93,9 @@ router.get("/:projectId", async (req, res) => {
         autoOpenDelayMs: config.auto_open_delay_ms || config.autoOpenDelayMs,
         welcomeMessage: config.welcome_message || config.welcomeMessage,
         propertyInfo: config.property_info || config.propertyInfo || {},
+        responseTemplates: config.response_templates || config.responseTemplates || {},
+        locale: config.locale || DEFAULT_LOCALE,
+        leadScoring: config.lead_scoring || config.leadScoring || {},
       };
       return res.json(camelCaseConfig);
     }
@@ -110,7 +116,10 @@ router.get("/:projectId", async (req, res) => {
       bubblePosition: 'bottom-right',
       autoOpenDelayMs: 4000,
       welcomeMessage: 'Hi, I\'m Riya from Homesfy 👋\nHow can I help you today?',
-      propertyInfo: {}
+      propertyInfo: {},
+      responseTemplates: {},
+      locale: DEFAULT_LOCALE,
+      leadScoring: {}
     });
   }
 });
@@ -118,7 +127,22 @@ router.get("/:projectId", async (req, res) => {
 router.post("/:projectId", requireApiKey, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const update = req.body;
+    const update = { ...req.body };
+
+    if (update.responseTemplates !== undefined) {
+      update.responseTemplates = sanitizeResponseTemplates(update.responseTemplates);
+    }
+
+    if (update.locale !== undefined) {
+      update.locale = normalizeLocale(update.locale);
+      if (!update.locale) {
+        return res.status(400).json({ message: "Unsupported locale" });
+      }
+    }
+
+    if (update.leadScoring !== undefined) {
+      update.leadScoring = sanitizeLeadScoring(update.leadScoring);
+    }
 
     const { updateWidgetConfig } = await getConfigStore();
     const updatedConfig = await updateWidgetConfig(projectId, update);
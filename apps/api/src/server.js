@@ -10,8 +10,17 @@ import widgetConfigRouter from "./routes/widgetConfig.js";
 import eventsRouter from "./routes/events.js";
 import chatSessionsRouter from "./routes/chatSessions.js";
 import chatRouter from "./routes/chat.js";
+import chatIntentsRouter from "./routes/chatIntents.js";
 import usersRouter from "./routes/users.js";
 import uploadRouter from "./routes/upload.js";
+import faqsRouter from "./routes/faqs.js";
+import followUpsRouter from "./routes/followUps.js";
+import webhooksRouter from "./routes/webhooks.js";
+import attributionRouter from "./routes/attribution.js";
+import digestsRouter from "./routes/digests.js";
+import { startWebhookWorker } from "./utils/webhooks.js";
+import { startCrmWorker } from "./utils/crmForwarder.js";
+import { startDigestWorker } from "./utils/digest.js";
 
 function expandAllowedOrigins(origins) {
   const expanded = new Set(origins);
@@ -252,13 +261,13 @@ async function bootstrap() {
             callback(null, true);
           },
           credentials: false, // Must be false when using wildcard origin
-          methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+          methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
           allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
         }
       : {
           origin: expandedOrigins,
           credentials: true,
-          methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+          methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
           allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
         };
 
@@ -273,7 +282,7 @@ async function bootstrap() {
     } else {
       res.header('Access-Control-Allow-Origin', '*');
     }
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
     res.header('Access-Control-Max-Age', '86400'); // 24 hours
     res.status(200).end();
@@ -293,7 +302,7 @@ async function bootstrap() {
           res.header('Access-Control-Allow-Origin', '*');
         }
       }
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
       res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
       next();
     });
@@ -328,8 +337,15 @@ async function bootstrap() {
 
     // Health endpoint is now handled by monitoring middleware above
 
+    // Only lead submissions are rate limited; the dashboard's reads and edits
+    // (status, notes, follow-ups) also go through /api/leads
     if (leadLimiter) {
-      app.use("/api/leads", leadLimiter);
+      app.use("/api/leads", (req, res, next) => {
+        if (req.method === 'POST' && req.path === '/') {
+          return leadLimiter(req, res, next);
+        }
+        next();
+      });
     }
     
     // Apply rate limiting only to POST requests (updates) on widget-config
@@ -346,8 +362,14 @@ async function bootstrap() {
     app.use("/api/events", eventsRouter);
     app.use("/api/chat-sessions", chatSessionsRouter);
     app.use("/api/chat", chatRouter);
+    app.use("/api/chat-intents", chatIntentsRouter);
     app.use("/api/users", usersRouter);
     app.use("/api/upload", uploadRouter);
+    app.use("/api/faqs", faqsRouter);
+    app.use("/api/follow-ups", followUpsRouter);
+    app.use("/api/webhooks", webhooksRouter);
+    app.use("/api/attribution", attributionRouter);
+    app.use("/api/digests", digestsRouter);
     
     try {
       const { getHealthCheck, getMonitoringStats } = await import('./middleware/monitoring.js');
@@ -374,7 +396,10 @@ async function bootstrap() {
             events: "/api/events",
             chatSessions: "/api/chat-sessions",
             users: "/api/users",
-            upload: "/api/upload"
+            upload: "/api/upload",
+            webhooks: "/api/webhooks",
+            attribution: "/api/attribution",
+            digests: "/api/digests/:projectId"
           }
         });
       });
@@ -500,7 +525,7 @@ async function bootstrap() {
       } else {
         res.header('Access-Control-Allow-Origin', '*');
       }
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
       res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
       
       res.status(err.status || 500).json({
@@ -521,7 +546,7 @@ async function bootstrap() {
       } else {
         res.header('Access-Control-Allow-Origin', '*');
       }
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
       res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
       
       res.status(404).json({
@@ -537,6 +562,12 @@ async function bootstrap() {
       logger.log(`✅ API server listening on http://0.0.0.0:${config.port}`);
       logger.log(`   Local:   http://localhost:${config.port}`);
       logger.log(`   Network: http://127.0.0.1:${config.port}`);
+      // Retries of failed webhook deliveries (and any left pending by a restart)
+      startWebhookWorker();
+      // Leads queued for the CRM, retried until they go through
+      startCrmWorker();
+      // Scheduled project digest emails
+      startDigestWorker();
     });
     
     // Handle server errors
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "campaign-costs.json";
+const DEFAULT_STORE = { costs: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+// Costs spent between the dates (YYYY-MM-DD, inclusive), latest first
+export async function listCampaignCosts({ projectId, startDate, endDate } = {}) {
+  const store = await loadStore();
+  return store.costs
+    .filter(
+      (cost) =>
+        (!projectId || cost.projectId === projectId) &&
+        (!startDate || cost.spentOn >= startDate) &&
+        (!endDate || cost.spentOn <= endDate)
+    )
+    .sort((a, b) => b.spentOn.localeCompare(a.spentOn));
+}
+
+export async function createCampaignCost({
+  projectId,
+  source,
+  medium = null,
+  campaign = null,
+  spentOn,
+  amount,
+  currency = "INR",
+  createdBy = null,
+}) {
+  const cost = {
+    id: crypto.randomUUID(),
+    projectId,
+    source,
+    medium,
+    campaign,
+    spentOn,
+    amount,
+    currency,
+    createdBy,
+    createdAt: new Date().toISOString(),
+  };
+
+  const store = await loadStore();
+  store.costs = [cost, ...store.costs];
+  await saveStore(store);
+  return cost;
+}
+
+export async function deleteCampaignCost(id) {
+  const store = await loadStore();
+  const remaining = store.costs.filter((cost) => String(cost.id) !== String(id));
+
+  if (remaining.length === store.costs.length) {
+    return false;
+  }
+
+  store.costs = remaining;
+  await saveStore(store);
+  return true;
+}
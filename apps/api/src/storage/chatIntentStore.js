@@ -0,0 +1,80 @@
+import { readJson, writeJson } from "./fileStore.js";
+
+/**
+ * File storage for custom chat intents and normalizer synonyms
+ * (data/chat-intents.json: `{ "intents": [...], "synonyms": { canonical: [variants] } }`).
+ * Intents are stored as their registry definition (see chat/intents.js).
+ */
+const FILE_NAME = "chat-intents.json";
+const DEFAULT_STORE = { intents: [], synonyms: {} };
+
+async function loadStore() {
+  const store = await readJson(FILE_NAME, DEFAULT_STORE);
+  return {
+    ...store,
+    intents: Array.isArray(store?.intents) ? store.intents : [],
+    synonyms: store?.synonyms && typeof store.synonyms === "object" ? store.synonyms : {},
+  };
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function listCustomIntents() {
+  const store = await loadStore();
+  return store.intents;
+}
+
+// Create or replace the custom intent with `intent.id`
+export async function saveCustomIntent(intent, { updatedBy = null } = {}) {
+  const store = await loadStore();
+  const saved = { ...intent, updatedBy, updatedAt: new Date().toISOString() };
+  const index = store.intents.findIndex((existing) => existing.id === intent.id);
+
+  if (index === -1) {
+    store.intents.push(saved);
+  } else {
+    store.intents[index] = saved;
+  }
+
+  await saveStore(store);
+  return saved;
+}
+
+export async function deleteCustomIntent(id) {
+  const store = await loadStore();
+  const before = store.intents.length;
+  store.intents = store.intents.filter((intent) => intent.id !== id);
+
+  if (store.intents.length === before) {
+    return false;
+  }
+
+  await saveStore(store);
+  return true;
+}
+
+export async function listCustomSynonyms() {
+  const store = await loadStore();
+  return store.synonyms;
+}
+
+export async function saveCustomSynonyms(canonical, variants) {
+  const store = await loadStore();
+  store.synonyms = { ...store.synonyms, [canonical]: variants };
+  await saveStore(store);
+  return { canonical, variants };
+}
+
+export async function deleteCustomSynonyms(canonical) {
+  const store = await loadStore();
+  if (!Object.prototype.hasOwnProperty.call(store.synonyms, canonical)) {
+    return false;
+  }
+
+  const { [canonical]: removed, ...synonyms } = store.synonyms;
+  store.synonyms = synonyms;
+  await saveStore(store);
+  return true;
+}
@@ -20,6 +20,7 @@ export async function createChatSession({
   bhkType,
   conversation = [],
   metadata = {},
+  tokenHash = null,
 }) {
   const now = new Date().toISOString();
   const session = {
@@ -31,6 +32,7 @@ export async function createChatSession({
     bhkType,
     conversation,
     metadata,
+    tokenHash,
     createdAt: now,
     updatedAt: now,
   };
@@ -42,6 +44,36 @@ export async function createChatSession({
   return session;
 }
 
+// The session a chat API token belongs to (see chat/chatSession.js)
+export async function getChatSessionByTokenHash(tokenHash) {
+  const store = await loadStore();
+  return store.sessions.find((session) => session.tokenHash && session.tokenHash === tokenHash) || null;
+}
+
+export async function updateChatSession(id, updates) {
+  const store = await loadStore();
+  const index = store.sessions.findIndex((session) => String(session.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["leadId", "phone", "bhkType", "conversation", "metadata", "location"];
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+
+  const updated = {
+    ...store.sessions[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.sessions[index] = updated;
+  await saveStore(store);
+  return updated;
+}
+
 export async function listChatSessions({
   microsite,
   leadId,
@@ -65,4 +97,22 @@ export async function listChatSessions({
   return { items, total };
 }
 
+// Move the sessions of merged leads onto the lead they were merged into
+export async function reassignChatSessions(fromLeadIds, toLeadId) {
+  const fromIds = new Set(fromLeadIds.map(String));
+  const store = await loadStore();
+  let moved = 0;
+
+  store.sessions = store.sessions.map((session) => {
+    if (session.leadId === undefined || session.leadId === null || !fromIds.has(String(session.leadId))) {
+      return session;
+    }
+    moved += 1;
+    return { ...session, leadId: toLeadId, updatedAt: new Date().toISOString() };
+  });
 
+  if (moved > 0) {
+    await saveStore(store);
+  }
+  return moved;
+}
@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "crm-outbox.json";
+const DEFAULT_STORE = { entries: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function createOutboxEntry({ leadId, payload, nextAttemptAt = new Date() }) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    leadId,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date(nextAttemptAt).toISOString(),
+    responseStatus: null,
+    responseBody: null,
+    error: null,
+    sentAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadStore();
+  store.entries = [entry, ...store.entries];
+  await saveStore(store);
+  return entry;
+}
+
+export async function getOutboxEntryById(id) {
+  const store = await loadStore();
+  return store.entries.find((entry) => String(entry.id) === String(id)) || null;
+}
+
+export async function updateOutboxEntry(id, updates) {
+  const store = await loadStore();
+  const index = store.entries.findIndex((entry) => String(entry.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["status", "attempts", "nextAttemptAt", "responseStatus", "responseBody", "error", "sentAt"];
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+  for (const key of ["nextAttemptAt", "sentAt"]) {
+    if (changes[key]) {
+      changes[key] = new Date(changes[key]).toISOString();
+    }
+  }
+
+  const updated = {
+    ...store.entries[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.entries[index] = updated;
+  await saveStore(store);
+  return updated;
+}
+
+// Pending entries whose next attempt is due, oldest first
+export async function listDueOutboxEntries({ now = new Date(), limit = 50 } = {}) {
+  const store = await loadStore();
+  const nowTime = new Date(now).getTime();
+
+  return store.entries
+    .filter((entry) => entry.status === "pending" && new Date(entry.nextAttemptAt).getTime() <= nowTime)
+    .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+    .slice(0, Number(limit));
+}
+
+// Newest first
+export async function listLeadOutboxEntries(leadId) {
+  const store = await loadStore();
+  return store.entries.filter((entry) => String(entry.leadId) === String(leadId));
+}
+
+// Newest first, optionally only one status
+export async function listOutboxEntries({ status, limit = 100 } = {}) {
+  const store = await loadStore();
+  return store.entries
+    .filter((entry) => !status || entry.status === status)
+    .slice(0, Number(limit));
+}
+
+export async function countOutboxEntriesByStatus() {
+  const store = await loadStore();
+  const counts = { pending: 0, sent: 0, failed: 0 };
+  for (const entry of store.entries) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+  return counts;
+}
+
+// Keep the CRM forwards of merged leads on the lead they were merged into
+export async function reassignOutboxEntries(fromLeadIds, toLeadId) {
+  const fromIds = new Set(fromLeadIds.map(String));
+  const store = await loadStore();
+  let moved = 0;
+
+  store.entries = store.entries.map((entry) => {
+    if (!fromIds.has(String(entry.leadId))) {
+      return entry;
+    }
+    moved += 1;
+    return { ...entry, leadId: toLeadId };
+  });
+
+  if (moved > 0) {
+    await saveStore(store);
+  }
+  return moved;
+}
@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const SETTINGS_FILE = "digest-settings.json";
+const DELIVERIES_FILE = "digest-deliveries.json";
+const DEFAULT_SETTINGS = { projects: [] };
+const DEFAULT_DELIVERIES = { deliveries: [] };
+
+// The file store keeps the newest deliveries only
+const MAX_DELIVERIES = 1000;
+
+async function loadSettings() {
+  return readJson(SETTINGS_FILE, DEFAULT_SETTINGS);
+}
+
+async function loadDeliveries() {
+  return readJson(DELIVERIES_FILE, DEFAULT_DELIVERIES);
+}
+
+export async function getDigestSettings(projectId) {
+  const store = await loadSettings();
+  return store.projects.find((settings) => settings.projectId === projectId) || null;
+}
+
+export async function listEnabledDigestSettings() {
+  const store = await loadSettings();
+  return store.projects.filter((settings) => settings.enabled);
+}
+
+// Create or replace a project's digest settings
+export async function saveDigestSettings(projectId, settings) {
+  const store = await loadSettings();
+  const existing = store.projects.find((entry) => entry.projectId === projectId);
+  const now = new Date().toISOString();
+  const saved = {
+    ...settings,
+    projectId,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  store.projects = [saved, ...store.projects.filter((entry) => entry.projectId !== projectId)];
+  await writeJson(SETTINGS_FILE, store);
+  return saved;
+}
+
+export async function createDigestDelivery({ projectId, frequency, periodStart, periodEnd, recipients, manual = false }) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: crypto.randomUUID(),
+    projectId,
+    frequency,
+    periodStart: new Date(periodStart).toISOString(),
+    periodEnd: new Date(periodEnd).toISOString(),
+    recipients,
+    manual,
+    status: "pending",
+    attempts: 0,
+    error: null,
+    sentAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadDeliveries();
+  store.deliveries = [delivery, ...store.deliveries].slice(0, MAX_DELIVERIES);
+  await writeJson(DELIVERIES_FILE, store);
+  return delivery;
+}
+
+export async function updateDigestDelivery(id, updates) {
+  const store = await loadDeliveries();
+  const index = store.deliveries.findIndex((delivery) => String(delivery.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["status", "attempts", "error", "sentAt", "recipients"];
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+  if (changes.sentAt) {
+    changes.sentAt = new Date(changes.sentAt).toISOString();
+  }
+
+  const updated = {
+    ...store.deliveries[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.deliveries[index] = updated;
+  await writeJson(DELIVERIES_FILE, store);
+  return updated;
+}
+
+// The scheduled (not manual) delivery of a project's digest for the period ending at periodEnd
+export async function findScheduledDigestDelivery(projectId, periodEnd) {
+  const store = await loadDeliveries();
+  const endTime = new Date(periodEnd).getTime();
+  return (
+    store.deliveries.find(
+      (delivery) =>
+        delivery.projectId === projectId &&
+        !delivery.manual &&
+        new Date(delivery.periodEnd).getTime() === endTime
+    ) || null
+  );
+}
+
+// Newest first
+export async function listDigestDeliveries({ projectId, limit = 20 } = {}) {
+  const store = await loadDeliveries();
+  return store.deliveries
+    .filter((delivery) => !projectId || delivery.projectId === projectId)
+    .slice(0, Number(limit));
+}
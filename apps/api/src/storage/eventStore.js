@@ -12,13 +12,15 @@ async function saveStore(store) {
   await writeJson(FILE_NAME, store);
 }
 
-export async function recordEvent({ type, projectId, microsite, payload }) {
+export async function recordEvent({ type, projectId, microsite, visitorId = null, sessionId = null, payload }) {
   const now = new Date().toISOString();
   const event = {
     id: crypto.randomUUID(),
     type,
     projectId,
     microsite,
+    visitorId,
+    sessionId,
     payload,
     createdAt: now,
   };
@@ -29,6 +31,38 @@ export async function recordEvent({ type, projectId, microsite, payload }) {
   return event;
 }
 
+// Events recorded against any of these lead ids (payload.leadId) or by any of
+// these widget visitors, oldest first
+export async function listLeadEvents(leadIds = [], { visitorIds = [] } = {}) {
+  const ids = new Set(leadIds.map(String));
+  const visitors = new Set(visitorIds);
+  const store = await loadStore();
+
+  return store.events
+    .filter(
+      (event) =>
+        (event.payload?.leadId !== undefined && ids.has(String(event.payload.leadId))) ||
+        (event.visitorId && visitors.has(event.visitorId))
+    )
+    .reverse();
+}
+
+/**
+ * A widget visitor's or session's events, oldest first (at most `limit`, the
+ * newest ones): the journey that led to a lead.
+ */
+export async function listJourneyEvents({ visitorId, sessionId, limit = 500 }) {
+  const store = await loadStore();
+
+  return store.events
+    .filter(
+      (event) =>
+        (!visitorId || event.visitorId === visitorId) && (!sessionId || event.sessionId === sessionId)
+    )
+    .slice(0, Number(limit))
+    .reverse();
+}
+
 export async function getEventSummary() {
   const store = await loadStore();
 
@@ -45,4 +79,72 @@ export async function getEventSummary() {
   return summary;
 }
 
+/**
+ * Event counts per time bucket and type between startDate and endDate:
+ * [{ bucket, type, count }], where bucket is the Unix time (seconds) the
+ * bucket starts at. Buckets are bucketSeconds long, shifted by offsetSeconds
+ * so days can start at local midnight.
+ */
+export async function countEventsByBucket({
+  projectId,
+  microsite,
+  startDate,
+  endDate,
+  bucketSeconds,
+  offsetSeconds = 0,
+}) {
+  const store = await loadStore();
+  const start = new Date(startDate).getTime();
+  const end = new Date(endDate).getTime();
+  const counts = new Map();
+
+  for (const event of store.events) {
+    const created = new Date(event.createdAt).getTime();
+    if (!(created >= start && created <= end)) continue;
+    if (projectId && String(event.projectId) !== String(projectId)) continue;
+    if (microsite && event.microsite !== microsite) continue;
+
+    const seconds = Math.floor(created / 1000);
+    const bucket = Math.floor((seconds + offsetSeconds) / bucketSeconds) * bucketSeconds - offsetSeconds;
+    const key = `${bucket}|${event.type}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return Array.from(counts, ([key, count]) => {
+    const [bucket, type] = key.split("|");
+    return { bucket: Number(bucket), type, count };
+  });
+}
+
+/**
+ * Events of the given types between startDate and endDate, oldest first, as
+ * { sessionId, projectId, type, label, bhkType, createdAt } for joining a
+ * widget session's choices to its outcome. sessionId is null for events the
+ * widget sent before it tracked sessions (early ones kept it in the payload).
+ */
+export async function listSessionEvents({ projectId, microsite, startDate, endDate, types = [] }) {
+  const store = await loadStore();
+  const start = new Date(startDate).getTime();
+  const end = new Date(endDate).getTime();
 
+  return store.events
+    .filter((event) => {
+      const created = new Date(event.createdAt).getTime();
+      return (
+        created >= start &&
+        created <= end &&
+        types.includes(event.type) &&
+        (!projectId || String(event.projectId) === String(projectId)) &&
+        (!microsite || event.microsite === microsite)
+      );
+    })
+    .reverse()
+    .map((event) => ({
+      sessionId: event.sessionId || event.payload?.sessionId || null,
+      projectId: event.projectId,
+      type: event.type,
+      label: event.payload?.label || null,
+      bhkType: event.payload?.bhkType || null,
+      createdAt: event.createdAt,
+    }));
+}
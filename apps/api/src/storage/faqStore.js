@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "faqs.json";
+const DEFAULT_STORE = { faqs: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function listFaqs({ projectId } = {}) {
+  const store = await loadStore();
+  let collection = store.faqs;
+
+  if (projectId) {
+    collection = collection.filter((faq) => faq.projectId === projectId);
+  }
+
+  return collection;
+}
+
+export async function getFaqById(id) {
+  const store = await loadStore();
+  return store.faqs.find((faq) => faq.id === id) || null;
+}
+
+export async function createFaq({ projectId, question, answer, keywords = [] }) {
+  const now = new Date().toISOString();
+  const faq = {
+    id: crypto.randomUUID(),
+    projectId,
+    question,
+    answer,
+    keywords,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadStore();
+  store.faqs = [faq, ...store.faqs];
+  await saveStore(store);
+  return faq;
+}
+
+export async function updateFaq(id, updates) {
+  const store = await loadStore();
+  const index = store.faqs.findIndex((faq) => faq.id === id);
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["question", "answer", "keywords"];
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+
+  const updated = {
+    ...store.faqs[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.faqs[index] = updated;
+  await saveStore(store);
+  return updated;
+}
+
+export async function deleteFaq(id) {
+  const store = await loadStore();
+  const before = store.faqs.length;
+  store.faqs = store.faqs.filter((faq) => faq.id !== id);
+
+  if (store.faqs.length === before) {
+    return false;
+  }
+
+  await saveStore(store);
+  return true;
+}
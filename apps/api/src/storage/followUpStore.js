@@ -0,0 +1,131 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "lead-follow-ups.json";
+const DEFAULT_STORE = { followUps: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+function byDueDate(a, b) {
+  return new Date(a.dueAt) - new Date(b.dueAt);
+}
+
+export async function listLeadFollowUps(leadId) {
+  const store = await loadStore();
+  return store.followUps.filter((followUp) => String(followUp.leadId) === String(leadId)).sort(byDueDate);
+}
+
+export async function getFollowUpById(id) {
+  const store = await loadStore();
+  return store.followUps.find((followUp) => String(followUp.id) === String(id)) || null;
+}
+
+export async function createFollowUp({ leadId, dueAt, note = null, createdBy = null }) {
+  const now = new Date().toISOString();
+  const followUp = {
+    id: crypto.randomUUID(),
+    leadId,
+    dueAt: new Date(dueAt).toISOString(),
+    note,
+    createdBy,
+    completedAt: null,
+    completedBy: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadStore();
+  store.followUps = [followUp, ...store.followUps];
+  await saveStore(store);
+  return followUp;
+}
+
+export async function updateFollowUp(id, updates) {
+  const store = await loadStore();
+  const index = store.followUps.findIndex((followUp) => String(followUp.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["dueAt", "note", "completedAt", "completedBy"];
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+  if (changes.dueAt) {
+    changes.dueAt = new Date(changes.dueAt).toISOString();
+  }
+
+  const updated = {
+    ...store.followUps[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.followUps[index] = updated;
+  await saveStore(store);
+  return updated;
+}
+
+/**
+ * Open follow-ups due before `dueBefore` (all open ones without it), soonest
+ * first, each with a summary of its lead. `owner` and `microsite` filter on
+ * the lead; `owner: "unassigned"` matches leads without an owner.
+ */
+export async function listDueFollowUps({ dueBefore, owner, microsite, limit = 200 } = {}) {
+  const store = await loadStore();
+  const { leads } = await readJson("leads.json", { leads: [] });
+  const leadsById = new Map(leads.map((lead) => [String(lead.id), lead]));
+  const before = dueBefore ? new Date(dueBefore).getTime() : Infinity;
+
+  return store.followUps
+    .filter((followUp) => !followUp.completedAt && new Date(followUp.dueAt).getTime() <= before)
+    .map((followUp) => ({ followUp, lead: leadsById.get(String(followUp.leadId)) }))
+    .filter(({ lead }) => {
+      if (!lead) return false;
+      if (microsite && lead.microsite !== microsite) return false;
+      if (owner === "unassigned") return !lead.assignedTo;
+      if (owner && lead.assignedTo !== owner) return false;
+      return true;
+    })
+    .sort((a, b) => byDueDate(a.followUp, b.followUp))
+    .slice(0, Number(limit))
+    .map(({ followUp, lead }) => ({
+      ...followUp,
+      lead: {
+        id: lead.id,
+        phone: lead.phone,
+        name: lead.metadata?.name || null,
+        microsite: lead.microsite,
+        bhkType: lead.bhkType,
+        status: lead.status,
+        assignedTo: lead.assignedTo ?? null,
+      },
+    }));
+}
+
+// Keep the follow-ups of merged leads on the lead they were merged into
+export async function reassignFollowUps(fromLeadIds, toLeadId) {
+  const fromIds = new Set(fromLeadIds.map(String));
+  const store = await loadStore();
+  let moved = 0;
+
+  store.followUps = store.followUps.map((followUp) => {
+    if (!fromIds.has(String(followUp.leadId))) {
+      return followUp;
+    }
+    moved += 1;
+    return { ...followUp, leadId: toLeadId };
+  });
+
+  if (moved > 0) {
+    await saveStore(store);
+  }
+  return moved;
+}
@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "lead-history.json";
+const DEFAULT_STORE = { entries: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+/**
+ * Record a status / owner change of a lead. `fromStatus` / `toStatus` and
+ * `fromOwner` / `toOwner` are equal when only the other one changed.
+ */
+export async function addLeadHistoryEntry({
+  leadId,
+  fromStatus = null,
+  toStatus = null,
+  fromOwner = null,
+  toOwner = null,
+  changedBy = null,
+  note = null,
+}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    leadId,
+    fromStatus,
+    toStatus,
+    fromOwner,
+    toOwner,
+    changedBy,
+    note,
+    createdAt: new Date().toISOString(),
+  };
+
+  const store = await loadStore();
+  store.entries = [entry, ...store.entries];
+  await saveStore(store);
+  return entry;
+}
+
+// Newest first
+export async function listLeadHistory(leadId) {
+  const store = await loadStore();
+  return store.entries.filter((entry) => String(entry.leadId) === String(leadId));
+}
+
+// Keep the history of merged leads on the lead they were merged into
+export async function reassignLeadHistory(fromLeadIds, toLeadId) {
+  const fromIds = new Set(fromLeadIds.map(String));
+  const store = await loadStore();
+  let moved = 0;
+
+  store.entries = store.entries.map((entry) => {
+    if (!fromIds.has(String(entry.leadId))) {
+      return entry;
+    }
+    moved += 1;
+    return { ...entry, leadId: toLeadId };
+  });
+
+  if (moved > 0) {
+    await saveStore(store);
+  }
+  return moved;
+}
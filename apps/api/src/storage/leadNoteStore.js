@@ -0,0 +1,69 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "lead-notes.json";
+const DEFAULT_STORE = { notes: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+// Newest first
+export async function listLeadNotes(leadId) {
+  const store = await loadStore();
+  return store.notes.filter((note) => String(note.leadId) === String(leadId));
+}
+
+export async function createLeadNote({ leadId, body, author = null }) {
+  const note = {
+    id: crypto.randomUUID(),
+    leadId,
+    body,
+    author,
+    createdAt: new Date().toISOString(),
+  };
+
+  const store = await loadStore();
+  store.notes = [note, ...store.notes];
+  await saveStore(store);
+  return note;
+}
+
+export async function deleteLeadNote(leadId, noteId) {
+  const store = await loadStore();
+  const remaining = store.notes.filter(
+    (note) => !(String(note.id) === String(noteId) && String(note.leadId) === String(leadId))
+  );
+
+  if (remaining.length === store.notes.length) {
+    return false;
+  }
+
+  store.notes = remaining;
+  await saveStore(store);
+  return true;
+}
+
+// Keep the notes of merged leads on the lead they were merged into
+export async function reassignLeadNotes(fromLeadIds, toLeadId) {
+  const fromIds = new Set(fromLeadIds.map(String));
+  const store = await loadStore();
+  let moved = 0;
+
+  store.notes = store.notes.map((note) => {
+    if (!fromIds.has(String(note.leadId))) {
+      return note;
+    }
+    moved += 1;
+    return { ...note, leadId: toLeadId };
+  });
+
+  if (moved > 0) {
+    await saveStore(store);
+  }
+  return moved;
+}
@@ -19,6 +19,8 @@ export async function createLead({
   microsite,
   metadata = {},
   conversation = [],
+  duplicateOf = null,
+  leadSource = "ChatWidget",
 }) {
   const now = new Date().toISOString();
   const lead = {
@@ -27,10 +29,13 @@ export async function createLead({
     bhk,
     bhkType,
     microsite,
-    leadSource: "ChatWidget",
+    leadSource,
     status: "new",
     metadata,
     conversation,
+    duplicateOf,
+    assignedTo: null,
+    score: null,
     createdAt: now,
     updatedAt: now,
   };
@@ -46,6 +51,17 @@ export async function listLeads({
   search,
   startDate,
   endDate,
+  status,
+  minScore,
+  sort,
+  bhkType,
+  leadSource,
+  country,
+  utmSource,
+  utmMedium,
+  utmCampaign,
+  hasPhone,
+  owner,
   limit = 50,
   skip = 0,
 } = {}) {
@@ -101,10 +117,203 @@ export async function listLeads({
     });
   }
 
+  if (status) {
+    collection = collection.filter((lead) => (lead.status || "new") === status);
+  }
+
+  if (minScore !== undefined && minScore !== null && minScore !== "") {
+    const threshold = Number(minScore);
+    collection = collection.filter((lead) => (lead.score ?? -1) >= threshold);
+  }
+
+  const sameText = (value, expected) =>
+    String(value ?? "").toLowerCase() === String(expected).toLowerCase();
+
+  if (bhkType) {
+    collection = collection.filter((lead) => sameText(lead.bhkType, bhkType));
+  }
+
+  if (leadSource) {
+    collection = collection.filter((lead) => sameText(lead.leadSource || "ChatWidget", leadSource));
+  }
+
+  if (country) {
+    collection = collection.filter((lead) => sameText(lead.metadata?.phoneCountryCode, country));
+  }
+
+  for (const [key, expected] of [["source", utmSource], ["medium", utmMedium], ["campaign", utmCampaign]]) {
+    if (expected) {
+      collection = collection.filter((lead) => sameText(lead.metadata?.visitor?.utm?.[key], expected));
+    }
+  }
+
+  if (hasPhone !== undefined && hasPhone !== null) {
+    collection = collection.filter((lead) => Boolean(lead.phone) === Boolean(hasPhone));
+  }
+
+  if (owner === "unassigned") {
+    collection = collection.filter((lead) => !lead.assignedTo);
+  } else if (owner) {
+    collection = collection.filter((lead) => lead.assignedTo === owner);
+  }
+
+  // Newest first by default; "score" puts the highest-scoring leads (unscored last) first
+  if (sort === "score") {
+    collection = [...collection].sort(
+      (a, b) => (b.score ?? -1) - (a.score ?? -1) || new Date(b.createdAt) - new Date(a.createdAt)
+    );
+  }
+
   const total = collection.length;
   const items = collection.slice(Number(skip), Number(skip) + Number(limit));
 
   return { items, total };
 }
 
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return Array.from(counts, ([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Distinct values of the filterable lead fields, most common first, each as
+ * { value, count } (countries also carry a label).
+ */
+export async function listLeadFilterOptions({ microsite } = {}) {
+  const store = await loadStore();
+  const leads = microsite ? store.leads.filter((lead) => lead.microsite === microsite) : store.leads;
+
+  const countryNames = new Map(
+    leads
+      .filter((lead) => lead.metadata?.phoneCountryCode)
+      .map((lead) => [lead.metadata.phoneCountryCode, lead.metadata.phoneCountry])
+  );
+
+  return {
+    bhkTypes: countValues(leads.map((lead) => lead.bhkType)),
+    leadSources: countValues(leads.map((lead) => lead.leadSource || "ChatWidget")),
+    countries: countValues(leads.map((lead) => lead.metadata?.phoneCountryCode)).map((option) => ({
+      ...option,
+      label: countryNames.get(option.value) || option.value,
+    })),
+    utmSources: countValues(leads.map((lead) => lead.metadata?.visitor?.utm?.source)),
+    utmMediums: countValues(leads.map((lead) => lead.metadata?.visitor?.utm?.medium)),
+    utmCampaigns: countValues(leads.map((lead) => lead.metadata?.visitor?.utm?.campaign)),
+    owners: countValues(leads.map((lead) => lead.assignedTo)),
+  };
+}
+
+/**
+ * Leads created in the range (duplicates excluded) with just what the
+ * attribution report needs. A lead's project is metadata.projectId, or its
+ * microsite for leads captured without one.
+ */
+export async function listLeadAttributions({ projectId, microsite, startDate, endDate } = {}) {
+  const store = await loadStore();
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
 
+  return store.leads
+    .filter((lead) => {
+      const created = new Date(lead.createdAt);
+      return (
+        !lead.duplicateOf &&
+        (!projectId || (lead.metadata?.projectId || lead.microsite) === projectId) &&
+        (!microsite || lead.microsite === microsite) &&
+        (!start || created >= start) &&
+        (!end || created <= end)
+      );
+    })
+    .map((lead) => ({
+      id: lead.id,
+      status: lead.status || "new",
+      createdAt: lead.createdAt,
+      metadata: { attribution: lead.metadata?.attribution, visitor: lead.metadata?.visitor },
+    }));
+}
+
+export async function getLeadById(id) {
+  const store = await loadStore();
+  return store.leads.find((lead) => String(lead.id) === String(id)) || null;
+}
+
+export async function updateLead(id, updates) {
+  const store = await loadStore();
+  const index = store.leads.findIndex((lead) => String(lead.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["phone", "bhkType", "bhk", "status", "assignedTo", "score", "metadata", "conversation", "location"];
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+
+  const updated = {
+    ...store.leads[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.leads[index] = updated;
+  await saveStore(store);
+  return updated;
+}
+
+/**
+ * Most recently active lead with this phone number (duplicates excluded) updated
+ * at or after `since`, or null.
+ */
+export async function findRecentLeadByPhone(phone, { since } = {}) {
+  const store = await loadStore();
+  const sinceTime = since ? new Date(since).getTime() : 0;
+
+  const matches = store.leads.filter(
+    (lead) =>
+      lead.phone === phone &&
+      !lead.duplicateOf &&
+      new Date(lead.updatedAt || lead.createdAt).getTime() >= sinceTime
+  );
+  matches.sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt));
+  return matches[0] || null;
+}
+
+export async function deleteLead(id) {
+  const store = await loadStore();
+  store.leads = store.leads.filter((lead) => String(lead.id) !== String(id));
+  await saveStore(store);
+  return true;
+}
+
+/**
+ * Apply `updates` to the target lead, point duplicates of the source leads at
+ * the target and remove the sources. Returns the updated target.
+ */
+export async function mergeLeads(targetId, sourceIds, updates) {
+  const store = await loadStore();
+  const sources = new Set(sourceIds.map(String));
+  const now = new Date().toISOString();
+  let merged = null;
+
+  store.leads = store.leads
+    .filter((lead) => !sources.has(String(lead.id)))
+    .map((lead) => {
+      if (String(lead.id) === String(targetId)) {
+        merged = { ...lead, ...updates, updatedAt: now };
+        return merged;
+      }
+      if (lead.duplicateOf && sources.has(String(lead.duplicateOf))) {
+        return { ...lead, duplicateOf: targetId, updatedAt: now };
+      }
+      return lead;
+    });
+
+  await saveStore(store);
+  return merged;
+}
@@ -0,0 +1,86 @@
+import { readJson, writeJson } from "./fileStore.js";
+
+const FILE_NAME = "lead-tags.json";
+const DEFAULT_STORE = { tags: [] };
+
+async function loadStore() {
+  return readJson(FILE_NAME, DEFAULT_STORE);
+}
+
+async function saveStore(store) {
+  await writeJson(FILE_NAME, store);
+}
+
+export async function getLeadTags(leadId) {
+  const store = await loadStore();
+  return store.tags
+    .filter((entry) => String(entry.leadId) === String(leadId))
+    .map((entry) => entry.tag)
+    .sort();
+}
+
+// { [leadId]: [tag, ...] } for a page of leads
+export async function getTagsForLeads(leadIds = []) {
+  const ids = new Set(leadIds.map(String));
+  const store = await loadStore();
+  const byLead = {};
+
+  for (const entry of store.tags) {
+    if (ids.has(String(entry.leadId))) {
+      (byLead[entry.leadId] ||= []).push(entry.tag);
+    }
+  }
+  Object.values(byLead).forEach((tags) => tags.sort());
+  return byLead;
+}
+
+// Replace the lead's tags; returns the saved list
+export async function setLeadTags(leadId, tags) {
+  const store = await loadStore();
+  const now = new Date().toISOString();
+  const existing = new Map(
+    store.tags
+      .filter((entry) => String(entry.leadId) === String(leadId))
+      .map((entry) => [entry.tag, entry])
+  );
+
+  store.tags = [
+    ...store.tags.filter((entry) => String(entry.leadId) !== String(leadId)),
+    ...tags.map((tag) => existing.get(tag) || { leadId, tag, createdAt: now }),
+  ];
+  await saveStore(store);
+  return [...tags].sort();
+}
+
+// Every tag in use, for suggestions
+export async function listAllTags() {
+  const store = await loadStore();
+  return [...new Set(store.tags.map((entry) => entry.tag))].sort();
+}
+
+// Keep the tags of merged leads on the lead they were merged into
+export async function reassignLeadTags(fromLeadIds, toLeadId) {
+  const fromIds = new Set(fromLeadIds.map(String));
+  const store = await loadStore();
+  const targetTags = new Set(
+    store.tags.filter((entry) => String(entry.leadId) === String(toLeadId)).map((entry) => entry.tag)
+  );
+  let moved = 0;
+
+  store.tags = store.tags.flatMap((entry) => {
+    if (!fromIds.has(String(entry.leadId))) {
+      return [entry];
+    }
+    moved += 1;
+    if (targetTags.has(entry.tag)) {
+      return [];
+    }
+    targetTags.add(entry.tag);
+    return [{ ...entry, leadId: toLeadId }];
+  });
+
+  if (moved > 0) {
+    await saveStore(store);
+  }
+  return moved;
+}
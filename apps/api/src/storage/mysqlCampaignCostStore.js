@@ -0,0 +1,81 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for campaign costs (ad spend entered for the attribution report)
+ */
+function toDateString(value) {
+  return value instanceof Date
+    ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+    : String(value).slice(0, 10);
+}
+
+function rowToCost(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    source: row.utm_source,
+    medium: row.utm_medium,
+    campaign: row.utm_campaign,
+    spentOn: toDateString(row.spent_on),
+    amount: Number(row.amount),
+    currency: row.currency,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+// Costs spent between the dates (YYYY-MM-DD, inclusive), latest first
+export async function listCampaignCosts({ projectId, startDate, endDate } = {}) {
+  const whereConditions = [];
+  const params = [];
+
+  if (projectId) {
+    whereConditions.push('project_id = ?');
+    params.push(projectId);
+  }
+  if (startDate) {
+    whereConditions.push('spent_on >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    whereConditions.push('spent_on <= ?');
+    params.push(endDate);
+  }
+
+  const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+  const result = await query(
+    `SELECT * FROM campaign_costs ${whereClause} ORDER BY spent_on DESC, id DESC`,
+    params
+  );
+
+  return result.rows.map(rowToCost);
+}
+
+export async function createCampaignCost({
+  projectId,
+  source,
+  medium = null,
+  campaign = null,
+  spentOn,
+  amount,
+  currency = 'INR',
+  createdBy = null,
+}) {
+  await query(
+    `INSERT INTO campaign_costs (project_id, utm_source, utm_medium, utm_campaign, spent_on, amount, currency, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [projectId, source, medium, campaign, spentOn, amount, currency, createdBy]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM campaign_costs WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToCost(insertedRows.rows[0]);
+}
+
+export async function deleteCampaignCost(id) {
+  const result = await query('DELETE FROM campaign_costs WHERE id = ?', [id]);
+  return (result.rows[0]?.affectedRows || 0) > 0;
+}
@@ -0,0 +1,69 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for custom chat intents (chat_intents, one JSON definition per
+ * intent id) and normalizer synonyms (chat_synonyms)
+ */
+function parseJson(value, fallback) {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return fallback;
+    }
+  }
+  return value ?? fallback;
+}
+
+function rowToIntent(row) {
+  return {
+    ...parseJson(row.definition, {}),
+    id: row.intent_id,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function listCustomIntents() {
+  const result = await query('SELECT * FROM chat_intents ORDER BY intent_id', []);
+  return result.rows.map(rowToIntent);
+}
+
+// Create or replace the custom intent with `intent.id`
+export async function saveCustomIntent(intent, { updatedBy = null } = {}) {
+  const { id, updatedBy: previousUpdatedBy, updatedAt, ...definition } = intent;
+  await query(
+    `INSERT INTO chat_intents (intent_id, definition, updated_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE definition = VALUES(definition), updated_by = VALUES(updated_by)`,
+    [id, JSON.stringify(definition), updatedBy]
+  );
+
+  const result = await query('SELECT * FROM chat_intents WHERE intent_id = ?', [id]);
+  return rowToIntent(result.rows[0]);
+}
+
+export async function deleteCustomIntent(id) {
+  const result = await query('DELETE FROM chat_intents WHERE intent_id = ?', [id]);
+  return (result.rows[0]?.affectedRows || 0) > 0;
+}
+
+export async function listCustomSynonyms() {
+  const result = await query('SELECT canonical, variants FROM chat_synonyms ORDER BY canonical', []);
+  return Object.fromEntries(result.rows.map((row) => [row.canonical, parseJson(row.variants, [])]));
+}
+
+export async function saveCustomSynonyms(canonical, variants) {
+  await query(
+    `INSERT INTO chat_synonyms (canonical, variants)
+     VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE variants = VALUES(variants)`,
+    [canonical, JSON.stringify(variants)]
+  );
+  return { canonical, variants };
+}
+
+export async function deleteCustomSynonyms(canonical) {
+  const result = await query('DELETE FROM chat_synonyms WHERE canonical = ?', [canonical]);
+  return (result.rows[0]?.affectedRows || 0) > 0;
+}
@@ -5,8 +5,8 @@ import { query } from '../db/mysql.js';
  */
 export async function createChatSession(data) {
   await query(
-    `INSERT INTO chat_sessions (microsite, project_id, lead_id, phone, bhk_type, conversation, metadata, location)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO chat_sessions (microsite, project_id, lead_id, phone, bhk_type, conversation, metadata, location, token_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       data.microsite,
       data.projectId || null,
@@ -15,7 +15,8 @@ export async function createChatSession(data) {
       data.bhkType || null,
       JSON.stringify(data.conversation || []),
       JSON.stringify(data.metadata || {}),
-      JSON.stringify(data.location || null)
+      JSON.stringify(data.location || null),
+      data.tokenHash || null
     ]
   );
   
@@ -53,6 +54,20 @@ export async function getChatSessionById(id) {
   };
 }
 
+// The session a chat API token belongs to (see chat/chatSession.js)
+export async function getChatSessionByTokenHash(tokenHash) {
+  const result = await query(
+    'SELECT * FROM chat_sessions WHERE token_hash = ?',
+    [tokenHash]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return await getChatSessionById(result.rows[0].id);
+}
+
 export async function getChatSessionsByLeadId(leadId) {
   const result = await query(
     'SELECT * FROM chat_sessions WHERE lead_id = ? ORDER BY created_at DESC',
@@ -150,6 +165,18 @@ export async function updateChatSession(id, updates) {
     fields.push(`location = ?`);
     values.push(JSON.stringify(updates.location));
   }
+  if (updates.leadId !== undefined) {
+    fields.push(`lead_id = ?`);
+    values.push(updates.leadId ? parseInt(updates.leadId, 10) : null);
+  }
+  if (updates.phone !== undefined) {
+    fields.push(`phone = ?`);
+    values.push(updates.phone || null);
+  }
+  if (updates.bhkType !== undefined) {
+    fields.push(`bhk_type = ?`);
+    values.push(updates.bhkType || null);
+  }
 
   if (fields.length === 0) {
     return await getChatSessionById(id);
@@ -170,3 +197,17 @@ export async function deleteChatSession(id) {
   return true;
 }
 
+
+// Move the sessions of merged leads onto the lead they were merged into
+export async function reassignChatSessions(fromLeadIds, toLeadId) {
+  if (fromLeadIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = fromLeadIds.map(() => '?').join(', ');
+  const result = await query(
+    `UPDATE chat_sessions SET lead_id = ? WHERE lead_id IN (${placeholders})`,
+    [toLeadId, ...fromLeadIds]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
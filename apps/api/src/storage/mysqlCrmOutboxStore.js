@@ -0,0 +1,140 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for the CRM forwarding outbox
+ */
+function rowToOutboxEntry(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || {}),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    error: row.error,
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function createOutboxEntry({ leadId, payload, nextAttemptAt = new Date() }) {
+  await query(
+    `INSERT INTO crm_outbox (lead_id, payload, status, attempts, next_attempt_at)
+     VALUES (?, ?, 'pending', 0, ?)`,
+    [leadId, JSON.stringify(payload || {}), new Date(nextAttemptAt)]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM crm_outbox WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToOutboxEntry(insertedRows.rows[0]);
+}
+
+export async function getOutboxEntryById(id) {
+  const result = await query('SELECT * FROM crm_outbox WHERE id = ?', [id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return rowToOutboxEntry(result.rows[0]);
+}
+
+export async function updateOutboxEntry(id, updates) {
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of [
+    ['status', 'status'],
+    ['attempts', 'attempts'],
+    ['responseStatus', 'response_status'],
+    ['responseBody', 'response_body'],
+    ['error', 'error'],
+  ]) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(updates[key]);
+    }
+  }
+  for (const [key, column] of [['nextAttemptAt', 'next_attempt_at'], ['sentAt', 'sent_at']]) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(updates[key] ? new Date(updates[key]) : null);
+    }
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(`UPDATE crm_outbox SET ${fields.join(', ')} WHERE id = ?`, values);
+  }
+
+  return await getOutboxEntryById(id);
+}
+
+// Pending entries whose next attempt is due, oldest first
+export async function listDueOutboxEntries({ now = new Date(), limit = 50 } = {}) {
+  // MySQL doesn't support placeholders for LIMIT - use a safe integer
+  const safeLimit = Math.max(1, Math.min(500, Math.floor(Number(limit) || 50)));
+
+  const result = await query(
+    `SELECT * FROM crm_outbox
+     WHERE status = 'pending' AND next_attempt_at <= ?
+     ORDER BY next_attempt_at ASC
+     LIMIT ${safeLimit}`,
+    [new Date(now)]
+  );
+
+  return result.rows.map(rowToOutboxEntry);
+}
+
+// Newest first
+export async function listLeadOutboxEntries(leadId) {
+  const result = await query(
+    'SELECT * FROM crm_outbox WHERE lead_id = ? ORDER BY created_at DESC, id DESC',
+    [leadId]
+  );
+
+  return result.rows.map(rowToOutboxEntry);
+}
+
+// Newest first, optionally only one status
+export async function listOutboxEntries({ status, limit = 100 } = {}) {
+  const safeLimit = Math.max(1, Math.min(500, Math.floor(Number(limit) || 100)));
+
+  const result = status
+    ? await query(
+        `SELECT * FROM crm_outbox WHERE status = ? ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+        [status]
+      )
+    : await query(`SELECT * FROM crm_outbox ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`, []);
+
+  return result.rows.map(rowToOutboxEntry);
+}
+
+export async function countOutboxEntriesByStatus() {
+  const result = await query('SELECT status, COUNT(*) AS count FROM crm_outbox GROUP BY status', []);
+  const counts = { pending: 0, sent: 0, failed: 0 };
+  for (const row of result.rows) {
+    counts[row.status] = Number(row.count);
+  }
+  return counts;
+}
+
+// Keep the CRM forwards of merged leads on the lead they were merged into
+export async function reassignOutboxEntries(fromLeadIds, toLeadId) {
+  if (fromLeadIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = fromLeadIds.map(() => '?').join(', ');
+  const result = await query(
+    `UPDATE crm_outbox SET lead_id = ? WHERE lead_id IN (${placeholders})`,
+    [toLeadId, ...fromLeadIds]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
@@ -0,0 +1,159 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for project digest settings and the digest delivery log
+ */
+function parseJson(value, fallback) {
+  return typeof value === 'string' ? JSON.parse(value) : (value ?? fallback);
+}
+
+function rowToSettings(row) {
+  return {
+    projectId: row.project_id,
+    enabled: Boolean(row.enabled),
+    frequency: row.frequency,
+    sendHour: row.send_hour,
+    weekday: row.weekday,
+    utcOffset: row.utc_offset,
+    recipients: parseJson(row.recipients, []),
+    attachPdf: Boolean(row.attach_pdf),
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    frequency: row.frequency,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    recipients: parseJson(row.recipients, []),
+    manual: Boolean(row.manual),
+    status: row.status,
+    attempts: row.attempts,
+    error: row.error,
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function getDigestSettings(projectId) {
+  const result = await query('SELECT * FROM project_digests WHERE project_id = ?', [projectId]);
+  return result.rows.length > 0 ? rowToSettings(result.rows[0]) : null;
+}
+
+export async function listEnabledDigestSettings() {
+  const result = await query('SELECT * FROM project_digests WHERE enabled = TRUE', []);
+  return result.rows.map(rowToSettings);
+}
+
+// Create or replace a project's digest settings
+export async function saveDigestSettings(projectId, settings) {
+  await query(
+    `INSERT INTO project_digests (project_id, enabled, frequency, send_hour, weekday, utc_offset, recipients, attach_pdf, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       enabled = VALUES(enabled),
+       frequency = VALUES(frequency),
+       send_hour = VALUES(send_hour),
+       weekday = VALUES(weekday),
+       utc_offset = VALUES(utc_offset),
+       recipients = VALUES(recipients),
+       attach_pdf = VALUES(attach_pdf),
+       updated_by = VALUES(updated_by)`,
+    [
+      projectId,
+      Boolean(settings.enabled),
+      settings.frequency,
+      settings.sendHour,
+      settings.weekday,
+      settings.utcOffset,
+      JSON.stringify(settings.recipients || []),
+      Boolean(settings.attachPdf),
+      settings.updatedBy || null,
+    ]
+  );
+
+  return await getDigestSettings(projectId);
+}
+
+async function getDigestDeliveryById(id) {
+  const result = await query('SELECT * FROM digest_deliveries WHERE id = ?', [id]);
+  return result.rows.length > 0 ? rowToDelivery(result.rows[0]) : null;
+}
+
+export async function createDigestDelivery({ projectId, frequency, periodStart, periodEnd, recipients, manual = false }) {
+  await query(
+    `INSERT INTO digest_deliveries (project_id, frequency, period_start, period_end, recipients, manual)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [projectId, frequency, new Date(periodStart), new Date(periodEnd), JSON.stringify(recipients || []), Boolean(manual)]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM digest_deliveries WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToDelivery(insertedRows.rows[0]);
+}
+
+export async function updateDigestDelivery(id, updates) {
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of [['status', 'status'], ['attempts', 'attempts'], ['error', 'error']]) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(updates[key]);
+    }
+  }
+  if (updates.recipients !== undefined) {
+    fields.push('recipients = ?');
+    values.push(JSON.stringify(updates.recipients));
+  }
+  if (updates.sentAt !== undefined) {
+    fields.push('sent_at = ?');
+    values.push(updates.sentAt ? new Date(updates.sentAt) : null);
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(`UPDATE digest_deliveries SET ${fields.join(', ')} WHERE id = ?`, values);
+  }
+
+  return await getDigestDeliveryById(id);
+}
+
+// The scheduled (not manual) delivery of a project's digest for the period ending at periodEnd
+export async function findScheduledDigestDelivery(projectId, periodEnd) {
+  const result = await query(
+    `SELECT * FROM digest_deliveries
+     WHERE project_id = ? AND period_end = ? AND manual = FALSE
+     ORDER BY id DESC
+     LIMIT 1`,
+    [projectId, new Date(periodEnd)]
+  );
+
+  return result.rows.length > 0 ? rowToDelivery(result.rows[0]) : null;
+}
+
+// Newest first
+export async function listDigestDeliveries({ projectId, limit = 20 } = {}) {
+  const safeLimit = Math.max(1, Math.min(500, Math.floor(Number(limit) || 20)));
+
+  const result = projectId
+    ? await query(
+        `SELECT * FROM digest_deliveries WHERE project_id = ? ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+        [projectId]
+      )
+    : await query(
+        `SELECT * FROM digest_deliveries ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+        []
+      );
+
+  return result.rows.map(rowToDelivery);
+}
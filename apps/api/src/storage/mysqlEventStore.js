@@ -5,12 +5,14 @@ import { query } from '../db/mysql.js';
  */
 export async function createEvent(data) {
   await query(
-    `INSERT INTO events (type, project_id, microsite, payload, location)
-     VALUES (?, ?, ?, ?, ?)`,
+    `INSERT INTO events (type, project_id, microsite, visitor_id, session_id, payload, location)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
     [
       data.type,
       data.projectId,
       data.microsite || null,
+      data.visitorId || null,
+      data.sessionId || null,
       JSON.stringify(data.payload || {}),
       JSON.stringify(data.location || null)
     ]
@@ -102,6 +104,78 @@ export async function getEventById(id) {
   };
 }
 
+// Events recorded against any of these lead ids (payload.leadId) or by any of
+// these widget visitors, oldest first
+export async function listLeadEvents(leadIds = [], { visitorIds = [] } = {}) {
+  if (leadIds.length === 0 && visitorIds.length === 0) {
+    return [];
+  }
+
+  const conditions = [];
+  const params = [];
+  if (leadIds.length > 0) {
+    conditions.push(`JSON_UNQUOTE(JSON_EXTRACT(payload, '$.leadId')) IN (${leadIds.map(() => '?').join(', ')})`);
+    params.push(...leadIds.map(String));
+  }
+  if (visitorIds.length > 0) {
+    conditions.push(`visitor_id IN (${visitorIds.map(() => '?').join(', ')})`);
+    params.push(...visitorIds);
+  }
+
+  const result = await query(
+    `SELECT * FROM events
+     WHERE ${conditions.join(' OR ')}
+     ORDER BY created_at ASC, id ASC`,
+    params
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || {}),
+    location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
+  }));
+}
+
+/**
+ * A widget visitor's or session's events, oldest first (at most `limit`, the
+ * newest ones): the journey that led to a lead.
+ */
+export async function listJourneyEvents({ visitorId, sessionId, limit = 500 }) {
+  const whereConditions = [];
+  const params = [];
+
+  if (visitorId) {
+    whereConditions.push('visitor_id = ?');
+    params.push(visitorId);
+  }
+
+  if (sessionId) {
+    whereConditions.push('session_id = ?');
+    params.push(sessionId);
+  }
+
+  if (whereConditions.length === 0) {
+    return [];
+  }
+
+  // MySQL doesn't support placeholders for LIMIT - use a safe integer
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(Number(limit) || 500)));
+
+  const result = await query(
+    `SELECT * FROM events
+     WHERE ${whereConditions.join(' AND ')}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${safeLimit}`,
+    params
+  );
+
+  return result.rows.reverse().map(row => ({
+    ...row,
+    payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || {}),
+    location: typeof row.location === 'string' ? JSON.parse(row.location) : (row.location || null),
+  }));
+}
+
 export async function deleteEvent(id) {
   await query('DELETE FROM events WHERE id = ?', [id]);
   return true;
@@ -158,3 +232,102 @@ export async function getEventSummary() {
   };
 }
 
+/**
+ * Event counts per time bucket and type between startDate and endDate:
+ * [{ bucket, type, count }], where bucket is the Unix time (seconds) the
+ * bucket starts at. Buckets are bucketSeconds long, shifted by offsetSeconds
+ * so days can start at local midnight.
+ */
+export async function countEventsByBucket({
+  projectId,
+  microsite,
+  startDate,
+  endDate,
+  bucketSeconds,
+  offsetSeconds = 0,
+}) {
+  const whereConditions = ['created_at BETWEEN ? AND ?'];
+  const params = [new Date(startDate), new Date(endDate)];
+
+  if (projectId) {
+    whereConditions.push('project_id = ?');
+    params.push(projectId);
+  }
+
+  if (microsite) {
+    whereConditions.push('microsite = ?');
+    params.push(microsite);
+  }
+
+  // Bucket sizes and offsets are whole seconds; inline them as safe integers
+  const size = Math.max(1, Math.floor(Number(bucketSeconds)));
+  const offset = Math.floor(Number(offsetSeconds) || 0);
+
+  // UNIX_TIMESTAMP keeps the buckets independent of the session time zone
+  const result = await query(
+    `SELECT FLOOR((UNIX_TIMESTAMP(created_at) + ${offset}) / ${size}) * ${size} - ${offset} AS bucket,
+            type,
+            COUNT(*) AS count
+     FROM events
+     WHERE ${whereConditions.join(' AND ')}
+     GROUP BY bucket, type`,
+    params
+  );
+
+  return result.rows.map((row) => ({
+    bucket: Number(row.bucket),
+    type: row.type,
+    count: Number(row.count),
+  }));
+}
+
+/**
+ * Events of the given types between startDate and endDate, oldest first, as
+ * { sessionId, projectId, type, label, bhkType, createdAt } for joining a
+ * widget session's choices to its outcome. sessionId is null for events the
+ * widget sent before it tracked sessions (early ones kept it in the payload).
+ */
+export async function listSessionEvents({ projectId, microsite, startDate, endDate, types = [] }) {
+  if (types.length === 0) {
+    return [];
+  }
+
+  const whereConditions = [
+    `type IN (${types.map(() => '?').join(', ')})`,
+    'created_at BETWEEN ? AND ?',
+  ];
+  const params = [...types, new Date(startDate), new Date(endDate)];
+
+  if (projectId) {
+    whereConditions.push('project_id = ?');
+    params.push(projectId);
+  }
+
+  if (microsite) {
+    whereConditions.push('microsite = ?');
+    params.push(microsite);
+  }
+
+  const result = await query(
+    `SELECT project_id, type, created_at,
+            COALESCE(session_id, JSON_UNQUOTE(JSON_EXTRACT(payload, '$.sessionId'))) AS session_id,
+            JSON_UNQUOTE(JSON_EXTRACT(payload, '$.label')) AS label,
+            JSON_UNQUOTE(JSON_EXTRACT(payload, '$.bhkType')) AS bhk_type
+     FROM events
+     WHERE ${whereConditions.join(' AND ')}
+     ORDER BY created_at ASC, id ASC`,
+    params
+  );
+
+  // JSON_UNQUOTE turns a JSON null into the string "null"
+  const text = (value) => (value === null || value === 'null' ? null : value);
+
+  return result.rows.map((row) => ({
+    sessionId: text(row.session_id),
+    projectId: row.project_id,
+    type: row.type,
+    label: text(row.label),
+    bhkType: text(row.bhk_type),
+    createdAt: row.created_at,
+  }));
+}
@@ -0,0 +1,84 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for project FAQs (knowledge base)
+ */
+function rowToFaq(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    question: row.question,
+    answer: row.answer,
+    keywords: typeof row.keywords === 'string' ? JSON.parse(row.keywords) : (row.keywords || []),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function listFaqs({ projectId } = {}) {
+  const result = projectId
+    ? await query('SELECT * FROM project_faqs WHERE project_id = ? ORDER BY created_at DESC', [projectId])
+    : await query('SELECT * FROM project_faqs ORDER BY created_at DESC', []);
+
+  return result.rows.map(rowToFaq);
+}
+
+export async function getFaqById(id) {
+  const result = await query('SELECT * FROM project_faqs WHERE id = ?', [id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return rowToFaq(result.rows[0]);
+}
+
+export async function createFaq({ projectId, question, answer, keywords = [] }) {
+  await query(
+    `INSERT INTO project_faqs (project_id, question, answer, keywords)
+     VALUES (?, ?, ?, ?)`,
+    [projectId, question, answer, JSON.stringify(keywords || [])]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM project_faqs WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToFaq(insertedRows.rows[0]);
+}
+
+export async function updateFaq(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.question !== undefined) {
+    fields.push('question = ?');
+    values.push(updates.question);
+  }
+  if (updates.answer !== undefined) {
+    fields.push('answer = ?');
+    values.push(updates.answer);
+  }
+  if (updates.keywords !== undefined) {
+    fields.push('keywords = ?');
+    values.push(JSON.stringify(updates.keywords || []));
+  }
+
+  if (fields.length === 0) {
+    return await getFaqById(id);
+  }
+
+  values.push(id);
+  await query(
+    `UPDATE project_faqs SET ${fields.join(', ')} WHERE id = ?`,
+    values
+  );
+
+  return await getFaqById(id);
+}
+
+export async function deleteFaq(id) {
+  const result = await query('DELETE FROM project_faqs WHERE id = ?', [id]);
+  return (result.rows[0]?.affectedRows || 0) > 0;
+}
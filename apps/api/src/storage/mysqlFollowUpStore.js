@@ -0,0 +1,148 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for lead follow-ups (scheduled callbacks)
+ */
+function rowToFollowUp(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    dueAt: row.due_at,
+    note: row.note,
+    createdBy: row.created_by,
+    completedAt: row.completed_at,
+    completedBy: row.completed_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function listLeadFollowUps(leadId) {
+  const result = await query(
+    'SELECT * FROM lead_follow_ups WHERE lead_id = ? ORDER BY due_at ASC',
+    [leadId]
+  );
+
+  return result.rows.map(rowToFollowUp);
+}
+
+export async function getFollowUpById(id) {
+  const result = await query('SELECT * FROM lead_follow_ups WHERE id = ?', [id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return rowToFollowUp(result.rows[0]);
+}
+
+export async function createFollowUp({ leadId, dueAt, note = null, createdBy = null }) {
+  await query(
+    `INSERT INTO lead_follow_ups (lead_id, due_at, note, created_by)
+     VALUES (?, ?, ?, ?)`,
+    [leadId, new Date(dueAt), note, createdBy]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM lead_follow_ups WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToFollowUp(insertedRows.rows[0]);
+}
+
+export async function updateFollowUp(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.dueAt !== undefined) {
+    fields.push('due_at = ?');
+    values.push(new Date(updates.dueAt));
+  }
+  if (updates.note !== undefined) {
+    fields.push('note = ?');
+    values.push(updates.note);
+  }
+  if (updates.completedAt !== undefined) {
+    fields.push('completed_at = ?');
+    values.push(updates.completedAt ? new Date(updates.completedAt) : null);
+  }
+  if (updates.completedBy !== undefined) {
+    fields.push('completed_by = ?');
+    values.push(updates.completedBy);
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(`UPDATE lead_follow_ups SET ${fields.join(', ')} WHERE id = ?`, values);
+  }
+
+  return await getFollowUpById(id);
+}
+
+/**
+ * Open follow-ups due before `dueBefore` (all open ones without it), soonest
+ * first, each with a summary of its lead. `owner` and `microsite` filter on
+ * the lead; `owner: "unassigned"` matches leads without an owner.
+ */
+export async function listDueFollowUps({ dueBefore, owner, microsite, limit = 200 } = {}) {
+  const whereConditions = ['f.completed_at IS NULL'];
+  const params = [];
+
+  if (dueBefore) {
+    whereConditions.push('f.due_at <= ?');
+    params.push(new Date(dueBefore));
+  }
+  if (microsite) {
+    whereConditions.push('l.microsite = ?');
+    params.push(microsite);
+  }
+  if (owner === 'unassigned') {
+    whereConditions.push('l.assigned_to IS NULL');
+  } else if (owner) {
+    whereConditions.push('l.assigned_to = ?');
+    params.push(owner);
+  }
+
+  // MySQL doesn't support placeholders for LIMIT - use a safe integer
+  const safeLimit = Math.max(1, Math.min(1000, Math.floor(Number(limit) || 200)));
+
+  const result = await query(
+    `SELECT f.*, l.phone AS lead_phone, l.microsite AS lead_microsite, l.bhk_type AS lead_bhk_type,
+            l.status AS lead_status, l.assigned_to AS lead_assigned_to,
+            JSON_UNQUOTE(JSON_EXTRACT(l.metadata, '$.name')) AS lead_name
+     FROM lead_follow_ups f
+     JOIN leads l ON l.id = f.lead_id
+     WHERE ${whereConditions.join(' AND ')}
+     ORDER BY f.due_at ASC
+     LIMIT ${safeLimit}`,
+    params
+  );
+
+  return result.rows.map((row) => ({
+    ...rowToFollowUp(row),
+    lead: {
+      id: row.lead_id,
+      phone: row.lead_phone,
+      name: row.lead_name || null,
+      microsite: row.lead_microsite,
+      bhkType: row.lead_bhk_type,
+      status: row.lead_status,
+      assignedTo: row.lead_assigned_to,
+    },
+  }));
+}
+
+// Keep the follow-ups of merged leads on the lead they were merged into
+export async function reassignFollowUps(fromLeadIds, toLeadId) {
+  if (fromLeadIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = fromLeadIds.map(() => '?').join(', ');
+  const result = await query(
+    `UPDATE lead_follow_ups SET lead_id = ? WHERE lead_id IN (${placeholders})`,
+    [toLeadId, ...fromLeadIds]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
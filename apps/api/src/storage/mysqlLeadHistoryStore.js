@@ -0,0 +1,65 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for lead status / owner changes
+ */
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    fromOwner: row.from_owner,
+    toOwner: row.to_owner,
+    changedBy: row.changed_by,
+    note: row.note,
+    createdAt: row.created_at,
+  };
+}
+
+export async function addLeadHistoryEntry({
+  leadId,
+  fromStatus = null,
+  toStatus = null,
+  fromOwner = null,
+  toOwner = null,
+  changedBy = null,
+  note = null,
+}) {
+  await query(
+    `INSERT INTO lead_status_history (lead_id, from_status, to_status, from_owner, to_owner, changed_by, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [leadId, fromStatus, toStatus, fromOwner, toOwner, changedBy, note]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM lead_status_history WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToEntry(insertedRows.rows[0]);
+}
+
+// Newest first
+export async function listLeadHistory(leadId) {
+  const result = await query(
+    'SELECT * FROM lead_status_history WHERE lead_id = ? ORDER BY created_at DESC, id DESC',
+    [leadId]
+  );
+
+  return result.rows.map(rowToEntry);
+}
+
+// Keep the history of merged leads on the lead they were merged into
+export async function reassignLeadHistory(fromLeadIds, toLeadId) {
+  if (fromLeadIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = fromLeadIds.map(() => '?').join(', ');
+  const result = await query(
+    `UPDATE lead_status_history SET lead_id = ? WHERE lead_id IN (${placeholders})`,
+    [toLeadId, ...fromLeadIds]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
@@ -0,0 +1,58 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for lead notes
+ */
+function rowToNote(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    body: row.body,
+    author: row.author,
+    createdAt: row.created_at,
+  };
+}
+
+// Newest first
+export async function listLeadNotes(leadId) {
+  const result = await query(
+    'SELECT * FROM lead_notes WHERE lead_id = ? ORDER BY created_at DESC, id DESC',
+    [leadId]
+  );
+
+  return result.rows.map(rowToNote);
+}
+
+export async function createLeadNote({ leadId, body, author = null }) {
+  await query(
+    `INSERT INTO lead_notes (lead_id, body, author)
+     VALUES (?, ?, ?)`,
+    [leadId, body, author]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM lead_notes WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToNote(insertedRows.rows[0]);
+}
+
+export async function deleteLeadNote(leadId, noteId) {
+  const result = await query('DELETE FROM lead_notes WHERE id = ? AND lead_id = ?', [noteId, leadId]);
+  return (result.rows[0]?.affectedRows || 0) > 0;
+}
+
+// Keep the notes of merged leads on the lead they were merged into
+export async function reassignLeadNotes(fromLeadIds, toLeadId) {
+  if (fromLeadIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = fromLeadIds.map(() => '?').join(', ');
+  const result = await query(
+    `UPDATE lead_notes SET lead_id = ? WHERE lead_id IN (${placeholders})`,
+    [toLeadId, ...fromLeadIds]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
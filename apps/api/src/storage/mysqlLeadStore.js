@@ -5,8 +5,8 @@ import { query } from '../db/mysql.js';
  */
 export async function createLead(data) {
   const result = await query(
-    `INSERT INTO leads (phone, bhk_type, bhk, microsite, lead_source, status, metadata, conversation, location)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO leads (phone, bhk_type, bhk, microsite, lead_source, status, metadata, conversation, location, duplicate_of)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       data.phone || null,
       data.bhkType,
@@ -16,7 +16,8 @@ export async function createLead(data) {
       data.status || 'new',
       JSON.stringify(data.metadata || {}),
       JSON.stringify(data.conversation || []),
-      JSON.stringify(data.location || null)
+      JSON.stringify(data.location || null),
+      data.duplicateOf || null
     ]
   );
   
@@ -72,6 +73,39 @@ export async function listLeads(filters = {}) {
     params.push(filters.status);
   }
 
+  if (filters.minScore !== undefined && filters.minScore !== null && filters.minScore !== '') {
+    whereConditions.push(`score >= ?`);
+    params.push(Number(filters.minScore));
+  }
+
+  // utm_* and phone_country are generated from metadata (see mysql-schema.sql) so they can be indexed
+  for (const [filter, column] of [
+    ['bhkType', 'bhk_type'],
+    ['leadSource', 'lead_source'],
+    ['country', 'phone_country'],
+    ['utmSource', 'utm_source'],
+    ['utmMedium', 'utm_medium'],
+    ['utmCampaign', 'utm_campaign'],
+  ]) {
+    if (filters[filter]) {
+      whereConditions.push(`${column} = ?`);
+      params.push(filters[filter]);
+    }
+  }
+
+  if (filters.hasPhone === true) {
+    whereConditions.push(`phone IS NOT NULL AND phone <> ''`);
+  } else if (filters.hasPhone === false) {
+    whereConditions.push(`(phone IS NULL OR phone = '')`);
+  }
+
+  if (filters.owner === 'unassigned') {
+    whereConditions.push(`assigned_to IS NULL`);
+  } else if (filters.owner) {
+    whereConditions.push(`assigned_to = ?`);
+    params.push(filters.owner);
+  }
+
   const whereClause = whereConditions.length > 0 
     ? `WHERE ${whereConditions.join(' AND ')}`
     : '';
@@ -93,9 +127,12 @@ export async function listLeads(filters = {}) {
   const safeSkip = Math.max(0, Math.floor(skip));
   const safeLimit = Math.max(1, Math.min(1000, Math.floor(limit))); // Max 1000 per page
   
+  // Newest first by default; "score" puts the highest-scoring leads (unscored last) first
+  const orderBy = filters.sort === 'score' ? 'score DESC, created_at DESC' : 'created_at DESC';
+
   const itemsResult = await query(
     `SELECT * FROM leads ${whereClause}
-     ORDER BY created_at DESC
+     ORDER BY ${orderBy}
      LIMIT ${safeLimit} OFFSET ${safeSkip}`,
     params
   );
@@ -111,6 +148,92 @@ export async function listLeads(filters = {}) {
   return { items, total };
 }
 
+/**
+ * Distinct values of the filterable lead columns, most common first, each as
+ * { value, count } (countries also carry a label)
+ */
+export async function listLeadFilterOptions({ microsite } = {}) {
+  const where = microsite ? 'WHERE microsite = ?' : '';
+  const params = microsite ? [microsite] : [];
+
+  const distinct = async (column) => {
+    const result = await query(
+      `SELECT ${column} AS value, COUNT(*) AS count FROM leads ${where}
+       GROUP BY ${column}
+       HAVING value IS NOT NULL AND value <> ''
+       ORDER BY count DESC
+       LIMIT 100`,
+      params
+    );
+    return result.rows.map((row) => ({ value: row.value, count: Number(row.count) }));
+  };
+
+  const countries = await query(
+    `SELECT phone_country AS value,
+            MAX(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.phoneCountry'))) AS label,
+            COUNT(*) AS count
+     FROM leads ${where}
+     GROUP BY phone_country
+     HAVING value IS NOT NULL
+     ORDER BY count DESC`,
+    params
+  );
+
+  return {
+    bhkTypes: await distinct('bhk_type'),
+    leadSources: await distinct('lead_source'),
+    countries: countries.rows.map((row) => ({ value: row.value, label: row.label || row.value, count: Number(row.count) })),
+    utmSources: await distinct('utm_source'),
+    utmMediums: await distinct('utm_medium'),
+    utmCampaigns: await distinct('utm_campaign'),
+    owners: await distinct('assigned_to'),
+  };
+}
+
+/**
+ * Leads created in the range (duplicates excluded) with just what the
+ * attribution report needs. A lead's project is metadata.projectId, or its
+ * microsite for leads captured without one.
+ */
+export async function listLeadAttributions({ projectId, microsite, startDate, endDate } = {}) {
+  const whereConditions = ['duplicate_of IS NULL'];
+  const params = [];
+
+  if (projectId) {
+    whereConditions.push(`COALESCE(JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.projectId')), microsite) = ?`);
+    params.push(projectId);
+  }
+  if (microsite) {
+    whereConditions.push('microsite = ?');
+    params.push(microsite);
+  }
+  if (startDate) {
+    whereConditions.push('created_at >= ?');
+    params.push(new Date(startDate));
+  }
+  if (endDate) {
+    whereConditions.push('created_at <= ?');
+    params.push(new Date(endDate));
+  }
+
+  const result = await query(
+    `SELECT id, status, created_at,
+            JSON_EXTRACT(metadata, '$.attribution') AS attribution,
+            JSON_EXTRACT(metadata, '$.visitor') AS visitor
+     FROM leads
+     WHERE ${whereConditions.join(' AND ')}`,
+    params
+  );
+
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value || undefined);
+  return result.rows.map((row) => ({
+    id: row.id,
+    status: row.status || 'new',
+    createdAt: row.created_at,
+    metadata: { attribution: parse(row.attribution), visitor: parse(row.visitor) },
+  }));
+}
+
 export async function getLeadById(id) {
   const result = await query(
     'SELECT * FROM leads WHERE id = ?',
@@ -150,6 +273,14 @@ export async function updateLead(id, updates) {
     fields.push(`status = ?`);
     values.push(updates.status);
   }
+  if (updates.assignedTo !== undefined) {
+    fields.push(`assigned_to = ?`);
+    values.push(updates.assignedTo);
+  }
+  if (updates.score !== undefined) {
+    fields.push(`score = ?`);
+    values.push(updates.score);
+  }
   if (updates.metadata !== undefined) {
     fields.push(`metadata = ?`);
     values.push(JSON.stringify(updates.metadata));
@@ -182,3 +313,36 @@ export async function deleteLead(id) {
   return true;
 }
 
+/**
+ * Most recently active lead with this phone number (duplicates excluded) updated
+ * at or after `since`, or null.
+ */
+export async function findRecentLeadByPhone(phone, { since } = {}) {
+  const result = await query(
+    `SELECT id FROM leads
+     WHERE phone = ? AND duplicate_of IS NULL AND updated_at >= ?
+     ORDER BY updated_at DESC
+     LIMIT 1`,
+    [phone, since ? new Date(since) : new Date(0)]
+  );
+
+  return result.rows.length > 0 ? await getLeadById(result.rows[0].id) : null;
+}
+
+/**
+ * Apply `updates` to the target lead, point duplicates of the source leads at
+ * the target and remove the sources. Returns the updated target.
+ */
+export async function mergeLeads(targetId, sourceIds, updates) {
+  const placeholders = sourceIds.map(() => '?').join(', ');
+
+  const merged = await updateLead(targetId, updates);
+  await query(
+    `UPDATE leads SET duplicate_of = ? WHERE duplicate_of IN (${placeholders})`,
+    [targetId, ...sourceIds]
+  );
+  await query(`DELETE FROM leads WHERE id IN (${placeholders})`, sourceIds);
+
+  return merged;
+}
+
@@ -0,0 +1,66 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for lead tags
+ */
+export async function getLeadTags(leadId) {
+  const result = await query('SELECT tag FROM lead_tags WHERE lead_id = ? ORDER BY tag', [leadId]);
+  return result.rows.map((row) => row.tag);
+}
+
+// { [leadId]: [tag, ...] } for a page of leads
+export async function getTagsForLeads(leadIds = []) {
+  if (leadIds.length === 0) {
+    return {};
+  }
+
+  const placeholders = leadIds.map(() => '?').join(', ');
+  const result = await query(
+    `SELECT lead_id, tag FROM lead_tags WHERE lead_id IN (${placeholders}) ORDER BY tag`,
+    leadIds
+  );
+
+  const byLead = {};
+  for (const row of result.rows) {
+    (byLead[row.lead_id] ||= []).push(row.tag);
+  }
+  return byLead;
+}
+
+// Replace the lead's tags; returns the saved list
+export async function setLeadTags(leadId, tags) {
+  if (tags.length === 0) {
+    await query('DELETE FROM lead_tags WHERE lead_id = ?', [leadId]);
+    return [];
+  }
+
+  const placeholders = tags.map(() => '?').join(', ');
+  await query(`DELETE FROM lead_tags WHERE lead_id = ? AND tag NOT IN (${placeholders})`, [leadId, ...tags]);
+  await query(
+    `INSERT IGNORE INTO lead_tags (lead_id, tag) VALUES ${tags.map(() => '(?, ?)').join(', ')}`,
+    tags.flatMap((tag) => [leadId, tag])
+  );
+
+  return await getLeadTags(leadId);
+}
+
+// Every tag in use, for suggestions
+export async function listAllTags() {
+  const result = await query('SELECT DISTINCT tag FROM lead_tags ORDER BY tag', []);
+  return result.rows.map((row) => row.tag);
+}
+
+// Keep the tags of merged leads on the lead they were merged into
+export async function reassignLeadTags(fromLeadIds, toLeadId) {
+  if (fromLeadIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = fromLeadIds.map(() => '?').join(', ');
+  // Tags the target already has stay behind and go with the merged lead
+  const result = await query(
+    `UPDATE IGNORE lead_tags SET lead_id = ? WHERE lead_id IN (${placeholders})`,
+    [toLeadId, ...fromLeadIds]
+  );
+  return result.rows[0]?.affectedRows || 0;
+}
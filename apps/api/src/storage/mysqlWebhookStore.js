@@ -0,0 +1,201 @@
+import { query } from '../db/mysql.js';
+
+/**
+ * MySQL storage for outbound webhooks and their delivery log
+ */
+function parseJson(value, fallback) {
+  return typeof value === 'string' ? JSON.parse(value) : (value ?? fallback);
+}
+
+function rowToWebhook(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    secret: row.secret,
+    events: parseJson(row.events, []),
+    microsite: row.microsite,
+    active: Boolean(row.active),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    event: row.event,
+    payload: parseJson(row.payload, {}),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    responseStatus: row.response_status,
+    error: row.error,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function listWebhooks({ microsite } = {}) {
+  const result = microsite
+    ? await query(
+        'SELECT * FROM webhooks WHERE microsite IS NULL OR microsite = ? ORDER BY created_at DESC',
+        [microsite]
+      )
+    : await query('SELECT * FROM webhooks ORDER BY created_at DESC', []);
+
+  return result.rows.map(rowToWebhook);
+}
+
+export async function getWebhookById(id) {
+  const result = await query('SELECT * FROM webhooks WHERE id = ?', [id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return rowToWebhook(result.rows[0]);
+}
+
+// Active webhooks subscribed to the event: global ones plus those for the microsite
+export async function listWebhooksForEvent(event, microsite) {
+  const result = await query(
+    `SELECT * FROM webhooks
+     WHERE active = TRUE
+       AND JSON_CONTAINS(events, JSON_QUOTE(?))
+       AND (microsite IS NULL OR microsite = ?)`,
+    [event, microsite ?? null]
+  );
+
+  return result.rows.map(rowToWebhook);
+}
+
+export async function createWebhook({ name, url, secret, events, microsite = null, active = true, createdBy = null }) {
+  await query(
+    `INSERT INTO webhooks (name, url, secret, events, microsite, active, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [name, url, secret, JSON.stringify(events || []), microsite, active, createdBy]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM webhooks WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToWebhook(insertedRows.rows[0]);
+}
+
+export async function updateWebhook(id, updates) {
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of [['name', 'name'], ['url', 'url'], ['secret', 'secret'], ['microsite', 'microsite'], ['active', 'active']]) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(updates[key]);
+    }
+  }
+  if (updates.events !== undefined) {
+    fields.push('events = ?');
+    values.push(JSON.stringify(updates.events));
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(`UPDATE webhooks SET ${fields.join(', ')} WHERE id = ?`, values);
+  }
+
+  return await getWebhookById(id);
+}
+
+// Deletes the webhook; its delivery log goes with it (ON DELETE CASCADE)
+export async function deleteWebhook(id) {
+  const result = await query('DELETE FROM webhooks WHERE id = ?', [id]);
+  return (result.rows[0]?.affectedRows || 0) > 0;
+}
+
+export async function createDelivery({ webhookId, event, payload, nextAttemptAt = new Date() }) {
+  await query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts, next_attempt_at)
+     VALUES (?, ?, ?, 'pending', 0, ?)`,
+    [webhookId, event, JSON.stringify(payload || {}), new Date(nextAttemptAt)]
+  );
+
+  const insertedRows = await query(
+    'SELECT * FROM webhook_deliveries WHERE id = LAST_INSERT_ID()',
+    []
+  );
+
+  return rowToDelivery(insertedRows.rows[0]);
+}
+
+export async function getDeliveryById(id) {
+  const result = await query('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return rowToDelivery(result.rows[0]);
+}
+
+export async function updateDelivery(id, updates) {
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of [['status', 'status'], ['attempts', 'attempts'], ['responseStatus', 'response_status'], ['error', 'error']]) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(updates[key]);
+    }
+  }
+  for (const [key, column] of [['nextAttemptAt', 'next_attempt_at'], ['deliveredAt', 'delivered_at']]) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = ?`);
+      values.push(updates[key] ? new Date(updates[key]) : null);
+    }
+  }
+
+  if (fields.length > 0) {
+    values.push(id);
+    await query(`UPDATE webhook_deliveries SET ${fields.join(', ')} WHERE id = ?`, values);
+  }
+
+  return await getDeliveryById(id);
+}
+
+// Pending deliveries whose next attempt is due, oldest first
+export async function listDueDeliveries({ now = new Date(), limit = 50 } = {}) {
+  // MySQL doesn't support placeholders for LIMIT - use a safe integer
+  const safeLimit = Math.max(1, Math.min(500, Math.floor(Number(limit) || 50)));
+
+  const result = await query(
+    `SELECT * FROM webhook_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= ?
+     ORDER BY next_attempt_at ASC
+     LIMIT ${safeLimit}`,
+    [new Date(now)]
+  );
+
+  return result.rows.map(rowToDelivery);
+}
+
+// Newest first
+export async function listDeliveries({ webhookId, limit = 50 } = {}) {
+  const safeLimit = Math.max(1, Math.min(500, Math.floor(Number(limit) || 50)));
+
+  const result = webhookId
+    ? await query(
+        `SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+        [webhookId]
+      )
+    : await query(
+        `SELECT * FROM webhook_deliveries ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+        []
+      );
+
+  return result.rows.map(rowToDelivery);
+}
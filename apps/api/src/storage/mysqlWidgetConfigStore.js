@@ -24,7 +24,10 @@ export async function getWidgetConfig(projectId) {
       bubblePosition: 'bottom-right',
       autoOpenDelayMs: 4000,
       welcomeMessage: 'Hi, I\'m Riya from Homesfy 👋\nHow can I help you today?',
-      propertyInfo: {}
+      propertyInfo: {},
+      responseTemplates: {},
+      locale: 'en',
+      leadScoring: {}
     };
   }
 
@@ -44,6 +47,9 @@ export async function getWidgetConfig(projectId) {
     autoOpenDelayMs: row.auto_open_delay_ms,
     welcomeMessage: row.welcome_message,
     propertyInfo: typeof row.property_info === 'string' ? JSON.parse(row.property_info) : (row.property_info || {}),
+    responseTemplates: typeof row.response_templates === 'string' ? JSON.parse(row.response_templates) : (row.response_templates || {}),
+    locale: row.locale || 'en',
+    leadScoring: typeof row.lead_scoring === 'string' ? JSON.parse(row.lead_scoring) : (row.lead_scoring || {}),
   };
 }
 
@@ -63,6 +69,9 @@ function dbRowToConfig(row) {
     autoOpenDelayMs: row.auto_open_delay_ms,
     welcomeMessage: row.welcome_message,
     propertyInfo: typeof row.property_info === 'string' ? JSON.parse(row.property_info) : (row.property_info || {}),
+    responseTemplates: typeof row.response_templates === 'string' ? JSON.parse(row.response_templates) : (row.response_templates || {}),
+    locale: row.locale || 'en',
+    leadScoring: typeof row.lead_scoring === 'string' ? JSON.parse(row.lead_scoring) : (row.lead_scoring || {}),
   };
 }
 
@@ -72,8 +81,8 @@ export async function createWidgetConfig(projectId, config) {
       project_id, agent_name, avatar_url, primary_color, followup_message,
       bhk_prompt, inventory_message, phone_prompt, thank_you_message,
       bubble_position, auto_open_delay_ms, welcome_message, property_info,
-      created_by, updated_by
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      response_templates, locale, lead_scoring, created_by, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       projectId,
       config.agentName || 'Riya from Homesfy',
@@ -88,6 +97,9 @@ export async function createWidgetConfig(projectId, config) {
       config.autoOpenDelayMs || 4000,
       config.welcomeMessage || 'Hi, I\'m Riya from Homesfy 👋\nHow can I help you today?',
       JSON.stringify(config.propertyInfo || {}),
+      JSON.stringify(config.responseTemplates || {}),
+      config.locale || 'en',
+      JSON.stringify(config.leadScoring || {}),
       config.createdBy || null,
       config.updatedBy || null
     ]
@@ -120,13 +132,16 @@ export async function updateWidgetConfig(projectId, updates) {
     autoOpenDelayMs: 'auto_open_delay_ms',
     welcomeMessage: 'welcome_message',
     propertyInfo: 'property_info',
+    responseTemplates: 'response_templates',
+    locale: 'locale',
+    leadScoring: 'lead_scoring',
     updatedBy: 'updated_by'
   };
 
   for (const [key, value] of Object.entries(updates)) {
     const dbField = fieldMap[key];
     if (dbField) {
-      if (key === 'propertyInfo') {
+      if (key === 'propertyInfo' || key === 'responseTemplates' || key === 'leadScoring') {
         fields.push(`${dbField} = ?`);
         values.push(JSON.stringify(value));
       } else {
@@ -167,6 +182,9 @@ export async function updateWidgetConfig(projectId, updates) {
       autoOpenDelayMs: 4000,
       welcomeMessage: 'Hi, I\'m Riya from Homesfy 👋\nHow can I help you today?',
       propertyInfo: {},
+      responseTemplates: {},
+      locale: 'en',
+      leadScoring: {},
       ...updates // Override with provided updates
     };
     return await createWidgetConfig(projectId, configWithDefaults);
@@ -190,6 +208,8 @@ export async function listWidgetConfigs() {
   return result.rows.map(row => ({
     ...row,
     property_info: typeof row.property_info === 'string' ? JSON.parse(row.property_info) : row.property_info,
+    response_templates: typeof row.response_templates === 'string' ? JSON.parse(row.response_templates) : row.response_templates,
+    lead_scoring: typeof row.lead_scoring === 'string' ? JSON.parse(row.lead_scoring) : row.lead_scoring,
   }));
 }
 
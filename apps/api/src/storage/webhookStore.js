@@ -0,0 +1,184 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./fileStore.js";
+
+const WEBHOOKS_FILE = "webhooks.json";
+const DELIVERIES_FILE = "webhook-deliveries.json";
+const DEFAULT_WEBHOOKS = { webhooks: [] };
+const DEFAULT_DELIVERIES = { deliveries: [] };
+
+// The file store keeps the newest finished deliveries only; pending ones are never dropped
+const MAX_FINISHED_DELIVERIES = 2000;
+
+async function loadWebhooks() {
+  return readJson(WEBHOOKS_FILE, DEFAULT_WEBHOOKS);
+}
+
+async function loadDeliveries() {
+  return readJson(DELIVERIES_FILE, DEFAULT_DELIVERIES);
+}
+
+export async function listWebhooks({ microsite } = {}) {
+  const store = await loadWebhooks();
+  return microsite
+    ? store.webhooks.filter((webhook) => !webhook.microsite || webhook.microsite === microsite)
+    : store.webhooks;
+}
+
+export async function getWebhookById(id) {
+  const store = await loadWebhooks();
+  return store.webhooks.find((webhook) => String(webhook.id) === String(id)) || null;
+}
+
+// Active webhooks subscribed to the event: global ones plus those for the microsite
+export async function listWebhooksForEvent(event, microsite) {
+  const store = await loadWebhooks();
+  return store.webhooks.filter(
+    (webhook) =>
+      webhook.active &&
+      webhook.events.includes(event) &&
+      (!webhook.microsite || webhook.microsite === microsite)
+  );
+}
+
+export async function createWebhook({ name, url, secret, events, microsite = null, active = true, createdBy = null }) {
+  const now = new Date().toISOString();
+  const webhook = {
+    id: crypto.randomUUID(),
+    name,
+    url,
+    secret,
+    events,
+    microsite,
+    active,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadWebhooks();
+  store.webhooks = [webhook, ...store.webhooks];
+  await writeJson(WEBHOOKS_FILE, store);
+  return webhook;
+}
+
+export async function updateWebhook(id, updates) {
+  const store = await loadWebhooks();
+  const index = store.webhooks.findIndex((webhook) => String(webhook.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["name", "url", "secret", "events", "microsite", "active"];
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+
+  const updated = {
+    ...store.webhooks[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.webhooks[index] = updated;
+  await writeJson(WEBHOOKS_FILE, store);
+  return updated;
+}
+
+// Deletes the webhook and its delivery log
+export async function deleteWebhook(id) {
+  const store = await loadWebhooks();
+  const remaining = store.webhooks.filter((webhook) => String(webhook.id) !== String(id));
+
+  if (remaining.length === store.webhooks.length) {
+    return false;
+  }
+
+  store.webhooks = remaining;
+  await writeJson(WEBHOOKS_FILE, store);
+
+  const deliveryStore = await loadDeliveries();
+  deliveryStore.deliveries = deliveryStore.deliveries.filter(
+    (delivery) => String(delivery.webhookId) !== String(id)
+  );
+  await writeJson(DELIVERIES_FILE, deliveryStore);
+  return true;
+}
+
+export async function createDelivery({ webhookId, event, payload, nextAttemptAt = new Date() }) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId,
+    event,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date(nextAttemptAt).toISOString(),
+    responseStatus: null,
+    error: null,
+    deliveredAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const store = await loadDeliveries();
+  const finished = store.deliveries.filter((entry) => entry.status !== "pending");
+  const overflow = new Set(finished.slice(MAX_FINISHED_DELIVERIES - 1).map((entry) => entry.id));
+  store.deliveries = [delivery, ...store.deliveries.filter((entry) => !overflow.has(entry.id))];
+  await writeJson(DELIVERIES_FILE, store);
+  return delivery;
+}
+
+export async function getDeliveryById(id) {
+  const store = await loadDeliveries();
+  return store.deliveries.find((delivery) => String(delivery.id) === String(id)) || null;
+}
+
+export async function updateDelivery(id, updates) {
+  const store = await loadDeliveries();
+  const index = store.deliveries.findIndex((delivery) => String(delivery.id) === String(id));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const allowed = ["status", "attempts", "nextAttemptAt", "responseStatus", "error", "deliveredAt"];
+  const changes = Object.fromEntries(
+    Object.entries(updates).filter(([key, value]) => allowed.includes(key) && value !== undefined)
+  );
+  for (const key of ["nextAttemptAt", "deliveredAt"]) {
+    if (changes[key]) {
+      changes[key] = new Date(changes[key]).toISOString();
+    }
+  }
+
+  const updated = {
+    ...store.deliveries[index],
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  store.deliveries[index] = updated;
+  await writeJson(DELIVERIES_FILE, store);
+  return updated;
+}
+
+// Pending deliveries whose next attempt is due, oldest first
+export async function listDueDeliveries({ now = new Date(), limit = 50 } = {}) {
+  const store = await loadDeliveries();
+  const nowTime = new Date(now).getTime();
+
+  return store.deliveries
+    .filter((delivery) => delivery.status === "pending" && new Date(delivery.nextAttemptAt).getTime() <= nowTime)
+    .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+    .slice(0, Number(limit));
+}
+
+// Newest first
+export async function listDeliveries({ webhookId, limit = 50 } = {}) {
+  const store = await loadDeliveries();
+  return store.deliveries
+    .filter((delivery) => !webhookId || String(delivery.webhookId) === String(webhookId))
+    .slice(0, Number(limit));
+}
@@ -69,6 +69,11 @@ function loadConfigFile() {
 })();
 
 async function loadStore() {
+  // An explicit data directory (e.g. the chat replay runner's scratch directory) wins over the lookup paths
+  if (process.env.DATA_DIRECTORY) {
+    return readJson(FILE_NAME, DEFAULT_STORE);
+  }
+
   const freshConfig = loadConfigFile();
   if (freshConfig) {
     widgetConfigData = freshConfig;
@@ -99,6 +104,7 @@ const DEFAULT_THEME = {
   bubblePosition: "bottom-right",
   autoOpenDelayMs: 4000,
   welcomeMessage: "Hi, I’m Riya from Homesfy 👋\nHow can I help you today?",
+  locale: "en",
 };
 
 const ALLOWED_FIELDS = [
@@ -114,6 +120,9 @@ const ALLOWED_FIELDS = [
   "autoOpenDelayMs",
   "welcomeMessage",
   "propertyInfo",
+  "responseTemplates",
+  "locale",
+  "leadScoring",
   "createdBy",
   "updatedBy",
 ];
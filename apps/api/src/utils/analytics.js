@@ -0,0 +1,226 @@
+/**
+ * Widget analytics: event time series and the conversion funnel.
+ *
+ * Event stores count events per (bucket, type), where a bucket is the Unix
+ * time (seconds) its hour or day starts at. Days start at midnight of the
+ * caller's UTC offset (`utcOffset`, minutes east of UTC, e.g. 330 for IST) so
+ * the dashboard's days line up with the user's calendar. Missing buckets are
+ * filled with zeros here, so charts get a continuous series.
+ *
+ * Funnel steps count events, not unique visitors: a visitor who opens the
+ * chat twice counts twice at that step.
+ */
+
+export const ANALYTICS_INTERVALS = {
+  hour: { seconds: 60 * 60, defaultDays: 2, maxDays: 31 },
+  day: { seconds: 24 * 60 * 60, defaultDays: 30, maxDays: 366 },
+};
+
+export const FUNNEL_STEPS = [
+  { type: "chat_shown", label: "Chat shown" },
+  { type: "modal_shown", label: "Modal shown" },
+  { type: "cta_selected", label: "CTA selected" },
+  { type: "chat_started", label: "Chat started" },
+  { type: "lead_submitted", label: "Lead submitted" },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_UTC_OFFSET_MINUTES = 14 * 60;
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validated analytics query: { projectId, microsite, startDate, endDate,
+ * interval, utcOffset }, or { error } for the caller to answer with a 400.
+ * Without dates the range is the interval's default window ending now.
+ */
+export function parseAnalyticsQuery(query = {}) {
+  const interval = query.interval || "day";
+  const intervalConfig = ANALYTICS_INTERVALS[interval];
+  if (!intervalConfig) {
+    return { error: `interval must be one of ${Object.keys(ANALYTICS_INTERVALS).join(", ")}` };
+  }
+
+  const utcOffset = query.utcOffset === undefined || query.utcOffset === "" ? 0 : Number(query.utcOffset);
+  if (!Number.isInteger(utcOffset) || Math.abs(utcOffset) > MAX_UTC_OFFSET_MINUTES) {
+    return { error: "utcOffset must be a whole number of minutes between -840 and 840" };
+  }
+
+  if ((query.startDate && !parseDate(query.startDate)) || (query.endDate && !parseDate(query.endDate))) {
+    return { error: "startDate and endDate must be valid dates" };
+  }
+  const endDate = parseDate(query.endDate) || new Date();
+  const startDate = parseDate(query.startDate) || new Date(endDate.getTime() - intervalConfig.defaultDays * DAY_MS);
+  if (startDate >= endDate) {
+    return { error: "startDate must be before endDate" };
+  }
+  if (endDate - startDate > intervalConfig.maxDays * DAY_MS) {
+    return { error: `interval=${interval} covers at most ${intervalConfig.maxDays} days` };
+  }
+
+  return {
+    projectId: query.projectId || undefined,
+    microsite: query.microsite || undefined,
+    startDate,
+    endDate,
+    interval,
+    utcOffset,
+  };
+}
+
+// Start (Unix seconds) of the bucket a time falls in
+export function bucketStart(date, { interval, utcOffset = 0 }) {
+  const size = ANALYTICS_INTERVALS[interval].seconds;
+  const offset = utcOffset * 60;
+  const seconds = Math.floor(new Date(date).getTime() / 1000);
+  return Math.floor((seconds + offset) / size) * size - offset;
+}
+
+/**
+ * Continuous series between the range's buckets from store rows of
+ * { bucket, type, count }: [{ bucket: ISO string, counts: { type: n } }].
+ */
+export function buildTimeSeries(rows, { startDate, endDate, interval, utcOffset }) {
+  const size = ANALYTICS_INTERVALS[interval].seconds;
+  const countsByBucket = new Map();
+  for (const row of rows) {
+    const counts = countsByBucket.get(Number(row.bucket)) || {};
+    counts[row.type] = (counts[row.type] || 0) + Number(row.count);
+    countsByBucket.set(Number(row.bucket), counts);
+  }
+
+  const series = [];
+  const last = bucketStart(endDate, { interval, utcOffset });
+  for (let bucket = bucketStart(startDate, { interval, utcOffset }); bucket <= last; bucket += size) {
+    series.push({ bucket: new Date(bucket * 1000).toISOString(), counts: countsByBucket.get(bucket) || {} });
+  }
+  return series;
+}
+
+// Event count per type over the whole range
+export function sumByType(rows) {
+  const totals = {};
+  for (const row of rows) {
+    totals[row.type] = (totals[row.type] || 0) + Number(row.count);
+  }
+  return totals;
+}
+
+/**
+ * FUNNEL_STEPS with their counts, the share of the previous step that reached
+ * each one (`rate`, 0-1, null when the previous step had no events), its
+ * `dropOff` (1 - rate) and the share of the first step (`overallRate`).
+ */
+export function buildFunnel(totals) {
+  const first = totals[FUNNEL_STEPS[0].type] || 0;
+  return FUNNEL_STEPS.map((step, index) => {
+    const count = totals[step.type] || 0;
+    const previous = index === 0 ? null : totals[FUNNEL_STEPS[index - 1].type] || 0;
+    const rate = index === 0 ? 1 : previous ? count / previous : null;
+    return {
+      ...step,
+      count,
+      rate,
+      dropOff: rate === null ? null : 1 - rate,
+      overallRate: first ? count / first : null,
+    };
+  });
+}
+
+// Widget events the CTA / BHK report joins per session
+export const CTA_REPORT_EVENT_TYPES = ["cta_selected", "chat_started", "lead_submitted"];
+
+// cta_selected label the widget sends when the visitor typed instead of picking a CTA
+const TYPED_MESSAGE_LABEL = "user_message";
+
+function conversionRow(fields, sessions) {
+  const leads = sessions.filter((session) => session.converted).length;
+  return {
+    ...fields,
+    sessions: sessions.length,
+    chatsStarted: sessions.filter((session) => session.chatStarted).length,
+    leads,
+    conversionRate: sessions.length ? leads / sessions.length : null,
+  };
+}
+
+function groupSessions(sessions, keyOf) {
+  const groups = new Map();
+  for (const session of sessions) {
+    const key = keyOf(session);
+    if (key === null) continue;
+    groups.set(key, [...(groups.get(key) || []), session]);
+  }
+  return groups;
+}
+
+/**
+ * Which CTA and BHK choices lead to a phone number. Events (oldest first,
+ * from the event store's listSessionEvents) are grouped by widget session: a
+ * session's CTA is the first one it picked, its BHK the last one, and it
+ * converted when it submitted a lead. Sessions that never picked a CTA are
+ * only counted in the BHK breakdown. Events without a sessionId predate
+ * session tracking and are only counted in `untrackedEvents`.
+ */
+export function buildCtaReport(events) {
+  const sessionsById = new Map();
+  let untrackedEvents = 0;
+
+  for (const event of events) {
+    if (!event.sessionId) {
+      untrackedEvents += 1;
+      continue;
+    }
+    const session = sessionsById.get(event.sessionId) || {
+      projectId: event.projectId,
+      cta: null,
+      bhkType: null,
+      chatStarted: false,
+      converted: false,
+    };
+    if (event.type === "cta_selected" && !session.cta && event.label) {
+      session.cta = event.label === TYPED_MESSAGE_LABEL ? "Typed a message" : event.label;
+    }
+    if (event.type === "chat_started") {
+      session.chatStarted = true;
+    }
+    if ((event.type === "chat_started" || event.type === "lead_submitted") && event.bhkType) {
+      session.bhkType = event.bhkType;
+    }
+    if (event.type === "lead_submitted") {
+      session.converted = true;
+    }
+    sessionsById.set(event.sessionId, session);
+  }
+
+  const sessions = Array.from(sessionsById.values());
+  const bySessions = (a, b) => b.sessions - a.sessions || b.leads - a.leads;
+
+  const ctas = Array.from(groupSessions(sessions, (session) => session.cta), ([cta, group]) =>
+    conversionRow({ cta }, group)
+  ).sort(bySessions);
+
+  const bhkTypes = Array.from(groupSessions(sessions, (session) => session.bhkType), ([bhkType, group]) =>
+    conversionRow({ bhkType }, group)
+  ).sort(bySessions);
+
+  const combinations = Array.from(
+    groupSessions(sessions, (session) => (session.cta && session.bhkType ? `${session.cta}\u0000${session.bhkType}` : null)),
+    ([key, group]) => {
+      const [cta, bhkType] = key.split("\u0000");
+      return conversionRow({ cta, bhkType }, group);
+    }
+  ).sort(bySessions);
+
+  return {
+    totals: conversionRow({}, sessions),
+    untrackedEvents,
+    ctas,
+    bhkTypes,
+    combinations,
+  };
+}
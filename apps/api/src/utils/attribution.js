@@ -0,0 +1,228 @@
+/**
+ * UTM / referrer attribution.
+ *
+ * Every lead keeps `metadata.attribution = { firstTouch, lastTouch }`, each a
+ * touch of { source, medium, campaign, term, content, referrerDomain,
+ * landingPage, at }:
+ *   - firstTouch: how the visitor first reached a page with the widget. The
+ *     widget remembers it per browser (metadata.visitor.firstTouch), so a
+ *     visitor who came from an ad last week and typed the URL today is still
+ *     credited to the ad. Without it, the lead's own enquiry is the first touch.
+ *   - lastTouch: the latest enquiry. Repeat enquiries (dedup touches) and
+ *     merges move it forward and keep the earliest first touch.
+ * Leads captured before attribution existed fall back to their visitor UTM /
+ * referrer for both.
+ *
+ * The report groups leads by one model's touch and adds the campaign costs
+ * entered for the period (see routes/attribution.js).
+ */
+import { escapeCsvCell } from "./leadExport.js";
+
+export const ATTRIBUTION_MODELS = ["first", "last"];
+
+// Report dimensions: the touch fields each grouping keys on
+export const ATTRIBUTION_GROUPINGS = {
+  source: ["source"],
+  source_medium: ["source", "medium"],
+  campaign: ["source", "medium", "campaign"],
+  referrer: ["referrerDomain"],
+};
+
+export const DIRECT_SOURCE = "(direct)";
+const NO_VALUE = "(not set)";
+
+// Lead statuses counted as converted in the report
+const CONVERTED_STATUSES = ["qualified", "closed"];
+
+function text(value, maxLength = 255) {
+  return typeof value === "string" && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+export function referrerDomain(referrer) {
+  if (!referrer) return null;
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, "") || null;
+  } catch {
+    return null;
+  }
+}
+
+function toIsoString(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Touch from what the widget saw ({ utm, referrer, landingPage }). Without a
+ * utm_source, a referrer counts as a referral from its domain and no referrer
+ * as direct, the way Google Analytics reports them.
+ */
+export function buildAttributionTouch({ utm = {}, referrer, landingPage } = {}, at) {
+  const domain = referrerDomain(referrer);
+  const source = text(utm?.source);
+  return {
+    source: source || domain || DIRECT_SOURCE,
+    medium: text(utm?.medium) || (source ? null : domain ? "referral" : "(none)"),
+    campaign: text(utm?.campaign),
+    term: text(utm?.term),
+    content: text(utm?.content),
+    referrerDomain: domain,
+    landingPage: text(landingPage, 500),
+    at: toIsoString(at),
+  };
+}
+
+function earliest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return new Date(b.at) < new Date(a.at) ? b : a;
+}
+
+function latest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return new Date(b.at) > new Date(a.at) ? b : a;
+}
+
+// { firstTouch, lastTouch } of an enquiry from its metadata.visitor
+function enquiryAttribution(metadata = {}, at) {
+  const visitor = metadata.visitor || {};
+  const lastTouch = buildAttributionTouch(visitor, at);
+  const remembered = visitor.firstTouch;
+  const firstTouch = remembered ? buildAttributionTouch(remembered, remembered.at || at) : lastTouch;
+  return { firstTouch: earliest(firstTouch, lastTouch), lastTouch };
+}
+
+/**
+ * A lead's attribution: the stored one, or for leads captured before
+ * attribution existed, one rebuilt from its visitor details.
+ */
+export function resolveLeadAttribution(metadata = {}, createdAt) {
+  if (metadata.attribution?.firstTouch && metadata.attribution?.lastTouch) {
+    return metadata.attribution;
+  }
+  return enquiryAttribution(metadata, createdAt);
+}
+
+// Metadata of a new lead with its attribution
+export function withAttribution(metadata = {}, at = new Date()) {
+  return { ...metadata, attribution: enquiryAttribution(metadata, at) };
+}
+
+/**
+ * Attribution of a lead after a repeat enquiry (a dedup touch) with
+ * `incomingMetadata`: the earliest first touch and the new last touch.
+ */
+export function touchAttribution(existingMetadata = {}, existingCreatedAt, incomingMetadata = {}, at = new Date()) {
+  const current = resolveLeadAttribution(existingMetadata, existingCreatedAt);
+  const incoming = enquiryAttribution(incomingMetadata, at);
+  return {
+    firstTouch: earliest(current.firstTouch, incoming.firstTouch),
+    lastTouch: latest(current.lastTouch, incoming.lastTouch),
+  };
+}
+
+// Attribution of merged leads ([{ metadata, createdAt }]): earliest first touch, latest last touch
+export function mergeAttributions(leads) {
+  return leads.reduce(
+    (merged, lead) => {
+      const attribution = resolveLeadAttribution(lead.metadata || {}, lead.createdAt);
+      return {
+        firstTouch: earliest(merged.firstTouch, attribution.firstTouch),
+        lastTouch: latest(merged.lastTouch, attribution.lastTouch),
+      };
+    },
+    { firstTouch: null, lastTouch: null }
+  );
+}
+
+function groupKey(touch, fields) {
+  return fields.map((field) => touch?.[field] || (field === "referrerDomain" ? DIRECT_SOURCE : NO_VALUE));
+}
+
+/**
+ * Leads, conversions and costs per attribution group.
+ *   leads  [{ status, metadata, createdAt }] (the lead store's listLeadAttributions)
+ *   costs  [{ source, medium, campaign, amount }] entered for the same period;
+ *          a cost counts on the row its own fields fall in, so one entered
+ *          without a campaign lands on the "(not set)" campaign row
+ * Rows carry the grouping's fields plus leads, converted (qualified or
+ * closed), conversionRate, cost, costPerLead and costPerConversion.
+ */
+export function buildAttributionReport(leads, costs = [], { model = "last", groupBy = "source" } = {}) {
+  const fields = ATTRIBUTION_GROUPINGS[groupBy];
+  const touchName = model === "first" ? "firstTouch" : "lastTouch";
+  const rows = new Map();
+
+  const rowFor = (values) => {
+    const key = JSON.stringify(values);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        ...Object.fromEntries(fields.map((field, index) => [field, values[index]])),
+        leads: 0,
+        converted: 0,
+        cost: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const lead of leads) {
+    const attribution = resolveLeadAttribution(lead.metadata || {}, lead.createdAt);
+    const row = rowFor(groupKey(attribution[touchName], fields));
+    row.leads += 1;
+    if (CONVERTED_STATUSES.includes(lead.status)) {
+      row.converted += 1;
+    }
+  }
+
+  // Referrers have no cost: ad spend is entered per UTM source / medium / campaign
+  if (groupBy !== "referrer") {
+    for (const cost of costs) {
+      rowFor(groupKey(cost, fields)).cost += Number(cost.amount) || 0;
+    }
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return Array.from(rows.values())
+    .map((row) => ({
+      ...row,
+      cost: round(row.cost),
+      conversionRate: row.leads ? row.converted / row.leads : null,
+      costPerLead: row.cost && row.leads ? round(row.cost / row.leads) : null,
+      costPerConversion: row.cost && row.converted ? round(row.cost / row.converted) : null,
+    }))
+    .sort((a, b) => b.leads - a.leads || b.cost - a.cost);
+}
+
+const REPORT_COLUMNS = {
+  source: "Source",
+  medium: "Medium",
+  campaign: "Campaign",
+  referrerDomain: "Referrer",
+  leads: "Leads",
+  converted: "Converted",
+  conversionRate: "Conversion rate",
+  cost: "Cost",
+  costPerLead: "Cost per lead",
+  costPerConversion: "Cost per conversion",
+};
+
+/**
+ * The report rows as a CSV download. UTM tags and referrers are typed by
+ * visitors, so cells go through the lead export's formula-safe escaping.
+ */
+export function attributionReportToCsv(rows, groupBy) {
+  const fields = [...ATTRIBUTION_GROUPINGS[groupBy], ...Object.keys(REPORT_COLUMNS).slice(4)];
+  const lines = [fields.map((field) => escapeCsvCell(REPORT_COLUMNS[field])).join(",")];
+  for (const row of rows) {
+    lines.push(
+      fields
+        .map((field) =>
+          escapeCsvCell(field === "conversionRate" && row[field] !== null ? row[field].toFixed(4) : row[field])
+        )
+        .join(",")
+    );
+  }
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
@@ -0,0 +1,66 @@
+const SPECIAL_BHK_MAPPINGS = new Map([
+  ["duplex", { type: "Duplex", numeric: null }],
+  ["justbrowsing", { type: "Just Browsing", numeric: null }],
+  ["justlooking", { type: "Just Browsing", numeric: null }],
+  ["other", { type: "Other", numeric: null }],
+  ["yettodecide", { type: "Yet to decide", numeric: null }],
+]);
+
+// Choices that say nothing about the configuration the visitor wants
+export const UNDECIDED_BHK_TYPES = ["Yet to decide", "Just Browsing", "Other"];
+
+function normalizeKey(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Map a BHK choice (numeric `bhk` or a label such as "2 BHK" / "Duplex") to the
+ * `{ type, numeric }` pair stored on leads. Returns null when nothing usable was given.
+ */
+export function normalizeBhkPreference({ bhk, bhkType }) {
+  if (bhk !== undefined && bhk !== null && bhk !== "") {
+    const numericValue = Number(bhk);
+
+    if (Number.isFinite(numericValue)) {
+      if (numericValue === 0) {
+        return { type: "Yet to decide", numeric: null };
+      }
+
+      const rounded = Math.round(numericValue);
+      if (rounded >= 1 && rounded <= 4) {
+        return { type: `${rounded} BHK`, numeric: rounded };
+      }
+
+      return { type: "Other", numeric: rounded };
+    }
+  }
+
+  if (bhkType !== undefined && bhkType !== null && bhkType !== "") {
+    const trimmed = String(bhkType).trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    const compactKey = normalizeKey(trimmed);
+
+    if (SPECIAL_BHK_MAPPINGS.has(compactKey)) {
+      return SPECIAL_BHK_MAPPINGS.get(compactKey);
+    }
+
+    const digitsMatch = trimmed.match(/(\d+)/);
+    if (digitsMatch) {
+      const numeric = Number(digitsMatch[1]);
+      if (Number.isFinite(numeric)) {
+        if (numeric === 0) {
+          return { type: "Yet to decide", numeric: null };
+        }
+        if (numeric >= 1 && numeric <= 4) {
+          return { type: `${numeric} BHK`, numeric };
+        }
+        return { type: "Other", numeric };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,250 @@
+/**
+ * Server-side CRM forwarding.
+ *
+ * Captured leads used to be posted to the Homesfy CRM straight from the
+ * visitor's browser; a CRM outage then showed the visitor an error. Now the
+ * widget only submits to our API and each enquiry is put in a durable outbox
+ * (crm_outbox / crm-outbox.json) with the CRM payload built at capture time.
+ * The dispatcher POSTs due entries to config.crm.url and retries failures with
+ * exponential backoff until config.crm.maxAttempts, so a lead is never lost to
+ * a CRM hiccup and its forwarding status can be checked per lead.
+ *
+ * Forwarding is off when no CRM URL is configured; see config.crm.
+ */
+import { config } from "../config.js";
+import { logger } from "./logger.js";
+import { retryDelayMs } from "./webhooks.js";
+
+const WORKER_INTERVAL_MS = 30 * 1000;
+const MAX_RESPONSE_LENGTH = 500;
+
+// CRM source ids: magnet (campaign) leads vs regular chat widget leads
+const CRM_SOURCE_ID_MAGNET = 49;
+const CRM_SOURCE_ID_CHAT = 31;
+
+async function getOutboxStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlCrmOutboxStore.js");
+  }
+  return await import("../storage/crmOutboxStore.js");
+}
+
+export function isCrmForwardingEnabled() {
+  return Boolean(config.crm.url);
+}
+
+function detectDevice(userAgent = "") {
+  if (/Android|webOS|iPhone|Windows Phone/i.test(userAgent)) return "Mobile";
+  if (/iPad|iPod/i.test(userAgent)) return "Tablet";
+  return "Desktop";
+}
+
+function detectBrowser(userAgent = "") {
+  if (userAgent.includes("Chrome")) return "Chrome";
+  if (userAgent.includes("Firefox")) return "Firefox";
+  if (userAgent.includes("Safari")) return "Safari";
+  if (userAgent.includes("Edge")) return "Edge";
+  return "Other";
+}
+
+/**
+ * The Homesfy CRM `leads/create` payload for a lead (MySQL row or file-store
+ * lead), in the shape the widget used to send.
+ */
+export function buildCrmPayload(lead, { clientIp } = {}) {
+  const metadata = lead.metadata || {};
+  const visitor = metadata.visitor || {};
+  const utm = visitor.utm || {};
+  const userAgent = visitor.userAgent || "";
+  const countryCode = metadata.phoneDialCode || "+91";
+  const magnetId = metadata.magnetId || null;
+
+  const payload = {
+    name: metadata.name || "Guest",
+    email: metadata.email || null,
+    country_code: countryCode,
+    number: String(metadata.phoneSubscriber || lead.phone || "").replace(/\D/g, ""),
+    tracking_lead_id: magnetId || `chat-${lead.id}`,
+    nationality: countryCode === "+91" ? 1 : 2,
+    source_id: magnetId ? CRM_SOURCE_ID_MAGNET : CRM_SOURCE_ID_CHAT,
+    project_id: Number(metadata.projectId) || config.crm.defaultProjectId,
+    Digital: {
+      user_device: detectDevice(userAgent),
+      user_browser: detectBrowser(userAgent),
+      campaing_type: utm.campaign || null, // "campaing" is the CRM's field name
+      launch_name: "",
+      client_ipaddress: visitor.ip || clientIp || "0.0.0.0",
+      client_pref: null,
+    },
+  };
+
+  if (Object.keys(utm).length > 0) {
+    payload.Utm = {
+      utm_medium: utm.medium || null,
+      utm_source: utm.source || null,
+      utm_content: utm.content || null,
+      utm_term: utm.term || null,
+    };
+  }
+
+  if (magnetId) {
+    payload.is_magnet = 1;
+    payload.magnet_id = magnetId;
+  }
+
+  return payload;
+}
+
+let processing = null;
+let rerunRequested = false;
+
+async function attemptForward(store, entry) {
+  const attempts = (entry.attempts || 0) + 1;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.crm.timeoutMs);
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await fetch(config.crm.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(config.crm.apiKey && { Authorization: `Bearer ${config.crm.apiKey}` }),
+      },
+      body: JSON.stringify(entry.payload),
+      signal: controller.signal,
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text().catch(() => "")).slice(0, MAX_RESPONSE_LENGTH) || null;
+    if (!response.ok) {
+      error = `CRM responded with status ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.name === "AbortError"
+      ? `Timed out after ${config.crm.timeoutMs}ms`
+      : String(requestError.cause?.message || requestError.message).slice(0, MAX_RESPONSE_LENGTH);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!error) {
+    return await store.updateOutboxEntry(entry.id, {
+      status: "sent",
+      attempts,
+      responseStatus,
+      responseBody,
+      error: null,
+      nextAttemptAt: null,
+      sentAt: new Date(),
+    });
+  }
+
+  const giveUp = attempts >= config.crm.maxAttempts;
+  if (giveUp) {
+    logger.error(`CRM forwarding of lead ${entry.leadId} failed after ${attempts} attempts: ${error}`);
+  }
+  return await store.updateOutboxEntry(entry.id, {
+    status: giveUp ? "failed" : "pending",
+    attempts,
+    responseStatus,
+    responseBody,
+    error,
+    nextAttemptAt: giveUp ? null : new Date(Date.now() + retryDelayMs(attempts)),
+  });
+}
+
+async function runDueEntries() {
+  const store = await getOutboxStore();
+  do {
+    rerunRequested = false;
+    const due = await store.listDueOutboxEntries({ now: new Date(), limit: 50 });
+    for (const entry of due) {
+      try {
+        await attemptForward(store, entry);
+      } catch (error) {
+        logger.error(`Failed to process CRM outbox entry ${entry.id}`, error);
+      }
+    }
+  } while (rerunRequested);
+}
+
+// Forward every due outbox entry; calls during a run make that run check again
+export function processCrmOutbox() {
+  if (!isCrmForwardingEnabled()) {
+    return Promise.resolve();
+  }
+  if (processing) {
+    rerunRequested = true;
+    return processing;
+  }
+  processing = runDueEntries()
+    .catch((error) => logger.error("Failed to process CRM outbox", error))
+    .finally(() => {
+      processing = null;
+    });
+  return processing;
+}
+
+/**
+ * Queue a captured enquiry for the CRM. Never throws: the lead is already
+ * saved, and the outbox retries on its own.
+ */
+export async function enqueueCrmLead(lead, { clientIp } = {}) {
+  if (!isCrmForwardingEnabled() || !lead?.phone) {
+    return null;
+  }
+  try {
+    const store = await getOutboxStore();
+    const entry = await store.createOutboxEntry({
+      leadId: lead.id,
+      payload: buildCrmPayload(lead, { clientIp }),
+    });
+    processCrmOutbox();
+    return entry;
+  } catch (error) {
+    logger.error(`Failed to queue lead ${lead.id} for the CRM`, error);
+    return null;
+  }
+}
+
+// Retry a failed (or pending) entry now, from a fresh attempt count
+export async function retryCrmOutboxEntry(entry) {
+  const store = await getOutboxStore();
+  const updated = await store.updateOutboxEntry(entry.id, {
+    status: "pending",
+    attempts: 0,
+    error: null,
+    nextAttemptAt: new Date(),
+  });
+  processCrmOutbox();
+  return updated;
+}
+
+/**
+ * CRM forwarding status of a lead from its newest outbox entry:
+ * "not_configured", "not_queued", "pending", "sent" or "failed".
+ */
+export async function getLeadCrmStatus(leadId) {
+  const store = await getOutboxStore();
+  const entries = await store.listLeadOutboxEntries(leadId);
+  const latest = entries[0];
+
+  if (!latest) {
+    return { status: isCrmForwardingEnabled() ? "not_queued" : "not_configured", entries: [] };
+  }
+  return { status: latest.status, entries };
+}
+
+// Poll for entries due a retry (including ones left pending by a restart)
+export function startCrmWorker() {
+  if (!isCrmForwardingEnabled()) {
+    logger.log("CRM forwarding disabled (CRM_LEADS_URL not set)");
+    return null;
+  }
+  const timer = setInterval(processCrmOutbox, WORKER_INTERVAL_MS);
+  timer.unref();
+  processCrmOutbox();
+  return timer;
+}
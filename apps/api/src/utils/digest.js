@@ -0,0 +1,355 @@
+/**
+ * Scheduled project digests.
+ *
+ * Project owners opt in from the dashboard (project_digests /
+ * digest-settings.json) with a daily or weekly schedule, a local send hour and
+ * a list of recipients. The worker checks every few minutes for projects whose
+ * latest period has ended without a sent digest, compiles the period's summary
+ * (new leads, widget conversion, top CTAs, questions the chat could not
+ * answer) and emails it through config.digests.smtp, optionally with a PDF
+ * copy. Failed sends are logged and retried on later runs until
+ * config.digests.maxAttempts.
+ *
+ * Digests can also be downloaded as HTML or PDF from the dashboard (see
+ * routes/digests.js), which needs no SMTP server.
+ */
+import nodemailer from "nodemailer";
+import { config } from "../config.js";
+import { logger } from "./logger.js";
+import { CTA_REPORT_EVENT_TYPES, buildCtaReport, sumByType } from "./analytics.js";
+import { renderDigestHtml, renderDigestPdf, renderDigestText, digestFileName, digestSubject } from "./digestRender.js";
+
+export const DIGEST_FREQUENCIES = {
+  daily: { days: 1, label: "Daily" },
+  weekly: { days: 7, label: "Weekly" },
+};
+
+export const DEFAULT_DIGEST_SETTINGS = {
+  enabled: false,
+  frequency: "daily",
+  // Local to utcOffset (minutes east of UTC); the defaults are 9 AM IST, on Mondays for weekly digests
+  sendHour: 9,
+  weekday: 1,
+  utcOffset: 330,
+  recipients: [],
+  attachPdf: false,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = 5 * 60 * 1000;
+// A period is only emailed this soon after it ends, so a server that was down
+// overnight (or a digest switched on in the afternoon) doesn't send stale digests
+const SEND_WINDOW_MS = 6 * 60 * 60 * 1000;
+const MAX_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+
+const TOP_CTAS = 5;
+const TOP_QUESTIONS = 10;
+const CONVERTED_STATUSES = ["qualified", "closed"];
+const LEAD_STATUSES = ["new", "contacted", "qualified", "closed"];
+
+async function getDigestStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlDigestStore.js");
+  }
+  return await import("../storage/digestStore.js");
+}
+
+async function getLeadStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlLeadStore.js");
+  }
+  return await import("../storage/leadStore.js");
+}
+
+async function getEventStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlEventStore.js");
+  }
+  return await import("../storage/eventStore.js");
+}
+
+async function getConfigStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWidgetConfigStore.js");
+  }
+  return await import("../storage/widgetConfigStore.js");
+}
+
+export function isDigestEmailEnabled() {
+  return Boolean(config.digests.smtp.host);
+}
+
+/**
+ * Validate the dashboard's digest settings (all fields; missing ones take the
+ * defaults). Returns `{ error }` or `{ values }` ready for the store.
+ */
+export function parseDigestSettings(body = {}) {
+  const values = { ...DEFAULT_DIGEST_SETTINGS };
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") return { error: "enabled must be true or false" };
+    values.enabled = body.enabled;
+  }
+  if (body.frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES[body.frequency]) {
+      return { error: `frequency must be one of ${Object.keys(DIGEST_FREQUENCIES).join(", ")}` };
+    }
+    values.frequency = body.frequency;
+  }
+  for (const [field, min, max] of [["sendHour", 0, 23], ["weekday", 0, 6], ["utcOffset", -840, 840]]) {
+    if (body[field] !== undefined) {
+      const number = Number(body[field]);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `${field} must be a whole number between ${min} and ${max}` };
+      }
+      values[field] = number;
+    }
+  }
+  if (body.recipients !== undefined) {
+    if (!Array.isArray(body.recipients)) return { error: "recipients must be a list of email addresses" };
+    const recipients = [...new Set(body.recipients.map((email) => String(email).trim().toLowerCase()).filter(Boolean))];
+    const invalid = recipients.filter((email) => email.length > 254 || !EMAIL_PATTERN.test(email));
+    if (invalid.length > 0) return { error: `Invalid email addresses: ${invalid.join(", ")}` };
+    if (recipients.length > MAX_RECIPIENTS) return { error: `At most ${MAX_RECIPIENTS} recipients` };
+    values.recipients = recipients;
+  }
+  if (body.attachPdf !== undefined) {
+    if (typeof body.attachPdf !== "boolean") return { error: "attachPdf must be true or false" };
+    values.attachPdf = body.attachPdf;
+  }
+  if (values.enabled && values.recipients.length === 0) {
+    return { error: "Add at least one recipient to enable the digest" };
+  }
+
+  return { values };
+}
+
+/**
+ * The latest complete digest period at `now`: it ends at the most recent
+ * scheduled send time (sendHour local time, on `weekday` for weekly digests)
+ * and covers the day or week before it.
+ */
+export function latestDigestPeriod(settings, now = new Date()) {
+  const { frequency, sendHour, weekday, utcOffset } = { ...DEFAULT_DIGEST_SETTINGS, ...settings };
+  const offsetMs = utcOffset * 60 * 1000;
+  // UTC fields of the shifted time read as the project's local time
+  const local = new Date(new Date(now).getTime() + offsetMs);
+  let end = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), sendHour) - offsetMs;
+  if (end > new Date(now).getTime()) {
+    end -= DAY_MS;
+  }
+  if (frequency === "weekly") {
+    const endWeekday = new Date(end + offsetMs).getUTCDay();
+    end -= ((endWeekday - weekday + 7) % 7) * DAY_MS;
+  }
+  return {
+    startDate: new Date(end - DIGEST_FREQUENCIES[frequency].days * DAY_MS),
+    endDate: new Date(end),
+  };
+}
+
+function normalizeQuestion(question) {
+  return question.toLowerCase().replace(/\s+/g, " ").replace(/[?!.\s]+$/, "").trim();
+}
+
+// Questions the chat fell back on, most asked first
+function groupUnansweredQuestions(events) {
+  const groups = new Map();
+  for (const event of events) {
+    if (!event.label) continue;
+    const key = normalizeQuestion(event.label);
+    const group = groups.get(key) || { question: event.label, count: 0, lastAskedAt: null };
+    group.count += 1;
+    group.lastAskedAt = event.createdAt;
+    groups.set(key, group);
+  }
+  return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summary of a project's activity between startDate and endDate:
+ *   leads     new leads (duplicates excluded), by status, against the period before
+ *   widget    chat popups, chats started, leads submitted and their conversion
+ *   topCtas   the CTAs most picked, with their lead conversion (see buildCtaReport)
+ *   unansweredQuestions  what visitors asked that the chat had no answer for
+ */
+export async function compileDigest({ projectId, startDate, endDate, frequency = "daily", utcOffset = 0 }) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  // Periods end where the next one starts
+  const rangeEnd = new Date(end.getTime() - 1);
+  const previousStart = new Date(start.getTime() - (end - start));
+
+  const leadStore = await getLeadStore();
+  const eventStore = await getEventStore();
+  const { getWidgetConfig } = await getConfigStore();
+
+  const [leads, previousLeads, eventCounts, ctaEvents, unansweredEvents, widgetConfig] = await Promise.all([
+    leadStore.listLeadAttributions({ projectId, startDate: start, endDate: rangeEnd }),
+    leadStore.listLeadAttributions({ projectId, startDate: previousStart, endDate: new Date(start.getTime() - 1) }),
+    eventStore.countEventsByBucket({
+      projectId,
+      startDate: start,
+      endDate: rangeEnd,
+      bucketSeconds: Math.max(1, Math.round((end - start) / 1000)),
+    }),
+    eventStore.listSessionEvents({ projectId, startDate: start, endDate: rangeEnd, types: CTA_REPORT_EVENT_TYPES }),
+    eventStore.listSessionEvents({ projectId, startDate: start, endDate: rangeEnd, types: ["chat_unanswered"] }),
+    getWidgetConfig(projectId).catch(() => null),
+  ]);
+
+  const totals = sumByType(eventCounts);
+  const chatShown = totals.chat_shown || 0;
+  const leadsSubmitted = totals.lead_submitted || 0;
+  const questions = groupUnansweredQuestions(unansweredEvents);
+
+  return {
+    projectId,
+    projectName: widgetConfig?.propertyInfo?.projectName || null,
+    frequency,
+    utcOffset,
+    period: { startDate: start.toISOString(), endDate: end.toISOString() },
+    generatedAt: new Date().toISOString(),
+    leads: {
+      total: leads.length,
+      previousTotal: previousLeads.length,
+      converted: leads.filter((lead) => CONVERTED_STATUSES.includes(lead.status)).length,
+      byStatus: Object.fromEntries(
+        LEAD_STATUSES.map((status) => [status, leads.filter((lead) => lead.status === status).length])
+      ),
+    },
+    widget: {
+      chatShown,
+      chatStarted: totals.chat_started || 0,
+      leadsSubmitted,
+      conversionRate: chatShown ? leadsSubmitted / chatShown : null,
+    },
+    topCtas: buildCtaReport(ctaEvents).ctas.slice(0, TOP_CTAS),
+    unansweredQuestions: questions.slice(0, TOP_QUESTIONS),
+    unansweredTotal: unansweredEvents.length,
+  };
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const { host, port, secure, user, pass } = config.digests.smtp;
+    transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass } }),
+    });
+  }
+  return transport;
+}
+
+/**
+ * Compile a project's digest for `period` and email it, logging the attempt as
+ * a delivery (`delivery` to retry an existing one). Returns the updated
+ * delivery; a failed send is recorded on it rather than thrown.
+ */
+export async function sendDigest({ projectId, settings, period, recipients = settings.recipients, manual = false, delivery = null }) {
+  const store = await getDigestStore();
+  const entry =
+    delivery ||
+    (await store.createDigestDelivery({
+      projectId,
+      frequency: settings.frequency,
+      periodStart: period.startDate,
+      periodEnd: period.endDate,
+      recipients,
+      manual,
+    }));
+  const attempts = (entry.attempts || 0) + 1;
+
+  try {
+    if (!isDigestEmailEnabled()) {
+      throw new Error("SMTP is not configured (set SMTP_HOST)");
+    }
+
+    const digest = await compileDigest({
+      projectId,
+      ...period,
+      frequency: settings.frequency,
+      utcOffset: settings.utcOffset,
+    });
+    const attachments = settings.attachPdf
+      ? [{ filename: digestFileName(digest, "pdf"), content: await renderDigestPdf(digest), contentType: "application/pdf" }]
+      : [];
+
+    await getTransport().sendMail({
+      from: config.digests.from,
+      to: recipients,
+      subject: digestSubject(digest),
+      text: renderDigestText(digest, { dashboardUrl: config.digests.dashboardUrl }),
+      html: renderDigestHtml(digest, { dashboardUrl: config.digests.dashboardUrl }),
+      attachments,
+    });
+
+    logger.log(`📧 Sent ${settings.frequency} digest for project ${projectId} to ${recipients.length} recipient(s)`);
+    return await store.updateDigestDelivery(entry.id, {
+      status: "sent",
+      attempts,
+      error: null,
+      sentAt: new Date(),
+    });
+  } catch (error) {
+    logger.error(`Failed to send digest for project ${projectId}`, error);
+    return await store.updateDigestDelivery(entry.id, {
+      status: "failed",
+      attempts,
+      error: String(error.message || error).slice(0, 1000),
+    });
+  }
+}
+
+let processing = null;
+
+async function runScheduledDigests(now) {
+  const store = await getDigestStore();
+  const projects = await store.listEnabledDigestSettings();
+
+  for (const settings of projects) {
+    if (!settings.recipients?.length) continue;
+
+    const period = latestDigestPeriod(settings, now);
+    if (now - period.endDate > SEND_WINDOW_MS) continue;
+
+    try {
+      const existing = await store.findScheduledDigestDelivery(settings.projectId, period.endDate);
+      if (existing && (existing.status === "sent" || existing.attempts >= config.digests.maxAttempts)) {
+        continue;
+      }
+      await sendDigest({ projectId: settings.projectId, settings, period, delivery: existing });
+    } catch (error) {
+      logger.error(`Failed to process digest for project ${settings.projectId}`, error);
+    }
+  }
+}
+
+// Send every digest that is due; a run already in progress is not doubled up
+export function processScheduledDigests(now = new Date()) {
+  if (processing) {
+    return processing;
+  }
+  processing = runScheduledDigests(now)
+    .catch((error) => logger.error("Failed to process scheduled digests", error))
+    .finally(() => {
+      processing = null;
+    });
+  return processing;
+}
+
+export function startDigestWorker() {
+  if (!isDigestEmailEnabled()) {
+    logger.log("Digest emails disabled (SMTP_HOST not set)");
+    return null;
+  }
+  const timer = setInterval(processScheduledDigests, WORKER_INTERVAL_MS);
+  timer.unref();
+  processScheduledDigests();
+  return timer;
+}
@@ -0,0 +1,265 @@
+/**
+ * Project digest (see utils/digest.js compileDigest) as an email (HTML with a
+ * plain-text alternative) or a PDF. Dates are shown at the digest's UTC offset.
+ */
+import PDFDocument from "pdfkit";
+
+const FREQUENCY_LABELS = { daily: "Daily", weekly: "Weekly" };
+
+const STATUS_LABELS = { new: "New", contacted: "Contacted", qualified: "Qualified", closed: "Closed" };
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatDateTime(value, utcOffset = 0) {
+  const local = new Date(new Date(value).getTime() + utcOffset * 60 * 1000);
+  return local.toLocaleString("en-IN", {
+    timeZone: "UTC",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? "-" : `${Math.round(value * 1000) / 10}%`;
+}
+
+function projectLabel(digest) {
+  return digest.projectName ? `${digest.projectName} (${digest.projectId})` : `Project ${digest.projectId}`;
+}
+
+function periodLabel(digest) {
+  const { startDate, endDate } = digest.period;
+  return `${formatDateTime(startDate, digest.utcOffset)} - ${formatDateTime(endDate, digest.utcOffset)}`;
+}
+
+function leadTrend({ total, previousTotal }) {
+  const change = total - previousTotal;
+  if (change === 0) return "same as the previous period";
+  return `${change > 0 ? "+" : ""}${change} vs the previous period`;
+}
+
+function statusSummary(digest) {
+  return Object.entries(digest.leads.byStatus)
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${STATUS_LABELS[status] || status}`)
+    .join(" · ");
+}
+
+function stats(digest) {
+  return [
+    { label: "New leads", value: String(digest.leads.total), detail: leadTrend(digest.leads) },
+    { label: "Chat popups", value: String(digest.widget.chatShown), detail: `${digest.widget.chatStarted} chats started` },
+    { label: "Widget leads", value: String(digest.widget.leadsSubmitted), detail: "submitted in the widget" },
+    { label: "Conversion", value: formatPercent(digest.widget.conversionRate), detail: "leads per chat popup" },
+  ];
+}
+
+export function digestSubject(digest) {
+  const count = digest.leads.total;
+  return `${FREQUENCY_LABELS[digest.frequency] || "Project"} digest for ${digest.projectName || digest.projectId}: ${count} new lead${count === 1 ? "" : "s"}`;
+}
+
+// digest-<project>-<local end date>.<extension>
+export function digestFileName(digest, extension) {
+  const local = new Date(new Date(digest.period.endDate).getTime() + (digest.utcOffset || 0) * 60 * 1000);
+  const project = String(digest.projectId).replace(/[^\w-]+/g, "_");
+  return `digest-${project}-${local.toISOString().slice(0, 10)}.${extension}`;
+}
+
+export function renderDigestText(digest, { dashboardUrl } = {}) {
+  const lines = [
+    digestSubject(digest),
+    `${projectLabel(digest)}, ${periodLabel(digest)}`,
+    "",
+    ...stats(digest).map((stat) => `${stat.label}: ${stat.value} (${stat.detail})`),
+  ];
+  if (digest.leads.total > 0) {
+    lines.push(`Lead status: ${statusSummary(digest)}`);
+  }
+
+  lines.push("", "Top CTAs");
+  if (digest.topCtas.length === 0) {
+    lines.push("  No CTA picked in this period");
+  }
+  for (const row of digest.topCtas) {
+    lines.push(`  ${row.cta}: ${row.sessions} sessions, ${row.leads} leads (${formatPercent(row.conversionRate)})`);
+  }
+
+  lines.push("", `Unanswered questions (${digest.unansweredTotal})`);
+  if (digest.unansweredQuestions.length === 0) {
+    lines.push("  None - the chat had an answer for every question");
+  }
+  for (const row of digest.unansweredQuestions) {
+    lines.push(`  ${row.count}x ${row.question}`);
+  }
+
+  if (dashboardUrl) {
+    lines.push("", `Open the dashboard: ${dashboardUrl}/leads`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function htmlTable(headers, rows) {
+  const cell = "padding:8px 12px;border-bottom:1px solid #e2e8f0;font-size:14px;";
+  return `<table role="presentation" cellspacing="0" cellpadding="0" style="width:100%;border-collapse:collapse;">
+  <tr>${headers
+    .map(
+      (header, index) =>
+        `<th style="${cell}text-align:${index === 0 ? "left" : "right"};color:#64748b;font-size:12px;text-transform:uppercase;">${escapeHtml(header)}</th>`
+    )
+    .join("")}</tr>
+  ${rows
+    .map(
+      (row) =>
+        `<tr>${row
+          .map((value, index) => `<td style="${cell}text-align:${index === 0 ? "left" : "right"};">${escapeHtml(value)}</td>`)
+          .join("")}</tr>`
+    )
+    .join("\n  ")}
+</table>`;
+}
+
+export function renderDigestHtml(digest, { dashboardUrl } = {}) {
+  const section = (title, body) =>
+    `<h2 style="margin:28px 0 8px;font-size:16px;color:#0f172a;">${escapeHtml(title)}</h2>\n${body}`;
+  const empty = (text) => `<p style="margin:0;font-size:14px;color:#64748b;">${escapeHtml(text)}</p>`;
+
+  const statCells = stats(digest)
+    .map(
+      (stat) => `<td style="width:25%;padding:12px;background:#f1f5f9;border-radius:8px;vertical-align:top;">
+      <div style="font-size:12px;color:#64748b;text-transform:uppercase;">${escapeHtml(stat.label)}</div>
+      <div style="font-size:24px;font-weight:bold;color:#0f172a;">${escapeHtml(stat.value)}</div>
+      <div style="font-size:12px;color:#475569;">${escapeHtml(stat.detail)}</div>
+    </td>`
+    )
+    .join("\n    ");
+
+  const ctas = digest.topCtas.length
+    ? htmlTable(
+        ["CTA", "Sessions", "Leads", "Conversion"],
+        digest.topCtas.map((row) => [row.cta, row.sessions, row.leads, formatPercent(row.conversionRate)])
+      )
+    : empty("No CTA picked in this period.");
+
+  const questions = digest.unansweredQuestions.length
+    ? htmlTable(
+        ["Question", "Times asked"],
+        digest.unansweredQuestions.map((row) => [row.question, row.count])
+      )
+    : empty("None - the chat had an answer for every question.");
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(digestSubject(digest))}</title></head>
+<body style="margin:0;padding:24px;background:#ffffff;font-family:Arial,Helvetica,sans-serif;color:#0f172a;">
+<div style="max-width:640px;margin:0 auto;">
+  <p style="margin:0;font-size:12px;color:#64748b;text-transform:uppercase;letter-spacing:2px;">${escapeHtml(FREQUENCY_LABELS[digest.frequency] || "")} digest</p>
+  <h1 style="margin:4px 0;font-size:22px;">${escapeHtml(projectLabel(digest))}</h1>
+  <p style="margin:0;font-size:14px;color:#475569;">${escapeHtml(periodLabel(digest))}</p>
+  <table role="presentation" cellspacing="8" cellpadding="0" style="width:100%;margin-top:20px;">
+    <tr>
+    ${statCells}
+    </tr>
+  </table>
+  ${digest.leads.total > 0 ? `<p style="margin:8px 0 0;font-size:14px;color:#475569;">Lead status: ${escapeHtml(statusSummary(digest))}</p>` : ""}
+  ${section("Top CTAs", ctas)}
+  ${section(`Unanswered questions (${digest.unansweredTotal})`, questions)}
+  ${
+    dashboardUrl
+      ? `<p style="margin:28px 0 0;"><a href="${escapeHtml(`${dashboardUrl}/leads`)}" style="color:#0284c7;">Open the dashboard</a></p>`
+      : ""
+  }
+  <p style="margin:28px 0 0;font-size:12px;color:#94a3b8;">Generated ${escapeHtml(formatDateTime(digest.generatedAt, digest.utcOffset))}. Digest settings are under Widget Settings in the dashboard.</p>
+</div>
+</body>
+</html>
+`;
+}
+
+function pdfTable(doc, headers, rows, widths) {
+  const left = doc.page.margins.left;
+  const drawRow = (values, { bold = false } = {}) => {
+    const top = doc.y;
+    let x = left;
+    let height = 0;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    values.forEach((value, index) => {
+      const options = { width: widths[index] - 8, align: index === 0 ? "left" : "right" };
+      doc.text(String(value), x, top, options);
+      height = Math.max(height, doc.heightOfString(String(value), options));
+      x += widths[index];
+    });
+    doc.x = left;
+    doc.y = top + height + 6;
+  };
+
+  drawRow(headers, { bold: true });
+  rows.forEach((row) => drawRow(row));
+}
+
+// PDF copy of the digest, resolved as a Buffer
+export function renderDigestPdf(digest) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: digestSubject(digest) } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const heading = (text) => doc.moveDown(1).font("Helvetica-Bold").fontSize(13).fillColor("#0f172a").text(text).moveDown(0.4);
+    const muted = (text) => doc.font("Helvetica").fontSize(10).fillColor("#475569").text(text).fillColor("#0f172a");
+
+    doc.font("Helvetica").fontSize(9).fillColor("#64748b").text(`${(FREQUENCY_LABELS[digest.frequency] || "").toUpperCase()} DIGEST`);
+    doc.font("Helvetica-Bold").fontSize(18).fillColor("#0f172a").text(projectLabel(digest));
+    muted(periodLabel(digest));
+
+    heading("Summary");
+    pdfTable(
+      doc,
+      ["", "Value", ""],
+      stats(digest).map((stat) => [stat.label, stat.value, stat.detail]),
+      [160, 80, 255]
+    );
+    if (digest.leads.total > 0) {
+      muted(`Lead status: ${statusSummary(digest)}`);
+    }
+
+    heading("Top CTAs");
+    if (digest.topCtas.length) {
+      pdfTable(
+        doc,
+        ["CTA", "Sessions", "Leads", "Conversion"],
+        digest.topCtas.map((row) => [row.cta, row.sessions, row.leads, formatPercent(row.conversionRate)]),
+        [235, 80, 80, 100]
+      );
+    } else {
+      muted("No CTA picked in this period.");
+    }
+
+    heading(`Unanswered questions (${digest.unansweredTotal})`);
+    if (digest.unansweredQuestions.length) {
+      pdfTable(
+        doc,
+        ["Question", "Times asked"],
+        digest.unansweredQuestions.map((row) => [row.question, row.count]),
+        [395, 100]
+      );
+    } else {
+      muted("None - the chat had an answer for every question.");
+    }
+
+    doc.moveDown(2);
+    doc.font("Helvetica").fontSize(8).fillColor("#94a3b8").text(`Generated ${formatDateTime(digest.generatedAt, digest.utcOffset)}`);
+    doc.end();
+  });
+}
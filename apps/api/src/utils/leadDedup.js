@@ -0,0 +1,148 @@
+/**
+ * Lead deduplication by phone number.
+ *
+ * A new enquiry from a phone number that already has a lead active within
+ * `config.leadDedup.windowHours` is, depending on `config.leadDedup.mode`:
+ *   - "touch":     attached to that lead as an entry in `metadata.touches`
+ *   - "duplicate": stored as its own lead with `duplicateOf` pointing at it
+ *
+ * Leads the phone match missed (another number, an older enquiry) are merged by
+ * hand from the dashboard through POST /api/leads/:id/merge.
+ */
+import { config } from "../config.js";
+import { UNDECIDED_BHK_TYPES } from "./bhkPreference.js";
+import { mergeAttributions, touchAttribution, withAttribution } from "./attribution.js";
+
+// Leads from MySQL are plain rows (snake_case), file-store leads are camelCase
+function leadField(lead, camelName, snakeName) {
+  return lead[camelName] ?? lead[snakeName];
+}
+
+function toIsoString(value) {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * One enquiry as recorded in `metadata.touches`.
+ */
+export function buildLeadTouch({ microsite, bhkType, bhk, metadata, createdAt, mergedFrom }) {
+  const utm = metadata?.visitor?.utm;
+  return {
+    microsite,
+    bhkType,
+    ...(bhk !== null && bhk !== undefined && { bhk }),
+    ...(metadata?.projectId && { projectId: metadata.projectId }),
+    source: metadata?.capturedFrom || "form",
+    ...(utm && Object.keys(utm).length > 0 && { utm }),
+    ...(metadata?.visitor?.visitorId && { visitorId: metadata.visitor.visitorId }),
+    ...(mergedFrom !== undefined && { mergedFrom }),
+    createdAt: toIsoString(createdAt),
+  };
+}
+
+// A specific BHK from a later enquiry replaces "Yet to decide" / "Just Browsing"
+function preferDecidedBhk(current, incoming) {
+  const currentType = leadField(current, "bhkType", "bhk_type");
+  const incomingType = leadField(incoming, "bhkType", "bhk_type");
+
+  if (incomingType && UNDECIDED_BHK_TYPES.includes(currentType) && !UNDECIDED_BHK_TYPES.includes(incomingType)) {
+    return { bhkType: incomingType, bhk: incoming.bhk ?? null };
+  }
+  return {};
+}
+
+/**
+ * Create the lead, or attach it to / mark it as a duplicate of a recent lead
+ * with the same (normalized) phone number.
+ * Returns `{ lead, created, touched, duplicateOf }`.
+ */
+export async function createOrTouchLead(leadStore, payload) {
+  const { mode, windowHours } = config.leadDedup;
+  const existing =
+    payload.phone && windowHours > 0
+      ? await leadStore.findRecentLeadByPhone(payload.phone, {
+          since: new Date(Date.now() - windowHours * 60 * 60 * 1000),
+        })
+      : null;
+
+  if (!existing) {
+    const lead = await leadStore.createLead({ ...payload, metadata: withAttribution(payload.metadata) });
+    return { lead, created: true, touched: false, duplicateOf: null };
+  }
+
+  if (mode === "duplicate") {
+    const lead = await leadStore.createLead({
+      ...payload,
+      metadata: withAttribution(payload.metadata),
+      duplicateOf: existing.id,
+    });
+    return { lead, created: true, touched: false, duplicateOf: existing.id };
+  }
+
+  const existingMetadata = existing.metadata || {};
+  const lead = await leadStore.updateLead(existing.id, {
+    ...preferDecidedBhk(existing, payload),
+    // Details the first enquiry lacked (a name, a location) are filled in from the new one
+    metadata: {
+      ...(payload.metadata || {}),
+      ...existingMetadata,
+      touches: [...(existingMetadata.touches || []), buildLeadTouch(payload)],
+      attribution: touchAttribution(
+        existingMetadata,
+        leadField(existing, "createdAt", "created_at"),
+        payload.metadata
+      ),
+    },
+  });
+  return { lead, created: false, touched: true, duplicateOf: null };
+}
+
+/**
+ * Field updates for merging `sources` into `target`: each source becomes a touch
+ * on the target (with its own touches), and its metadata fills gaps in the target's.
+ */
+export function buildMergeUpdates(target, sources) {
+  const targetMetadata = target.metadata || {};
+  const touches = [...(targetMetadata.touches || [])];
+  const mergedLeadIds = [...(targetMetadata.mergedLeadIds || [])];
+  let sourceMetadata = {};
+  let bhkChange = {};
+
+  for (const source of sources) {
+    const { touches: sourceTouches = [], mergedLeadIds: sourceMergedIds, ...metadata } = source.metadata || {};
+    touches.push(
+      buildLeadTouch({
+        microsite: source.microsite,
+        bhkType: leadField(source, "bhkType", "bhk_type"),
+        bhk: source.bhk,
+        metadata: source.metadata,
+        createdAt: leadField(source, "createdAt", "created_at"),
+        mergedFrom: source.id,
+      }),
+      ...sourceTouches
+    );
+    // Leads merged into a source earlier stay on the merged lead's timeline
+    mergedLeadIds.push(source.id, ...(sourceMergedIds || []));
+    sourceMetadata = { ...metadata, ...sourceMetadata };
+    bhkChange = { ...bhkChange, ...preferDecidedBhk({ ...target, ...bhkChange }, source) };
+  }
+
+  touches.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  return {
+    ...bhkChange,
+    metadata: {
+      ...sourceMetadata,
+      ...targetMetadata,
+      touches,
+      attribution: mergeAttributions(
+        [target, ...sources].map((lead) => ({
+          metadata: lead.metadata,
+          createdAt: leadField(lead, "createdAt", "created_at"),
+        }))
+      ),
+      mergedLeadIds,
+    },
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Lead export: flattened columns and streaming CSV / XLSX / JSON writers for
+ * GET /api/leads/export.
+ *
+ * Leads are written page by page as they are read, so an export never holds
+ * more than one page in memory.
+ */
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+function toIsoString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const visitorLocation = (lead) => lead.metadata?.visitor?.location || lead.location || {};
+const utm = (lead) => lead.metadata?.visitor?.utm || {};
+
+// Leads from MySQL are plain rows (snake_case), file-store leads are camelCase
+export const EXPORT_COLUMNS = [
+  { id: "id", label: "Lead ID", value: (lead) => lead.id },
+  { id: "createdAt", label: "Captured At", value: (lead) => toIsoString(lead.createdAt ?? lead.created_at) },
+  { id: "updatedAt", label: "Updated At", value: (lead) => toIsoString(lead.updatedAt ?? lead.updated_at) },
+  { id: "name", label: "Name", value: (lead) => lead.metadata?.name },
+  { id: "phone", label: "Phone", value: (lead) => lead.phone },
+  { id: "phoneCountry", label: "Phone Country", value: (lead) => lead.metadata?.phoneCountry },
+  { id: "phoneCountryCode", label: "Phone Country Code", value: (lead) => lead.metadata?.phoneCountryCode },
+  { id: "phoneDialCode", label: "Phone Dial Code", value: (lead) => lead.metadata?.phoneDialCode },
+  { id: "microsite", label: "Microsite", value: (lead) => lead.microsite },
+  { id: "projectId", label: "Project", value: (lead) => lead.metadata?.projectId },
+  { id: "bhkType", label: "Interest", value: (lead) => lead.bhkType ?? lead.bhk_type },
+  { id: "cta", label: "CTA", value: (lead) => lead.metadata?.cta },
+  { id: "status", label: "Status", value: (lead) => lead.status || "new" },
+  { id: "assignedTo", label: "Owner", value: (lead) => lead.assignedTo ?? lead.assigned_to },
+  { id: "score", label: "Score", value: (lead) => lead.score },
+  { id: "tags", label: "Tags", value: (lead) => (lead.tags || []).join(", ") },
+  { id: "enquiries", label: "Enquiries", value: (lead) => 1 + (lead.metadata?.touches?.length || 0) },
+  { id: "duplicateOf", label: "Duplicate Of", value: (lead) => lead.duplicateOf ?? lead.duplicate_of },
+  { id: "leadSource", label: "Lead Source", value: (lead) => lead.leadSource ?? lead.lead_source },
+  { id: "capturedFrom", label: "Captured From", value: (lead) => lead.metadata?.capturedFrom || "form" },
+  { id: "utmSource", label: "UTM Source", value: (lead) => utm(lead).source },
+  { id: "utmMedium", label: "UTM Medium", value: (lead) => utm(lead).medium },
+  { id: "utmCampaign", label: "UTM Campaign", value: (lead) => utm(lead).campaign },
+  { id: "utmTerm", label: "UTM Term", value: (lead) => utm(lead).term },
+  { id: "utmContent", label: "UTM Content", value: (lead) => utm(lead).content },
+  { id: "referrer", label: "Referrer", value: (lead) => lead.metadata?.visitor?.referrer },
+  { id: "landingPage", label: "Landing Page", value: (lead) => lead.metadata?.visitor?.landingPage },
+  { id: "city", label: "City", value: (lead) => visitorLocation(lead).city },
+  { id: "region", label: "Region", value: (lead) => visitorLocation(lead).region },
+  { id: "country", label: "Country", value: (lead) => visitorLocation(lead).country },
+  { id: "timezone", label: "Timezone", value: (lead) => visitorLocation(lead).timezone },
+  { id: "ip", label: "IP Address", value: (lead) => lead.metadata?.visitor?.ip },
+];
+
+/**
+ * Columns for a comma-separated list of column ids (all columns when empty).
+ * Returns `{ columns, unknown }`; `unknown` lists ids that matched nothing.
+ */
+export function resolveExportColumns(columnIds) {
+  const requested = String(columnIds || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return { columns: EXPORT_COLUMNS, unknown: [] };
+  }
+
+  const columns = requested
+    .map((id) => EXPORT_COLUMNS.find((column) => column.id === id))
+    .filter(Boolean);
+  const unknown = requested.filter((id) => !EXPORT_COLUMNS.some((column) => column.id === id));
+  return { columns, unknown };
+}
+
+function cellValue(column, lead) {
+  const value = column.value(lead);
+  return value === undefined || value === "" ? null : value;
+}
+
+// Text a spreadsheet would run as a formula (=, +, -, @) or that hides one behind a tab / CR
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// E.164 phone numbers and dial codes ("+919876543210", "+91") start with + but are plain values
+const PLAIN_PHONE = /^\+\d+$/;
+
+/**
+ * One CSV cell. Visitor-typed text (names, UTM tags, referrers) that starts
+ * like a formula gets a leading apostrophe so Excel / Sheets show it as text;
+ * numbers and phone numbers are left as they are.
+ */
+export function escapeCsvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const isFormula = typeof value === "string" && FORMULA_PREFIX.test(value) && !PLAIN_PHONE.test(value);
+  const stringValue = isFormula ? `'${value}` : String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+}
+
+// Numbers stay numeric; everything else goes in as an explicit string cell, never a formula
+function xlsxCellValue(value) {
+  return value === null || typeof value === "number" ? value : String(value);
+}
+
+// Respect backpressure so a slow client doesn't buffer the whole export in memory
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, "drain");
+  }
+}
+
+/**
+ * Writer for one export format: `await writer.start()`, `await writer.writeLeads(page)`
+ * for every page, then `await writer.finish()`.
+ */
+export function createExportWriter(format, stream, columns) {
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet("Leads");
+    sheet.columns = columns.map((column) => ({ header: column.label, key: column.id }));
+
+    return {
+      async start() {},
+      async writeLeads(leads) {
+        for (const lead of leads) {
+          sheet.addRow(columns.map((column) => xlsxCellValue(cellValue(column, lead)))).commit();
+        }
+      },
+      async finish() {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  if (format === "json") {
+    let first = true;
+    return {
+      async start() {
+        await write(stream, "[");
+      },
+      async writeLeads(leads) {
+        for (const lead of leads) {
+          const row = Object.fromEntries(columns.map((column) => [column.id, cellValue(column, lead)]));
+          await write(stream, `${first ? "" : ","}\n${JSON.stringify(row)}`);
+          first = false;
+        }
+      },
+      async finish() {
+        stream.end(first ? "]" : "\n]\n");
+      },
+    };
+  }
+
+  return {
+    async start() {
+      // BOM so Excel opens the UTF-8 file (names, ₹, emoji CTAs) correctly
+      await write(stream, `\uFEFF${columns.map((column) => escapeCsvCell(column.label)).join(",")}\r\n`);
+    },
+    async writeLeads(leads) {
+      if (leads.length === 0) return;
+      const lines = leads.map((lead) =>
+        columns.map((column) => escapeCsvCell(cellValue(column, lead))).join(",")
+      );
+      await write(stream, `${lines.join("\r\n")}\r\n`);
+    },
+    async finish() {
+      stream.end();
+    },
+  };
+}
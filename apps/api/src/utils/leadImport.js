@@ -0,0 +1,217 @@
+/**
+ * Bulk lead import from CSV (offline events, property portals).
+ *
+ * The CSV's columns are mapped onto IMPORT_FIELDS, either explicitly
+ * ({ phone: "Mobile No", bhk: "Configuration" }) or by matching the headers
+ * against each field's aliases. Every row goes through the same normalization
+ * as widget leads (normalizePhone, normalizeBhkPreference) and comes back with
+ * its own errors, so a file can be fixed and re-uploaded.
+ */
+import { normalizePhone } from "./phoneValidation.js";
+import { normalizeBhkPreference } from "./bhkPreference.js";
+import { sanitizeMicrosite, sanitizeString } from "./sanitize.js";
+
+export const MAX_IMPORT_ROWS = 5000;
+export const DEFAULT_IMPORT_SOURCE = "Import";
+
+export const IMPORT_FIELDS = [
+  { id: "phone", label: "Phone", required: true, aliases: ["phone", "mobile", "mobile number", "mobile no", "phone number", "contact", "contact number", "number"] },
+  { id: "name", label: "Name", aliases: ["name", "full name", "customer name", "lead name", "client name"] },
+  { id: "bhk", label: "BHK preference", aliases: ["bhk", "bhk type", "bhk preference", "configuration", "config", "interest", "requirement"] },
+  { id: "microsite", label: "Microsite / project", aliases: ["microsite", "project", "project name", "site"] },
+  { id: "email", label: "Email", aliases: ["email", "email address", "e mail", "mail"] },
+  { id: "leadSource", label: "Lead source", aliases: ["lead source", "source", "portal", "channel"] },
+  { id: "status", label: "Status", aliases: ["status", "lead status", "stage"] },
+  { id: "assignedTo", label: "Owner", aliases: ["owner", "assigned to", "agent", "sales person", "salesperson"] },
+  { id: "utmSource", label: "UTM source", aliases: ["utm source"] },
+  { id: "utmMedium", label: "UTM medium", aliases: ["utm medium"] },
+  { id: "utmCampaign", label: "UTM campaign", aliases: ["utm campaign", "campaign"] },
+  { id: "city", label: "City", aliases: ["city", "location"] },
+  { id: "note", label: "Note", aliases: ["note", "notes", "comment", "comments", "remarks"] },
+];
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[_\-.]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// The delimiter used most in the header line: comma, semicolon or tab
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n/) === -1 ? text.length : text.search(/\r?\n/));
+  const counts = [",", ";", "\t"].map((delimiter) => [delimiter, firstLine.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, quoted newlines, a leading BOM) into rows of cells.
+ * Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((value) => value.trim() !== "")) {
+      rows.push(row);
+    }
+    row = [];
+    cell = "";
+  };
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") {
+        index += 1;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Resolve `{ fieldId: headerName }` against the CSV headers. Explicit mappings
+ * win; unmapped fields fall back to a header matching one of their aliases.
+ * Returns `{ mapping, errors }` where mapping is `{ fieldId: columnIndex }`.
+ */
+export function resolveImportMapping(headers, requested = {}) {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const mapping = {};
+  const errors = [];
+
+  for (const field of IMPORT_FIELDS) {
+    const explicit = requested[field.id];
+    if (explicit !== undefined && explicit !== null && explicit !== "") {
+      const index = normalizedHeaders.indexOf(normalizeHeader(explicit));
+      if (index === -1) {
+        errors.push(`Column "${explicit}" mapped to ${field.label} is not in the file`);
+      } else {
+        mapping[field.id] = index;
+      }
+      continue;
+    }
+
+    const index = normalizedHeaders.findIndex((header) => field.aliases.includes(header));
+    if (index !== -1 && !Object.values(mapping).includes(index)) {
+      mapping[field.id] = index;
+    }
+  }
+
+  if (mapping.phone === undefined && !errors.length) {
+    errors.push("No phone column found; map one explicitly");
+  }
+
+  return { mapping, errors };
+}
+
+/**
+ * Validate and normalize one CSV row. Returns `{ errors, lead }`; `lead` holds
+ * everything needed to create the lead when there are no errors.
+ */
+export function buildImportRow(cells, mapping, { defaultMicrosite, defaultLeadSource, statuses, importId }) {
+  const value = (fieldId) => {
+    const index = mapping[fieldId];
+    return index === undefined ? "" : sanitizeString(String(cells[index] ?? ""));
+  };
+  const errors = [];
+
+  const phoneResult = normalizePhone(value("phone"));
+  if (phoneResult.error) {
+    errors.push(`Phone: ${phoneResult.error}`);
+  }
+
+  // A blank BHK is "Yet to decide", as for chat-captured leads; anything else must be recognisable
+  const rawBhk = value("bhk");
+  const bhkPreference = rawBhk
+    ? normalizeBhkPreference({ bhkType: rawBhk })
+    : { type: "Yet to decide", numeric: null };
+  if (!bhkPreference) {
+    errors.push(`BHK: "${rawBhk}" is not a recognised preference`);
+  }
+
+  const microsite = sanitizeMicrosite(value("microsite") || defaultMicrosite);
+  if (!microsite) {
+    errors.push("Microsite: missing or invalid (map a project column or set a default microsite)");
+  }
+
+  const rawStatus = value("status").toLowerCase();
+  if (rawStatus && !statuses.includes(rawStatus)) {
+    errors.push(`Status: "${value("status")}" must be one of ${statuses.join(", ")}`);
+  }
+
+  const email = value("email");
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.push(`Email: "${email}" is not a valid address`);
+  }
+
+  if (errors.length > 0) {
+    return { errors, lead: null };
+  }
+
+  const utm = Object.fromEntries(
+    [
+      ["source", value("utmSource")],
+      ["medium", value("utmMedium")],
+      ["campaign", value("utmCampaign")],
+    ].filter(([, fieldValue]) => fieldValue)
+  );
+  const city = value("city");
+
+  return {
+    errors,
+    lead: {
+      phone: phoneResult.value,
+      bhk: bhkPreference.numeric,
+      bhkType: bhkPreference.type,
+      microsite,
+      leadSource: (value("leadSource") || defaultLeadSource || DEFAULT_IMPORT_SOURCE).slice(0, 100),
+      status: rawStatus || null,
+      assignedTo: value("assignedTo").slice(0, 255) || null,
+      note: value("note").slice(0, 2000) || null,
+      metadata: {
+        ...(value("name") && { name: value("name").slice(0, 255) }),
+        ...(email && { email: email.slice(0, 255) }),
+        phoneCountry: phoneResult.country?.name,
+        phoneCountryCode: phoneResult.country?.countryCode,
+        phoneDialCode: phoneResult.country?.code,
+        phoneSubscriber: phoneResult.subscriber,
+        capturedFrom: "import",
+        importId,
+        ...((Object.keys(utm).length > 0 || city) && {
+          visitor: {
+            ...(Object.keys(utm).length > 0 && { utm }),
+            ...(city && { location: { city } }),
+          },
+        }),
+      },
+    },
+  };
+}
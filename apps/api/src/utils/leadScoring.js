@@ -0,0 +1,225 @@
+/**
+ * Lead scoring.
+ *
+ * A lead's score (0-100) adds up points for signals captured with it:
+ *   - cta:          the widget CTA the visitor picked ("Site Visit Or Virtual Tour 🚁"),
+ *                   or for chat-captured leads the topics the chat covered ("site_visit")
+ *   - bhk:          a specific configuration vs "Yet to decide" / "Just Browsing"
+ *   - chatTurns:    messages the visitor sent
+ *   - utmSource:    the visitor's utm_source ("direct" when there was none)
+ *   - repeatVisits: later enquiries attached to the lead (metadata.touches)
+ *   - phoneCountry: the phone number's ISO country code ("other" for the rest)
+ *
+ * Projects override any part of DEFAULT_LEAD_SCORING through the `leadScoring`
+ * field of their widget config; keyword maps are merged with the defaults, so a
+ * keyword is switched off by giving it 0 points.
+ */
+import { config } from "../config.js";
+import { logger } from "./logger.js";
+import { UNDECIDED_BHK_TYPES } from "./bhkPreference.js";
+
+export const MAX_LEAD_SCORE = 100;
+
+export const DEFAULT_LEAD_SCORING = {
+  // Keyword (matched case-insensitively inside the CTA / chat topic) -> points; the best match counts
+  cta: {
+    "site visit": 30,
+    "call back": 25,
+    quote: 20,
+    whatsapp: 15,
+    pricing: 15,
+    brochure: 10,
+  },
+  bhk: { decided: 15, undecided: 0 },
+  chatTurns: { perTurn: 3, max: 15 },
+  utmSource: {
+    google: 10,
+    facebook: 5,
+    instagram: 5,
+    direct: 5,
+  },
+  repeatVisits: { perVisit: 10, max: 20 },
+  phoneCountry: { IN: 10, other: 5 },
+};
+
+const KEYWORD_SECTIONS = ["cta", "utmSource", "phoneCountry"];
+const NUMBER_SECTIONS = {
+  bhk: ["decided", "undecided"],
+  chatTurns: ["perTurn", "max"],
+  repeatVisits: ["perVisit", "max"],
+};
+const MAX_KEYWORDS = 50;
+
+function toPoints(value) {
+  const number = Number(value);
+  if (value === "" || value === null || !Number.isFinite(number)) {
+    return null;
+  }
+  return Math.max(-MAX_LEAD_SCORE, Math.min(MAX_LEAD_SCORE, Math.round(number)));
+}
+
+function normalizeKeyword(section, keyword) {
+  const trimmed = String(keyword).trim().slice(0, 50);
+  if (section === "phoneCountry") {
+    return trimmed.toLowerCase() === "other" ? "other" : trimmed.toUpperCase();
+  }
+  return trimmed.toLowerCase();
+}
+
+/**
+ * Keep only known sections and numeric points from a project's `leadScoring`
+ * override; anything left out falls back to DEFAULT_LEAD_SCORING.
+ */
+export function sanitizeLeadScoring(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return {};
+  }
+
+  const sanitized = {};
+
+  for (const section of KEYWORD_SECTIONS) {
+    const map = rules[section];
+    if (!map || typeof map !== "object" || Array.isArray(map)) continue;
+
+    const entries = {};
+    for (const [keyword, value] of Object.entries(map).slice(0, MAX_KEYWORDS)) {
+      const key = normalizeKeyword(section, keyword);
+      const points = toPoints(value);
+      if (key && points !== null) {
+        entries[key] = points;
+      }
+    }
+    if (Object.keys(entries).length > 0) {
+      sanitized[section] = entries;
+    }
+  }
+
+  for (const [section, fields] of Object.entries(NUMBER_SECTIONS)) {
+    const values = rules[section];
+    if (!values || typeof values !== "object" || Array.isArray(values)) continue;
+
+    const entries = {};
+    for (const field of fields) {
+      const points = toPoints(values[field]);
+      if (points !== null) {
+        entries[field] = points;
+      }
+    }
+    if (Object.keys(entries).length > 0) {
+      sanitized[section] = entries;
+    }
+  }
+
+  return sanitized;
+}
+
+// DEFAULT_LEAD_SCORING with a project's overrides applied
+export function resolveLeadScoring(overrides) {
+  const sanitized = sanitizeLeadScoring(overrides);
+  return Object.fromEntries(
+    Object.entries(DEFAULT_LEAD_SCORING).map(([section, defaults]) => [
+      section,
+      { ...defaults, ...(sanitized[section] || {}) },
+    ])
+  );
+}
+
+// Highest-scoring keyword found in any of the values, or null
+function bestKeywordMatch(map, values) {
+  let best = null;
+  for (const value of values) {
+    const text = String(value).toLowerCase().replace(/_/g, " ");
+    for (const [keyword, points] of Object.entries(map)) {
+      if (text.includes(keyword) && (!best || points > best.points)) {
+        best = { value, keyword, points };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Score a lead (a MySQL row or a file-store lead) against resolved rules.
+ * Returns `{ score, breakdown }`; the breakdown lists the points each signal gave.
+ */
+export function scoreLead(lead, rules = DEFAULT_LEAD_SCORING) {
+  const metadata = lead.metadata || {};
+  const breakdown = [];
+  const add = (signal, value, points) => {
+    if (points) breakdown.push({ signal, value, points });
+  };
+
+  const ctaValues = [metadata.cta, ...(Array.isArray(metadata.chatTopics) ? metadata.chatTopics : [])].filter(Boolean);
+  const ctaMatch = bestKeywordMatch(rules.cta, ctaValues);
+  if (ctaMatch) add("cta", ctaMatch.value, ctaMatch.points);
+
+  const bhkType = lead.bhkType ?? lead.bhk_type;
+  if (bhkType) {
+    add("bhk", bhkType, UNDECIDED_BHK_TYPES.includes(bhkType) ? rules.bhk.undecided : rules.bhk.decided);
+  }
+
+  const chatTurns = Array.isArray(lead.conversation)
+    ? lead.conversation.filter((message) => message?.type === "user").length
+    : 0;
+  if (chatTurns > 0) {
+    add("chatTurns", chatTurns, Math.min(chatTurns * rules.chatTurns.perTurn, rules.chatTurns.max));
+  }
+
+  const utmSource = String(metadata.visitor?.utm?.source || "").trim().toLowerCase();
+  if (utmSource) {
+    const utmMatch = bestKeywordMatch(rules.utmSource, [utmSource]);
+    if (utmMatch) add("utmSource", utmSource, utmMatch.points);
+  } else {
+    add("utmSource", "direct", rules.utmSource.direct || 0);
+  }
+
+  const repeatVisits = Array.isArray(metadata.touches) ? metadata.touches.length : 0;
+  if (repeatVisits > 0) {
+    add("repeatVisits", repeatVisits, Math.min(repeatVisits * rules.repeatVisits.perVisit, rules.repeatVisits.max));
+  }
+
+  const countryCode = metadata.phoneCountryCode ? String(metadata.phoneCountryCode).toUpperCase() : null;
+  if (countryCode) {
+    add("phoneCountry", countryCode, rules.phoneCountry[countryCode] ?? rules.phoneCountry.other ?? 0);
+  }
+
+  const total = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  return { score: Math.max(0, Math.min(MAX_LEAD_SCORE, total)), breakdown };
+}
+
+async function getWidgetConfigStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWidgetConfigStore.js");
+  }
+  return await import("../storage/widgetConfigStore.js");
+}
+
+// Resolved rules for a project, falling back to the defaults when its config can't be read
+export async function loadLeadScoring(projectId) {
+  if (!projectId) {
+    return resolveLeadScoring();
+  }
+  try {
+    const store = await getWidgetConfigStore();
+    const widgetConfig = await store.getWidgetConfig(projectId);
+    return resolveLeadScoring(widgetConfig?.leadScoring);
+  } catch (error) {
+    logger.error("Failed to load lead scoring rules, using defaults", error);
+    return resolveLeadScoring();
+  }
+}
+
+/**
+ * Score the lead with its project's rules and save the score (breakdown in
+ * `metadata.scoring`). Returns the updated lead.
+ */
+export async function applyLeadScore(leadStore, lead, { rules } = {}) {
+  const metadata = lead.metadata || {};
+  const resolvedRules = rules || (await loadLeadScoring(metadata.projectId || lead.microsite));
+  const { score, breakdown } = scoreLead(lead, resolvedRules);
+
+  return await leadStore.updateLead(lead.id, {
+    score,
+    metadata: { ...metadata, scoring: { breakdown, scoredAt: new Date().toISOString() } },
+  });
+}
@@ -147,7 +147,12 @@ export function normalizePhone(raw) {
 
   const digitsOnly = stripped.replace(/\D/g, "");
   const withPlus = stripped.startsWith("+") ? stripped : `+${stripped}`;
-  const explicit = SORTED_CODES.find((entry) => withPlus.startsWith(entry.code));
+  // A bare 10-digit number starting with 6-9 is an Indian mobile even when its first
+  // digits look like a dial code ("7012345678" is not +7, "9123456780" is not +91)
+  const isBareIndianMobile = !stripped.startsWith("+") && /^[6-9]\d{9}$/.test(stripped);
+  const explicit = isBareIndianMobile
+    ? undefined
+    : SORTED_CODES.find((entry) => withPlus.startsWith(entry.code));
 
   let country = explicit ?? null;
   let subscriberDigits =
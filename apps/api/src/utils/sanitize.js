@@ -113,6 +113,51 @@ export function sanitizeConversation(conversation) {
   }).filter(Boolean);
 }
 
+/**
+ * Sanitize chat dialogue state ({ lastAskedTopic, pendingSlot, coveredTopics, turn, slots })
+ */
+export function sanitizeDialogueState(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return null;
+  }
+  
+  const sanitizeToken = (value) => {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const token = value.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 50);
+    return token || null;
+  };
+  
+  const coveredTopics = Array.isArray(state.coveredTopics)
+    ? [...new Set(state.coveredTopics.map(sanitizeToken).filter(Boolean))].slice(0, 20)
+    : [];
+  const turn = Number.parseInt(state.turn, 10);
+  
+  // Lead details collected from chat messages; re-validated before any lead is written
+  const rawSlots = state.slots && typeof state.slots === 'object' ? state.slots : {};
+  const slots = {};
+  if (typeof rawSlots.name === 'string' && rawSlots.name.trim()) {
+    slots.name = sanitizeString(rawSlots.name).slice(0, 100);
+  }
+  if (typeof rawSlots.phone === 'string' && /^\+?\d{4,18}$/.test(rawSlots.phone)) {
+    slots.phone = rawSlots.phone;
+  }
+  if (typeof rawSlots.bhkType === 'string' && rawSlots.bhkType.trim()) {
+    slots.bhkType = sanitizeString(rawSlots.bhkType).slice(0, 50);
+    const bhk = Number.parseInt(rawSlots.bhk, 10);
+    slots.bhk = Number.isFinite(bhk) ? bhk : null;
+  }
+  
+  return {
+    lastAskedTopic: sanitizeToken(state.lastAskedTopic),
+    pendingSlot: sanitizeToken(state.pendingSlot),
+    coveredTopics,
+    turn: Number.isFinite(turn) && turn >= 0 ? Math.min(turn, 10000) : 0,
+    slots,
+  };
+}
+
 /**
  * Validate and sanitize phone number input
  */
@@ -155,3 +200,39 @@ export function sanitizeProjectId(projectId) {
   return sanitized.slice(0, 100);
 }
 
+/**
+ * Validate and sanitize an anonymous widget visitor / session id (a UUID)
+ */
+export function sanitizeVisitorId(id) {
+  if (!id || typeof id !== 'string') {
+    return null;
+  }
+
+  const sanitized = id.replace(/[^a-zA-Z0-9-]/g, '').slice(0, 64);
+  return sanitized || null;
+}
+
+/**
+ * Sanitize per-project response template overrides ({ intentId: template })
+ */
+export function sanitizeResponseTemplates(templates) {
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return {};
+  }
+  
+  const sanitized = {};
+  for (const [key, value] of Object.entries(templates).slice(0, 100)) {
+    const safeKey = String(key).replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 100);
+    if (!safeKey || typeof value !== 'string') {
+      continue;
+    }
+    
+    const template = sanitizeString(value).slice(0, 1000);
+    // Empty strings mean "use the default template"
+    if (template) {
+      sanitized[safeKey] = template;
+    }
+  }
+  
+  return sanitized;
+}
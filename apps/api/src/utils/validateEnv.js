@@ -58,6 +58,24 @@ export function validateEnvironment() {
     }
   }
 
+  // Validate chat answer provider settings
+  const chatProvider = (process.env.CHAT_PROVIDER || 'keyword').trim().toLowerCase();
+  if (chatProvider && !['keyword', 'http'].includes(chatProvider)) {
+    warnings.push(`CHAT_PROVIDER "${chatProvider}" is not supported - using the keyword engine (supported: keyword, http)`);
+  }
+  if (chatProvider === 'http' && !process.env.CHAT_PROVIDER_URL) {
+    warnings.push('CHAT_PROVIDER=http but CHAT_PROVIDER_URL is not set - chat will use the keyword engine');
+  }
+
+  // Validate lead dedup settings
+  const leadDedupMode = (process.env.LEAD_DEDUP_MODE || '').trim().toLowerCase();
+  if (leadDedupMode && !['touch', 'duplicate'].includes(leadDedupMode)) {
+    warnings.push(`LEAD_DEDUP_MODE "${leadDedupMode}" is not supported - using "touch" (supported: touch, duplicate)`);
+  }
+  if (process.env.LEAD_DEDUP_WINDOW_HOURS !== undefined && !(Number(process.env.LEAD_DEDUP_WINDOW_HOURS) >= 0)) {
+    warnings.push('LEAD_DEDUP_WINDOW_HOURS must be a number of hours (0 disables dedup) - using 720');
+  }
+
   // Log warnings
   if (warnings.length > 0) {
     console.warn('⚠️  Environment variable warnings:');
@@ -0,0 +1,254 @@
+/**
+ * Outbound webhooks.
+ *
+ * emitWebhookEvent() records one pending delivery per subscribed webhook (global
+ * ones plus those for the lead's microsite) and the dispatcher POSTs them as JSON.
+ * Every request is signed:
+ *
+ *   X-Homesfy-Signature: sha256=HMAC_SHA256(secret, `${X-Homesfy-Timestamp}.${body}`)
+ *
+ * A delivery succeeds on any 2xx response. Anything else is retried with
+ * exponential backoff (30s, 1m, 2m, ... capped at an hour) until
+ * config.webhooks.maxAttempts, then marked failed. Pending deliveries live in
+ * the store, so retries survive a restart; startWebhookWorker() polls for them.
+ */
+import crypto from "crypto";
+import { config } from "../config.js";
+import { logger } from "./logger.js";
+
+export const WEBHOOK_EVENTS = [
+  { id: "lead.created", description: "A new lead was captured (widget form, chat or CSV import)" },
+  { id: "lead.touched", description: "A repeat enquiry was added to an existing lead" },
+  { id: "lead.updated", description: "A lead's status, owner, tags or chat details changed" },
+  { id: "lead.merged", description: "Leads were merged into one" },
+  { id: "lead.note_added", description: "A note was added to a lead" },
+  { id: "chat.started", description: "A visitor started a chat in the widget" },
+  { id: "chat.cta_selected", description: "A visitor picked a CTA in the widget" },
+];
+
+export const WEBHOOK_EVENT_IDS = WEBHOOK_EVENTS.map((event) => event.id);
+export const TEST_WEBHOOK_EVENT = "webhook.test";
+
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = 30 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+async function getWebhookStore() {
+  if (config.dataStore === "mysql") {
+    return await import("../storage/mysqlWebhookStore.js");
+  }
+  return await import("../storage/webhookStore.js");
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Delay before the next attempt after `attempts` failed ones
+export function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+}
+
+// Leads from MySQL are plain rows (snake_case), file-store leads are camelCase; receivers get one shape
+export function serializeLeadForWebhook(lead) {
+  if (!lead) return null;
+  const metadata = lead.metadata || {};
+  return {
+    id: lead.id,
+    name: metadata.name ?? null,
+    phone: lead.phone ?? null,
+    email: metadata.email ?? null,
+    microsite: lead.microsite,
+    projectId: metadata.projectId ?? null,
+    bhk: lead.bhk ?? null,
+    bhkType: lead.bhkType ?? lead.bhk_type ?? null,
+    status: lead.status || "new",
+    assignedTo: lead.assignedTo ?? lead.assigned_to ?? null,
+    score: lead.score ?? null,
+    leadSource: lead.leadSource ?? lead.lead_source ?? null,
+    duplicateOf: lead.duplicateOf ?? lead.duplicate_of ?? null,
+    ...(lead.tags && { tags: lead.tags }),
+    createdAt: lead.createdAt ?? lead.created_at ?? null,
+    updatedAt: lead.updatedAt ?? lead.updated_at ?? null,
+    metadata,
+  };
+}
+
+let processing = null;
+let rerunRequested = false;
+
+async function attemptDelivery(store, delivery, { retry = true } = {}) {
+  const webhook = await store.getWebhookById(delivery.webhookId);
+  const attempts = (delivery.attempts || 0) + 1;
+
+  if (!webhook) {
+    return await store.updateDelivery(delivery.id, { status: "failed", attempts, error: "Webhook was deleted" });
+  }
+  // Test sends (no retry) still go out, so a webhook can be checked before it's switched on
+  if (!webhook.active && retry) {
+    return await store.updateDelivery(delivery.id, {
+      status: "failed",
+      attempts,
+      error: "Webhook is disabled",
+      nextAttemptAt: null,
+    });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.webhooks.timeoutMs);
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Homesfy-Webhooks/1.0",
+        "X-Homesfy-Event": delivery.event,
+        "X-Homesfy-Delivery": String(delivery.id),
+        "X-Homesfy-Timestamp": String(timestamp),
+        "X-Homesfy-Signature": `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      signal: controller.signal,
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      error = `Responded with status ${response.status}${text ? `: ${text}` : ""}`.slice(0, MAX_ERROR_LENGTH);
+    }
+  } catch (requestError) {
+    error = requestError.name === "AbortError"
+      ? `Timed out after ${config.webhooks.timeoutMs}ms`
+      : String(requestError.cause?.message || requestError.message).slice(0, MAX_ERROR_LENGTH);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!error) {
+    return await store.updateDelivery(delivery.id, {
+      status: "succeeded",
+      attempts,
+      responseStatus,
+      error: null,
+      nextAttemptAt: null,
+      deliveredAt: new Date(),
+    });
+  }
+
+  const giveUp = !retry || attempts >= config.webhooks.maxAttempts;
+  if (giveUp) {
+    logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) failed after ${attempts} attempt(s): ${error}`);
+  }
+  return await store.updateDelivery(delivery.id, {
+    status: giveUp ? "failed" : "pending",
+    attempts,
+    responseStatus,
+    error,
+    nextAttemptAt: giveUp ? null : new Date(Date.now() + retryDelayMs(attempts)),
+  });
+}
+
+async function runDueDeliveries() {
+  const store = await getWebhookStore();
+  do {
+    rerunRequested = false;
+    const due = await store.listDueDeliveries({ now: new Date(), limit: 50 });
+    for (const delivery of due) {
+      try {
+        await attemptDelivery(store, delivery);
+      } catch (error) {
+        logger.error(`Failed to process webhook delivery ${delivery.id}`, error);
+      }
+    }
+  } while (rerunRequested);
+}
+
+/**
+ * Send every pending delivery that is due. Calls made while a run is in
+ * progress make that run check again instead of starting a second one.
+ */
+export function processDueDeliveries() {
+  if (processing) {
+    rerunRequested = true;
+    return processing;
+  }
+  processing = runDueDeliveries()
+    .catch((error) => logger.error("Failed to process webhook deliveries", error))
+    .finally(() => {
+      processing = null;
+    });
+  return processing;
+}
+
+/**
+ * Queue `event` for every webhook subscribed to it. Never throws: a webhook
+ * problem must not fail the request that triggered it.
+ */
+export async function emitWebhookEvent(event, { microsite = null, data = {} } = {}) {
+  try {
+    const store = await getWebhookStore();
+    const webhooks = await store.listWebhooksForEvent(event, microsite);
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const payload = { event, occurredAt: new Date().toISOString(), microsite, data };
+    for (const webhook of webhooks) {
+      await store.createDelivery({ webhookId: webhook.id, event, payload });
+    }
+    processDueDeliveries();
+    return webhooks.length;
+  } catch (error) {
+    logger.error(`Failed to queue webhook event ${event}`, error);
+    return 0;
+  }
+}
+
+// Deliver a sample event to one webhook right away (no retries) and return the logged delivery
+export async function sendTestWebhook(webhook) {
+  const store = await getWebhookStore();
+  const delivery = await store.createDelivery({
+    webhookId: webhook.id,
+    event: TEST_WEBHOOK_EVENT,
+    payload: {
+      event: TEST_WEBHOOK_EVENT,
+      occurredAt: new Date().toISOString(),
+      microsite: webhook.microsite,
+      data: { message: `Test delivery for webhook "${webhook.name}"`, webhookId: webhook.id },
+    },
+    // Not due until this call has finished with it, so the worker leaves it alone
+    nextAttemptAt: new Date(Date.now() + RETRY_MAX_MS),
+  });
+  return await attemptDelivery(store, delivery, { retry: false });
+}
+
+// Queue a logged delivery again from its first attempt
+export async function redeliverWebhook(delivery) {
+  const store = await getWebhookStore();
+  const updated = await store.updateDelivery(delivery.id, {
+    status: "pending",
+    attempts: 0,
+    error: null,
+    responseStatus: null,
+    nextAttemptAt: new Date(),
+  });
+  processDueDeliveries();
+  return updated;
+}
+
+// Poll for deliveries due a retry (including ones left pending by a restart)
+export function startWebhookWorker() {
+  const timer = setInterval(processDueDeliveries, WORKER_INTERVAL_MS);
+  timer.unref();
+  processDueDeliveries();
+  return timer;
+}
@@ -0,0 +1,90 @@
+/**
+ * Custom chat intents and synonyms through /api/chat-intents: saved intents and
+ * synonyms reach the chat's registry right away, and invalid definitions are
+ * rejected.
+ *
+ * Usage: node --test test/chat/chatIntents.test.js
+ */
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+
+// The file stores resolve DATA_DIRECTORY when first imported, so set it before loading the API
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "homesfy-chat-intents-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+
+const { default: express } = await import("express");
+const { config } = await import("../../src/config.js");
+const { default: chatIntentsRouter } = await import("../../src/routes/chatIntents.js");
+const { loadChatRegistry } = await import("../../src/chat/intents.js");
+
+config.setDataStore("file");
+
+let server;
+let baseUrl;
+
+async function call(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  return { status: response.status, data: response.status === 204 ? null : await response.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/chat-intents", chatIntentsRouter);
+  server = await new Promise((resolve) => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/chat-intents`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dataDirectory, { recursive: true, force: true });
+});
+
+test("a saved intent is matched by the chat without a restart", async () => {
+  await loadChatRegistry(); // cache the defaults first
+
+  const saved = await call("PUT", "/rera", {
+    priority: 70,
+    keywords: ["rera", ["registration", "number"]],
+    responses: [{ template: "Our RERA number is P51700012345.", unknownField: true }],
+  });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.data.responses, [{ template: "Our RERA number is P51700012345." }]);
+
+  const { intents } = await loadChatRegistry();
+  assert.ok(intents.some((intent) => intent.id === "rera"));
+  assert.equal((await call("POST", "/test", { message: "rera registration number?" })).data.intent, "rera");
+});
+
+test("synonyms map visitor words onto an intent's keywords", async () => {
+  assert.equal((await call("PUT", "/synonyms/rera", { variants: ["nondhani"] })).status, 200);
+  const result = await call("POST", "/test", { message: "nondhani" });
+  assert.equal(result.data.normalized, "rera");
+  assert.equal(result.data.intent, "rera");
+
+  assert.equal((await call("DELETE", "/synonyms/rera")).status, 204);
+  assert.equal((await call("POST", "/test", { message: "nondhani" })).data.intent, "fallback");
+});
+
+test("deleting a custom intent removes it from the registry", async () => {
+  assert.equal((await call("DELETE", "/rera")).status, 204);
+  assert.equal((await call("DELETE", "/rera")).status, 404);
+
+  const { intents } = await loadChatRegistry();
+  assert.ok(!intents.some((intent) => intent.id === "rera"));
+});
+
+test("invalid intents are rejected", async () => {
+  assert.equal((await call("PUT", "/Not-An-Id", { responses: [{ template: "Hi" }] })).status, 400);
+  assert.equal((await call("PUT", "/empty", { responses: [] })).status, 400);
+  assert.equal((await call("PUT", "/blank", { responses: [{ template: "  " }] })).status, 400);
+});
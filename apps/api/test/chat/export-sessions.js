@@ -0,0 +1,153 @@
+/**
+ * Build a replay fixture from recorded chat sessions
+ *
+ * Reads `chat_sessions.conversation` (MySQL when configured, otherwise the file
+ * store), keeps the visitor's messages with names, phone numbers and emails
+ * replaced, and writes them as cases for test/chat/replay.js together with each
+ * project's widget config and FAQs. The bot's replies are not exported: record
+ * the current ones with `--update` and review the file before committing it.
+ *
+ * Usage:
+ *   node test/chat/export-sessions.js [--microsite <microsite>] [--limit 50] [--out <file>]
+ *   node test/chat/replay.js --update <file>
+ */
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { config } from "../../src/config.js";
+import { extractName } from "../../src/chat/entityExtractor.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const microsite = readOption("microsite", null);
+const limit = Number(readOption("limit", 50)) || 50;
+const outputPath = path.resolve(
+  readOption("out", path.join(__dirname, "fixtures", "recorded", `sessions-${new Date().toISOString().slice(0, 10)}.json`))
+);
+
+// Stand-ins keep the messages meaningful to the lead capture (a valid Indian mobile, a two-word name)
+const PLACEHOLDER_PHONE = "9876500000";
+const PLACEHOLDER_NAME = "Asha Verma";
+const PLACEHOLDER_EMAIL = "visitor@example.com";
+
+const PHONE_PATTERN = /\+?\d[\d\s().-]{6,}\d/g;
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+// Bot prompts after which a bare "Rahul Sharma" is the visitor's name
+const NAME_PROMPT = /\bname\b|नाम|नाव/i;
+
+async function connectStores() {
+  const hasDatabaseUrl = process.env.DATABASE_URL || process.env.MYSQL_URL || process.env.MYSQL_URI;
+  const hasIndividualVars = process.env.MYSQL_HOST && process.env.MYSQL_USER;
+
+  if (hasDatabaseUrl || hasIndividualVars) {
+    const { connectMySQL } = await import("../../src/db/mysql.js");
+    await connectMySQL();
+    config.setDataStore("mysql");
+    return {
+      sessions: await import("../../src/storage/mysqlChatSessionStore.js"),
+      widgetConfigs: await import("../../src/storage/mysqlWidgetConfigStore.js"),
+      faqs: await import("../../src/storage/mysqlFaqStore.js"),
+    };
+  }
+
+  config.setDataStore("file");
+  return {
+    sessions: await import("../../src/storage/chatSessionStore.js"),
+    widgetConfigs: await import("../../src/storage/widgetConfigStore.js"),
+    faqs: await import("../../src/storage/faqStore.js"),
+  };
+}
+
+function anonymize(text, { afterNamePrompt }) {
+  let result = String(text || "")
+    .replace(EMAIL_PATTERN, PLACEHOLDER_EMAIL)
+    .replace(PHONE_PATTERN, PLACEHOLDER_PHONE);
+
+  const name = extractName(result, { bareName: afterNamePrompt });
+  if (name) {
+    result = result.replace(new RegExp(name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi"), PLACEHOLDER_NAME);
+  }
+  return result;
+}
+
+function toVisitorTurns(conversation = []) {
+  const turns = [];
+  let afterNamePrompt = false;
+
+  for (const message of conversation) {
+    if (message?.type !== "user") {
+      afterNamePrompt = NAME_PROMPT.test(String(message?.text || ""));
+      continue;
+    }
+
+    const user = anonymize(message.text, { afterNamePrompt }).trim();
+    if (user) {
+      turns.push({ user });
+    }
+    afterNamePrompt = false;
+  }
+  return turns;
+}
+
+async function loadProject(stores, projectId) {
+  const widgetConfig = await stores.widgetConfigs.getWidgetConfig(projectId);
+  const faqs = await stores.faqs.listFaqs({ projectId });
+
+  return {
+    ...(widgetConfig.agentName && { agentName: widgetConfig.agentName }),
+    ...(widgetConfig.locale && { locale: widgetConfig.locale }),
+    propertyInfo: widgetConfig.propertyInfo || {},
+    responseTemplates: widgetConfig.responseTemplates || {},
+    faqs: faqs.map(({ question, answer, keywords }) => ({ question, answer, keywords })),
+  };
+}
+
+async function main() {
+  const stores = await connectStores();
+  const { items } = await stores.sessions.listChatSessions({ ...(microsite && { microsite }), limit });
+
+  const projects = new Map();
+  const cases = [];
+
+  for (const session of items) {
+    const turns = toVisitorTurns(session.conversation);
+    if (turns.length === 0) {
+      continue;
+    }
+
+    const projectId = session.projectId || session.project_id || session.microsite;
+    if (!projects.has(projectId)) {
+      projects.set(projectId, await loadProject(stores, projectId));
+    }
+
+    cases.push({
+      name: `${projectId} session ${cases.length + 1}`,
+      project: projects.get(projectId),
+      ...(session.metadata?.locale && { locale: session.metadata.locale }),
+      turns,
+    });
+  }
+
+  await mkdir(path.dirname(outputPath), { recursive: true });
+  await writeFile(outputPath, `${JSON.stringify({ source: "chat_sessions", cases }, null, 2)}\n`, "utf-8");
+
+  console.log(`Exported ${cases.length} of ${items.length} sessions to ${path.relative(process.cwd(), outputPath)}`);
+  console.log(`Record the current replies with: node test/chat/replay.js --update ${path.relative(process.cwd(), outputPath)}`);
+}
+
+main()
+  .catch((error) => {
+    console.error("Chat session export failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    if (config.dataStore === "mysql") {
+      const { closeMySQL } = await import("../../src/db/mysql.js");
+      await closeMySQL();
+    }
+  });
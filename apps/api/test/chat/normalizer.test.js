@@ -0,0 +1,60 @@
+/**
+ * Typo correction and synonyms in the chat message normalizer: real typos map
+ * to intent keywords, everyday words that merely look like them stay as typed,
+ * and yes / no particles only count as a reply on their own.
+ *
+ * Usage: node --test test/chat/normalizer.test.js
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_INTENTS } from "../../src/chat/intents.js";
+import { DEFAULT_SYNONYMS } from "../../src/chat/synonyms.js";
+import { buildVocabulary, normalizeMessage } from "../../src/chat/normalizer.js";
+
+const vocabulary = buildVocabulary(DEFAULT_INTENTS, DEFAULT_SYNONYMS);
+const normalize = (message) => normalizeMessage(message, { vocabulary, synonyms: DEFAULT_SYNONYMS });
+
+test("corrects typos of intent keywords", () => {
+  assert.equal(normalize("prise"), "price");
+  assert.equal(normalize("loaction"), "location");
+  assert.equal(normalize("amenties"), "amenities");
+  assert.equal(normalize("confguration"), "configuration");
+  assert.equal(normalize("brocure"), "brochure");
+});
+
+test("leaves everyday words that are close to a keyword alone", () => {
+  for (const word of [
+    "future", "were", "into", "product", "contain", "connect", "protect", "coast", "coat", "tall",
+    "gave", "size", "cell", "flower", "root", "play", "plant", "plain", "plane", "planet", "thin",
+    "thus", "spread", "sister",
+  ]) {
+    assert.equal(normalize(word), word, `"${word}" was rewritten`);
+  }
+});
+
+test("leaves inflections of everyday words alone", () => {
+  assert.equal(normalize("plants"), "plants");
+  assert.equal(normalize("connected"), "connected");
+  assert.equal(normalize("protecting"), "protecting");
+});
+
+test("keeps ordinary sentences intact while fixing the typo in them", () => {
+  assert.equal(normalize("where were you in the future"), "where were you in the future");
+  assert.equal(normalize("which product do you contain"), "which product do you contain");
+  assert.equal(normalize("what is the prise near the coast"), "what is the price near the coast");
+});
+
+test("short Hinglish replies map to yes / no on their own", () => {
+  assert.equal(normalize("ha"), "yes");
+  assert.equal(normalize("haan ji"), "yes yes");
+  assert.equal(normalize("ji haan"), "yes");
+  assert.equal(normalize("na"), "no");
+  assert.equal(normalize("nahi"), "no");
+});
+
+test("yes / no particles inside a sentence stay as typed", () => {
+  assert.equal(normalize("batao na"), "overview na");
+  assert.equal(normalize("price kya hai ji"), "price kya hai ji");
+  assert.equal(normalize("ha 2bhk ka rate batao"), "ha 2bhk ka price overview");
+  assert.equal(normalize("location kaha hai ho"), "location location ho");
+});
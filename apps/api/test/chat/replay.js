@@ -0,0 +1,306 @@
+/**
+ * Chat transcript replay / regression runner
+ *
+ * Replays the visitor messages of every fixture through the real POST /api/chat
+ * handler (keyword provider, file storage in a throwaway data directory) and
+ * checks the intent and reply of each turn. Dialogue state, the chat session
+ * token and conversation are threaded between turns the same way the widget does.
+ *
+ * Usage:
+ *   node test/chat/replay.js                          # every fixture under test/chat/fixtures
+ *   node test/chat/replay.js test/chat/fixtures/x.json # selected files or directories
+ *   node test/chat/replay.js --update <files>         # (re)record intent + reply of every turn
+ *   node test/chat/replay.js --verbose                # print every turn and the API's own logs
+ *
+ * A fixture file holds `{ "project": {...}, "cases": [...] }`; a case's own
+ * `project` replaces the file-level one:
+ *
+ *   {
+ *     "name": "pricing then site visit",
+ *     "project": {                      // seeded as the project's widget config
+ *       "agentName": "Riya",
+ *       "locale": "en",
+ *       "propertyInfo": { ... },
+ *       "responseTemplates": { ... },
+ *       "faqs": [{ "question": "...", "answer": "...", "keywords": [] }]
+ *     },
+ *     "locale": "hi",                   // visitor language sent by the widget (optional)
+ *     "sessionStateOnly": true,          // send only the session token, not the dialogue state (optional)
+ *     "turns": [
+ *       { "user": "what is the price?", "expect": { "intent": "pricing", "contains": ["1.2 Cr"] } }
+ *     ]
+ *   }
+ *
+ * A turn's `stateLeadOf` names an earlier case of the same run; the lead that
+ * case captured is sent as the dialogue state's `leadId`, the way a tampered
+ * widget would.
+ *
+ * `expect` keys: intent (id or list of ids), response (exact reply), contains /
+ * notContains (case-insensitive substrings), quickReplies (values that must be
+ * offered), lead (true when the turn must create or update a lead) and
+ * leadUnchanged (the `stateLeadOf` lead must come out of the turn untouched).
+ * Turns without `expect` only have to get a reply.
+ */
+import { mkdtemp, readdir, readFile, rm, stat, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIRECTORY = path.join(__dirname, "fixtures");
+
+const args = process.argv.slice(2);
+const update = args.includes("--update");
+const verbose = args.includes("--verbose");
+const targets = args.filter((arg) => !arg.startsWith("--"));
+
+const print = (line = "") => process.stdout.write(`${line}\n`);
+
+// The API logs every request; keep the report readable unless asked for
+if (!verbose) {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// The file stores resolve DATA_DIRECTORY when first imported, so set it before loading the API
+const dataDirectory = await mkdtemp(path.join(os.tmpdir(), "homesfy-chat-replay-"));
+process.env.DATA_DIRECTORY = dataDirectory;
+
+const { default: express } = await import("express");
+const { config } = await import("../../src/config.js");
+const { default: chatRouter } = await import("../../src/routes/chat.js");
+const { upsertWidgetConfig } = await import("../../src/storage/widgetConfigStore.js");
+const { createFaq } = await import("../../src/storage/faqStore.js");
+const { getLeadById } = await import("../../src/storage/leadStore.js");
+
+// Replays must not depend on a database or a model server
+config.setDataStore("file");
+config.chatProvider.type = "keyword";
+
+async function collectFixtureFiles(target) {
+  const info = await stat(target);
+  if (!info.isDirectory()) {
+    return [target];
+  }
+
+  const entries = (await readdir(target, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const entryPath = path.join(target, entry.name);
+      if (entry.isDirectory()) return collectFixtureFiles(entryPath);
+      return entry.name.endsWith(".json") ? [entryPath] : [];
+    })
+  );
+  return nested.flat();
+}
+
+async function seedProject(projectId, project = {}) {
+  await upsertWidgetConfig(projectId, {
+    ...(project.agentName && { agentName: project.agentName }),
+    ...(project.locale && { locale: project.locale }),
+    propertyInfo: project.propertyInfo || {},
+    responseTemplates: project.responseTemplates || {},
+  });
+
+  for (const faq of project.faqs || []) {
+    await createFaq({ projectId, ...faq });
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function checkTurn(expect = {}, data) {
+  const problems = [];
+  const reply = String(data.response || "");
+  const lowerReply = reply.toLowerCase();
+
+  const intents = toList(expect.intent);
+  if (intents.length > 0 && !intents.includes(data.intent)) {
+    problems.push(`intent ${JSON.stringify(data.intent)}, expected ${intents.map((id) => JSON.stringify(id)).join(" or ")}`);
+  }
+
+  if (typeof expect.response === "string" && reply !== expect.response) {
+    problems.push(`reply changed\n        expected: ${expect.response}\n        actual:   ${reply}`);
+  }
+
+  for (const text of toList(expect.contains)) {
+    if (!lowerReply.includes(String(text).toLowerCase())) {
+      problems.push(`reply does not contain ${JSON.stringify(text)}`);
+    }
+  }
+
+  for (const text of toList(expect.notContains)) {
+    if (lowerReply.includes(String(text).toLowerCase())) {
+      problems.push(`reply contains ${JSON.stringify(text)}`);
+    }
+  }
+
+  const offered = (data.rich?.quickReplies || []).map((reply) => reply.value);
+  for (const value of toList(expect.quickReplies)) {
+    if (!offered.includes(value)) {
+      problems.push(`quick reply ${JSON.stringify(value)} not offered (got ${JSON.stringify(offered)})`);
+    }
+  }
+
+  if (expect.lead === true && !data.leadId) {
+    problems.push("no lead was created or updated");
+  }
+  if (expect.lead === false && data.leadId) {
+    problems.push(`unexpected lead ${data.leadId}`);
+  }
+
+  return problems;
+}
+
+// What a turn may change on a lead, to compare before and after it
+async function leadSnapshot(leadId) {
+  const lead = await getLeadById(leadId);
+  return lead && JSON.stringify([lead.phone, lead.bhkType, lead.metadata, lead.conversation]);
+}
+
+async function runCase(baseUrl, testCase, projectId, capturedLeads) {
+  await seedProject(projectId, testCase.project);
+
+  const failures = [];
+  const conversation = [];
+  let state = null;
+  let chatSessionToken = null;
+
+  for (const [index, turn] of (testCase.turns || []).entries()) {
+    const label = `turn ${index + 1} ${JSON.stringify(turn.user)}`;
+    const foreignLeadId = turn.stateLeadOf ? capturedLeads.get(turn.stateLeadOf) : null;
+    if (turn.stateLeadOf && !foreignLeadId) {
+      failures.push(`${label}: case ${JSON.stringify(turn.stateLeadOf)} captured no lead`);
+      break;
+    }
+    const foreignLeadBefore = foreignLeadId && (await leadSnapshot(foreignLeadId));
+    const sentState = foreignLeadId ? { ...state, leadId: foreignLeadId } : state;
+
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        message: turn.user,
+        projectId,
+        microsite: projectId,
+        ...(!testCase.sessionStateOnly && { state: sentState }),
+        ...(chatSessionToken && { chatSessionToken }),
+        conversation,
+        ...(testCase.locale && { locale: testCase.locale }),
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      failures.push(`${label}: HTTP ${response.status}${data.error ? ` (${data.error})` : ""}`);
+      break;
+    }
+
+    if (verbose) {
+      print(`    > ${turn.user}`);
+      print(`    < [${data.intent}] ${data.response}`);
+    }
+
+    if (update) {
+      turn.expect = {
+        ...turn.expect,
+        intent: data.intent,
+        response: data.response,
+        ...(data.leadId && { lead: true }),
+      };
+    } else {
+      for (const problem of checkTurn(turn.expect, data)) {
+        failures.push(`${label}: ${problem}`);
+      }
+      if (turn.expect?.leadUnchanged && foreignLeadId) {
+        if (String(data.leadId) === String(foreignLeadId)) {
+          failures.push(`${label}: the reply names lead ${foreignLeadId} from the client state`);
+        }
+        if ((await leadSnapshot(foreignLeadId)) !== foreignLeadBefore) {
+          failures.push(`${label}: lead ${foreignLeadId} from the client state was changed`);
+        }
+      }
+    }
+
+    conversation.push(
+      { type: "user", text: turn.user, timestamp: new Date().toISOString() },
+      { type: "system", text: data.response, timestamp: new Date().toISOString() }
+    );
+    state = data.state || null;
+    chatSessionToken = data.chatSessionToken || chatSessionToken;
+    if (data.leadId && testCase.name) {
+      capturedLeads.set(testCase.name, data.leadId);
+    }
+  }
+
+  return failures;
+}
+
+async function main() {
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+  app.use("/api/chat", chatRouter);
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  let caseCount = 0;
+  let turnCount = 0;
+  let failedCount = 0;
+  const capturedLeads = new Map();
+
+  try {
+    const roots = targets.length > 0 ? targets.map((target) => path.resolve(target)) : [FIXTURES_DIRECTORY];
+    const files = (await Promise.all(roots.map(collectFixtureFiles))).flat();
+
+    for (const [fileIndex, filePath] of files.entries()) {
+      const fixture = JSON.parse(await readFile(filePath, "utf-8"));
+      const relativePath = path.relative(process.cwd(), filePath);
+
+      for (const [caseIndex, testCase] of (fixture.cases || []).entries()) {
+        caseCount += 1;
+        turnCount += (testCase.turns || []).length;
+        const failures = await runCase(
+          baseUrl,
+          { project: fixture.project, ...testCase },
+          `replay-${fileIndex + 1}-${caseIndex + 1}`,
+          capturedLeads
+        );
+        const title = `${relativePath} › ${testCase.name || `case ${caseIndex + 1}`}`;
+
+        if (failures.length > 0) {
+          failedCount += 1;
+          print(`✗ ${title}`);
+          failures.forEach((failure) => print(`    ${failure}`));
+        } else {
+          print(`✓ ${title}`);
+        }
+      }
+
+      if (update) {
+        await writeFile(filePath, `${JSON.stringify(fixture, null, 2)}\n`, "utf-8");
+      }
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDirectory, { recursive: true, force: true });
+  }
+
+  print();
+  print(`${caseCount} cases, ${turnCount} turns, ${failedCount} failed${update ? " (expectations recorded)" : ""}`);
+  if (failedCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  process.stderr.write(`Chat replay failed: ${error.stack || error}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,35 @@
+/**
+ * Attribution report CSV: visitor-controlled UTM tags and referrers that look
+ * like spreadsheet formulas are downloaded as plain text.
+ *
+ * Usage: node --test test/leads/attribution.test.js
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { attributionReportToCsv, buildAttributionReport } from "../../src/utils/attribution.js";
+
+const lead = (utm, referrer) => ({
+  status: "new",
+  createdAt: "2026-10-01T10:00:00.000Z",
+  metadata: { visitor: { utm, referrer } },
+});
+
+test("formula-like UTM values are escaped in the report CSV", () => {
+  const rows = buildAttributionReport(
+    [lead({ source: "=cmd|' /C calc'!A0", medium: "+cpc", campaign: "@diwali" })],
+    [],
+    { model: "first", groupBy: "campaign" }
+  );
+  const lines = attributionReportToCsv(rows, "campaign").replace(/^\uFEFF/, "").split("\r\n");
+
+  assert.equal(lines[0], "Source,Medium,Campaign,Leads,Converted,Conversion rate,Cost,Cost per lead,Cost per conversion");
+  assert.equal(lines[1], "'=cmd|' /C calc'!A0,'+cpc,'@diwali,1,0,0.0000,0,,");
+});
+
+test("ordinary report rows are unchanged", () => {
+  const rows = buildAttributionReport([lead({ source: "google", medium: "cpc", campaign: "launch" })], [], {
+    groupBy: "source_medium",
+  });
+
+  assert.equal(attributionReportToCsv(rows, "source_medium").split("\r\n")[1], "google,cpc,1,0,0.0000,0,,");
+});
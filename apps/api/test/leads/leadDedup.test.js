@@ -0,0 +1,27 @@
+/**
+ * Lead merges: the merged lead keeps every lead id folded into it, including
+ * leads that were merged into one of the sources earlier.
+ *
+ * Usage: node --test test/leads/leadDedup.test.js
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildMergeUpdates } from "../../src/utils/leadDedup.js";
+
+const lead = (id, metadata = {}) => ({
+  id,
+  phone: "+919876543210",
+  microsite: "skyline",
+  bhkType: "2 BHK",
+  createdAt: "2026-10-01T10:00:00.000Z",
+  metadata,
+});
+
+test("merging keeps the target's and the sources' earlier merged lead ids", () => {
+  const target = lead("1", { mergedLeadIds: ["2"] });
+  const source = lead("3", { mergedLeadIds: ["4", "5"] });
+
+  const updates = buildMergeUpdates(target, [source, lead("6")]);
+
+  assert.deepEqual(updates.metadata.mergedLeadIds, ["2", "3", "4", "5", "6"]);
+});
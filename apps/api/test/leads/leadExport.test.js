@@ -0,0 +1,76 @@
+/**
+ * Lead export writers: visitor-typed text that looks like a spreadsheet
+ * formula is exported as plain text in CSV and XLSX.
+ *
+ * Usage: node --test test/leads/leadExport.test.js
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "stream";
+import ExcelJS from "exceljs";
+import { createExportWriter, escapeCsvCell, resolveExportColumns } from "../../src/utils/leadExport.js";
+
+const FORMULAS = ["=HYPERLINK(\"http://evil.example\",\"x\")", "+1+2", "-2+3", "@SUM(A1:A2)", "\t=1+1"];
+
+const { columns } = resolveExportColumns("name,utmCampaign,score,phone,phoneDialCode");
+const leads = FORMULAS.map((text, index) => ({
+  id: String(index),
+  phone: "+919876543210",
+  metadata: { name: text, phoneDialCode: "+91", visitor: { utm: { campaign: text } } },
+  score: -index,
+}));
+
+async function exportLeads(format) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on("data", (chunk) => chunks.push(chunk));
+  const ended = new Promise((resolve) => stream.on("end", resolve));
+
+  const writer = createExportWriter(format, stream, columns);
+  await writer.start();
+  await writer.writeLeads(leads);
+  await writer.finish();
+  await ended;
+  return Buffer.concat(chunks);
+}
+
+test("CSV cells that start like a formula get a leading apostrophe", () => {
+  assert.equal(escapeCsvCell("=1+1"), "'=1+1");
+  assert.equal(escapeCsvCell("+1+2"), "'+1+2");
+  assert.equal(escapeCsvCell("-2+3"), "'-2+3");
+  assert.equal(escapeCsvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(escapeCsvCell("\t=1+1"), "'\t=1+1");
+  assert.equal(escapeCsvCell("\r=1+1"), "\"'\r=1+1\"");
+  assert.equal(escapeCsvCell('=HYPERLINK("x","y")'), "\"'=HYPERLINK(\"\"x\"\",\"\"y\"\")\"");
+});
+
+test("ordinary CSV cells and numbers are unchanged", () => {
+  assert.equal(escapeCsvCell("Rahul Sharma"), "Rahul Sharma");
+  assert.equal(escapeCsvCell("a, b"), "\"a, b\"");
+  assert.equal(escapeCsvCell(-5), "-5");
+  assert.equal(escapeCsvCell("+919876543210"), "+919876543210");
+  assert.equal(escapeCsvCell("+91"), "+91");
+  assert.equal(escapeCsvCell(null), "");
+});
+
+test("the CSV export writes formula-like names and UTM tags as text", async () => {
+  const lines = (await exportLeads("csv")).toString("utf-8").replace(/^\uFEFF/, "").split("\r\n");
+  assert.equal(lines[0], "Name,UTM Campaign,Score,Phone,Phone Dial Code");
+  assert.equal(lines[2], "'+1+2,'+1+2,-1,+919876543210,+91");
+  assert.equal(lines[4], "'@SUM(A1:A2),'@SUM(A1:A2),-3,+919876543210,+91");
+});
+
+test("the XLSX export writes formula-like text as string cells", async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await exportLeads("xlsx"));
+  const sheet = workbook.getWorksheet("Leads");
+
+  FORMULAS.forEach((text, index) => {
+    const row = sheet.getRow(index + 2);
+    for (const column of [1, 2]) {
+      assert.equal(row.getCell(column).type, ExcelJS.ValueType.String);
+      assert.equal(row.getCell(column).value, text);
+    }
+    assert.equal(row.getCell(3).type, ExcelJS.ValueType.Number);
+  });
+});
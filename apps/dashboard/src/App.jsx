@@ -1,16 +1,28 @@
 import { NavLink, Route, Routes } from "react-router-dom";
 import { LeadsPage } from "./pages/LeadsPage.jsx";
+import { LeadDetailPage } from "./pages/LeadDetailPage.jsx";
+import { ImportLeadsPage } from "./pages/ImportLeadsPage.jsx";
+import { FollowUpsPage } from "./pages/FollowUpsPage.jsx";
 import { SettingsPage } from "./pages/SettingsPage.jsx";
 import { InstallPage } from "./pages/InstallPage.jsx";
 import { AnalyticsPage } from "./pages/AnalyticsPage.jsx";
+import { AttributionPage } from "./pages/AttributionPage.jsx";
 import { ConversationsPage } from "./pages/ConversationsPage.jsx";
+import { KnowledgeBasePage } from "./pages/KnowledgeBasePage.jsx";
+import { ChatIntentsPage } from "./pages/ChatIntentsPage.jsx";
+import { WebhooksPage } from "./pages/WebhooksPage.jsx";
 import { ProtectedRoute } from "./components/ProtectedRoute.jsx";
 
 const navItems = [
   { to: "/leads", label: "Leads" },
+  { to: "/follow-ups", label: "Follow-ups" },
   { to: "/conversations", label: "Conversations" },
   { to: "/analytics", label: "Analytics" },
+  { to: "/attribution", label: "Attribution" },
   { to: "/settings", label: "Widget Settings" },
+  { to: "/knowledge-base", label: "Knowledge Base" },
+  { to: "/chat-intents", label: "Chat Intents" },
+  { to: "/webhooks", label: "Webhooks" },
   { to: "/install", label: "Install Script" },
 ];
 
@@ -101,6 +113,30 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/leads/import"
+              element={
+                <ProtectedRoute>
+                  <ImportLeadsPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/leads/:leadId"
+              element={
+                <ProtectedRoute>
+                  <LeadDetailPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/follow-ups"
+              element={
+                <ProtectedRoute>
+                  <FollowUpsPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/conversations"
               element={
@@ -117,6 +153,14 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/attribution"
+              element={
+                <ProtectedRoute>
+                  <AttributionPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/settings"
               element={
@@ -125,6 +169,30 @@ export default function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/knowledge-base"
+              element={
+                <ProtectedRoute>
+                  <KnowledgeBasePage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/chat-intents"
+              element={
+                <ProtectedRoute>
+                  <ChatIntentsPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/webhooks"
+              element={
+                <ProtectedRoute>
+                  <WebhooksPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/install"
               element={
@@ -0,0 +1,354 @@
+import { useCallback, useEffect, useState } from "react";
+import { api } from "../lib/api.js";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const DELIVERY_STATUS_STYLES = {
+  sent: "border-emerald-400/40 bg-emerald-400/15 text-emerald-100",
+  pending: "border-amber-400/40 bg-amber-400/15 text-amber-100",
+  failed: "border-rose-400/40 bg-rose-400/15 text-rose-100",
+};
+
+const inputClassName =
+  "w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none";
+
+// Digest settings list recipient emails, so the API wants the key on GETs too
+function apiKeyHeaders() {
+  const apiKey = localStorage.getItem("widget_config_api_key");
+  return apiKey ? { "X-API-Key": apiKey } : {};
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+// Minutes east of UTC as "UTC+05:30"
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const absolute = Math.abs(minutes);
+  return `UTC${sign}${String(Math.floor(absolute / 60)).padStart(2, "0")}:${String(absolute % 60).padStart(2, "0")}`;
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, "0")}:00`;
+}
+
+function parseRecipients(text) {
+  return text
+    .split(/[\s,;]+/)
+    .map((email) => email.trim())
+    .filter(Boolean);
+}
+
+const browserOffset = () => -new Date().getTimezoneOffset();
+
+export function DigestSettings({ projectId }) {
+  const [form, setForm] = useState(null);
+  const [recipientsText, setRecipientsText] = useState("");
+  const [deliveries, setDeliveries] = useState([]);
+  const [emailEnabled, setEmailEnabled] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const loadDigest = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      const response = await api.get(`/digests/${encodeURIComponent(projectId)}`, { headers: apiKeyHeaders() });
+      if (response.status >= 400) {
+        setLoadError(
+          response.status === 401 || response.status === 403
+            ? "Set the API key (below the widget settings) to manage digests."
+            : response.data?.message || "Failed to load digest settings"
+        );
+        return;
+      }
+      const { settings } = response.data;
+      setForm({
+        ...settings,
+        // New digests default to this browser's time zone
+        utcOffset: settings.updatedAt ? settings.utcOffset : browserOffset(),
+      });
+      setRecipientsText((settings.recipients || []).join("\n"));
+      setDeliveries(response.data.deliveries || []);
+      setEmailEnabled(Boolean(response.data.emailEnabled));
+      setLoadError(null);
+    } catch (error) {
+      console.error("Failed to load digest settings", error);
+      setLoadError("Failed to load digest settings");
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    setStatus(null);
+    // Debounce typing in the project field
+    const timeoutId = setTimeout(loadDigest, 300);
+    return () => clearTimeout(timeoutId);
+  }, [loadDigest]);
+
+  const updateField = (field) => (event) => {
+    const value = event.target.type === "checkbox" ? event.target.checked : event.target.value;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setBusy("save");
+    setStatus(null);
+    try {
+      const response = await api.put(`/digests/${encodeURIComponent(projectId)}`, {
+        enabled: form.enabled,
+        frequency: form.frequency,
+        sendHour: Number(form.sendHour),
+        weekday: Number(form.weekday),
+        utcOffset: Number(form.utcOffset),
+        recipients: parseRecipients(recipientsText),
+        attachPdf: form.attachPdf,
+        updatedBy: localStorage.getItem("dashboard_username") || undefined,
+      });
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to save digest settings" });
+        return;
+      }
+      setStatus({ type: "success", message: "Digest settings saved" });
+      await loadDigest();
+    } catch (error) {
+      console.error("Failed to save digest settings", error);
+      setStatus({ type: "error", message: "Failed to save digest settings" });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    setBusy(format);
+    setStatus(null);
+    try {
+      const response = await api.get(`/digests/${encodeURIComponent(projectId)}/report`, {
+        params: { format, frequency: form.frequency },
+        headers: apiKeyHeaders(),
+        responseType: "blob",
+      });
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: "Failed to build the digest" });
+        return;
+      }
+
+      const fileName =
+        response.headers["content-disposition"]?.match(/filename="([^"]+)"/)?.[1] || `digest-${projectId}.${format}`;
+      const url = URL.createObjectURL(response.data);
+      const anchor = document.createElement("a");
+      anchor.href = url;
+      anchor.download = fileName;
+      document.body.appendChild(anchor);
+      anchor.click();
+      document.body.removeChild(anchor);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Failed to download digest", error);
+      setStatus({ type: "error", message: "Failed to build the digest" });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSendNow = async () => {
+    setBusy("send");
+    setStatus(null);
+    try {
+      const response = await api.post(`/digests/${encodeURIComponent(projectId)}/send`, {
+        recipients: parseRecipients(recipientsText),
+      });
+      const delivery = response.data?.delivery;
+      if (response.status >= 400 || !delivery) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to send the digest" });
+        return;
+      }
+      setStatus(
+        delivery.status === "sent"
+          ? { type: "success", message: `Digest sent to ${delivery.recipients.length} recipient(s)` }
+          : { type: "error", message: delivery.error || "Failed to send the digest" }
+      );
+      await loadDigest();
+    } catch (error) {
+      console.error("Failed to send digest", error);
+      setStatus({ type: "error", message: "Failed to send the digest" });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <section className="space-y-4 rounded-2xl border border-white/10 bg-white/5 p-8 backdrop-blur">
+      <div>
+        <h3 className="text-lg font-semibold text-white">Email digest</h3>
+        <p className="text-sm text-slate-300">
+          A daily or weekly summary for the project owners: new leads, widget conversion, the top CTAs and the
+          questions the chat could not answer.
+        </p>
+      </div>
+
+      {loadError && <p className="text-sm text-red-400">{loadError}</p>}
+
+      {form && (
+        <>
+          {!emailEnabled && (
+            <p className="rounded-lg border border-amber-400/40 bg-amber-400/10 px-3 py-2 text-sm text-amber-100">
+              Email is not configured on the server (SMTP_HOST), so digests are not sent. You can still download them.
+            </p>
+          )}
+
+          <label className="flex items-center gap-2 text-sm font-medium text-slate-200">
+            <input type="checkbox" checked={form.enabled} onChange={updateField("enabled")} />
+            Send the digest on a schedule
+          </label>
+
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Frequency</label>
+              <select value={form.frequency} onChange={updateField("frequency")} className={inputClassName}>
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+              </select>
+            </div>
+            {form.frequency === "weekly" && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-200">Day</label>
+                <select value={form.weekday} onChange={updateField("weekday")} className={inputClassName}>
+                  {WEEKDAYS.map((day, index) => (
+                    <option key={day} value={index}>
+                      {day}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Send at</label>
+              <select value={form.sendHour} onChange={updateField("sendHour")} className={inputClassName}>
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <option key={hour} value={hour}>
+                    {formatHour(hour)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Time zone</label>
+              <p className="py-2 text-sm text-slate-200">
+                {formatOffset(Number(form.utcOffset))}
+                {Number(form.utcOffset) !== browserOffset() && (
+                  <button
+                    type="button"
+                    onClick={() => setForm((current) => ({ ...current, utcOffset: browserOffset() }))}
+                    className="ml-2 text-xs text-sky-300 hover:text-sky-200"
+                  >
+                    Use {formatOffset(browserOffset())}
+                  </button>
+                )}
+              </p>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-slate-200">Recipients</label>
+            <textarea
+              value={recipientsText}
+              onChange={(event) => setRecipientsText(event.target.value)}
+              rows={3}
+              className={inputClassName}
+              placeholder={"owner@example.com\nsales@example.com"}
+            />
+            <p className="text-xs text-slate-400">One email address per line (or separated by commas).</p>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-slate-200">
+            <input type="checkbox" checked={form.attachPdf} onChange={updateField("attachPdf")} />
+            Attach a PDF copy
+          </label>
+
+          {status && (
+            <p className={`text-sm ${status.type === "error" ? "text-red-400" : "text-emerald-400"}`}>
+              {status.message}
+            </p>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={busy !== null}
+              className="rounded-lg bg-sky-600 px-4 py-2 text-sm font-semibold text-white hover:bg-sky-500 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {busy === "save" ? "Saving..." : "Save digest"}
+            </button>
+            <button
+              type="button"
+              onClick={handleSendNow}
+              disabled={busy !== null || !emailEnabled}
+              className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm font-medium text-slate-200 hover:bg-white/10 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {busy === "send" ? "Sending..." : "Send now"}
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDownload("html")}
+              disabled={busy !== null}
+              className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm font-medium text-slate-200 hover:bg-white/10 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {busy === "html" ? "Building..." : "Download HTML"}
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDownload("pdf")}
+              disabled={busy !== null}
+              className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm font-medium text-slate-200 hover:bg-white/10 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {busy === "pdf" ? "Building..." : "Download PDF"}
+            </button>
+          </div>
+          <p className="text-xs text-slate-400">
+            "Send now" and the downloads cover the latest complete {form.frequency === "weekly" ? "week" : "day"} up
+            to the send time.
+          </p>
+
+          {deliveries.length > 0 && (
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium text-slate-200">Recent deliveries</h4>
+              <table className="w-full text-left text-sm text-slate-300">
+                <thead className="text-xs uppercase text-slate-400">
+                  <tr>
+                    <th className="py-2 pr-4">Period</th>
+                    <th className="py-2 pr-4">Recipients</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2">Sent</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries.map((delivery) => (
+                    <tr key={delivery.id} className="border-t border-white/10">
+                      <td className="py-2 pr-4">
+                        {formatDate(delivery.periodStart)} – {formatDate(delivery.periodEnd)}
+                        {delivery.manual && <span className="ml-2 text-xs text-slate-400">(manual)</span>}
+                      </td>
+                      <td className="py-2 pr-4">{(delivery.recipients || []).join(", ")}</td>
+                      <td className="py-2 pr-4">
+                        <span
+                          className={`rounded-full border px-2 py-0.5 text-xs ${DELIVERY_STATUS_STYLES[delivery.status] || ""}`}
+                          title={delivery.error || undefined}
+                        >
+                          {delivery.status}
+                          {delivery.attempts > 1 ? ` (${delivery.attempts} attempts)` : ""}
+                        </span>
+                      </td>
+                      <td className="py-2">{formatDate(delivery.sentAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
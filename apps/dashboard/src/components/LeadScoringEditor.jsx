@@ -0,0 +1,242 @@
+import { useEffect, useState } from "react";
+import { api } from "../lib/api.js";
+
+const KEYWORD_SECTIONS = [
+  {
+    id: "cta",
+    label: "CTA / chat topic",
+    hint: "Points when the chosen CTA (or a topic the chat covered) contains the keyword. The best match counts.",
+  },
+  {
+    id: "utmSource",
+    label: "UTM source",
+    hint: "Points when utm_source contains the keyword; \"direct\" applies when there is no UTM source.",
+  },
+  {
+    id: "phoneCountry",
+    label: "Phone country",
+    hint: "Points by ISO country code of the phone number; \"other\" applies to the rest.",
+  },
+];
+
+const NUMBER_SECTIONS = [
+  {
+    id: "bhk",
+    label: "BHK preference",
+    fields: [
+      ["decided", "Specific BHK"],
+      ["undecided", "Yet to decide"],
+    ],
+  },
+  {
+    id: "chatTurns",
+    label: "Chat messages",
+    fields: [
+      ["perTurn", "Per message"],
+      ["max", "Max"],
+    ],
+  },
+  {
+    id: "repeatVisits",
+    label: "Repeat enquiries",
+    fields: [
+      ["perVisit", "Per enquiry"],
+      ["max", "Max"],
+    ],
+  },
+];
+
+const numberInputClassName =
+  "w-20 rounded-lg border border-white/10 bg-white/10 px-2 py-1.5 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none";
+
+export function LeadScoringEditor({ value, onChange }) {
+  const [defaults, setDefaults] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [newKeywords, setNewKeywords] = useState({});
+  const [rescoreStatus, setRescoreStatus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadDefaults() {
+      try {
+        const response = await api.get("/leads/scoring-rules");
+        if (cancelled) return;
+        if (response.status >= 400 || !response.data?.defaults) {
+          setLoadError(true);
+          return;
+        }
+        setDefaults(response.data.defaults);
+        setLoadError(false);
+      } catch (error) {
+        console.error("Failed to load default lead scoring rules", error);
+        if (!cancelled) setLoadError(true);
+      }
+    }
+
+    loadDefaults();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const rules = value || {};
+
+  // Empty inputs fall back to the default, so drop them from the override
+  const setPoints = (section, key, rawValue) => {
+    const sectionRules = { ...(rules[section] || {}) };
+    if (rawValue === "") {
+      delete sectionRules[key];
+    } else {
+      sectionRules[key] = Number(rawValue);
+    }
+
+    const next = { ...rules, [section]: sectionRules };
+    if (Object.keys(sectionRules).length === 0) {
+      delete next[section];
+    }
+    onChange(next);
+  };
+
+  const addKeyword = (section) => {
+    const keyword = (newKeywords[section] || "").trim();
+    if (!keyword) return;
+    const key = section === "phoneCountry" && keyword.toLowerCase() !== "other"
+      ? keyword.toUpperCase()
+      : keyword.toLowerCase();
+    setPoints(section, key, String(rules[section]?.[key] ?? defaults?.[section]?.[key] ?? 0));
+    setNewKeywords((current) => ({ ...current, [section]: "" }));
+  };
+
+  const handleRescore = async () => {
+    setRescoreStatus({ type: "info", message: "Rescoring leads..." });
+    try {
+      const response = await api.post("/leads/rescore", {});
+      if (response.status >= 400) {
+        setRescoreStatus({ type: "error", message: response.data?.message || "Failed to rescore leads" });
+        return;
+      }
+      setRescoreStatus({ type: "success", message: `Rescored ${response.data.rescored} leads` });
+    } catch (error) {
+      console.error("Failed to rescore leads", error);
+      setRescoreStatus({ type: "error", message: "Failed to rescore leads" });
+    }
+  };
+
+  return (
+    <div className="space-y-4 md:col-span-2">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Lead Scoring</h3>
+          <p className="text-sm text-slate-300">
+            Points each captured signal adds to a lead's score (0–100) for this project. Leave a field
+            empty to use the default; set 0 to ignore a signal. New leads are scored with the saved rules.
+          </p>
+        </div>
+        <div className="flex flex-col items-start gap-1 sm:items-end">
+          <button
+            type="button"
+            onClick={handleRescore}
+            disabled={rescoreStatus?.type === "info"}
+            className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm font-medium text-slate-200 hover:bg-white/10 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            Rescore existing leads
+          </button>
+          {rescoreStatus && (
+            <span
+              className={`text-xs ${
+                rescoreStatus.type === "error"
+                  ? "text-red-400"
+                  : rescoreStatus.type === "success"
+                    ? "text-emerald-400"
+                    : "text-sky-400"
+              }`}
+            >
+              {rescoreStatus.message}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {loadError && (
+        <p className="text-sm text-red-400">Could not load the default scoring rules from the API.</p>
+      )}
+
+      {defaults && (
+        <div className="grid gap-4 md:grid-cols-2">
+          {KEYWORD_SECTIONS.map((section) => {
+            const sectionDefaults = defaults[section.id] || {};
+            const sectionRules = rules[section.id] || {};
+            const keywords = [...new Set([...Object.keys(sectionDefaults), ...Object.keys(sectionRules)])];
+
+            return (
+              <div key={section.id} className="space-y-3 rounded-xl border border-white/10 bg-white/5 p-4">
+                <div>
+                  <label className="text-sm font-medium text-slate-200">{section.label}</label>
+                  <p className="text-xs text-slate-400">{section.hint}</p>
+                </div>
+                <div className="space-y-2">
+                  {keywords.map((keyword) => (
+                    <div key={keyword} className="flex items-center justify-between gap-3">
+                      <span className="text-sm text-slate-100">{keyword}</span>
+                      <input
+                        type="number"
+                        value={sectionRules[keyword] ?? ""}
+                        onChange={(event) => setPoints(section.id, keyword, event.target.value)}
+                        placeholder={sectionDefaults[keyword] !== undefined ? String(sectionDefaults[keyword]) : ""}
+                        className={numberInputClassName}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={newKeywords[section.id] || ""}
+                    onChange={(event) =>
+                      setNewKeywords((current) => ({ ...current, [section.id]: event.target.value }))
+                    }
+                    placeholder="Add keyword"
+                    className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-1.5 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => addKeyword(section.id)}
+                    className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-sm text-slate-200 hover:bg-white/10"
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+
+          {NUMBER_SECTIONS.map((section) => {
+            const sectionDefaults = defaults[section.id] || {};
+            const sectionRules = rules[section.id] || {};
+
+            return (
+              <div key={section.id} className="space-y-3 rounded-xl border border-white/10 bg-white/5 p-4">
+                <label className="text-sm font-medium text-slate-200">{section.label}</label>
+                <div className="space-y-2">
+                  {section.fields.map(([field, label]) => (
+                    <div key={field} className="flex items-center justify-between gap-3">
+                      <span className="text-sm text-slate-100">{label}</span>
+                      <input
+                        type="number"
+                        value={sectionRules[field] ?? ""}
+                        onChange={(event) => setPoints(section.id, field, event.target.value)}
+                        placeholder={String(sectionDefaults[field] ?? "")}
+                        className={numberInputClassName}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
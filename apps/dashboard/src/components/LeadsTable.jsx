@@ -1,3 +1,5 @@
+import { Link } from "react-router-dom";
+
 export function resolveSource(lead) {
   const utm = lead.metadata?.visitor?.utm;
   if (utm?.source) {
@@ -65,7 +67,69 @@ export function resolveWebsiteInfo(lead) {
   };
 }
 
-export function LeadsTable({ leads }) {
+// Lead ids are strings in the file store and numbers in MySQL
+export function resolveLeadId(lead) {
+  const id = lead.id ?? lead._id;
+  return id === undefined || id === null ? "" : String(id);
+}
+
+export const LEAD_STATUSES = ["new", "contacted", "qualified", "closed"];
+
+const STATUS_STYLES = {
+  new: "border-sky-400/40 bg-sky-400/20 text-sky-100",
+  contacted: "border-amber-400/40 bg-amber-400/20 text-amber-100",
+  qualified: "border-emerald-400/40 bg-emerald-400/20 text-emerald-100",
+  closed: "border-white/20 bg-white/10 text-slate-200",
+};
+
+// Labels for the signals in a lead's score breakdown (metadata.scoring.breakdown)
+export const SCORE_SIGNAL_LABELS = {
+  cta: "CTA / chat topic",
+  bhk: "BHK preference",
+  chatTurns: "Chat messages",
+  utmSource: "UTM source",
+  repeatVisits: "Repeat enquiries",
+  phoneCountry: "Phone country",
+};
+
+export function ScoreBadge({ lead }) {
+  const score = lead.score;
+  if (score === null || score === undefined) {
+    return <span className="text-xs text-slate-500">Not scored</span>;
+  }
+
+  const tone =
+    score >= 70
+      ? "border-emerald-400/40 bg-emerald-400/20 text-emerald-100"
+      : score >= 40
+        ? "border-amber-400/40 bg-amber-400/20 text-amber-100"
+        : "border-white/20 bg-white/10 text-slate-200";
+  const breakdown = lead.metadata?.scoring?.breakdown || [];
+  const title = breakdown
+    .map((entry) => `${SCORE_SIGNAL_LABELS[entry.signal] || entry.signal}: ${entry.value} (${entry.points > 0 ? "+" : ""}${entry.points})`)
+    .join("\n");
+
+  return (
+    <span
+      title={title || undefined}
+      className={`inline-flex min-w-[2.75rem] justify-center rounded-full border px-2.5 py-1 text-sm font-semibold ${tone}`}
+    >
+      {score}
+    </span>
+  );
+}
+
+export function LeadsTable({
+  leads,
+  selectedIds,
+  onToggleSelect,
+  owners = [],
+  onUpdateLead,
+  updatingId,
+}) {
+  const selectable = typeof onToggleSelect === "function";
+  const editable = typeof onUpdateLead === "function";
+
   if (!leads.length) {
     return (
       <div className="rounded-3xl border border-dashed border-white/20 bg-white/5 p-12 text-center text-slate-200 backdrop-blur">
@@ -78,17 +142,19 @@ export function LeadsTable({ leads }) {
   return (
     <div className="rounded-3xl border border-white/10 bg-white/5 shadow-[0_35px_120px_rgba(8,47,73,0.35)] backdrop-blur">
       <div className="overflow-x-auto rounded-3xl">
-        <table className="w-full min-w-[1100px] divide-y divide-white/10 text-left text-sm text-slate-100">
+        <table className="w-full min-w-[1180px] divide-y divide-white/10 text-left text-sm text-slate-100">
         <thead className="bg-white/8 text-xs font-semibold uppercase tracking-[0.3em] text-slate-200">
           <tr>
             <th className="px-4 py-4">#</th>
             <th className="px-5 py-4">Lead</th>
+            <th className="px-5 py-4">Score</th>
               <th className="px-5 py-4">Website</th>
             <th className="px-5 py-4">Interest</th>
             <th className="px-5 py-4">Source</th>
             <th className="px-5 py-4">Location</th>
             <th className="px-5 py-4">Captured</th>
             <th className="px-5 py-4">Status</th>
+            {editable && <th className="px-5 py-4">Owner</th>}
           </tr>
         </thead>
         <tbody className="divide-y divide-white/5">
@@ -138,6 +204,18 @@ export function LeadsTable({ leads }) {
               return normalizedPhone || "";
             })();
             const hasPhone = Boolean(formattedPhone);
+            const leadId = resolveLeadId(lead);
+            const isSelected = selectable && selectedIds?.includes(leadId);
+            const touchCount = Array.isArray(lead.metadata?.touches)
+              ? lead.metadata.touches.length
+              : 0;
+            const duplicateOf = lead.duplicateOf ?? lead.duplicate_of;
+            const status = lead.status || "new";
+            const leadSource = lead.leadSource ?? lead.lead_source;
+            const owner = lead.assignedTo ?? lead.assigned_to ?? "";
+            const ownerOptions =
+              owner && !owners.includes(owner) ? [owner, ...owners] : owners;
+            const isUpdating = editable && updatingId === leadId;
             const telTarget =
               normalizedPhone ||
               (formattedPhone ? formattedPhone.replace(/\s+/g, "") : "");
@@ -145,10 +223,25 @@ export function LeadsTable({ leads }) {
             return (
               <tr
                 key={rawId}
-                className="transition hover:bg-white/5"
+                className={`transition hover:bg-white/5 ${
+                  isSelected ? "bg-sky-400/10" : ""
+                }`}
               >
                 <td className="px-4 py-4 align-top text-center text-slate-300">
-                  {index + 1}
+                  {selectable ? (
+                    <label className="flex flex-col items-center gap-1">
+                      <input
+                        type="checkbox"
+                        checked={isSelected}
+                        disabled={!leadId}
+                        onChange={() => onToggleSelect(leadId)}
+                        className="h-4 w-4 rounded border-white/20 bg-white/10 accent-sky-400"
+                      />
+                      <span className="text-xs">{index + 1}</span>
+                    </label>
+                  ) : (
+                    index + 1
+                  )}
                 </td>
                 <td className="px-5 py-4 align-top">
                   <div className="flex flex-col gap-2">
@@ -166,16 +259,42 @@ export function LeadsTable({ leads }) {
                         </span>
                       )}
                     </div>
-                    <p className="text-xs text-slate-300/80">
-                      Lead ID: {rawId.slice(0, 8)}
-                    </p>
+                    {leadId ? (
+                      <Link
+                        to={`/leads/${encodeURIComponent(leadId)}`}
+                        className="w-fit text-xs text-slate-300/80 hover:text-sky-300"
+                      >
+                        Lead ID: {leadId.slice(0, 8)} · View timeline →
+                      </Link>
+                    ) : (
+                      <p className="text-xs text-slate-300/80">
+                        Lead ID: {rawId.slice(0, 8)}
+                      </p>
+                    )}
                     {!hasPhone && (
                       <p className="text-xs text-slate-400/90">
                         No contact number submitted
                       </p>
                     )}
+                    {(touchCount > 0 || duplicateOf) && (
+                      <div className="flex flex-wrap gap-2">
+                        {touchCount > 0 && (
+                          <span className="w-fit rounded-full border border-emerald-400/40 bg-emerald-400/15 px-2.5 py-0.5 text-xs font-semibold text-emerald-100">
+                            {touchCount + 1} enquiries
+                          </span>
+                        )}
+                        {duplicateOf && (
+                          <span className="w-fit rounded-full border border-amber-400/40 bg-amber-400/15 px-2.5 py-0.5 text-xs font-semibold text-amber-100">
+                            Duplicate of {String(duplicateOf).slice(0, 8)}
+                          </span>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </td>
+                <td className="px-5 py-4 align-top">
+                  <ScoreBadge lead={lead} />
+                </td>
                 <td className="px-5 py-4 align-top">
                   <div className="flex flex-col gap-1">
                     <span className="font-medium text-slate-100">
@@ -208,11 +327,28 @@ export function LeadsTable({ leads }) {
                         Project: {lead.metadata.projectId}
                       </span>
                     )}
+                    {lead.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-1.5">
+                        {lead.tags.map((tag) => (
+                          <span
+                            key={tag}
+                            className="rounded-full border border-violet-400/40 bg-violet-400/15 px-2 py-0.5 text-[11px] font-semibold text-violet-100"
+                          >
+                            {tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </td>
                 <td className="px-5 py-4 align-top">
                   <div className="flex flex-col gap-1">
                     <span className="font-medium text-slate-100">{source}</span>
+                    {leadSource && leadSource !== "ChatWidget" && (
+                      <span className="text-xs text-slate-300">
+                        Lead source: {leadSource}
+                      </span>
+                    )}
                     <div className="flex flex-wrap gap-2 text-xs text-slate-300">
                       {medium && (
                         <span className="rounded-full border border-white/15 bg-white/10 px-2.5 py-0.5 text-[11px] uppercase tracking-[0.2em] text-slate-200">
@@ -249,10 +385,54 @@ export function LeadsTable({ leads }) {
                     : "—"}
                 </td>
                 <td className="px-5 py-4 align-top">
-                  <span className="rounded-full border border-sky-400/40 bg-sky-400/20 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-sky-100">
-                    {lead.status || "new"}
-                  </span>
+                  {editable ? (
+                    <select
+                      value={status}
+                      disabled={!leadId || isUpdating}
+                      onChange={(event) =>
+                        onUpdateLead(lead, { status: event.target.value })
+                      }
+                      className={`rounded-full border px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] focus:outline-none disabled:opacity-60 ${
+                        STATUS_STYLES[status] || STATUS_STYLES.new
+                      }`}
+                    >
+                      {LEAD_STATUSES.map((option) => (
+                        <option
+                          key={option}
+                          value={option}
+                          className="bg-slate-900 text-slate-100"
+                        >
+                          {option}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="rounded-full border border-sky-400/40 bg-sky-400/20 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-sky-100">
+                      {status}
+                    </span>
+                  )}
                 </td>
+                {editable && (
+                  <td className="px-5 py-4 align-top">
+                    <select
+                      value={owner}
+                      disabled={!leadId || isUpdating}
+                      onChange={(event) =>
+                        onUpdateLead(lead, {
+                          assignedTo: event.target.value || null,
+                        })
+                      }
+                      className="max-w-[160px] rounded-xl border border-white/10 bg-slate-900 px-3 py-1.5 text-xs text-slate-100 focus:border-sky-400 focus:outline-none disabled:opacity-60"
+                    >
+                      <option value="">Unassigned</option>
+                      {ownerOptions.map((username) => (
+                        <option key={username} value={username}>
+                          {username}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                )}
               </tr>
             );
           })}
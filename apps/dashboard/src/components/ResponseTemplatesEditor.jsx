@@ -0,0 +1,153 @@
+import { useEffect, useState } from "react";
+import { api } from "../lib/api.js";
+
+const INTENT_LABELS = {
+  greeting: "Greeting",
+  project_name: "Project name",
+  pricing: "Pricing",
+  location: "Location",
+  configuration: "Configurations (BHK)",
+  amenities: "Amenities",
+  overview: "Project overview",
+  brochure: "Brochure / floor plans",
+  site_visit: "Site visit",
+  contact: "Call / WhatsApp",
+  affirm: "Visitor says yes",
+  affirm_pricing_or_visit: "Yes → pricing / site visit",
+  affirm_location: "Yes → after location",
+  affirm_pricing: "Yes → after pricing",
+  affirm_configuration: "Yes → after configurations",
+  deny: "Visitor says no",
+  lead_captured: "Details received (lead created)",
+  lead_updated: "Details updated",
+  ask_phone: "Name received → ask for phone",
+  fallback: "Fallback",
+};
+
+export function ResponseTemplatesEditor({ value, onChange, propertyInfo, agentName, locale = "en" }) {
+  const [defaults, setDefaults] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [loadError, setLoadError] = useState(false);
+  const [previews, setPreviews] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadDefaults() {
+      try {
+        const response = await api.get("/chat/templates", { params: { locale } });
+        if (cancelled) return;
+        if (response.status >= 400 || !Array.isArray(response.data?.templates)) {
+          setLoadError(true);
+          return;
+        }
+        setDefaults(response.data.templates);
+        setPlaceholders(response.data.placeholders || []);
+        setLoadError(false);
+      } catch (error) {
+        console.error("Failed to load default chat templates", error);
+        if (!cancelled) setLoadError(true);
+      }
+    }
+
+    loadDefaults();
+    return () => {
+      cancelled = true;
+    };
+  }, [locale]);
+
+  const templates = value || {};
+
+  // The API renders previews with the chat's own renderer, so they match what visitors see
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadPreviews() {
+      try {
+        const response = await api.post("/chat/templates/preview", {
+          responseTemplates: value || {},
+          propertyInfo,
+          agentName,
+          locale,
+        });
+        if (!cancelled && response.status < 400 && response.data?.previews) {
+          setPreviews(response.data.previews);
+        }
+      } catch (error) {
+        console.error("Failed to render chat template previews", error);
+      }
+    }
+
+    // Debounce typing in the template fields
+    const timeoutId = setTimeout(loadPreviews, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [value, propertyInfo, agentName, locale]);
+
+  const handleTemplateChange = (intentId) => (event) => {
+    const next = { ...templates, [intentId]: event.target.value };
+    if (!event.target.value.trim()) {
+      delete next[intentId];
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-4 md:col-span-2">
+      <div>
+        <h3 className="text-lg font-semibold text-white">Chat Reply Templates</h3>
+        <p className="text-sm text-slate-300">
+          Reword the bot's replies for this project. Leave a field empty to use the default. Wrap text in
+          <code className="mx-1 rounded bg-white/10 px-1">[...]</code>
+          to hide it when a placeholder inside is empty, or use
+          <code className="mx-1 rounded bg-white/10 px-1">{"{name|fallback}"}</code>
+          for a default value.
+        </p>
+        {placeholders.length > 0 && (
+          <div className="mt-2 flex flex-wrap gap-2">
+            {placeholders.map((name) => (
+              <span
+                key={name}
+                className="rounded-full border border-white/10 bg-white/10 px-2 py-0.5 text-xs text-slate-200"
+              >
+                {`{${name}}`}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {loadError && (
+        <p className="text-sm text-red-400">Could not load the default templates from the API.</p>
+      )}
+
+      {defaults.map(({ id, template: defaultTemplate }) => {
+        const current = templates[id] || "";
+        const preview = previews[id] ?? "";
+
+        return (
+          <div key={id} className="space-y-2 rounded-xl border border-white/10 bg-white/5 p-4">
+            <div className="flex items-center justify-between">
+              <label className="text-sm font-medium text-slate-200">{INTENT_LABELS[id] || id}</label>
+              {current && (
+                <span className="text-xs text-sky-300">Customized</span>
+              )}
+            </div>
+            <textarea
+              rows={2}
+              value={current}
+              onChange={handleTemplateChange(id)}
+              placeholder={defaultTemplate}
+              className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+            />
+            <p className="text-xs text-slate-400">
+              <span className="font-medium text-slate-300">Preview:</span> {preview}
+            </p>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -136,11 +136,11 @@ api.interceptors.request.use(
     const fullURL = `${config.baseURL}${url}`;
     const apiKey = localStorage.getItem("widget_config_api_key");
     
-    // Add API key if needed - check for widget-config endpoints or POST requests
+    // Add API key if needed - check for widget-config endpoints or mutating requests
     const isWidgetConfigEndpoint = config.url?.includes("/widget-config") || fullURL.includes("/widget-config");
-    const isPostRequest = config.method?.toLowerCase() === "post" || config.method?.toUpperCase() === "POST";
+    const isMutatingRequest = ["POST", "PUT", "PATCH", "DELETE"].includes(method);
     
-    if (apiKey && (isWidgetConfigEndpoint || isPostRequest)) {
+    if (apiKey && (isWidgetConfigEndpoint || isMutatingRequest)) {
       config.headers["X-API-Key"] = apiKey;
       // Also add as Authorization Bearer for compatibility
       if (!config.headers["Authorization"]) {
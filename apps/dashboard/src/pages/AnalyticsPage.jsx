@@ -1,70 +1,484 @@
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { api } from "../lib/api.js";
 
+const RANGE_PRESETS = [
+  { value: "24h", label: "Last 24 hours", days: 1, interval: "hour" },
+  { value: "7d", label: "Last 7 days", days: 7, interval: "day" },
+  { value: "30d", label: "Last 30 days", days: 30, interval: "day" },
+  { value: "90d", label: "Last 90 days", days: 90, interval: "day" },
+  { value: "custom", label: "Custom" },
+];
+
+// Series colours, in funnel order
+const SERIES_COLORS = {
+  chat_shown: "#38bdf8",
+  modal_shown: "#a78bfa",
+  cta_selected: "#fbbf24",
+  chat_started: "#34d399",
+  lead_submitted: "#f472b6",
+};
+
+const inputClassName =
+  "rounded-xl border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder:text-slate-300 focus:border-sky-400 focus:outline-none";
+
+function resolveRange({ preset, customStart, customEnd }) {
+  if (preset === "custom") {
+    if (!customStart || !customEnd) {
+      return null;
+    }
+    const start = new Date(`${customStart}T00:00:00`);
+    const end = new Date(`${customEnd}T23:59:59.999`);
+    return { startDate: start.toISOString(), endDate: end.toISOString() };
+  }
+
+  const { days } = RANGE_PRESETS.find((option) => option.value === preset);
+  const end = new Date();
+  return {
+    startDate: new Date(end.getTime() - days * 24 * 60 * 60 * 1000).toISOString(),
+    endDate: end.toISOString(),
+  };
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? "—" : `${Math.round(value * 1000) / 10}%`;
+}
+
+// Change against the previous period of the same length, e.g. "+12% vs previous"
+function formatTrend(current, previous) {
+  if (!previous) {
+    return current ? "New this period" : "No activity";
+  }
+  const change = Math.round(((current - previous) / previous) * 100);
+  return `${change >= 0 ? "+" : ""}${change}% vs previous period`;
+}
+
 export function AnalyticsPage() {
-  const [stats, setStats] = useState({
-    chatsShown: 0,
-    chatsStarted: 0,
-    leadsCaptured: 0,
-  });
+  const [projectId, setProjectId] = useState("");
+  const [microsite, setMicrosite] = useState("");
+  const [preset, setPreset] = useState("30d");
+  const [bucketInterval, setBucketInterval] = useState("day");
+  const [customStart, setCustomStart] = useState("");
+  const [customEnd, setCustomEnd] = useState("");
+  const [data, setData] = useState(null);
+  const [ctaReport, setCtaReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const params = useMemo(() => {
+    const range = resolveRange({ preset, customStart, customEnd });
+    if (!range) {
+      return null;
+    }
+    return {
+      ...range,
+      interval: bucketInterval,
+      // Days start at the browser's local midnight
+      utcOffset: -new Date().getTimezoneOffset(),
+      ...(projectId.trim() && { projectId: projectId.trim() }),
+      ...(microsite.trim() && { microsite: microsite.trim() }),
+    };
+  }, [preset, customStart, customEnd, bucketInterval, projectId, microsite]);
 
   useEffect(() => {
-    async function loadStats() {
+    if (!params) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    async function loadAnalytics() {
+      setLoading(true);
+      setError("");
       try {
-        const response = await api.get("/events", {
-          // Placeholder for future filters
-        });
-        setStats((prev) => ({ ...prev, ...(response.data || {}) }));
-      } catch (error) {
-        console.warn("Analytics endpoint not implemented yet", error);
+        const response = await api.get("/events/analytics", { params });
+        if (cancelled) return;
+        if (response.status >= 400) {
+          setError(response.data?.message || "Failed to load analytics");
+          return;
+        }
+        setData(response.data);
+
+        const reportResponse = await api.get("/events/reports/cta", { params });
+        if (cancelled) return;
+        setCtaReport(reportResponse.status < 400 ? reportResponse.data : null);
+      } catch (requestError) {
+        if (cancelled) return;
+        console.error("Failed to load analytics", requestError);
+        setError(requestError.response?.data?.message || "Failed to load analytics");
+      } finally {
+        if (!cancelled) setLoading(false);
       }
     }
 
-    loadStats();
-  }, []);
+    // Debounce typing in the project / microsite fields
+    const timeoutId = setTimeout(loadAnalytics, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [params]);
 
-  const conversion = stats.chatsShown
-    ? Math.round((stats.leadsCaptured / stats.chatsShown) * 100)
-    : 0;
+  const handlePresetChange = (value) => {
+    setPreset(value);
+    const option = RANGE_PRESETS.find((item) => item.value === value);
+    if (option?.interval) {
+      setBucketInterval(option.interval);
+    }
+  };
+
+  const totals = data?.totals || {};
+  const previousTotals = data?.previousTotals || {};
+  const conversion = totals.chat_shown ? (totals.lead_submitted || 0) / totals.chat_shown : null;
 
   return (
     <div className="space-y-6">
-      <div>
-        <h2 className="text-2xl font-semibold text-slate-900">Analytics</h2>
-        <p className="text-sm text-slate-500">
-          Track engagement across your microsites. Extend the events API to
-          populate these cards.
-        </p>
-      </div>
+      <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+        <div className="flex flex-col gap-4 lg:flex-row lg:items-end lg:justify-between">
+          <div className="space-y-2">
+            <p className="text-xs uppercase tracking-[0.4em] text-slate-300">Widget engagement</p>
+            <h2 className="text-3xl font-bold text-white">Analytics</h2>
+            <p className="max-w-xl text-sm text-slate-200/80">
+              Widget events over time and how visitors move from seeing the chat to submitting a lead.
+            </p>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              value={projectId}
+              onChange={(event) => setProjectId(event.target.value)}
+              placeholder="All projects"
+              className={`${inputClassName} w-36`}
+            />
+            <input
+              value={microsite}
+              onChange={(event) => setMicrosite(event.target.value)}
+              placeholder="All microsites"
+              className={`${inputClassName} w-40`}
+            />
+            <select
+              value={preset}
+              onChange={(event) => handlePresetChange(event.target.value)}
+              className="rounded-xl border border-white/10 bg-slate-900 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none"
+            >
+              {RANGE_PRESETS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            {preset === "custom" && (
+              <>
+                <input
+                  type="date"
+                  value={customStart}
+                  onChange={(event) => setCustomStart(event.target.value)}
+                  className={inputClassName}
+                />
+                <input
+                  type="date"
+                  value={customEnd}
+                  onChange={(event) => setCustomEnd(event.target.value)}
+                  className={inputClassName}
+                />
+              </>
+            )}
+            <select
+              value={bucketInterval}
+              onChange={(event) => setBucketInterval(event.target.value)}
+              className="rounded-xl border border-white/10 bg-slate-900 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none"
+            >
+              <option value="day">Daily</option>
+              <option value="hour">Hourly</option>
+            </select>
+          </div>
+        </div>
+      </section>
 
-      <div className="grid gap-6 md:grid-cols-3">
-        <StatCard label="Chat Popups" value={stats.chatsShown} trend="+12%" />
-        <StatCard label="Chats Started" value={stats.chatsStarted} trend="+8%" />
+      {error && (
+        <div className="rounded-2xl border border-rose-400/30 bg-rose-400/10 px-5 py-3 text-sm text-rose-200">
+          {error}
+        </div>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-4">
+        <StatCard
+          label="Chat popups"
+          value={totals.chat_shown || 0}
+          trend={formatTrend(totals.chat_shown || 0, previousTotals.chat_shown || 0)}
+        />
+        <StatCard
+          label="Chats started"
+          value={totals.chat_started || 0}
+          trend={formatTrend(totals.chat_started || 0, previousTotals.chat_started || 0)}
+        />
         <StatCard
-          label="Leads Captured"
-          value={stats.leadsCaptured}
-          trend={`${conversion}% conversion`}
+          label="Leads captured"
+          value={totals.lead_submitted || 0}
+          trend={formatTrend(totals.lead_submitted || 0, previousTotals.lead_submitted || 0)}
         />
+        <StatCard label="Conversion" value={formatPercent(conversion)} trend="Leads per chat popup" />
       </div>
 
-      <div className="rounded-2xl border border-dashed border-slate-300 bg-white p-8 text-center text-slate-500">
-        Connect event tracking to unlock deeper analytics. Post widget events to
-        `/api/events` with type `chat_shown`, `chat_started`, and `lead_submitted`.
+      {loading && !data ? (
+        <div className="rounded-3xl border border-white/10 bg-white/5 p-12 text-center text-slate-200 backdrop-blur">
+          Loading analytics...
+        </div>
+      ) : data ? (
+        <div className="grid gap-6 xl:grid-cols-5">
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur xl:col-span-3">
+            <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">Events over time</h3>
+            <TimeSeriesChart series={data.series} steps={data.funnel} interval={data.range.interval} />
+          </section>
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur xl:col-span-2">
+            <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">Conversion funnel</h3>
+            <Funnel steps={data.funnel} />
+          </section>
+        </div>
+      ) : null}
+
+      {ctaReport && <CtaReport report={ctaReport} />}
+    </div>
+  );
+}
+
+// Sessions and leads per CTA / BHK choice, best converting highlighted
+function CtaReport({ report }) {
+  const { totals, ctas, bhkTypes, combinations, untrackedEvents } = report;
+
+  return (
+    <section className="space-y-6 rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+      <div className="flex flex-col gap-1 sm:flex-row sm:items-baseline sm:justify-between">
+        <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">CTA &amp; BHK performance</h3>
+        <p className="text-xs text-slate-400">
+          {totals.sessions} widget sessions · {totals.leads} leads · {formatPercent(totals.conversionRate)} converted
+          {untrackedEvents > 0 && ` · ${untrackedEvents} older events without a session`}
+        </p>
       </div>
+
+      {totals.sessions === 0 ? (
+        <p className="text-sm text-slate-300">No widget sessions with a CTA or BHK choice in this period.</p>
+      ) : (
+        <div className="grid gap-6 xl:grid-cols-2">
+          <ConversionTable title="By CTA" rows={ctas} labelOf={(row) => row.cta} showChats />
+          <ConversionTable title="By BHK" rows={bhkTypes} labelOf={(row) => row.bhkType} />
+          <div className="xl:col-span-2">
+            <ConversionTable
+              title="CTA + BHK"
+              rows={combinations.slice(0, 15)}
+              labelOf={(row) => `${row.cta} · ${row.bhkType}`}
+            />
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Rows with fewer sessions aren't highlighted as the best converting choice
+const MIN_SESSIONS_FOR_BEST = 5;
+
+function ConversionTable({ title, rows, labelOf, showChats = false }) {
+  const best = Math.max(
+    0,
+    ...rows.filter((row) => row.sessions >= MIN_SESSIONS_FOR_BEST).map((row) => row.conversionRate || 0)
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <p className="mb-2 text-sm font-semibold text-white">{title}</p>
+      <table className="w-full text-left text-sm">
+        <thead className="text-xs uppercase tracking-wider text-slate-400">
+          <tr>
+            <th className="py-2 pr-3 font-medium">Choice</th>
+            <th className="py-2 pr-3 text-right font-medium">Sessions</th>
+            {showChats && <th className="py-2 pr-3 text-right font-medium">Chats</th>}
+            <th className="py-2 pr-3 text-right font-medium">Leads</th>
+            <th className="py-2 font-medium">Conversion</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-white/5">
+          {rows.map((row) => (
+            <tr key={labelOf(row)} className="text-slate-200">
+              <td className="py-2 pr-3">{labelOf(row)}</td>
+              <td className="py-2 pr-3 text-right">{row.sessions}</td>
+              {showChats && <td className="py-2 pr-3 text-right">{row.chatsStarted}</td>}
+              <td className="py-2 pr-3 text-right">{row.leads}</td>
+              <td className="py-2">
+                <div className="flex items-center gap-2">
+                  <div className="h-2 w-24 overflow-hidden rounded-full bg-white/10">
+                    <div
+                      className={`h-full rounded-full ${
+                        best > 0 && row.sessions >= MIN_SESSIONS_FOR_BEST && row.conversionRate === best ? "bg-emerald-400" : "bg-sky-400"
+                      }`}
+                      style={{ width: `${(row.conversionRate || 0) * 100}%` }}
+                    />
+                  </div>
+                  <span className="text-xs text-slate-300">{formatPercent(row.conversionRate)}</span>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
 
 function StatCard({ label, value, trend }) {
   return (
-    <div className="rounded-2xl border border-slate-200 bg-white p-6 shadow-sm">
-      <p className="text-sm text-slate-500">{label}</p>
-      <p className="mt-2 text-3xl font-semibold text-slate-900">{value}</p>
-      <p className="mt-1 text-xs font-medium uppercase tracking-wide text-blue-600">
-        {trend}
-      </p>
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
+      <p className="text-xs uppercase tracking-[0.3em] text-slate-300">{label}</p>
+      <p className="mt-2 text-3xl font-semibold text-white">{value}</p>
+      <p className="mt-1 text-xs text-sky-200/80">{trend}</p>
     </div>
   );
 }
 
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 10, right: 10, bottom: 24, left: 36 };
+
+function formatBucket(bucket, interval) {
+  const date = new Date(bucket);
+  return interval === "hour"
+    ? date.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+// One line per funnel event type; click a legend entry to hide its line
+function TimeSeriesChart({ series, steps, interval }) {
+  const [hidden, setHidden] = useState([]);
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const visibleSteps = steps.filter((step) => !hidden.includes(step.type));
+  const maxValue = Math.max(
+    1,
+    ...series.flatMap((point) => visibleSteps.map((step) => point.counts[step.type] || 0))
+  );
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (index) =>
+    CHART_PADDING.left + (series.length > 1 ? (index / (series.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => CHART_PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+  const labelEvery = Math.max(1, Math.ceil(series.length / 8));
+  const hoverPoint = hoverIndex !== null ? series[hoverIndex] : null;
+
+  const toggle = (type) =>
+    setHidden((current) => (current.includes(type) ? current.filter((item) => item !== type) : [...current, type]));
 
+  return (
+    <div className="mt-4 space-y-3">
+      <div className="flex flex-wrap gap-3">
+        {steps.map((step) => (
+          <button
+            key={step.type}
+            type="button"
+            onClick={() => toggle(step.type)}
+            className={`flex items-center gap-2 text-xs ${hidden.includes(step.type) ? "text-slate-500" : "text-slate-200"}`}
+          >
+            <span className="h-2 w-4 rounded-full" style={{ backgroundColor: SERIES_COLORS[step.type] }} />
+            {step.label}
+          </button>
+        ))}
+      </div>
+
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full"
+        onMouseLeave={() => setHoverIndex(null)}
+      >
+        {[0, 0.5, 1].map((fraction) => (
+          <g key={fraction}>
+            <line
+              x1={CHART_PADDING.left}
+              x2={CHART_WIDTH - CHART_PADDING.right}
+              y1={y(maxValue * fraction)}
+              y2={y(maxValue * fraction)}
+              stroke="rgba(255,255,255,0.08)"
+            />
+            <text x={CHART_PADDING.left - 6} y={y(maxValue * fraction) + 4} textAnchor="end" fontSize="10" fill="#94a3b8">
+              {Math.round(maxValue * fraction)}
+            </text>
+          </g>
+        ))}
+
+        {series.map((point, index) =>
+          index % labelEvery === 0 ? (
+            <text key={point.bucket} x={x(index)} y={CHART_HEIGHT - 6} textAnchor="middle" fontSize="10" fill="#94a3b8">
+              {formatBucket(point.bucket, interval)}
+            </text>
+          ) : null
+        )}
+
+        {visibleSteps.map((step) => (
+          <polyline
+            key={step.type}
+            fill="none"
+            stroke={SERIES_COLORS[step.type]}
+            strokeWidth="2"
+            points={series.map((point, index) => `${x(index)},${y(point.counts[step.type] || 0)}`).join(" ")}
+          />
+        ))}
+
+        {hoverPoint && (
+          <line
+            x1={x(hoverIndex)}
+            x2={x(hoverIndex)}
+            y1={CHART_PADDING.top}
+            y2={CHART_PADDING.top + plotHeight}
+            stroke="rgba(255,255,255,0.3)"
+          />
+        )}
+
+        {series.map((point, index) => (
+          <rect
+            key={point.bucket}
+            x={x(index) - plotWidth / Math.max(1, series.length) / 2}
+            y={CHART_PADDING.top}
+            width={plotWidth / Math.max(1, series.length)}
+            height={plotHeight}
+            fill="transparent"
+            onMouseEnter={() => setHoverIndex(index)}
+          />
+        ))}
+      </svg>
+
+      <p className="min-h-[1.25rem] text-xs text-slate-300">
+        {hoverPoint
+          ? `${formatBucket(hoverPoint.bucket, interval)} · ${visibleSteps
+              .map((step) => `${step.label}: ${hoverPoint.counts[step.type] || 0}`)
+              .join(" · ")}`
+          : "Hover the chart for a breakdown."}
+      </p>
+    </div>
+  );
+}
+
+function Funnel({ steps }) {
+  return (
+    <ol className="mt-4 space-y-4">
+      {steps.map((step, index) => (
+        <li key={step.type} className="space-y-1">
+          <div className="flex items-baseline justify-between gap-3 text-sm">
+            <span className="text-slate-100">{step.label}</span>
+            <span className="font-semibold text-white">{step.count}</span>
+          </div>
+          <div className="h-3 overflow-hidden rounded-full bg-white/10">
+            <div
+              className="h-full rounded-full"
+              style={{
+                width: `${Math.min(100, (step.overallRate ?? 0) * 100)}%`,
+                backgroundColor: SERIES_COLORS[step.type],
+              }}
+            />
+          </div>
+          {index > 0 && (
+            <p className="text-xs text-slate-400">
+              {formatPercent(step.rate)} of previous step · drop-off {formatPercent(step.dropOff)}
+            </p>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,489 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { api } from "../lib/api.js";
+
+const RANGE_PRESETS = [
+  { value: "7d", label: "Last 7 days", days: 7 },
+  { value: "30d", label: "Last 30 days", days: 30 },
+  { value: "90d", label: "Last 90 days", days: 90 },
+  { value: "custom", label: "Custom" },
+];
+
+const MODELS = [
+  { value: "last", label: "Last touch" },
+  { value: "first", label: "First touch" },
+];
+
+const GROUPINGS = [
+  { value: "source", label: "Source", columns: ["source"] },
+  { value: "source_medium", label: "Source / medium", columns: ["source", "medium"] },
+  { value: "campaign", label: "Campaign", columns: ["source", "medium", "campaign"] },
+  { value: "referrer", label: "Referrer domain", columns: ["referrerDomain"] },
+];
+
+const COLUMN_LABELS = {
+  source: "Source",
+  medium: "Medium",
+  campaign: "Campaign",
+  referrerDomain: "Referrer",
+};
+
+const inputClassName =
+  "rounded-xl border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder:text-slate-300 focus:border-sky-400 focus:outline-none";
+const selectClassName =
+  "rounded-xl border border-white/10 bg-slate-900 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none";
+
+const EMPTY_COST = { source: "", medium: "", campaign: "", spentOn: "", amount: "", currency: "INR" };
+
+function resolveRange({ preset, customStart, customEnd }) {
+  if (preset === "custom") {
+    if (!customStart || !customEnd) {
+      return null;
+    }
+    return {
+      startDate: new Date(`${customStart}T00:00:00`).toISOString(),
+      endDate: new Date(`${customEnd}T23:59:59.999`).toISOString(),
+    };
+  }
+
+  const { days } = RANGE_PRESETS.find((option) => option.value === preset);
+  const end = new Date();
+  return {
+    startDate: new Date(end.getTime() - days * 24 * 60 * 60 * 1000).toISOString(),
+    endDate: end.toISOString(),
+  };
+}
+
+// YYYY-MM-DD of a time in the browser's timezone
+function toLocalDate(value) {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? "—" : `${Math.round(value * 1000) / 10}%`;
+}
+
+function formatMoney(value, currency) {
+  if (value === null || value === undefined) {
+    return "—";
+  }
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency, maximumFractionDigits: 2 }).format(value);
+  } catch {
+    return `${value} ${currency}`;
+  }
+}
+
+function currentUser() {
+  return localStorage.getItem("dashboard_username") || undefined;
+}
+
+export function AttributionPage() {
+  const [projectId, setProjectId] = useState("");
+  const [microsite, setMicrosite] = useState("");
+  const [preset, setPreset] = useState("30d");
+  const [customStart, setCustomStart] = useState("");
+  const [customEnd, setCustomEnd] = useState("");
+  const [model, setModel] = useState("last");
+  const [groupBy, setGroupBy] = useState("source");
+  const [report, setReport] = useState(null);
+  const [costs, setCosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [exporting, setExporting] = useState(false);
+
+  const params = useMemo(() => {
+    const range = resolveRange({ preset, customStart, customEnd });
+    if (!range) {
+      return null;
+    }
+    return {
+      ...range,
+      model,
+      groupBy,
+      // Cost days are the browser's calendar days
+      utcOffset: -new Date().getTimezoneOffset(),
+      ...(projectId.trim() && { projectId: projectId.trim() }),
+      ...(microsite.trim() && { microsite: microsite.trim() }),
+    };
+  }, [preset, customStart, customEnd, model, groupBy, projectId, microsite]);
+
+  const loadReport = useCallback(async () => {
+    if (!params) {
+      return;
+    }
+    setLoading(true);
+    setError("");
+    try {
+      const response = await api.get("/attribution/report", { params });
+      if (response.status >= 400) {
+        setError(response.data?.message || "Failed to load attribution report");
+        return;
+      }
+      setReport(response.data);
+
+      if (params.projectId) {
+        const costsResponse = await api.get("/attribution/costs", {
+          params: {
+            projectId: params.projectId,
+            startDate: toLocalDate(params.startDate),
+            endDate: toLocalDate(params.endDate),
+          },
+        });
+        setCosts(costsResponse.status < 400 ? costsResponse.data.costs || [] : []);
+      } else {
+        setCosts([]);
+      }
+    } catch (requestError) {
+      console.error("Failed to load attribution report", requestError);
+      setError(requestError.response?.data?.message || "Failed to load attribution report");
+    } finally {
+      setLoading(false);
+    }
+  }, [params]);
+
+  useEffect(() => {
+    // Debounce typing in the project / microsite fields
+    const timeoutId = setTimeout(loadReport, 300);
+    return () => clearTimeout(timeoutId);
+  }, [loadReport]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await api.get("/attribution/report", {
+        params: { ...params, format: "csv" },
+        responseType: "blob",
+      });
+      if (response.status >= 400) {
+        setError("Failed to export the report");
+        return;
+      }
+
+      const url = URL.createObjectURL(response.data);
+      const anchor = document.createElement("a");
+      anchor.href = url;
+      anchor.download = `attribution-${groupBy}-${model}-touch.csv`;
+      document.body.appendChild(anchor);
+      anchor.click();
+      document.body.removeChild(anchor);
+      URL.revokeObjectURL(url);
+    } catch (requestError) {
+      console.error("Failed to export attribution report", requestError);
+      setError("Failed to export the report");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const grouping = GROUPINGS.find((option) => option.value === groupBy);
+  const currency = report?.currencies?.length === 1 ? report.currencies[0] : "INR";
+  const showCost = groupBy !== "referrer" && Boolean(params?.projectId);
+
+  return (
+    <div className="space-y-6">
+      <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+        <div className="flex flex-col gap-4 lg:flex-row lg:items-end lg:justify-between">
+          <div className="space-y-2">
+            <p className="text-xs uppercase tracking-[0.4em] text-slate-300">Marketing</p>
+            <h2 className="text-3xl font-bold text-white">Attribution</h2>
+            <p className="max-w-xl text-sm text-slate-200/80">
+              Leads, conversions and ad spend by the UTM source, campaign or referrer that brought each visitor.
+            </p>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              value={projectId}
+              onChange={(event) => setProjectId(event.target.value)}
+              placeholder="All projects"
+              className={`${inputClassName} w-36`}
+            />
+            <input
+              value={microsite}
+              onChange={(event) => setMicrosite(event.target.value)}
+              placeholder="All microsites"
+              className={`${inputClassName} w-40`}
+            />
+            <select value={preset} onChange={(event) => setPreset(event.target.value)} className={selectClassName}>
+              {RANGE_PRESETS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            {preset === "custom" && (
+              <>
+                <input
+                  type="date"
+                  value={customStart}
+                  onChange={(event) => setCustomStart(event.target.value)}
+                  className={inputClassName}
+                />
+                <input
+                  type="date"
+                  value={customEnd}
+                  onChange={(event) => setCustomEnd(event.target.value)}
+                  className={inputClassName}
+                />
+              </>
+            )}
+          </div>
+        </div>
+      </section>
+
+      {error && (
+        <div className="rounded-2xl border border-rose-400/30 bg-rose-400/10 px-5 py-3 text-sm text-rose-200">
+          {error}
+        </div>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-4">
+        <StatCard label="Leads" value={report?.totals.leads ?? 0} />
+        <StatCard label="Converted" value={report?.totals.converted ?? 0} hint="Qualified or closed" />
+        <StatCard label="Conversion" value={formatPercent(report?.totals.conversionRate)} />
+        <StatCard
+          label="Cost per lead"
+          value={showCost ? formatMoney(report?.totals.costPerLead, currency) : "—"}
+          hint={
+            !params?.projectId
+              ? "Pick a project to include costs"
+              : report?.currencies?.length > 1
+                ? `Costs mix ${report.currencies.join(", ")} and are added as entered`
+                : `${formatMoney(report?.totals.cost || 0, currency)} spent`
+          }
+        />
+      </div>
+
+      <section className="space-y-4 rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+          <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">Leads by {grouping.label.toLowerCase()}</h3>
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={model} onChange={(event) => setModel(event.target.value)} className={selectClassName}>
+              {MODELS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <select value={groupBy} onChange={(event) => setGroupBy(event.target.value)} className={selectClassName}>
+              {GROUPINGS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={exporting || !params}
+              className="rounded-xl border border-white/10 bg-white/10 px-4 py-2 text-sm font-semibold text-white transition hover:bg-white/20 disabled:opacity-50"
+            >
+              {exporting ? "Exporting..." : "Download CSV"}
+            </button>
+          </div>
+        </div>
+
+        {loading && !report ? (
+          <p className="py-8 text-center text-sm text-slate-300">Loading attribution...</p>
+        ) : !report?.rows.length ? (
+          <p className="text-sm text-slate-300">No leads in this period.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs uppercase tracking-wider text-slate-400">
+                <tr>
+                  {grouping.columns.map((column) => (
+                    <th key={column} className="py-2 pr-3 font-medium">
+                      {COLUMN_LABELS[column]}
+                    </th>
+                  ))}
+                  <th className="py-2 pr-3 text-right font-medium">Leads</th>
+                  <th className="py-2 pr-3 text-right font-medium">Converted</th>
+                  <th className="py-2 pr-3 text-right font-medium">Conversion</th>
+                  {showCost && (
+                    <>
+                      <th className="py-2 pr-3 text-right font-medium">Cost</th>
+                      <th className="py-2 pr-3 text-right font-medium">Per lead</th>
+                      <th className="py-2 text-right font-medium">Per conversion</th>
+                    </>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-white/5">
+                {report.rows.map((row) => (
+                  <tr key={grouping.columns.map((column) => row[column]).join("/")} className="text-slate-200">
+                    {grouping.columns.map((column) => (
+                      <td key={column} className="py-2 pr-3">
+                        {row[column]}
+                      </td>
+                    ))}
+                    <td className="py-2 pr-3 text-right">{row.leads}</td>
+                    <td className="py-2 pr-3 text-right">{row.converted}</td>
+                    <td className="py-2 pr-3 text-right">{formatPercent(row.conversionRate)}</td>
+                    {showCost && (
+                      <>
+                        <td className="py-2 pr-3 text-right">{row.cost ? formatMoney(row.cost, currency) : "—"}</td>
+                        <td className="py-2 pr-3 text-right">{formatMoney(row.costPerLead, currency)}</td>
+                        <td className="py-2 text-right">{formatMoney(row.costPerConversion, currency)}</td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {params?.projectId ? (
+        <CampaignCosts projectId={params.projectId} costs={costs} onChange={loadReport} />
+      ) : (
+        <p className="text-sm text-slate-400">Enter a project to add and review its campaign costs.</p>
+      )}
+    </div>
+  );
+}
+
+// Ad spend entered per UTM source / medium / campaign and day
+function CampaignCosts({ projectId, costs, onChange }) {
+  const [form, setForm] = useState(EMPTY_COST);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const updateField = (field) => (event) => setForm((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      const response = await api.post("/attribution/costs", {
+        projectId,
+        ...form,
+        amount: Number(form.amount),
+        createdBy: currentUser(),
+      });
+      if (response.status >= 400) {
+        setError(response.data?.message || "Failed to add cost");
+        return;
+      }
+      setForm((prev) => ({ ...EMPTY_COST, currency: prev.currency }));
+      await onChange();
+    } catch (requestError) {
+      console.error("Failed to add campaign cost", requestError);
+      setError(requestError.response?.data?.message || "Failed to add cost");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (cost) => {
+    if (!window.confirm(`Delete the ${cost.source} cost of ${cost.spentOn}?`)) {
+      return;
+    }
+    try {
+      const response = await api.delete(`/attribution/costs/${cost.id}`);
+      if (response.status >= 400) {
+        setError(response.data?.message || "Failed to delete cost");
+        return;
+      }
+      await onChange();
+    } catch (requestError) {
+      console.error("Failed to delete campaign cost", requestError);
+      setError("Failed to delete cost");
+    }
+  };
+
+  return (
+    <section className="space-y-4 rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+      <div>
+        <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">Campaign costs · {projectId}</h3>
+        <p className="mt-1 text-xs text-slate-400">
+          Spend counts towards the row matching its source, medium and campaign; leave medium or campaign empty for
+          spend you only track per source.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+        <input value={form.source} onChange={updateField("source")} placeholder="utm_source" required className={`${inputClassName} w-32`} />
+        <input value={form.medium} onChange={updateField("medium")} placeholder="utm_medium" className={`${inputClassName} w-32`} />
+        <input value={form.campaign} onChange={updateField("campaign")} placeholder="utm_campaign" className={`${inputClassName} w-40`} />
+        <input type="date" value={form.spentOn} onChange={updateField("spentOn")} required className={inputClassName} />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={form.amount}
+          onChange={updateField("amount")}
+          placeholder="Amount"
+          required
+          className={`${inputClassName} w-28`}
+        />
+        <input
+          value={form.currency}
+          onChange={updateField("currency")}
+          maxLength={3}
+          className={`${inputClassName} w-16 uppercase`}
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="rounded-xl bg-sky-500 px-4 py-2 text-sm font-semibold text-white transition hover:bg-sky-400 disabled:opacity-50"
+        >
+          {saving ? "Adding..." : "Add cost"}
+        </button>
+      </form>
+      {error && <p className="text-sm text-rose-300">{error}</p>}
+
+      {costs.length === 0 ? (
+        <p className="text-sm text-slate-300">No costs entered for this period.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="text-xs uppercase tracking-wider text-slate-400">
+              <tr>
+                <th className="py-2 pr-3 font-medium">Day</th>
+                <th className="py-2 pr-3 font-medium">Source</th>
+                <th className="py-2 pr-3 font-medium">Medium</th>
+                <th className="py-2 pr-3 font-medium">Campaign</th>
+                <th className="py-2 pr-3 text-right font-medium">Amount</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-white/5">
+              {costs.map((cost) => (
+                <tr key={cost.id} className="text-slate-200">
+                  <td className="py-2 pr-3">{cost.spentOn}</td>
+                  <td className="py-2 pr-3">{cost.source}</td>
+                  <td className="py-2 pr-3">{cost.medium || "—"}</td>
+                  <td className="py-2 pr-3">{cost.campaign || "—"}</td>
+                  <td className="py-2 pr-3 text-right">{formatMoney(cost.amount, cost.currency)}</td>
+                  <td className="py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(cost)}
+                      className="text-xs text-rose-300 transition hover:text-rose-200"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
+      <p className="text-xs uppercase tracking-[0.3em] text-slate-300">{label}</p>
+      <p className="mt-2 text-3xl font-semibold text-white">{value}</p>
+      {hint && <p className="mt-1 text-xs text-sky-200/80">{hint}</p>}
+    </div>
+  );
+}
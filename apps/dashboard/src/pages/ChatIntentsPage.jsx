@@ -0,0 +1,464 @@
+import { useEffect, useState } from "react";
+import { api } from "../lib/api.js";
+
+const EMPTY_FORM = { id: "", priority: "50", keywords: "", exact: "", template: "", quickReplies: "" };
+const EMPTY_SYNONYM_FORM = { canonical: "", variants: "" };
+
+const inputClassName =
+  "w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none";
+
+const splitList = (value) => value.split(",").map((item) => item.trim()).filter(Boolean);
+
+// Keyword patterns are a phrase or a list of phrases that must all appear ("site + visit")
+const formatKeyword = (pattern) => (Array.isArray(pattern) ? pattern.join(" + ") : pattern);
+
+const parseKeywords = (value) =>
+  splitList(value).map((pattern) => {
+    const parts = pattern.split("+").map((part) => part.trim()).filter(Boolean);
+    return parts.length > 1 ? parts : parts[0];
+  });
+
+export function ChatIntentsPage() {
+  const [intents, setIntents] = useState([]);
+  const [defaults, setDefaults] = useState([]);
+  const [synonyms, setSynonyms] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  // The definition being edited; fields the form does not show are saved unchanged
+  const [baseIntent, setBaseIntent] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [synonymForm, setSynonymForm] = useState(EMPTY_SYNONYM_FORM);
+  const [synonymStatus, setSynonymStatus] = useState(null);
+  const [testMessage, setTestMessage] = useState("");
+  const [testResult, setTestResult] = useState(null);
+
+  async function loadIntents() {
+    setLoading(true);
+    try {
+      const [intentsResponse, synonymsResponse] = await Promise.all([
+        api.get("/chat-intents"),
+        api.get("/chat-intents/synonyms"),
+      ]);
+      setIntents(intentsResponse.data.items || []);
+      setDefaults(intentsResponse.data.defaults || []);
+      setSynonyms(synonymsResponse.data.items || {});
+    } catch (error) {
+      console.error("Failed to fetch chat intents", error);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadIntents();
+  }, []);
+
+  const customIds = new Set(intents.map((intent) => intent.id));
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setBaseIntent(null);
+    setEditingId(null);
+  };
+
+  // Load a custom intent, or a copy of a default one, into the form
+  const startEditing = (intent, { isCustom }) => {
+    const [firstResponse = {}] = intent.responses || [];
+    setBaseIntent(intent);
+    setEditingId(isCustom ? intent.id : null);
+    setStatus(null);
+    setForm({
+      id: intent.id,
+      priority: String(intent.priority ?? 0),
+      keywords: (intent.keywords || []).map(formatKeyword).join(", "),
+      exact: (intent.exact || []).join(", "),
+      template: firstResponse.template || "",
+      quickReplies: (firstResponse.quickReplies || []).join(", "),
+    });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus(null);
+
+    const [firstResponse = {}, ...otherResponses] = baseIntent?.responses || [];
+    const quickReplies = splitList(form.quickReplies);
+    const payload = {
+      ...baseIntent,
+      priority: Number(form.priority),
+      keywords: parseKeywords(form.keywords),
+      exact: splitList(form.exact),
+      responses: [
+        { ...firstResponse, template: form.template, quickReplies },
+        ...otherResponses,
+      ],
+      updatedBy: localStorage.getItem("dashboard_username") || undefined,
+    };
+
+    try {
+      const response = await api.put(`/chat-intents/${encodeURIComponent(form.id.trim())}`, payload);
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to save intent" });
+        return;
+      }
+
+      setStatus({ type: "success", message: editingId ? "Intent updated" : "Intent saved" });
+      resetForm();
+      loadIntents();
+    } catch (error) {
+      console.error("Failed to save chat intent", error);
+      setStatus({ type: "error", message: error.response?.data?.message || "Failed to save intent" });
+    }
+  };
+
+  const handleDelete = async (intent) => {
+    const restoresDefault = defaults.some((item) => item.id === intent.id);
+    const prompt = restoresDefault
+      ? `Remove your changes to "${intent.id}" and use the built-in intent again?`
+      : `Delete "${intent.id}"?`;
+    if (!window.confirm(prompt)) return;
+
+    try {
+      const response = await api.delete(`/chat-intents/${encodeURIComponent(intent.id)}`);
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to delete intent" });
+        return;
+      }
+      if (editingId === intent.id) resetForm();
+      loadIntents();
+    } catch (error) {
+      console.error("Failed to delete chat intent", error);
+      setStatus({ type: "error", message: "Failed to delete intent" });
+    }
+  };
+
+  const handleSaveSynonyms = async (event) => {
+    event.preventDefault();
+    setSynonymStatus(null);
+
+    try {
+      const canonical = synonymForm.canonical.trim().toLowerCase();
+      const response = await api.put(`/chat-intents/synonyms/${encodeURIComponent(canonical)}`, {
+        variants: splitList(synonymForm.variants),
+      });
+      if (response.status >= 400) {
+        setSynonymStatus({ type: "error", message: response.data?.message || "Failed to save synonyms" });
+        return;
+      }
+
+      setSynonymStatus({ type: "success", message: "Synonyms saved" });
+      setSynonymForm(EMPTY_SYNONYM_FORM);
+      loadIntents();
+    } catch (error) {
+      console.error("Failed to save chat synonyms", error);
+      setSynonymStatus({ type: "error", message: "Failed to save synonyms" });
+    }
+  };
+
+  const handleDeleteSynonyms = async (canonical) => {
+    if (!window.confirm(`Delete the synonyms for "${canonical}"?`)) return;
+
+    try {
+      const response = await api.delete(`/chat-intents/synonyms/${encodeURIComponent(canonical)}`);
+      if (response.status >= 400) {
+        setSynonymStatus({ type: "error", message: response.data?.message || "Failed to delete synonyms" });
+        return;
+      }
+      loadIntents();
+    } catch (error) {
+      console.error("Failed to delete chat synonyms", error);
+      setSynonymStatus({ type: "error", message: "Failed to delete synonyms" });
+    }
+  };
+
+  const handleTest = async (event) => {
+    event.preventDefault();
+    if (!testMessage.trim()) return;
+
+    try {
+      const response = await api.post("/chat-intents/test", { message: testMessage });
+      setTestResult(response.status >= 400 ? null : response.data);
+    } catch (error) {
+      console.error("Failed to test chat intents", error);
+      setTestResult(null);
+    }
+  };
+
+  const renderIntent = (intent, { isCustom }) => (
+    <div key={`${isCustom ? "custom" : "default"}-${intent.id}`} className="rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
+      <div className="flex items-start justify-between gap-4">
+        <div className="space-y-2">
+          <p className="font-medium text-white">
+            {intent.id}
+            <span className="ml-2 text-xs text-slate-400">priority {intent.priority ?? 0}</span>
+            {!isCustom && customIds.has(intent.id) && (
+              <span className="ml-2 text-xs text-amber-300">customized</span>
+            )}
+          </p>
+          <p className="text-sm text-slate-300">{intent.responses?.[0]?.template}</p>
+          {intent.keywords?.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {intent.keywords.map((pattern) => (
+                <span
+                  key={formatKeyword(pattern)}
+                  className="rounded-full border border-white/10 bg-white/10 px-2 py-0.5 text-xs text-slate-200"
+                >
+                  {formatKeyword(pattern)}
+                </span>
+              ))}
+            </div>
+          )}
+          {isCustom && intent.updatedAt && (
+            <p className="text-xs text-slate-400">
+              Updated {new Date(intent.updatedAt).toLocaleString()}
+              {intent.updatedBy && ` by ${intent.updatedBy}`}
+            </p>
+          )}
+        </div>
+        <div className="flex shrink-0 gap-2">
+          <button
+            type="button"
+            onClick={() => startEditing(intent, { isCustom })}
+            className="rounded-lg border border-white/10 bg-white/5 px-3 py-1 text-xs font-medium text-slate-200 hover:bg-white/10"
+          >
+            {isCustom ? "Edit" : "Customize"}
+          </button>
+          {isCustom && (
+            <button
+              type="button"
+              onClick={() => handleDelete(intent)}
+              className="rounded-lg border border-red-500/30 bg-red-500/10 px-3 py-1 text-xs font-medium text-red-300 hover:bg-red-500/20"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-semibold text-white">Chat Intents</h2>
+        <p className="text-sm text-slate-300">
+          The questions the chat recognizes and how it replies. A custom intent with a built-in intent's id replaces it.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="space-y-6 lg:col-span-1">
+          <form
+            onSubmit={handleSubmit}
+            className="space-y-4 rounded-2xl border border-white/10 bg-white/5 p-6 backdrop-blur"
+          >
+            <h3 className="text-lg font-semibold text-white">{editingId ? "Edit intent" : "Add intent"}</h3>
+            <div className="grid grid-cols-3 gap-3">
+              <div className="col-span-2 space-y-2">
+                <label className="text-sm font-medium text-slate-200">Intent ID</label>
+                <input
+                  value={form.id}
+                  onChange={(event) => setForm({ ...form, id: event.target.value })}
+                  className={inputClassName}
+                  placeholder="rera_number"
+                  disabled={Boolean(editingId)}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-slate-200">Priority</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="1000"
+                  value={form.priority}
+                  onChange={(event) => setForm({ ...form, priority: event.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Keywords</label>
+              <input
+                value={form.keywords}
+                onChange={(event) => setForm({ ...form, keywords: event.target.value })}
+                className={inputClassName}
+                placeholder="rera, registration + number"
+              />
+              <p className="text-xs text-slate-400">
+                Comma separated. Join words with + when they must all appear.
+              </p>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Exact messages</label>
+              <input
+                value={form.exact}
+                onChange={(event) => setForm({ ...form, exact: event.target.value })}
+                className={inputClassName}
+                placeholder="rera"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Reply</label>
+              <textarea
+                rows={4}
+                value={form.template}
+                onChange={(event) => setForm({ ...form, template: event.target.value })}
+                className={inputClassName}
+                placeholder="{{projectName}} is RERA registered."
+                required
+              />
+              {baseIntent?.responses?.length > 1 && (
+                <p className="text-xs text-slate-400">
+                  This intent has {baseIntent.responses.length - 1} more replies for later turns. They are kept as they are.
+                </p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Quick replies</label>
+              <input
+                value={form.quickReplies}
+                onChange={(event) => setForm({ ...form, quickReplies: event.target.value })}
+                className={inputClassName}
+                placeholder="Pricing, Book site visit"
+              />
+            </div>
+            {status && (
+              <p className={`text-sm ${status.type === "error" ? "text-red-400" : "text-emerald-400"}`}>
+                {status.message}
+              </p>
+            )}
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                className="rounded-lg bg-sky-600 px-4 py-2 text-sm font-medium text-white hover:bg-sky-500"
+              >
+                {editingId ? "Save changes" : "Save intent"}
+              </button>
+              {(editingId || baseIntent) && (
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm font-medium text-slate-200 hover:bg-white/10"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+
+          <form
+            onSubmit={handleSaveSynonyms}
+            className="space-y-3 rounded-2xl border border-white/10 bg-white/5 p-6 backdrop-blur"
+          >
+            <h3 className="text-lg font-semibold text-white">Synonyms</h3>
+            <p className="text-xs text-slate-400">
+              Visitor words the chat reads as a keyword, on top of the built-in ones.
+            </p>
+            <input
+              value={synonymForm.canonical}
+              onChange={(event) => setSynonymForm({ ...synonymForm, canonical: event.target.value })}
+              className={inputClassName}
+              placeholder="rera"
+              required
+            />
+            <input
+              value={synonymForm.variants}
+              onChange={(event) => setSynonymForm({ ...synonymForm, variants: event.target.value })}
+              className={inputClassName}
+              placeholder="maharera, registration no"
+              required
+            />
+            {synonymStatus && (
+              <p className={`text-sm ${synonymStatus.type === "error" ? "text-red-400" : "text-emerald-400"}`}>
+                {synonymStatus.message}
+              </p>
+            )}
+            <button
+              type="submit"
+              className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm font-medium text-slate-200 hover:bg-white/10"
+            >
+              Save synonyms
+            </button>
+            {Object.entries(synonyms).map(([canonical, variants]) => (
+              <div key={canonical} className="flex items-start justify-between gap-3 rounded-lg border border-white/10 bg-white/5 p-3 text-sm">
+                <p className="text-slate-200">
+                  <span className="font-medium text-white">{canonical}</span>
+                  <span className="text-slate-400"> ← {variants.join(", ")}</span>
+                </p>
+                <div className="flex shrink-0 gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setSynonymForm({ canonical, variants: variants.join(", ") })}
+                    className="text-xs text-sky-300 hover:text-sky-200"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteSynonyms(canonical)}
+                    className="text-xs text-red-300 hover:text-red-200"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </form>
+
+          <form
+            onSubmit={handleTest}
+            className="space-y-3 rounded-2xl border border-white/10 bg-white/5 p-6 backdrop-blur"
+          >
+            <h3 className="text-lg font-semibold text-white">Test a message</h3>
+            <input
+              value={testMessage}
+              onChange={(event) => setTestMessage(event.target.value)}
+              className={inputClassName}
+              placeholder="what is the rera number?"
+            />
+            <button
+              type="submit"
+              className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm font-medium text-slate-200 hover:bg-white/10"
+            >
+              Test
+            </button>
+            {testResult && (
+              <div className="rounded-lg border border-white/10 bg-white/5 p-3 text-sm">
+                <p className="font-medium text-slate-100">
+                  {testResult.intent || "No match"}
+                  <span className="ml-2 text-xs text-slate-400">score {testResult.score ?? 0}</span>
+                </p>
+                <p className="text-xs text-slate-400">Read as: {testResult.normalized}</p>
+              </div>
+            )}
+          </form>
+        </div>
+
+        <div className="space-y-6 lg:col-span-2">
+          {loading ? (
+            <p className="text-sm text-slate-400">Loading intents...</p>
+          ) : (
+            <>
+              <div className="space-y-3">
+                <h3 className="text-lg font-semibold text-white">Custom intents</h3>
+                {intents.length === 0 ? (
+                  <div className="rounded-2xl border border-white/10 bg-white/5 p-6 text-sm text-slate-400 backdrop-blur">
+                    No custom intents yet. Add one, or customize a built-in intent below.
+                  </div>
+                ) : (
+                  intents.map((intent) => renderIntent(intent, { isCustom: true }))
+                )}
+              </div>
+              <div className="space-y-3">
+                <h3 className="text-lg font-semibold text-white">Built-in intents</h3>
+                {defaults.map((intent) => renderIntent(intent, { isCustom: false }))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { api } from "../lib/api.js";
+
+const VIEWS = [
+  { value: "due", label: "Due today & overdue" },
+  { value: "open", label: "All open" },
+];
+
+function startOfToday() {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+function endOfToday() {
+  const date = new Date();
+  date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+export function FollowUpsPage() {
+  const [followUps, setFollowUps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [view, setView] = useState("due");
+  const [owner, setOwner] = useState("");
+  const [micrositeFilter, setMicrositeFilter] = useState("");
+  const [owners, setOwners] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    async function loadOwners() {
+      try {
+        const response = await api.get("/users");
+        if (response.status < 400) {
+          setOwners((response.data?.users || []).map((user) => user.username).filter(Boolean));
+        }
+      } catch (loadError) {
+        console.error("Failed to fetch dashboard users", loadError);
+      }
+    }
+
+    loadOwners();
+  }, []);
+
+  useEffect(() => {
+    async function loadFollowUps() {
+      setLoading(true);
+      setError("");
+      try {
+        const params = {};
+        if (view === "due") params.dueBefore = endOfToday().toISOString();
+        if (owner) params.owner = owner;
+        if (micrositeFilter.trim()) params.microsite = micrositeFilter.trim();
+
+        const response = await api.get("/follow-ups", { params });
+        if (response.status >= 400) {
+          setError(response.data?.message || "Failed to load follow-ups");
+          setFollowUps([]);
+          return;
+        }
+        setFollowUps(response.data.items || []);
+      } catch (loadError) {
+        console.error("Failed to fetch follow-ups", loadError);
+        setError("Failed to load follow-ups");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadFollowUps();
+  }, [view, owner, micrositeFilter]);
+
+  const groups = useMemo(() => {
+    const todayStart = startOfToday().getTime();
+    const todayEnd = endOfToday().getTime();
+    const result = { overdue: [], today: [], upcoming: [] };
+
+    followUps.forEach((followUp) => {
+      const due = new Date(followUp.dueAt).getTime();
+      if (due < todayStart) result.overdue.push(followUp);
+      else if (due <= todayEnd) result.today.push(followUp);
+      else result.upcoming.push(followUp);
+    });
+    return result;
+  }, [followUps]);
+
+  const handleComplete = async (followUp) => {
+    setError("");
+    try {
+      const response = await api.patch(`/follow-ups/${followUp.id}`, {
+        completed: true,
+        changedBy: localStorage.getItem("dashboard_username") || null,
+      });
+      if (response.status >= 400) {
+        setError(response.data?.message || "Failed to update follow-up");
+        return;
+      }
+      setFollowUps((current) => current.filter((item) => item.id !== followUp.id));
+    } catch (updateError) {
+      console.error("Failed to complete follow-up", updateError);
+      setError("Failed to update follow-up");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col gap-4 lg:flex-row lg:items-end lg:justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Follow-ups</h2>
+          <p className="text-sm text-slate-300">
+            Callbacks scheduled on leads. Mark them done once the call is made.
+          </p>
+        </div>
+        <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+          <div className="flex gap-2">
+            {VIEWS.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setView(option.value)}
+                className={`rounded-full border px-3 py-1.5 text-xs font-semibold transition-all ${
+                  view === option.value
+                    ? "border-sky-400/60 bg-sky-400/20 text-sky-200"
+                    : "border-white/10 bg-white/5 text-slate-200 hover:border-sky-200/30 hover:text-white"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={owner}
+            onChange={(event) => setOwner(event.target.value)}
+            className="rounded-lg border border-white/10 bg-slate-900 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none"
+          >
+            <option value="">All owners</option>
+            <option value="unassigned">Unassigned</option>
+            {owners.map((username) => (
+              <option key={username} value={username}>
+                {username}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Filter by microsite..."
+            value={micrositeFilter}
+            onChange={(event) => setMicrositeFilter(event.target.value)}
+            className="rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="rounded-2xl border border-rose-400/30 bg-rose-400/10 px-5 py-3 text-sm text-rose-200">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="rounded-2xl border border-white/10 bg-white/5 p-12 text-center text-slate-400 backdrop-blur">
+          Loading follow-ups...
+        </div>
+      ) : followUps.length === 0 ? (
+        <div className="rounded-2xl border border-dashed border-white/20 bg-white/5 p-12 text-center text-slate-300 backdrop-blur">
+          Nothing due. Schedule follow-ups from a lead's detail page.
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <FollowUpGroup title="Overdue" tone="text-rose-300" items={groups.overdue} onComplete={handleComplete} />
+          <FollowUpGroup title="Due today" tone="text-amber-200" items={groups.today} onComplete={handleComplete} />
+          <FollowUpGroup title="Upcoming" tone="text-slate-200" items={groups.upcoming} onComplete={handleComplete} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function FollowUpGroup({ title, tone, items, onComplete }) {
+  if (!items.length) {
+    return null;
+  }
+
+  return (
+    <section className="rounded-2xl border border-white/10 bg-white/5 backdrop-blur">
+      <h3 className={`border-b border-white/5 px-5 py-3 text-sm font-semibold ${tone}`}>
+        {title} · {items.length}
+      </h3>
+      <ul className="divide-y divide-white/5">
+        {items.map((followUp) => (
+          <li key={followUp.id} className="flex flex-col gap-2 px-5 py-4 sm:flex-row sm:items-center sm:justify-between">
+            <div className="space-y-1">
+              <Link
+                to={`/leads/${encodeURIComponent(followUp.lead.id)}`}
+                className="text-sm font-semibold text-white hover:text-sky-300"
+              >
+                {followUp.lead.name || followUp.lead.phone || "Lead"}
+                {followUp.lead.name && followUp.lead.phone && (
+                  <span className="ml-2 font-normal text-slate-400">{followUp.lead.phone}</span>
+                )}
+              </Link>
+              <p className="text-xs text-slate-400">
+                {[
+                  formatDate(followUp.dueAt),
+                  followUp.lead.microsite,
+                  followUp.lead.bhkType,
+                  followUp.lead.assignedTo ? `Owner · ${followUp.lead.assignedTo}` : "Unassigned",
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </p>
+              {followUp.note && <p className="text-sm text-slate-200">{followUp.note}</p>}
+            </div>
+            <button
+              type="button"
+              onClick={() => onComplete(followUp)}
+              className="self-start rounded-full border border-emerald-400/40 bg-emerald-400/20 px-4 py-1.5 text-xs font-semibold text-emerald-100 transition hover:border-emerald-300/60 hover:text-white sm:self-center"
+            >
+              Mark done
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
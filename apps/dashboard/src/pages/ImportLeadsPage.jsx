@@ -0,0 +1,294 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { api } from "../lib/api.js";
+
+const ROW_STATUS_STYLES = {
+  valid: "text-sky-200",
+  created: "text-emerald-200",
+  touched: "text-emerald-100",
+  error: "text-rose-200",
+};
+
+const inputClassName =
+  "w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none";
+
+export function ImportLeadsPage() {
+  const [fields, setFields] = useState([]);
+  const [defaultLeadSource, setDefaultLeadSource] = useState("Import");
+  const [maxRows, setMaxRows] = useState(null);
+  const [file, setFile] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [microsite, setMicrosite] = useState("");
+  const [leadSource, setLeadSource] = useState("");
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    async function loadFields() {
+      try {
+        const response = await api.get("/leads/import/fields");
+        if (response.status < 400) {
+          setFields(response.data.fields || []);
+          setDefaultLeadSource(response.data.defaultLeadSource || "Import");
+          setMaxRows(response.data.maxRows || null);
+        }
+      } catch (loadError) {
+        console.error("Failed to fetch import fields", loadError);
+      }
+    }
+
+    loadFields();
+  }, []);
+
+  // Every upload re-sends the file; the API keeps nothing between the dry run and the import
+  const runImport = async ({ dryRun, selectedFile = file, columnMapping = mapping }) => {
+    if (!selectedFile) return;
+
+    setRunning(dryRun ? "dryRun" : "import");
+    setError("");
+    try {
+      const formData = new FormData();
+      formData.append("file", selectedFile);
+      formData.append("mapping", JSON.stringify(columnMapping));
+      formData.append("dryRun", String(dryRun));
+      if (microsite.trim()) formData.append("microsite", microsite.trim());
+      if (leadSource.trim()) formData.append("leadSource", leadSource.trim());
+      formData.append("importedBy", localStorage.getItem("dashboard_username") || "");
+
+      const response = await api.post("/leads/import", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+
+      if (response.data?.headers) {
+        setHeaders(response.data.headers);
+        setMapping(response.data.mapping || {});
+      }
+      if (response.status >= 400) {
+        setError(response.data?.message || "Failed to import leads");
+        setResult(null);
+        return;
+      }
+      setResult(response.data);
+    } catch (importError) {
+      console.error("Failed to import leads", importError);
+      setError("Failed to import leads");
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const selectedFile = event.target.files?.[0] || null;
+    setFile(selectedFile);
+    setHeaders([]);
+    setMapping({});
+    setResult(null);
+    if (selectedFile) {
+      // Validate straight away with the columns matched by header name
+      runImport({ dryRun: true, selectedFile, columnMapping: {} });
+    }
+  };
+
+  const handleMappingChange = (fieldId) => (event) => {
+    const next = { ...mapping };
+    if (event.target.value) {
+      next[fieldId] = event.target.value;
+    } else {
+      delete next[fieldId];
+    }
+    setMapping(next);
+    // A changed mapping needs a fresh dry run before importing
+    setResult(null);
+  };
+
+  const problemRows = (result?.rows || []).filter(
+    (row) => row.errors?.length || row.warnings?.length
+  );
+  const canImport = Boolean(result?.dryRun && result.valid > 0 && !running);
+
+  return (
+    <div className="space-y-6">
+      <Link to="/leads" className="text-sm text-sky-300 hover:text-sky-200">
+        ← Back to leads
+      </Link>
+
+      <div>
+        <h2 className="text-2xl font-semibold text-white">Import leads</h2>
+        <p className="text-sm text-slate-300">
+          Upload a CSV from an offline event or a property portal. Rows are checked like widget leads;
+          numbers that already have a lead are added to it as a repeat enquiry. Imported leads are
+          forwarded to the CRM like every other lead.
+          {maxRows && ` Up to ${maxRows.toLocaleString()} rows per file.`}
+        </p>
+      </div>
+
+      <section className="grid gap-4 rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur md:grid-cols-3">
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-slate-200">CSV file</label>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-slate-300 file:mr-3 file:rounded-full file:border-0 file:bg-sky-400/20 file:px-4 file:py-1.5 file:text-sm file:font-semibold file:text-sky-100"
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-slate-200">Default microsite</label>
+          <input
+            type="text"
+            value={microsite}
+            onChange={(event) => {
+              setMicrosite(event.target.value);
+              setResult(null);
+            }}
+            placeholder="For rows without a project column"
+            className={inputClassName}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-slate-200">Lead source</label>
+          <input
+            type="text"
+            value={leadSource}
+            onChange={(event) => setLeadSource(event.target.value)}
+            placeholder={`e.g. Realty Expo 2026 (default "${defaultLeadSource}")`}
+            className={inputClassName}
+          />
+        </div>
+      </section>
+
+      {headers.length > 0 && (
+        <section className="space-y-4 rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
+          <div>
+            <h3 className="text-lg font-semibold text-white">Column mapping</h3>
+            <p className="text-sm text-slate-300">
+              Columns were matched by header name. Change any that are wrong, then validate again.
+            </p>
+          </div>
+          <div className="grid gap-3 md:grid-cols-3">
+            {fields.map((field) => (
+              <div key={field.id} className="space-y-1">
+                <label className="text-xs font-medium text-slate-300">
+                  {field.label}
+                  {field.required && <span className="text-rose-300"> *</span>}
+                </label>
+                <select
+                  value={mapping[field.id] || ""}
+                  onChange={handleMappingChange(field.id)}
+                  className="w-full rounded-lg border border-white/10 bg-slate-900 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none"
+                >
+                  <option value="">— Not mapped —</option>
+                  {headers.map((header) => (
+                    <option key={header} value={header}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {file && (
+        <div className="flex flex-wrap gap-3">
+          <button
+            type="button"
+            onClick={() => runImport({ dryRun: true })}
+            disabled={Boolean(running)}
+            className="rounded-full border border-sky-400/40 bg-sky-400/20 px-4 py-2 text-sm font-semibold text-sky-100 transition hover:border-sky-300/60 hover:text-white disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            {running === "dryRun" ? "Validating..." : "Validate (dry run)"}
+          </button>
+          <button
+            type="button"
+            onClick={() => runImport({ dryRun: false })}
+            disabled={!canImport}
+            className="rounded-full border border-emerald-400/40 bg-emerald-400/20 px-4 py-2 text-sm font-semibold text-emerald-100 transition hover:border-emerald-300/60 hover:text-white disabled:cursor-not-allowed disabled:border-white/10 disabled:bg-white/5 disabled:text-slate-400"
+          >
+            {running === "import"
+              ? "Importing..."
+              : result?.dryRun
+                ? `Import ${result.valid} valid row${result.valid === 1 ? "" : "s"}`
+                : "Import"}
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="rounded-2xl border border-rose-400/30 bg-rose-400/10 px-5 py-3 text-sm text-rose-200">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <section className="space-y-4 rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
+          <div className="flex flex-wrap gap-2 text-xs font-semibold">
+            <span className="rounded-full border border-white/15 bg-white/10 px-3 py-1 text-slate-200">
+              {result.dryRun ? "Dry run" : "Imported"} · {result.total} rows
+            </span>
+            {result.dryRun ? (
+              <span className="rounded-full border border-sky-400/40 bg-sky-400/15 px-3 py-1 text-sky-100">
+                {result.valid} valid
+              </span>
+            ) : (
+              <>
+                <span className="rounded-full border border-emerald-400/40 bg-emerald-400/15 px-3 py-1 text-emerald-100">
+                  {result.created} new leads
+                </span>
+                <span className="rounded-full border border-emerald-300/40 bg-emerald-300/10 px-3 py-1 text-emerald-100">
+                  {result.touched} repeat enquiries
+                </span>
+              </>
+            )}
+            <span className="rounded-full border border-rose-400/40 bg-rose-400/15 px-3 py-1 text-rose-100">
+              {result.failed} with errors
+            </span>
+          </div>
+
+          {problemRows.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm text-slate-100">
+                <thead className="text-xs uppercase tracking-[0.2em] text-slate-400">
+                  <tr>
+                    <th className="px-3 py-2">Row</th>
+                    <th className="px-3 py-2">Result</th>
+                    <th className="px-3 py-2">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-white/5">
+                  {problemRows.map((row) => (
+                    <tr key={row.row}>
+                      <td className="px-3 py-2 align-top text-slate-300">{row.row}</td>
+                      <td className={`px-3 py-2 align-top font-semibold ${ROW_STATUS_STYLES[row.status] || ""}`}>
+                        {row.leadId ? (
+                          <Link to={`/leads/${encodeURIComponent(row.leadId)}`} className="hover:text-sky-300">
+                            {row.status}
+                          </Link>
+                        ) : (
+                          row.status
+                        )}
+                      </td>
+                      <td className="px-3 py-2 align-top">
+                        {row.errors?.map((message) => (
+                          <p key={message} className="text-rose-200">{message}</p>
+                        ))}
+                        {row.warnings?.map((message) => (
+                          <p key={message} className="text-amber-200">{message}</p>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-slate-300">Every row is valid.</p>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
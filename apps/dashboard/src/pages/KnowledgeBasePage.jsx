@@ -0,0 +1,287 @@
+import { useEffect, useState } from "react";
+import { api } from "../lib/api.js";
+
+const getDefaultProjectId = () => {
+  if (typeof window !== "undefined") {
+    const hostname = window.location.hostname;
+    if (hostname === "localhost" || hostname === "127.0.0.1") {
+      return "local";
+    }
+  }
+  return "default";
+};
+
+const EMPTY_FORM = { question: "", answer: "", keywords: "" };
+
+const inputClassName =
+  "w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none";
+
+export function KnowledgeBasePage() {
+  const [projectId, setProjectId] = useState(getDefaultProjectId());
+  const [faqs, setFaqs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [testQuestion, setTestQuestion] = useState("");
+  const [testResults, setTestResults] = useState(null);
+
+  async function loadFaqs() {
+    if (!projectId) return;
+    setLoading(true);
+    try {
+      const response = await api.get("/faqs", { params: { projectId } });
+      setFaqs(response.data.items || []);
+    } catch (error) {
+      console.error("Failed to fetch FAQs", error);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadFaqs();
+    setTestResults(null);
+  }, [projectId]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus(null);
+
+    const payload = {
+      question: form.question,
+      answer: form.answer,
+      keywords: form.keywords.split(",").map((keyword) => keyword.trim()).filter(Boolean),
+    };
+
+    try {
+      const response = editingId
+        ? await api.put(`/faqs/${editingId}`, payload)
+        : await api.post("/faqs", { ...payload, projectId });
+
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to save FAQ" });
+        return;
+      }
+
+      setStatus({ type: "success", message: editingId ? "FAQ updated" : "FAQ added" });
+      resetForm();
+      loadFaqs();
+    } catch (error) {
+      console.error("Failed to save FAQ", error);
+      setStatus({ type: "error", message: error.response?.data?.message || "Failed to save FAQ" });
+    }
+  };
+
+  const handleEdit = (faq) => {
+    setEditingId(faq.id);
+    setForm({
+      question: faq.question,
+      answer: faq.answer,
+      keywords: (faq.keywords || []).join(", "),
+    });
+  };
+
+  const handleDelete = async (faq) => {
+    if (!window.confirm(`Delete "${faq.question}"?`)) return;
+
+    try {
+      const response = await api.delete(`/faqs/${faq.id}`);
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to delete FAQ" });
+        return;
+      }
+      if (editingId === faq.id) resetForm();
+      loadFaqs();
+    } catch (error) {
+      console.error("Failed to delete FAQ", error);
+      setStatus({ type: "error", message: "Failed to delete FAQ" });
+    }
+  };
+
+  const handleTest = async (event) => {
+    event.preventDefault();
+    if (!testQuestion.trim()) return;
+
+    try {
+      const response = await api.get("/faqs/search", { params: { projectId, q: testQuestion } });
+      setTestResults(response.status >= 400 ? [] : response.data.items || []);
+    } catch (error) {
+      console.error("Failed to search FAQs", error);
+      setTestResults([]);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">Knowledge Base</h2>
+          <p className="text-sm text-slate-300">
+            Project FAQs the chat answers from when a question is not covered by the built-in replies.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-slate-300">Project ID</label>
+          <input
+            value={projectId}
+            onChange={(event) => setProjectId(event.target.value)}
+            className="rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+            placeholder="default"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <div className="space-y-6 lg:col-span-1">
+          <form
+            onSubmit={handleSubmit}
+            className="space-y-4 rounded-2xl border border-white/10 bg-white/5 p-6 backdrop-blur"
+          >
+            <h3 className="text-lg font-semibold text-white">{editingId ? "Edit FAQ" : "Add FAQ"}</h3>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Question</label>
+              <input
+                value={form.question}
+                onChange={(event) => setForm({ ...form, question: event.target.value })}
+                className={inputClassName}
+                placeholder="Is there a clubhouse?"
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Answer</label>
+              <textarea
+                rows={4}
+                value={form.answer}
+                onChange={(event) => setForm({ ...form, answer: event.target.value })}
+                className={inputClassName}
+                placeholder="Yes, a 20,000 sq.ft clubhouse with a gym and pool."
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Keywords</label>
+              <input
+                value={form.keywords}
+                onChange={(event) => setForm({ ...form, keywords: event.target.value })}
+                className={inputClassName}
+                placeholder="clubhouse, gym, pool"
+              />
+              <p className="text-xs text-slate-400">Comma separated. Extra words visitors may use for this question.</p>
+            </div>
+            {status && (
+              <p className={`text-sm ${status.type === "error" ? "text-red-400" : "text-emerald-400"}`}>
+                {status.message}
+              </p>
+            )}
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                className="rounded-lg bg-sky-600 px-4 py-2 text-sm font-medium text-white hover:bg-sky-500"
+              >
+                {editingId ? "Save changes" : "Add FAQ"}
+              </button>
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm font-medium text-slate-200 hover:bg-white/10"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+
+          <form
+            onSubmit={handleTest}
+            className="space-y-3 rounded-2xl border border-white/10 bg-white/5 p-6 backdrop-blur"
+          >
+            <h3 className="text-lg font-semibold text-white">Test a question</h3>
+            <input
+              value={testQuestion}
+              onChange={(event) => setTestQuestion(event.target.value)}
+              className={inputClassName}
+              placeholder="do you have a swimming pool?"
+            />
+            <button
+              type="submit"
+              className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm font-medium text-slate-200 hover:bg-white/10"
+            >
+              Search
+            </button>
+            {testResults && testResults.length === 0 && (
+              <p className="text-sm text-slate-400">No FAQ matches. The chat will use its fallback reply.</p>
+            )}
+            {testResults?.map((result, index) => (
+              <div key={result.id} className="rounded-lg border border-white/10 bg-white/5 p-3 text-sm">
+                <p className="font-medium text-slate-100">
+                  {index === 0 && <span className="mr-2 text-xs text-sky-300">Chat answer</span>}
+                  {result.question}
+                </p>
+                <p className="text-xs text-slate-400">
+                  Score {result.score} · {Math.round(result.coverage * 100)}% of words matched
+                </p>
+              </div>
+            ))}
+          </form>
+        </div>
+
+        <div className="space-y-3 lg:col-span-2">
+          {loading ? (
+            <p className="text-sm text-slate-400">Loading FAQs...</p>
+          ) : faqs.length === 0 ? (
+            <div className="rounded-2xl border border-white/10 bg-white/5 p-6 text-sm text-slate-400 backdrop-blur">
+              No FAQs for this project yet.
+            </div>
+          ) : (
+            faqs.map((faq) => (
+              <div key={faq.id} className="rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="space-y-2">
+                    <p className="font-medium text-white">{faq.question}</p>
+                    <p className="text-sm text-slate-300">{faq.answer}</p>
+                    {faq.keywords?.length > 0 && (
+                      <div className="flex flex-wrap gap-2">
+                        {faq.keywords.map((keyword) => (
+                          <span
+                            key={keyword}
+                            className="rounded-full border border-white/10 bg-white/10 px-2 py-0.5 text-xs text-slate-200"
+                          >
+                            {keyword}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex shrink-0 gap-2">
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(faq)}
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1 text-xs font-medium text-slate-200 hover:bg-white/10"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(faq)}
+                      className="rounded-lg border border-red-500/30 bg-red-500/10 px-3 py-1 text-xs font-medium text-red-300 hover:bg-red-500/20"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,774 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { api } from "../lib/api.js";
+import {
+  SCORE_SIGNAL_LABELS,
+  ScoreBadge,
+  resolveLocation,
+  resolveSource,
+  resolveWebsiteInfo,
+} from "../components/LeadsTable.jsx";
+
+const EVENT_LABELS = {
+  chat_shown: "Chat shown",
+  chat_started: "Chat started",
+  chat_message: "Chat message",
+  cta_selected: "CTA selected",
+  quick_reply_selected: "Quick reply selected",
+  chat_action_clicked: "Call / WhatsApp clicked",
+  locale_changed: "Language changed",
+  modal_shown: "Lead form shown",
+  lead_submitted: "Enquiry submitted",
+};
+
+// "google / cpc · spring-launch" for an attribution touch (empty for leads captured before attribution)
+function formatTouch(touch) {
+  if (!touch) return null;
+  const channel = [touch.source, touch.medium].filter(Boolean).join(" / ");
+  return touch.campaign ? `${channel} · ${touch.campaign}` : channel;
+}
+
+// Distinct widget sessions among the lead's events (empty before session tracking)
+function countWidgetVisits(events = []) {
+  const sessionIds = new Set(events.map((event) => event.sessionId || event.session_id).filter(Boolean));
+  return sessionIds.size ? String(sessionIds.size) : null;
+}
+
+const KIND_STYLES = {
+  lead: "border-emerald-400/60 bg-emerald-400",
+  touch: "border-emerald-300/60 bg-emerald-300",
+  message: "border-sky-400/60 bg-sky-400",
+  event: "border-violet-400/60 bg-violet-400",
+  status: "border-amber-400/60 bg-amber-400",
+  note: "border-slate-200/60 bg-slate-200",
+  followUp: "border-rose-400/60 bg-rose-400",
+};
+
+const currentUser = () => localStorage.getItem("dashboard_username") || null;
+
+function formatDate(value) {
+  if (!value) return "—";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "—";
+  return date.toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Sessions, events, status history, notes, follow-ups and repeat enquiries as one list, oldest first
+function buildTimeline({ lead, sessions, events, history, notes, followUps }) {
+  const items = [];
+  const createdAt = lead.createdAt || lead.created_at;
+
+  items.push({ kind: "lead", at: createdAt, title: "Lead captured", detail: lead.bhkType || lead.bhk_type });
+
+  (lead.metadata?.touches || []).forEach((touch) => {
+    items.push({
+      kind: "touch",
+      at: touch.createdAt,
+      title: touch.mergedFrom ? "Merged enquiry" : "Repeat enquiry",
+      detail: [touch.bhkType, touch.microsite, touch.utm?.campaign && `#${touch.utm.campaign}`]
+        .filter(Boolean)
+        .join(" · "),
+    });
+  });
+
+  sessions.forEach((session) => {
+    const sessionStart = session.createdAt || session.created_at;
+    (session.conversation || []).forEach((message) => {
+      const fromVisitor = message.type === "user" || message.role === "user";
+      items.push({
+        kind: "message",
+        at: message.timestamp || sessionStart,
+        fromVisitor,
+        text: message.text || message.content || "",
+      });
+    });
+  });
+
+  events.forEach((event) => {
+    items.push({
+      kind: "event",
+      at: event.createdAt || event.created_at,
+      title: EVENT_LABELS[event.type] || event.type,
+      detail: [event.payload?.label, event.payload?.bhkType, event.payload?.source, event.payload?.touch && "repeat enquiry"]
+        .filter(Boolean)
+        .join(" · "),
+    });
+  });
+
+  history.forEach((entry) => {
+    const changes = [];
+    if (entry.fromStatus !== entry.toStatus) {
+      changes.push(`Status ${entry.fromStatus || "new"} → ${entry.toStatus}`);
+    }
+    if (entry.fromOwner !== entry.toOwner) {
+      changes.push(entry.toOwner ? `Assigned to ${entry.toOwner}` : "Unassigned");
+    }
+    items.push({
+      kind: "status",
+      at: entry.createdAt,
+      title: changes.join(" · ") || "Updated",
+      detail: [entry.changedBy && `by ${entry.changedBy}`, entry.note].filter(Boolean).join(" — "),
+    });
+  });
+
+  notes.forEach((note) => {
+    items.push({
+      kind: "note",
+      at: note.createdAt,
+      title: note.author ? `Note by ${note.author}` : "Note",
+      detail: note.body,
+    });
+  });
+
+  followUps
+    .filter((followUp) => followUp.completedAt)
+    .forEach((followUp) => {
+      items.push({
+        kind: "followUp",
+        at: followUp.completedAt,
+        title: `Follow-up done${followUp.completedBy ? ` by ${followUp.completedBy}` : ""}`,
+        detail: followUp.note,
+      });
+    });
+
+  return items
+    .map((item, index) => ({ ...item, index }))
+    .sort((a, b) => new Date(a.at) - new Date(b.at) || a.index - b.index);
+}
+
+export function LeadDetailPage() {
+  const { leadId } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    async function loadLead() {
+      setLoading(true);
+      setError("");
+      try {
+        const response = await api.get(`/leads/${leadId}`);
+        if (response.status >= 400) {
+          setError(response.data?.message || "Failed to load lead");
+          setData(null);
+          return;
+        }
+        setData(response.data);
+      } catch (loadError) {
+        console.error("Failed to fetch lead", loadError);
+        setError("Failed to load lead");
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadLead();
+  }, [leadId]);
+
+  const timeline = useMemo(
+    () =>
+      data
+        ? buildTimeline({
+            lead: data.lead,
+            sessions: data.sessions || [],
+            events: data.events || [],
+            history: data.history || [],
+            notes: data.notes || [],
+            followUps: data.followUps || [],
+          })
+        : [],
+    [data]
+  );
+
+  // Runs a dashboard action; returns the response data, or null after showing the error
+  const runAction = async (request, fallbackMessage) => {
+    setActionError("");
+    try {
+      const response = await request();
+      if (response.status >= 400) {
+        setActionError(response.data?.message || fallbackMessage);
+        return null;
+      }
+      return response.data;
+    } catch (actionFailure) {
+      console.error(fallbackMessage, actionFailure);
+      setActionError(fallbackMessage);
+      return null;
+    }
+  };
+
+  const handleAddNote = async (body) => {
+    const result = await runAction(
+      () => api.post(`/leads/${leadId}/notes`, { body, author: currentUser() }),
+      "Failed to add note"
+    );
+    if (result) {
+      setData((current) => ({ ...current, notes: [result.note, ...(current.notes || [])] }));
+    }
+    return Boolean(result);
+  };
+
+  const handleDeleteNote = async (note) => {
+    if (!window.confirm("Delete this note?")) return;
+    const result = await runAction(
+      () => api.delete(`/leads/${leadId}/notes/${note.id}`),
+      "Failed to delete note"
+    );
+    if (result) {
+      setData((current) => ({
+        ...current,
+        notes: current.notes.filter((item) => item.id !== note.id),
+      }));
+    }
+  };
+
+  const handleSaveTags = async (tags) => {
+    const result = await runAction(
+      () => api.put(`/leads/${leadId}/tags`, { tags }),
+      "Failed to update tags"
+    );
+    if (result) {
+      setData((current) => ({ ...current, lead: { ...current.lead, tags: result.tags } }));
+    }
+    return Boolean(result);
+  };
+
+  const handleScheduleFollowUp = async ({ dueAt, note }) => {
+    const result = await runAction(
+      () => api.post(`/leads/${leadId}/follow-ups`, { dueAt, note, createdBy: currentUser() }),
+      "Failed to schedule follow-up"
+    );
+    if (result) {
+      setData((current) => ({
+        ...current,
+        followUps: [...(current.followUps || []), result.followUp].sort(
+          (a, b) => new Date(a.dueAt) - new Date(b.dueAt)
+        ),
+      }));
+    }
+    return Boolean(result);
+  };
+
+  const handleToggleFollowUp = async (followUp) => {
+    const result = await runAction(
+      () =>
+        api.patch(`/follow-ups/${followUp.id}`, {
+          completed: !followUp.completedAt,
+          changedBy: currentUser(),
+        }),
+      "Failed to update follow-up"
+    );
+    if (result) {
+      setData((current) => ({
+        ...current,
+        followUps: current.followUps.map((item) =>
+          item.id === followUp.id ? result.followUp : item
+        ),
+      }));
+    }
+  };
+
+  const handleRescore = async () => {
+    const result = await runAction(
+      () => api.post(`/leads/${leadId}/score`),
+      "Failed to rescore lead"
+    );
+    if (result) {
+      setData((current) => ({ ...current, lead: { ...result.lead, tags: current.lead.tags } }));
+    }
+  };
+
+  const handleCrmRetry = async () => {
+    const result = await runAction(
+      () => api.post(`/leads/${leadId}/crm/retry`),
+      "Failed to send lead to the CRM"
+    );
+    if (result?.entry) {
+      setData((current) => {
+        const others = (current.crm?.entries || []).filter((entry) => entry.id !== result.entry.id);
+        return { ...current, crm: { status: result.entry.status, entries: [result.entry, ...others] } };
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="rounded-3xl border border-white/10 bg-white/5 p-12 text-center text-slate-200 backdrop-blur">
+        Loading lead...
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="space-y-4">
+        <Link to="/leads" className="text-sm text-sky-300 hover:text-sky-200">
+          ← Back to leads
+        </Link>
+        <div className="rounded-3xl border border-rose-400/30 bg-rose-400/10 p-12 text-center text-rose-200">
+          {error || "Lead not found"}
+        </div>
+      </div>
+    );
+  }
+
+  const { lead } = data;
+  const utm = lead.metadata?.visitor?.utm || {};
+  const website = resolveWebsiteInfo(lead);
+  const location = lead.metadata?.visitor?.location || lead.location || {};
+  const owner = lead.assignedTo ?? lead.assigned_to;
+
+  return (
+    <div className="space-y-8">
+      <Link to="/leads" className="text-sm text-sky-300 hover:text-sky-200">
+        ← Back to leads
+      </Link>
+
+      <section className="rounded-3xl border border-white/10 bg-white/5 p-6 shadow-[0_40px_120px_rgba(8,47,73,0.25)] backdrop-blur">
+        <div className="flex flex-col gap-4 lg:flex-row lg:items-end lg:justify-between">
+          <div className="space-y-2">
+            <p className="text-xs uppercase tracking-[0.4em] text-slate-300">
+              Lead {String(lead.id).slice(0, 8)}
+            </p>
+            <h2 className="text-3xl font-bold text-white">
+              {lead.metadata?.name || lead.phone || "Unknown visitor"}
+            </h2>
+            <p className="text-sm text-slate-200/80">
+              {[lead.metadata?.name && lead.phone, lead.bhkType || lead.bhk_type, lead.microsite]
+                .filter(Boolean)
+                .join(" · ")}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <ScoreBadge lead={lead} />
+            <span className="rounded-full border border-sky-400/40 bg-sky-400/20 px-3 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-sky-100">
+              {lead.status || "new"}
+            </span>
+            <span className="rounded-full border border-white/15 bg-white/10 px-3 py-1 text-xs text-slate-200">
+              {owner ? `Owner · ${owner}` : "Unassigned"}
+            </span>
+          </div>
+        </div>
+      </section>
+
+      {actionError && (
+        <div className="rounded-2xl border border-rose-400/30 bg-rose-400/10 px-5 py-3 text-sm text-rose-200">
+          {actionError}
+        </div>
+      )}
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <div className="space-y-6 lg:col-span-1">
+          <ScorePanel lead={lead} onRescore={handleRescore} />
+          <CrmPanel crm={data.crm} onRetry={handleCrmRetry} />
+          <TagsEditor tags={lead.tags || []} onSave={handleSaveTags} />
+          <FollowUpsPanel
+            followUps={data.followUps || []}
+            onSchedule={handleScheduleFollowUp}
+            onToggle={handleToggleFollowUp}
+          />
+          <NotesPanel
+            notes={data.notes || []}
+            onAdd={handleAddNote}
+            onDelete={handleDeleteNote}
+          />
+          <DetailCard
+            title="Source"
+            rows={[
+              ["Channel", resolveSource(lead)],
+              ["First touch", formatTouch(lead.metadata?.attribution?.firstTouch)],
+              ["Last touch", formatTouch(lead.metadata?.attribution?.lastTouch)],
+              ["UTM source", utm.source],
+              ["UTM medium", utm.medium],
+              ["UTM campaign", utm.campaign],
+              ["UTM term", utm.term],
+              ["UTM content", utm.content],
+              ["Referrer", lead.metadata?.visitor?.referrer],
+              ["Landing page", website.landingPage],
+              ["Website", website.label],
+            ]}
+          />
+          <DetailCard
+            title="Location"
+            rows={[
+              ["Location", resolveLocation(lead)],
+              ["Timezone", location.timezone],
+              ["IP", lead.metadata?.visitor?.ip],
+              ["Phone country", lead.metadata?.phoneCountry],
+            ]}
+          />
+          <DetailCard
+            title="Lead"
+            rows={[
+              ["Captured", formatDate(lead.createdAt || lead.created_at)],
+              ["Last updated", formatDate(lead.updatedAt || lead.updated_at)],
+              ["Project", lead.metadata?.projectId],
+              ["Lead source", lead.leadSource ?? lead.lead_source],
+              ["Captured from", lead.metadata?.capturedFrom],
+              ["CTA", lead.metadata?.cta],
+              ["Chat sessions", String((data.sessions || []).length)],
+              ["Widget visits", countWidgetVisits(data.events)],
+            ]}
+          />
+        </div>
+
+        <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur lg:col-span-2">
+          <h3 className="text-lg font-semibold text-white">Timeline</h3>
+          <ol className="mt-6 space-y-4 border-l border-white/10 pl-6">
+            {timeline.map((item) => (
+              <li key={`${item.kind}-${item.index}`} className="relative">
+                <span
+                  className={`absolute -left-[29px] top-1.5 h-2.5 w-2.5 rounded-full border ${
+                    KIND_STYLES[item.kind]
+                  }`}
+                />
+                <p className="text-xs text-slate-400">{formatDate(item.at)}</p>
+                {item.kind === "message" ? (
+                  <div
+                    className={`mt-1 rounded-lg p-3 text-sm whitespace-pre-wrap ${
+                      item.fromVisitor
+                        ? "bg-sky-500/20 text-white"
+                        : "bg-white/5 text-slate-200"
+                    }`}
+                  >
+                    <span className="mb-1 block text-xs text-slate-400">
+                      {item.fromVisitor ? "Visitor" : "Agent"}
+                    </span>
+                    {item.text}
+                  </div>
+                ) : (
+                  <div className="mt-1">
+                    <p className="text-sm font-medium text-slate-100">{item.title}</p>
+                    {item.detail && (
+                      <p className="text-xs text-slate-300">{item.detail}</p>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+const inputClassName =
+  "w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none";
+const buttonClassName =
+  "rounded-full border border-sky-400/40 bg-sky-400/20 px-4 py-1.5 text-xs font-semibold text-sky-100 transition hover:border-sky-300/60 hover:text-white disabled:cursor-not-allowed disabled:opacity-50";
+
+function ScorePanel({ lead, onRescore }) {
+  const [rescoring, setRescoring] = useState(false);
+  const scoring = lead.metadata?.scoring;
+  const breakdown = scoring?.breakdown || [];
+
+  const handleClick = async () => {
+    setRescoring(true);
+    await onRescore();
+    setRescoring(false);
+  };
+
+  return (
+    <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">Score</h3>
+        <button type="button" onClick={handleClick} disabled={rescoring} className={buttonClassName}>
+          {rescoring ? "Scoring..." : "Rescore"}
+        </button>
+      </div>
+      <div className="mt-4 flex items-center gap-3">
+        <ScoreBadge lead={lead} />
+        {scoring?.scoredAt && (
+          <span className="text-xs text-slate-400">Scored {formatDate(scoring.scoredAt)}</span>
+        )}
+      </div>
+      {breakdown.length > 0 && (
+        <dl className="mt-4 space-y-2 text-sm">
+          {breakdown.map((entry) => (
+            <div key={entry.signal} className="flex justify-between gap-4">
+              <dt className="text-slate-400">
+                {SCORE_SIGNAL_LABELS[entry.signal] || entry.signal}
+                <span className="ml-1 text-xs text-slate-500">({String(entry.value)})</span>
+              </dt>
+              <dd className={entry.points < 0 ? "text-rose-200" : "text-emerald-200"}>
+                {entry.points > 0 ? "+" : ""}
+                {entry.points}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </section>
+  );
+}
+
+const CRM_STATUS_LABELS = {
+  sent: ["Sent", "text-emerald-200"],
+  pending: ["Retrying", "text-amber-200"],
+  failed: ["Failed", "text-rose-200"],
+  not_queued: ["Not sent", "text-slate-300"],
+  not_configured: ["Forwarding off", "text-slate-400"],
+};
+
+function CrmPanel({ crm, onRetry }) {
+  const [retrying, setRetrying] = useState(false);
+  const latest = crm?.entries?.[0];
+  const [label, labelClassName] = CRM_STATUS_LABELS[crm?.status] || [crm?.status || "Unknown", "text-slate-300"];
+  const canRetry = crm && ["failed", "pending", "not_queued"].includes(crm.status);
+
+  const handleClick = async () => {
+    setRetrying(true);
+    await onRetry();
+    setRetrying(false);
+  };
+
+  return (
+    <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">CRM</h3>
+        {canRetry && (
+          <button type="button" onClick={handleClick} disabled={retrying} className={buttonClassName}>
+            {retrying ? "Sending..." : crm.status === "not_queued" ? "Send now" : "Retry now"}
+          </button>
+        )}
+      </div>
+      <p className={`mt-4 text-sm font-semibold ${labelClassName}`}>{label}</p>
+      {latest && (
+        <dl className="mt-3 space-y-2 text-sm">
+          <div className="flex justify-between gap-4">
+            <dt className="text-slate-400">Attempts</dt>
+            <dd className="text-slate-100">{latest.attempts}</dd>
+          </div>
+          {latest.sentAt && (
+            <div className="flex justify-between gap-4">
+              <dt className="text-slate-400">Sent</dt>
+              <dd className="text-slate-100">{formatDate(latest.sentAt)}</dd>
+            </div>
+          )}
+          {latest.status === "pending" && latest.nextAttemptAt && (
+            <div className="flex justify-between gap-4">
+              <dt className="text-slate-400">Next attempt</dt>
+              <dd className="text-slate-100">{formatDate(latest.nextAttemptAt)}</dd>
+            </div>
+          )}
+          {latest.error && <p className="break-words text-xs text-rose-200">{latest.error}</p>}
+        </dl>
+      )}
+      {crm?.entries?.length > 1 && (
+        <p className="mt-3 text-xs text-slate-400">{crm.entries.length} enquiries forwarded for this lead</p>
+      )}
+    </section>
+  );
+}
+
+function TagsEditor({ tags, onSave }) {
+  const [draft, setDraft] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const save = async (nextTags) => {
+    setSaving(true);
+    const saved = await onSave(nextTags);
+    setSaving(false);
+    return saved;
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const added = draft.split(",").map((tag) => tag.trim()).filter(Boolean);
+    if (!added.length) return;
+    if (await save([...tags, ...added])) {
+      setDraft("");
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+      <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">Tags</h3>
+      <div className="mt-4 flex flex-wrap gap-2">
+        {tags.length ? (
+          tags.map((tag) => (
+            <span
+              key={tag}
+              className="inline-flex items-center gap-1 rounded-full border border-violet-400/40 bg-violet-400/15 px-2.5 py-0.5 text-xs font-semibold text-violet-100"
+            >
+              {tag}
+              <button
+                type="button"
+                disabled={saving}
+                onClick={() => save(tags.filter((item) => item !== tag))}
+                className="text-violet-200/70 hover:text-white"
+                aria-label={`Remove ${tag}`}
+              >
+                ×
+              </button>
+            </span>
+          ))
+        ) : (
+          <p className="text-sm text-slate-400">No tags yet</p>
+        )}
+      </div>
+      <form onSubmit={handleSubmit} className="mt-4 flex gap-2">
+        <input
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          placeholder="hot, nri, site visit"
+          className={inputClassName}
+        />
+        <button type="submit" disabled={saving || !draft.trim()} className={buttonClassName}>
+          Add
+        </button>
+      </form>
+    </section>
+  );
+}
+
+function FollowUpsPanel({ followUps, onSchedule, onToggle }) {
+  const [dueAt, setDueAt] = useState("");
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const now = Date.now();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!dueAt) return;
+    setSaving(true);
+    const saved = await onSchedule({ dueAt: new Date(dueAt).toISOString(), note });
+    setSaving(false);
+    if (saved) {
+      setDueAt("");
+      setNote("");
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+      <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">Follow-ups</h3>
+      <ul className="mt-4 space-y-2 text-sm">
+        {followUps.length ? (
+          followUps.map((followUp) => {
+            const overdue = !followUp.completedAt && new Date(followUp.dueAt).getTime() < now;
+            return (
+              <li key={followUp.id} className="flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  checked={Boolean(followUp.completedAt)}
+                  onChange={() => onToggle(followUp)}
+                  className="mt-1 h-4 w-4 accent-sky-400"
+                />
+                <div className={followUp.completedAt ? "text-slate-500 line-through" : ""}>
+                  <p className={overdue ? "text-rose-300" : "text-slate-100"}>
+                    {formatDate(followUp.dueAt)}
+                    {overdue && " · overdue"}
+                  </p>
+                  {followUp.note && <p className="text-xs text-slate-400">{followUp.note}</p>}
+                </div>
+              </li>
+            );
+          })
+        ) : (
+          <li className="text-slate-400">No follow-ups scheduled</li>
+        )}
+      </ul>
+      <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+        <input
+          type="datetime-local"
+          value={dueAt}
+          onChange={(event) => setDueAt(event.target.value)}
+          className={inputClassName}
+        />
+        <input
+          value={note}
+          onChange={(event) => setNote(event.target.value)}
+          placeholder="What to follow up on (optional)"
+          className={inputClassName}
+        />
+        <button type="submit" disabled={saving || !dueAt} className={buttonClassName}>
+          Schedule follow-up
+        </button>
+      </form>
+    </section>
+  );
+}
+
+function NotesPanel({ notes, onAdd, onDelete }) {
+  const [body, setBody] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!body.trim()) return;
+    setSaving(true);
+    const saved = await onAdd(body);
+    setSaving(false);
+    if (saved) {
+      setBody("");
+    }
+  };
+
+  return (
+    <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+      <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">Notes</h3>
+      <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+        <textarea
+          value={body}
+          onChange={(event) => setBody(event.target.value)}
+          rows={3}
+          placeholder="Call outcome, requirements, budget..."
+          className={inputClassName}
+        />
+        <button type="submit" disabled={saving || !body.trim()} className={buttonClassName}>
+          Add note
+        </button>
+      </form>
+      <ul className="mt-4 space-y-3 text-sm">
+        {notes.map((note) => (
+          <li key={note.id} className="rounded-lg bg-white/5 p-3">
+            <div className="mb-1 flex items-center justify-between text-xs text-slate-400">
+              <span>
+                {note.author || "Dashboard"} · {formatDate(note.createdAt)}
+              </span>
+              <button
+                type="button"
+                onClick={() => onDelete(note)}
+                className="text-slate-500 hover:text-rose-300"
+              >
+                Delete
+              </button>
+            </div>
+            <p className="whitespace-pre-wrap text-slate-100">{note.body}</p>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+function DetailCard({ title, rows }) {
+  const visibleRows = rows.filter(([, value]) => value);
+
+  return (
+    <section className="rounded-3xl border border-white/10 bg-white/5 p-6 backdrop-blur">
+      <h3 className="text-xs uppercase tracking-[0.3em] text-slate-300">{title}</h3>
+      {visibleRows.length ? (
+        <dl className="mt-4 space-y-2 text-sm">
+          {visibleRows.map(([label, value]) => (
+            <div key={label} className="flex justify-between gap-4">
+              <dt className="text-slate-400">{label}</dt>
+              <dd className="break-all text-right text-slate-100">{value}</dd>
+            </div>
+          ))}
+        </dl>
+      ) : (
+        <p className="mt-4 text-sm text-slate-400">Nothing recorded</p>
+      )}
+    </section>
+  );
+}
@@ -1,11 +1,7 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
 import { api } from "../lib/api.js";
-import {
-  LeadsTable,
-  resolveLocation,
-  resolveSource,
-  resolveWebsiteInfo,
-} from "../components/LeadsTable.jsx";
+import { LeadsTable, resolveLeadId } from "../components/LeadsTable.jsx";
 
 export function LeadsPage() {
   const [leads, setLeads] = useState([]);
@@ -14,33 +10,106 @@ export function LeadsPage() {
   const [datePreset, setDatePreset] = useState("all");
   const [customStart, setCustomStart] = useState("");
   const [customEnd, setCustomEnd] = useState("");
+  const [sortBy, setSortBy] = useState("newest");
+  const [minScore, setMinScore] = useState("");
+  // { queryParam: value } for the filter chips, e.g. { utmSource: "google", bhkType: "2 BHK" }
+  const [filters, setFilters] = useState({});
+  const [filterOptions, setFilterOptions] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mergeTargetId, setMergeTargetId] = useState("");
+  const [merging, setMerging] = useState(false);
+  const [mergeStatus, setMergeStatus] = useState(null);
+  const [owners, setOwners] = useState([]);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [updateError, setUpdateError] = useState("");
+  const [exportFormat, setExportFormat] = useState("csv");
+  const [exportColumnOptions, setExportColumnOptions] = useState([]);
+  // null exports every column
+  const [exportColumns, setExportColumns] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
 
   useEffect(() => {
-    async function loadLeads() {
-      setLoading(true);
+    async function loadOwners() {
       try {
-        const params = {};
+        const response = await api.get("/users");
+        if (response.status >= 400) {
+          return;
+        }
+        setOwners(
+          (response.data?.users || [])
+            .map((user) => user.username)
+            .filter(Boolean)
+        );
+      } catch (error) {
+        console.error("Failed to fetch dashboard users", error);
+      }
+    }
+
+    loadOwners();
+  }, []);
 
-        if (searchTerm) {
-          params.search = searchTerm;
+  useEffect(() => {
+    async function loadFilterOptions() {
+      try {
+        const response = await api.get("/leads/filters");
+        if (response.status < 400) {
+          setFilterOptions(response.data);
         }
+      } catch (error) {
+        console.error("Failed to fetch lead filter options", error);
+      }
+    }
 
-        const { startDate, endDate } = resolveDateRange({
-          datePreset,
-          customStart,
-          customEnd,
-        });
+    loadFilterOptions();
+  }, []);
+
+  useEffect(() => {
+    async function loadExportColumns() {
+      try {
+        const response = await api.get("/leads/export/columns");
+        if (response.status < 400) {
+          setExportColumnOptions(response.data?.columns || []);
+        }
+      } catch (error) {
+        console.error("Failed to fetch export columns", error);
+      }
+    }
+
+    loadExportColumns();
+  }, []);
+
+  // Query params for the current filters, shared by the table and the export
+  const filterParams = useMemo(() => {
+    const params = {};
+    if (searchTerm) params.search = searchTerm;
+
+    const { startDate, endDate } = resolveDateRange({
+      datePreset,
+      customStart,
+      customEnd,
+    });
+    if (startDate) params.startDate = startDate;
+    if (endDate) params.endDate = endDate;
+    if (sortBy === "score") params.sort = "score";
+    if (minScore !== "") params.minScore = minScore;
+    return { ...params, ...filters };
+  }, [searchTerm, datePreset, customStart, customEnd, sortBy, minScore, filters]);
+
+  useEffect(() => {
+    async function loadLeads() {
+      setLoading(true);
+      setSelectedIds([]);
+      try {
+        const params = filterParams;
 
         // Log the date range being used
         console.log("📅 Date Filter:", {
           preset: datePreset,
-          startDate: startDate ? new Date(startDate).toLocaleString() : "None (all time)",
-          endDate: endDate ? new Date(endDate).toLocaleString() : "None (all time)",
+          startDate: params.startDate ? new Date(params.startDate).toLocaleString() : "None (all time)",
+          endDate: params.endDate ? new Date(params.endDate).toLocaleString() : "None (all time)",
         });
 
-        if (startDate) params.startDate = startDate;
-        if (endDate) params.endDate = endDate;
-
         const response = await api.get("/leads", {
           params,
         });
@@ -120,7 +189,7 @@ export function LeadsPage() {
     }
 
     loadLeads();
-  }, [searchTerm, datePreset, customStart, customEnd]);
+  }, [filterParams, datePreset]);
 
   const stats = useMemo(() => {
     if (!leads.length) {
@@ -182,97 +251,159 @@ export function LeadsPage() {
     };
   }, [leads]);
 
-  const handleExport = () => {
-    if (!leads.length) {
+  const selectedLeads = useMemo(
+    () => leads.filter((lead) => selectedIds.includes(resolveLeadId(lead))),
+    [leads, selectedIds]
+  );
+
+  // Keep the earliest enquiry by default so the lead keeps its original capture date
+  useEffect(() => {
+    if (selectedLeads.some((lead) => resolveLeadId(lead) === mergeTargetId)) {
+      return;
+    }
+    const earliest = [...selectedLeads].sort(
+      (a, b) => new Date(a.createdAt || a.created_at) - new Date(b.createdAt || b.created_at)
+    )[0];
+    setMergeTargetId(earliest ? resolveLeadId(earliest) : "");
+  }, [selectedLeads, mergeTargetId]);
+
+  const handleToggleSelect = (leadId) => {
+    setMergeStatus(null);
+    setSelectedIds((current) =>
+      current.includes(leadId)
+        ? current.filter((id) => id !== leadId)
+        : [...current, leadId]
+    );
+  };
+
+  const handleMerge = async () => {
+    const sourceIds = selectedIds.filter((id) => id !== mergeTargetId);
+    if (!mergeTargetId || !sourceIds.length) {
       return;
     }
 
-    const escapeCell = (value) => {
-      if (value === null || value === undefined) {
-        return "";
+    setMerging(true);
+    setMergeStatus(null);
+    try {
+      const response = await api.post(`/leads/${mergeTargetId}/merge`, {
+        leadIds: sourceIds,
+      });
+
+      if (response.status >= 400) {
+        setMergeStatus({
+          type: "error",
+          message: response.data?.message || "Failed to merge leads",
+        });
+        return;
       }
-      const stringValue = String(value);
-      if (/[",\n]/.test(stringValue)) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
+
+      const mergedLead = response.data.lead;
+      setLeads((current) =>
+        current
+          .filter((lead) => !sourceIds.includes(resolveLeadId(lead)))
+          .map((lead) =>
+            resolveLeadId(lead) === mergeTargetId ? { ...lead, ...mergedLead } : lead
+          )
+      );
+      setSelectedIds([]);
+      setMergeStatus({
+        type: "success",
+        message: `Merged ${sourceIds.length} lead${sourceIds.length === 1 ? "" : "s"}`,
+      });
+    } catch (error) {
+      console.error("Failed to merge leads", error);
+      setMergeStatus({
+        type: "error",
+        message: error.response?.data?.message || "Failed to merge leads",
+      });
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const handleUpdateLead = async (lead, changes) => {
+    const leadId = resolveLeadId(lead);
+    let note = null;
+    if (changes.status) {
+      note = window.prompt(`Note for moving this lead to "${changes.status}" (optional)`, "");
+      // Cancelling the prompt cancels the change
+      if (note === null) {
+        return;
       }
-      return stringValue;
-    };
+    }
 
-    const headers = [
-      "Lead ID",
-      "Captured At",
-      "Phone",
-      "Microsite",
-      "Website",
-      "Environment",
-      "Landing Page",
-      "Interest",
-      "Source (Display)",
-      "UTM Source",
-      "UTM Medium",
-      "UTM Campaign",
-      "Location",
-      "Timezone",
-      "IP Address",
-      "Status",
-    ];
+    setUpdatingId(leadId);
+    setUpdateError("");
+    try {
+      const response = await api.patch(`/leads/${leadId}`, {
+        ...changes,
+        note,
+        changedBy: localStorage.getItem("dashboard_username") || null,
+      });
 
-    const rows = leads.map((lead, index) => {
-      const rawId =
-        (typeof lead.id === "string" && lead.id) ||
-        (typeof lead._id === "string" && lead._id) ||
-        String(index + 1);
-      const website = resolveWebsiteInfo(lead);
-      const websiteLabel = lead.metadata?.website
-        ? String(lead.metadata.website)
-        : website.label;
-      const micrositeLabel = lead.microsite ? String(lead.microsite) : "";
-      const utm = lead.metadata?.visitor?.utm || {};
-      const locationLabel = resolveLocation(lead);
-      const timezone = lead.metadata?.visitor?.location?.timezone || "";
-      const ip = lead.metadata?.visitor?.ip || "";
-      const formattedPhone = formatPhoneForExport(lead);
-
-      return [
-        rawId,
-        lead.createdAt ? new Date(lead.createdAt).toISOString() : "",
-        formattedPhone,
-        micrositeLabel,
-        websiteLabel,
-        website.environment || "",
-        website.landingPage || "",
-        lead.bhkType || "",
-        resolveSource(lead),
-        utm.source || "",
-        utm.medium || "",
-        utm.campaign || "",
-        locationLabel,
-        timezone,
-        ip,
-        lead.status || "new",
-      ];
-    });
+      if (response.status >= 400) {
+        setUpdateError(response.data?.message || "Failed to update lead");
+        return;
+      }
 
-    const csvContent = [headers, ...rows]
-      .map((row) => row.map(escapeCell).join(","))
-      .join("\n");
+      const updatedLead = response.data.lead;
+      setLeads((current) =>
+        current.map((item) =>
+          resolveLeadId(item) === leadId ? { ...item, ...updatedLead } : item
+        )
+      );
+    } catch (error) {
+      console.error("Failed to update lead", error);
+      setUpdateError(error.response?.data?.message || "Failed to update lead");
+    } finally {
+      setUpdatingId(null);
+    }
+  };
 
-    const blob = new Blob([csvContent], {
-      type: "text/csv;charset=utf-8;",
-    });
-    const url = URL.createObjectURL(blob);
-    const timestamp = new Date()
-      .toISOString()
-      .slice(0, 19)
-      .replace(/[:T]/g, "-");
-
-    const anchor = document.createElement("a");
-    anchor.href = url;
-    anchor.download = `leads-${timestamp}.csv`;
-    document.body.appendChild(anchor);
-    anchor.click();
-    document.body.removeChild(anchor);
-    URL.revokeObjectURL(url);
+  // The API streams every lead matching the filters, not just the loaded page
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError("");
+    try {
+      const response = await api.get("/leads/export", {
+        params: {
+          ...filterParams,
+          format: exportFormat,
+          ...(exportColumns && { columns: exportColumns.join(",") }),
+        },
+        responseType: "blob",
+      });
+
+      if (response.status >= 400) {
+        let message = "Failed to export leads";
+        try {
+          message = JSON.parse(await response.data.text()).message || message;
+        } catch {
+          // Not a JSON error body
+        }
+        setExportError(message);
+        return;
+      }
+
+      const url = URL.createObjectURL(response.data);
+      const timestamp = new Date()
+        .toISOString()
+        .slice(0, 19)
+        .replace(/[:T]/g, "-");
+
+      const anchor = document.createElement("a");
+      anchor.href = url;
+      anchor.download = `leads-${timestamp}.${exportFormat}`;
+      document.body.appendChild(anchor);
+      anchor.click();
+      document.body.removeChild(anchor);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Failed to export leads", error);
+      setExportError("Failed to export leads");
+    } finally {
+      setExporting(false);
+    }
   };
 
   return (
@@ -349,17 +480,45 @@ export function LeadsPage() {
                 setCustomEnd(end);
               }}
             />
+
+            <div className="flex items-center gap-2">
+              <select
+                value={sortBy}
+                onChange={(event) => setSortBy(event.target.value)}
+                className="rounded-xl border border-white/10 bg-slate-900 px-3 py-2.5 text-sm text-white focus:border-sky-400 focus:outline-none"
+              >
+                <option value="newest">Newest first</option>
+                <option value="score">Highest score</option>
+              </select>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                placeholder="Min score"
+                value={minScore}
+                onChange={(event) => setMinScore(event.target.value)}
+                className="w-28 rounded-xl border border-white/10 bg-white/10 px-3 py-2.5 text-sm text-white placeholder:text-slate-300 focus:border-sky-400 focus:outline-none"
+              />
+            </div>
           </div>
 
           <div className="flex flex-col gap-2 self-start sm:flex-row">
-            <button
-              type="button"
-              onClick={handleExport}
-              disabled={loading || !leads.length}
-              className="rounded-full border border-emerald-400/40 bg-emerald-400/20 px-4 py-2 text-sm font-semibold text-emerald-100 shadow-[0_12px_30px_rgba(16,185,129,0.35)] transition hover:border-emerald-300/60 hover:text-white disabled:cursor-not-allowed disabled:border-white/10 disabled:bg-white/5 disabled:text-slate-400"
+            <Link
+              to="/leads/import"
+              className="rounded-full border border-sky-400/40 bg-sky-400/15 px-4 py-2 text-center text-sm font-semibold text-sky-100 transition hover:border-sky-300/60 hover:text-white"
             >
-              Export CSV
-            </button>
+              Import CSV
+            </Link>
+            <ExportControls
+              format={exportFormat}
+              onFormatChange={setExportFormat}
+              columnOptions={exportColumnOptions}
+              selectedColumns={exportColumns}
+              onColumnsChange={setExportColumns}
+              onExport={handleExport}
+              disabled={loading || exporting || !leads.length}
+              exporting={exporting}
+            />
             <button
               type="button"
               onClick={() => {
@@ -367,6 +526,9 @@ export function LeadsPage() {
                 setDatePreset("all");
                 setCustomStart("");
                 setCustomEnd("");
+                setSortBy("newest");
+                setMinScore("");
+                setFilters({});
               }}
               className="rounded-full border border-white/10 px-4 py-2 text-sm font-medium text-sky-300 transition hover:border-sky-400/40 hover:text-sky-200"
             >
@@ -374,14 +536,52 @@ export function LeadsPage() {
             </button>
           </div>
         </div>
+
+        <FilterChips
+          options={filterOptions}
+          owners={owners}
+          filters={filters}
+          onChange={setFilters}
+        />
       </section>
 
+      {(selectedLeads.length > 0 || mergeStatus) && (
+        <MergePanel
+          selectedLeads={selectedLeads}
+          targetId={mergeTargetId}
+          onTargetChange={setMergeTargetId}
+          onMerge={handleMerge}
+          onClear={() => setSelectedIds([])}
+          merging={merging}
+          status={mergeStatus}
+        />
+      )}
+
+      {updateError && (
+        <div className="rounded-2xl border border-rose-400/30 bg-rose-400/10 px-5 py-3 text-sm text-rose-200">
+          {updateError}
+        </div>
+      )}
+
+      {exportError && (
+        <div className="rounded-2xl border border-rose-400/30 bg-rose-400/10 px-5 py-3 text-sm text-rose-200">
+          {exportError}
+        </div>
+      )}
+
       {loading ? (
         <div className="rounded-3xl border border-white/10 bg-white/5 p-12 text-center text-slate-200 shadow-[0_25px_80px_rgba(15,23,42,0.25)] backdrop-blur">
           Loading leads...
         </div>
       ) : (
-        <LeadsTable leads={leads} />
+        <LeadsTable
+          leads={leads}
+          selectedIds={selectedIds}
+          onToggleSelect={handleToggleSelect}
+          owners={owners}
+          onUpdateLead={handleUpdateLead}
+          updatingId={updatingId}
+        />
       )}
     </div>
   );
@@ -427,6 +627,278 @@ function StatCard({ label, value, variant = "primary" }) {
   );
 }
 
+function MergePanel({
+  selectedLeads,
+  targetId,
+  onTargetChange,
+  onMerge,
+  onClear,
+  merging,
+  status,
+}) {
+  return (
+    <section className="rounded-3xl border border-sky-400/20 bg-white/5 p-6 shadow-[0_25px_80px_rgba(15,23,42,0.25)] backdrop-blur">
+      <div className="flex flex-col gap-4 lg:flex-row lg:items-center lg:justify-between">
+        <div className="space-y-1">
+          <p className="text-xs uppercase tracking-[0.4em] text-slate-300">
+            Merge leads
+          </p>
+          <p className="text-sm text-slate-200/80">
+            {selectedLeads.length < 2
+              ? "Select at least two leads of the same visitor to merge them."
+              : "The other enquiries are kept as touches on the lead you keep."}
+          </p>
+          {status && (
+            <p
+              className={`text-sm ${
+                status.type === "error" ? "text-rose-300" : "text-emerald-300"
+              }`}
+            >
+              {status.message}
+            </p>
+          )}
+        </div>
+
+        {selectedLeads.length > 0 && (
+          <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+            <label className="flex items-center gap-2 text-xs text-slate-300">
+              Keep
+              <select
+                value={targetId}
+                onChange={(event) => onTargetChange(event.target.value)}
+                className="rounded-xl border border-white/10 bg-slate-900 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none"
+              >
+                {selectedLeads.map((lead) => {
+                  const leadId = resolveLeadId(lead);
+                  const capturedAt = lead.createdAt || lead.created_at;
+                  return (
+                    <option key={leadId} value={leadId}>
+                      {formatPhoneForExport(lead) || leadId.slice(0, 8)}
+                      {capturedAt
+                        ? ` · ${new Date(capturedAt).toLocaleDateString()}`
+                        : ""}
+                    </option>
+                  );
+                })}
+              </select>
+            </label>
+            <button
+              type="button"
+              onClick={onMerge}
+              disabled={merging || selectedLeads.length < 2}
+              className="rounded-full border border-sky-400/40 bg-sky-400/20 px-4 py-2 text-sm font-semibold text-sky-100 transition hover:border-sky-300/60 hover:text-white disabled:cursor-not-allowed disabled:border-white/10 disabled:bg-white/5 disabled:text-slate-400"
+            >
+              {merging ? "Merging..." : `Merge ${selectedLeads.length} leads`}
+            </button>
+            <button
+              type="button"
+              onClick={onClear}
+              className="rounded-full border border-white/10 px-4 py-2 text-sm font-medium text-sky-300 transition hover:border-sky-400/40 hover:text-sky-200"
+            >
+              Clear selection
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+const FILTER_FIELDS = [
+  { param: "status", label: "Status" },
+  { param: "bhkType", label: "BHK", optionsKey: "bhkTypes" },
+  { param: "leadSource", label: "Lead source", optionsKey: "leadSources" },
+  { param: "country", label: "Country", optionsKey: "countries" },
+  { param: "utmSource", label: "UTM source", optionsKey: "utmSources" },
+  { param: "utmMedium", label: "UTM medium", optionsKey: "utmMediums" },
+  { param: "utmCampaign", label: "UTM campaign", optionsKey: "utmCampaigns" },
+  { param: "hasPhone", label: "Phone" },
+  { param: "owner", label: "Owner" },
+];
+
+const PHONE_FILTER_OPTIONS = [
+  { value: "true", label: "Has phone" },
+  { value: "false", label: "No phone" },
+];
+
+function filterFieldOptions(field, options, owners) {
+  if (field.param === "status") {
+    return (options?.statuses || []).map((status) => ({ value: status, label: status }));
+  }
+  if (field.param === "hasPhone") {
+    return PHONE_FILTER_OPTIONS;
+  }
+  if (field.param === "owner") {
+    const known = new Set([...owners, ...(options?.owners || []).map((option) => option.value)]);
+    return [
+      { value: "unassigned", label: "Unassigned" },
+      ...Array.from(known).map((owner) => ({ value: owner, label: owner })),
+    ];
+  }
+  return (options?.[field.optionsKey] || []).map((option) => ({
+    value: option.value,
+    label: option.label || option.value,
+    count: option.count,
+  }));
+}
+
+// One select per filterable field; active filters show as removable chips
+function FilterChips({ options, owners, filters, onChange }) {
+  const setFilter = (param, value) => {
+    const next = { ...filters };
+    if (value) {
+      next[param] = value;
+    } else {
+      delete next[param];
+    }
+    onChange(next);
+  };
+
+  const activeFields = FILTER_FIELDS.filter((field) => filters[field.param]);
+
+  return (
+    <div className="mt-4 space-y-3 border-t border-white/10 pt-4">
+      <div className="flex flex-wrap gap-2">
+        {FILTER_FIELDS.map((field) => {
+          const fieldOptions = filterFieldOptions(field, options, owners);
+          if (!fieldOptions.length) {
+            return null;
+          }
+          return (
+            <select
+              key={field.param}
+              value={filters[field.param] || ""}
+              onChange={(event) => setFilter(field.param, event.target.value)}
+              className="rounded-full border border-white/10 bg-slate-900 px-3 py-1.5 text-xs text-white focus:border-sky-400 focus:outline-none"
+            >
+              <option value="">{field.label}: any</option>
+              {fieldOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                  {option.count !== undefined ? ` (${option.count})` : ""}
+                </option>
+              ))}
+            </select>
+          );
+        })}
+      </div>
+
+      {activeFields.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          {activeFields.map((field) => {
+            const value = filters[field.param];
+            const option = filterFieldOptions(field, options, owners).find((item) => item.value === value);
+            const label = option?.label || value;
+            return (
+              <span
+                key={field.param}
+                className="inline-flex items-center gap-2 rounded-full border border-sky-400/40 bg-sky-400/15 px-3 py-1 text-xs text-sky-100"
+              >
+                {field.label}: {label}
+                <button
+                  type="button"
+                  onClick={() => setFilter(field.param, "")}
+                  aria-label={`Remove ${field.label} filter`}
+                  className="text-sky-200 hover:text-white"
+                >
+                  ×
+                </button>
+              </span>
+            );
+          })}
+          <button
+            type="button"
+            onClick={() => onChange({})}
+            className="text-xs text-sky-300 hover:text-sky-200"
+          >
+            Clear all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel" },
+  { value: "json", label: "JSON" },
+];
+
+function ExportControls({
+  format,
+  onFormatChange,
+  columnOptions,
+  selectedColumns,
+  onColumnsChange,
+  onExport,
+  disabled,
+  exporting,
+}) {
+  const allSelected = !selectedColumns;
+  const isChecked = (id) => allSelected || selectedColumns.includes(id);
+
+  const toggleColumn = (id) => {
+    const current = selectedColumns || columnOptions.map((column) => column.id);
+    const next = current.includes(id)
+      ? current.filter((columnId) => columnId !== id)
+      : columnOptions.map((column) => column.id).filter((columnId) => columnId === id || current.includes(columnId));
+    onColumnsChange(next.length === columnOptions.length ? null : next);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={format}
+        onChange={(event) => onFormatChange(event.target.value)}
+        className="rounded-full border border-white/10 bg-slate-900 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none"
+      >
+        {EXPORT_FORMATS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {columnOptions.length > 0 && (
+        <details className="relative">
+          <summary className="cursor-pointer list-none rounded-full border border-white/10 px-3 py-2 text-sm text-slate-200 hover:border-sky-400/40">
+            Columns · {allSelected ? "All" : selectedColumns.length}
+          </summary>
+          <div className="absolute right-0 z-20 mt-2 max-h-80 w-56 overflow-y-auto rounded-2xl border border-white/10 bg-slate-900 p-3 shadow-xl">
+            <button
+              type="button"
+              onClick={() => onColumnsChange(null)}
+              className="mb-2 text-xs text-sky-300 hover:text-sky-200"
+            >
+              Select all
+            </button>
+            {columnOptions.map((column) => (
+              <label key={column.id} className="flex items-center gap-2 py-1 text-sm text-slate-200">
+                <input
+                  type="checkbox"
+                  checked={isChecked(column.id)}
+                  disabled={isChecked(column.id) && selectedColumns?.length === 1}
+                  onChange={() => toggleColumn(column.id)}
+                  className="h-4 w-4 rounded border-white/20 bg-white/10 accent-sky-400"
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+        </details>
+      )}
+      <button
+        type="button"
+        onClick={onExport}
+        disabled={disabled}
+        className="rounded-full border border-emerald-400/40 bg-emerald-400/20 px-4 py-2 text-sm font-semibold text-emerald-100 shadow-[0_12px_30px_rgba(16,185,129,0.35)] transition hover:border-emerald-300/60 hover:text-white disabled:cursor-not-allowed disabled:border-white/10 disabled:bg-white/5 disabled:text-slate-400"
+      >
+        {exporting ? "Exporting..." : "Export"}
+      </button>
+    </div>
+  );
+}
+
 function formatPhoneForExport(lead) {
   const normalizedPhone = typeof lead.phone === "string" ? lead.phone.trim() : "";
   const phoneDialCode = lead.metadata?.phoneDialCode;
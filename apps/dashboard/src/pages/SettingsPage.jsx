@@ -1,5 +1,8 @@
 import { useEffect, useState, useRef } from "react";
 import { api } from "../lib/api.js";
+import { ResponseTemplatesEditor } from "../components/ResponseTemplatesEditor.jsx";
+import { LeadScoringEditor } from "../components/LeadScoringEditor.jsx";
+import { DigestSettings } from "../components/DigestSettings.jsx";
 
 // Determine default project ID based on environment
 // Local development uses "local", production uses "default"
@@ -15,6 +18,13 @@ const getDefaultProjectId = () => {
 
 const DEFAULT_PROJECT_ID = getDefaultProjectId();
 
+// Languages the widget and chat replies are translated into
+const CHAT_LOCALES = [
+  { value: "en", label: "English" },
+  { value: "hi", label: "हिंदी (Hindi)" },
+  { value: "mr", label: "मराठी (Marathi)" },
+];
+
 export function SettingsPage() {
   const [projectId, setProjectId] = useState(DEFAULT_PROJECT_ID);
   const [formState, setFormState] = useState({});
@@ -35,7 +45,8 @@ export function SettingsPage() {
     inventoryMessage: "That's cool… we have inventory available with us.",
     phonePrompt: "Please enter your mobile number...",
     thankYouMessage: "Thanks! Our expert will call you shortly 📞",
-    bubblePosition: "bottom-right"
+    bubblePosition: "bottom-right",
+    locale: "en"
   };
 
   const loadConfig = async () => {
@@ -57,9 +68,12 @@ export function SettingsPage() {
           phonePrompt: config.phone_prompt || config.phonePrompt,
           thankYouMessage: config.thank_you_message || config.thankYouMessage,
           bubblePosition: config.bubble_position || config.bubblePosition,
+          locale: config.locale,
           autoOpenDelayMs: config.auto_open_delay_ms || config.autoOpenDelayMs,
           welcomeMessage: config.welcome_message || config.welcomeMessage,
           propertyInfo: config.property_info || config.propertyInfo || {},
+          responseTemplates: config.response_templates || config.responseTemplates || {},
+          leadScoring: config.lead_scoring || config.leadScoring || {},
         };
       }
       
@@ -90,6 +104,14 @@ export function SettingsPage() {
     setFormState((prev) => ({ ...prev, [field]: event.target.value }));
   };
 
+  const handlePropertyInfoChange = (field) => (event) => {
+    const value = event.target.value;
+    setFormState((prev) => ({
+      ...prev,
+      propertyInfo: { ...(prev.propertyInfo || {}), [field]: value },
+    }));
+  };
+
   const handleFileSelect = (event) => {
     const file = event.target.files?.[0];
     if (file) {
@@ -401,6 +423,26 @@ export function SettingsPage() {
           />
         </div>
 
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-slate-200">
+            Default Chat Language
+          </label>
+          <select
+            value={formState.locale || "en"}
+            onChange={handleChange("locale")}
+            className="w-full rounded-lg border border-white/10 bg-slate-900 px-3 py-2 text-sm text-white focus:border-sky-400 focus:outline-none"
+          >
+            {CHAT_LOCALES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-slate-400 mt-1">
+            Write the messages below in this language. Visitors can switch language in the widget; other languages use the built-in translations.
+          </p>
+        </div>
+
         <div className="space-y-2 md:col-span-2">
           <label className="text-sm font-medium text-slate-200">
             Welcome Message
@@ -473,6 +515,58 @@ export function SettingsPage() {
           />
         </div>
 
+        <div className="space-y-4 md:col-span-2">
+          <div>
+            <h3 className="text-lg font-semibold text-white">Chat Actions</h3>
+            <p className="text-sm text-slate-300">
+              Shown as buttons in chat replies: a brochure download link and call / WhatsApp actions.
+            </p>
+          </div>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Brochure URL</label>
+              <input
+                type="url"
+                value={formState.propertyInfo?.brochureUrl || ""}
+                onChange={handlePropertyInfoChange("brochureUrl")}
+                placeholder="https://example.com/brochure.pdf"
+                className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">Call Number</label>
+              <input
+                type="tel"
+                value={formState.propertyInfo?.contactPhone || ""}
+                onChange={handlePropertyInfoChange("contactPhone")}
+                placeholder="+91 98765 43210"
+                className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-slate-200">WhatsApp Number</label>
+              <input
+                type="tel"
+                value={formState.propertyInfo?.whatsappNumber || ""}
+                onChange={handlePropertyInfoChange("whatsappNumber")}
+                placeholder="Defaults to the call number"
+                className="w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none"
+              />
+            </div>
+          </div>
+        </div>
+
+        <ResponseTemplatesEditor
+          value={formState.responseTemplates}
+          onChange={(responseTemplates) => setFormState((prev) => ({ ...prev, responseTemplates }))}
+          propertyInfo={formState.propertyInfo}
+          agentName={formState.agentName}
+          locale={formState.locale}
+        />
+        <LeadScoringEditor
+          value={formState.leadScoring}
+          onChange={(leadScoring) => setFormState((prev) => ({ ...prev, leadScoring }))}
+        />
         <div className="md:col-span-2 flex items-center justify-between pt-4 border-t border-white/10">
           <div className="text-sm">
             {status === "saving" && (
@@ -550,6 +644,8 @@ export function SettingsPage() {
           </div>
         </div>
       </form>
+
+      <DigestSettings projectId={projectId} />
     </div>
   );
 }
@@ -0,0 +1,463 @@
+import { useEffect, useState } from "react";
+import { api } from "../lib/api.js";
+
+const EMPTY_FORM = { name: "", url: "", microsite: "", events: ["lead.created"] };
+
+const DELIVERY_STATUS_STYLES = {
+  succeeded: "border-emerald-400/40 bg-emerald-400/15 text-emerald-100",
+  pending: "border-amber-400/40 bg-amber-400/15 text-amber-100",
+  failed: "border-rose-400/40 bg-rose-400/15 text-rose-100",
+};
+
+const inputClassName =
+  "w-full rounded-lg border border-white/10 bg-white/10 px-3 py-2 text-sm text-white placeholder-slate-400 focus:border-sky-400 focus:outline-none";
+
+// Webhook reads return signing secrets, so the API wants the key on GETs too
+function apiKeyHeaders() {
+  const apiKey = localStorage.getItem("widget_config_api_key");
+  return apiKey ? { "X-API-Key": apiKey } : {};
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function DeliveryLog({ webhookId, refreshKey }) {
+  const [deliveries, setDeliveries] = useState(null);
+
+  async function loadDeliveries() {
+    try {
+      const response = await api.get(`/webhooks/${webhookId}/deliveries`, {
+        params: { limit: 20 },
+        headers: apiKeyHeaders(),
+      });
+      setDeliveries(response.status >= 400 ? [] : response.data.items || []);
+    } catch (error) {
+      console.error("Failed to fetch webhook deliveries", error);
+      setDeliveries([]);
+    }
+  }
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [webhookId, refreshKey]);
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      await api.post(`/webhooks/${webhookId}/deliveries/${delivery.id}/redeliver`);
+      loadDeliveries();
+    } catch (error) {
+      console.error("Failed to redeliver webhook", error);
+    }
+  };
+
+  if (!deliveries) {
+    return <p className="text-sm text-slate-400">Loading deliveries...</p>;
+  }
+  if (deliveries.length === 0) {
+    return <p className="text-sm text-slate-400">No deliveries yet.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-left text-sm text-slate-100">
+        <thead className="text-xs uppercase tracking-[0.2em] text-slate-400">
+          <tr>
+            <th className="px-3 py-2">Event</th>
+            <th className="px-3 py-2">Status</th>
+            <th className="px-3 py-2">Attempts</th>
+            <th className="px-3 py-2">Created</th>
+            <th className="px-3 py-2">Details</th>
+            <th className="px-3 py-2" />
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-white/5">
+          {deliveries.map((delivery) => (
+            <tr key={delivery.id}>
+              <td className="px-3 py-2 font-mono text-xs">{delivery.event}</td>
+              <td className="px-3 py-2">
+                <span
+                  className={`rounded-full border px-2 py-0.5 text-xs font-semibold ${
+                    DELIVERY_STATUS_STYLES[delivery.status] || ""
+                  }`}
+                >
+                  {delivery.status}
+                </span>
+              </td>
+              <td className="px-3 py-2 text-slate-300">{delivery.attempts}</td>
+              <td className="px-3 py-2 text-slate-300">{formatDate(delivery.createdAt)}</td>
+              <td className="px-3 py-2 text-xs text-slate-300">
+                {delivery.status === "succeeded" && `HTTP ${delivery.responseStatus}`}
+                {delivery.status !== "succeeded" && delivery.error}
+                {delivery.status === "pending" && delivery.nextAttemptAt && (
+                  <span className="block text-slate-400">Next attempt {formatDate(delivery.nextAttemptAt)}</span>
+                )}
+              </td>
+              <td className="px-3 py-2 text-right">
+                {delivery.status === "failed" && (
+                  <button
+                    type="button"
+                    onClick={() => handleRedeliver(delivery)}
+                    className="text-xs font-medium text-sky-300 hover:text-sky-200"
+                  >
+                    Redeliver
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export function WebhooksPage() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [openLogId, setOpenLogId] = useState(null);
+  const [testResults, setTestResults] = useState({});
+  const [logRefreshKey, setLogRefreshKey] = useState(0);
+
+  async function loadWebhooks() {
+    setLoading(true);
+    try {
+      const response = await api.get("/webhooks", { headers: apiKeyHeaders() });
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to load webhooks" });
+        return;
+      }
+      setWebhooks(response.data.items || []);
+      setEvents(response.data.events || []);
+    } catch (error) {
+      console.error("Failed to fetch webhooks", error);
+      setStatus({ type: "error", message: "Failed to load webhooks" });
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadWebhooks();
+  }, []);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const toggleFormEvent = (eventId) => {
+    setForm((current) => ({
+      ...current,
+      events: current.events.includes(eventId)
+        ? current.events.filter((id) => id !== eventId)
+        : [...current.events, eventId],
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus(null);
+
+    const payload = {
+      name: form.name,
+      url: form.url,
+      events: form.events,
+      microsite: form.microsite.trim() || null,
+    };
+
+    try {
+      const response = editingId
+        ? await api.patch(`/webhooks/${editingId}`, payload)
+        : await api.post("/webhooks", {
+            ...payload,
+            createdBy: localStorage.getItem("dashboard_username") || undefined,
+          });
+
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to save webhook" });
+        return;
+      }
+
+      setStatus({ type: "success", message: editingId ? "Webhook updated" : "Webhook added" });
+      resetForm();
+      loadWebhooks();
+    } catch (error) {
+      console.error("Failed to save webhook", error);
+      setStatus({ type: "error", message: error.response?.data?.message || "Failed to save webhook" });
+    }
+  };
+
+  const handleEdit = (webhook) => {
+    setEditingId(webhook.id);
+    setForm({
+      name: webhook.name,
+      url: webhook.url,
+      microsite: webhook.microsite || "",
+      events: webhook.events || [],
+    });
+  };
+
+  const updateWebhook = async (webhook, changes, failureMessage) => {
+    try {
+      const response = await api.patch(`/webhooks/${webhook.id}`, changes);
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || failureMessage });
+        return;
+      }
+      loadWebhooks();
+    } catch (error) {
+      console.error(failureMessage, error);
+      setStatus({ type: "error", message: failureMessage });
+    }
+  };
+
+  const handleRotateSecret = (webhook) => {
+    if (!window.confirm(`Generate a new signing secret for "${webhook.name}"? The receiver must be updated to verify with it.`)) return;
+    updateWebhook(webhook, { rotateSecret: true }, "Failed to rotate secret");
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete webhook "${webhook.name}" and its delivery log?`)) return;
+
+    try {
+      const response = await api.delete(`/webhooks/${webhook.id}`);
+      if (response.status >= 400) {
+        setStatus({ type: "error", message: response.data?.message || "Failed to delete webhook" });
+        return;
+      }
+      if (editingId === webhook.id) resetForm();
+      loadWebhooks();
+    } catch (error) {
+      console.error("Failed to delete webhook", error);
+      setStatus({ type: "error", message: "Failed to delete webhook" });
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    setTestResults((current) => ({ ...current, [webhook.id]: { type: "info", message: "Sending..." } }));
+    try {
+      const response = await api.post(`/webhooks/${webhook.id}/test`);
+      const delivery = response.data?.delivery;
+      const succeeded = response.status < 400 && delivery?.status === "succeeded";
+      setTestResults((current) => ({
+        ...current,
+        [webhook.id]: {
+          type: succeeded ? "success" : "error",
+          message: succeeded
+            ? `Delivered (HTTP ${delivery.responseStatus})`
+            : delivery?.error || response.data?.message || "Test delivery failed",
+        },
+      }));
+      setLogRefreshKey((key) => key + 1);
+    } catch (error) {
+      console.error("Failed to send test webhook", error);
+      setTestResults((current) => ({
+        ...current,
+        [webhook.id]: { type: "error", message: "Test delivery failed" },
+      }));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-semibold text-white">Webhooks</h2>
+        <p className="text-sm text-slate-300">
+          POST lead and chat events to your CRM, Zapier-style tools or Slack bots. Each request is signed:
+          verify <code className="text-sky-200">X-Homesfy-Signature</code> as an HMAC-SHA256 of{" "}
+          <code className="text-sky-200">{"`${X-Homesfy-Timestamp}.${body}`"}</code> with the webhook's secret.
+          Failed deliveries are retried with increasing delays.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+        <form
+          onSubmit={handleSubmit}
+          className="space-y-4 rounded-2xl border border-white/10 bg-white/5 p-6 backdrop-blur lg:col-span-1 lg:self-start"
+        >
+          <h3 className="text-lg font-semibold text-white">{editingId ? "Edit webhook" : "Add webhook"}</h3>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-slate-200">Name</label>
+            <input
+              value={form.name}
+              onChange={(event) => setForm({ ...form, name: event.target.value })}
+              className={inputClassName}
+              placeholder="Sales CRM"
+              required
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-slate-200">URL</label>
+            <input
+              type="url"
+              value={form.url}
+              onChange={(event) => setForm({ ...form, url: event.target.value })}
+              className={inputClassName}
+              placeholder="https://example.com/hooks/homesfy"
+              required
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-slate-200">Microsite</label>
+            <input
+              value={form.microsite}
+              onChange={(event) => setForm({ ...form, microsite: event.target.value })}
+              className={inputClassName}
+              placeholder="All projects"
+            />
+            <p className="text-xs text-slate-400">Leave empty to receive events from every project.</p>
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-slate-200">Events</label>
+            <div className="space-y-2">
+              {events.map((event) => (
+                <label key={event.id} className="flex items-start gap-2 text-sm text-slate-200">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event.id)}
+                    onChange={() => toggleFormEvent(event.id)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-mono text-xs text-sky-200">{event.id}</span>
+                    <span className="block text-xs text-slate-400">{event.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+          {status && (
+            <p className={`text-sm ${status.type === "error" ? "text-red-400" : "text-emerald-400"}`}>
+              {status.message}
+            </p>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="rounded-lg bg-sky-600 px-4 py-2 text-sm font-medium text-white hover:bg-sky-500"
+            >
+              {editingId ? "Save changes" : "Add webhook"}
+            </button>
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm font-medium text-slate-200 hover:bg-white/10"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        <div className="space-y-3 lg:col-span-2">
+          {loading ? (
+            <p className="text-sm text-slate-400">Loading webhooks...</p>
+          ) : webhooks.length === 0 ? (
+            <div className="rounded-2xl border border-white/10 bg-white/5 p-6 text-sm text-slate-400 backdrop-blur">
+              No webhooks yet.
+            </div>
+          ) : (
+            webhooks.map((webhook) => (
+              <div key={webhook.id} className="space-y-4 rounded-2xl border border-white/10 bg-white/5 p-5 backdrop-blur">
+                <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+                  <div className="min-w-0 space-y-1">
+                    <p className="font-medium text-white">
+                      {webhook.name}
+                      {!webhook.active && (
+                        <span className="ml-2 rounded-full border border-white/10 bg-white/10 px-2 py-0.5 text-xs text-slate-300">
+                          Disabled
+                        </span>
+                      )}
+                    </p>
+                    <p className="break-all font-mono text-xs text-slate-300">{webhook.url}</p>
+                    <p className="text-xs text-slate-400">
+                      {webhook.microsite ? `Microsite: ${webhook.microsite}` : "All projects"} ·{" "}
+                      {(webhook.events || []).join(", ")}
+                    </p>
+                    <p className="break-all text-xs text-slate-400">
+                      Secret: <span className="font-mono text-slate-300">{webhook.secret}</span>
+                    </p>
+                  </div>
+                  <div className="flex shrink-0 flex-wrap gap-2">
+                    <button
+                      type="button"
+                      onClick={() => handleTest(webhook)}
+                      className="rounded-lg border border-sky-400/40 bg-sky-400/15 px-3 py-1 text-xs font-medium text-sky-100 hover:border-sky-300/60"
+                    >
+                      Send test
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        updateWebhook(webhook, { active: !webhook.active }, "Failed to update webhook")
+                      }
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1 text-xs font-medium text-slate-200 hover:bg-white/10"
+                    >
+                      {webhook.active ? "Disable" : "Enable"}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(webhook)}
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1 text-xs font-medium text-slate-200 hover:bg-white/10"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleRotateSecret(webhook)}
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1 text-xs font-medium text-slate-200 hover:bg-white/10"
+                    >
+                      New secret
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(webhook)}
+                      className="rounded-lg border border-red-500/30 bg-red-500/10 px-3 py-1 text-xs font-medium text-red-300 hover:bg-red-500/20"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+
+                {testResults[webhook.id] && (
+                  <p
+                    className={`text-sm ${
+                      testResults[webhook.id].type === "error"
+                        ? "text-red-400"
+                        : testResults[webhook.id].type === "success"
+                          ? "text-emerald-400"
+                          : "text-sky-400"
+                    }`}
+                  >
+                    Test: {testResults[webhook.id].message}
+                  </p>
+                )}
+
+                <div>
+                  <button
+                    type="button"
+                    onClick={() => setOpenLogId(openLogId === webhook.id ? null : webhook.id)}
+                    className="text-sm font-medium text-sky-300 hover:text-sky-200"
+                  >
+                    {openLogId === webhook.id ? "Hide delivery log" : "Show delivery log"}
+                  </button>
+                  {openLogId === webhook.id && (
+                    <div className="mt-3">
+                      <DeliveryLog webhookId={webhook.id} refreshKey={logRefreshKey} />
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
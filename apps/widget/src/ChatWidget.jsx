@@ -1,5 +1,16 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./styles.css";
+import {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  WIDGET_STRINGS,
+  normalizeLocale,
+  detectVisitorLocale,
+  storeVisitorLocale,
+  getStrings,
+  formatString,
+} from "./i18n.js";
+import { getFirstTouch, getSessionId, getVisitorId } from "./visitorIdentity.js";
 
 const DEFAULT_PRIMARY_COLOR = "#6158ff";
 const DEFAULT_PRIMARY_RGB = "97, 88, 255";
@@ -488,35 +499,49 @@ export function ChatWidget({
   const [selectedCountry, setSelectedCountry] = useState(DEFAULT_COUNTRY);
   // Simple flow state: CTA → BHK → Name + Phone (together)
   const [currentStage, setCurrentStage] = useState(preservedState?.currentStage || "cta"); // "cta" | "bhk" | "name" | "complete"
-
-  const resolvedTheme = useMemo(
-    () => ({
-      agentName: theme.agentName || "Riya Agarwal",
+  // Dialogue state returned by POST /api/chat, sent back with the next free-text message
+  const [chatState, setChatState] = useState(preservedState?.chatState || null);
+  // Token of the server-side chat session that stores that state, sent back with every message
+  const [chatSessionToken, setChatSessionToken] = useState(preservedState?.chatSessionToken || null);
+
+  // Visitor's language (picked in the header or detected from the browser); falls back
+  // to the project's default language from the widget config.
+  const [visitorLocale, setVisitorLocale] = useState(() => preservedState?.visitorLocale || detectVisitorLocale());
+  const projectLocale = normalizeLocale(theme.locale) || DEFAULT_LOCALE;
+  const locale = visitorLocale || projectLocale;
+  const strings = getStrings(locale);
+
+  const resolvedTheme = useMemo(() => {
+    const agentName = theme.agentName || "Riya Agarwal";
+    // Messages edited in the dashboard are written in the project's language
+    const themeCopy = locale === projectLocale ? theme : {};
+    return {
+      agentName,
       avatarUrl: resolveAvatarUrl(theme.avatarUrl),
       primaryColor: theme.primaryColor || DEFAULT_PRIMARY_COLOR,
       bubblePosition: theme.bubblePosition || "bottom-right",
       welcomeMessage:
-        theme.welcomeMessage ||
-        "Hey, I'm Riya Agarwal! How can I help you understand this project?",
+        themeCopy.welcomeMessage ||
+        formatString(strings.welcomeMessage, { agentName }),
       namePrompt:
-        theme.namePrompt || "Please enter your name",
+        themeCopy.namePrompt || strings.namePrompt,
       ctaAcknowledgement:
-        theme.followupMessage ||
-        theme.ctaAcknowledgement ||
-        "Sure… I'll send that across right away!",
+        themeCopy.followupMessage ||
+        themeCopy.ctaAcknowledgement ||
+        strings.ctaAcknowledgement,
       bhkPrompt:
-        theme.bhkPrompt || "Which configuration you are looking for?",
+        themeCopy.bhkPrompt || strings.bhkPrompt,
       inventoryMessage:
-        theme.inventoryMessage ||
-        "That's cool… we have inventory available with us.",
+        themeCopy.inventoryMessage ||
+        strings.inventoryMessage,
       phonePrompt:
-        theme.phonePrompt || "Please enter your mobile number...",
+        themeCopy.phonePrompt || strings.phonePrompt,
       thankYouMessage:
-        theme.thankYouMessage ||
-        "Thanks! Our expert will call you shortly 📞",
+        themeCopy.thankYouMessage ||
+        strings.thankYouMessage,
       autoOpenDelayMs: Number(theme.autoOpenDelayMs || 4000),
-      bubbleTitle: theme.bubbleTitle || "Chat with us",
-      bubbleSubtitle: theme.bubbleSubtitle || "Expert help in minutes",
+      bubbleTitle: themeCopy.bubbleTitle || strings.bubbleTitle,
+      bubbleSubtitle: themeCopy.bubbleSubtitle || strings.bubbleSubtitle,
       heroPoints:
         Array.isArray(theme.heroPoints) && theme.heroPoints.length > 0
           ? theme.heroPoints
@@ -532,9 +557,9 @@ export function ChatWidget({
               "2000+ happy buyers assisted",
               "Verified listings • RERA compliant",
             ],
-    }),
-    [theme]
-  );
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [theme, locale]);
 
   // Store latest theme in ref for use in effects (initialized after resolvedTheme is defined)
   const resolvedThemeRef = useRef(resolvedTheme);
@@ -583,9 +608,12 @@ export function ChatWidget({
       preservedState.userName = userName;
       preservedState.nameSubmitted = nameSubmitted;
       preservedState.phoneSubmitted = phoneSubmitted;
+      preservedState.chatState = chatState;
+      preservedState.chatSessionToken = chatSessionToken;
+      preservedState.visitorLocale = visitorLocale;
       preservedState.componentMountId = componentMountIdRef.current;
     }
-  }, [isOpen, messages, selectedCta, selectedBhk, currentStage, userName, nameSubmitted, phoneSubmitted, preservedState]);
+  }, [isOpen, messages, selectedCta, selectedBhk, currentStage, userName, nameSubmitted, phoneSubmitted, chatState, chatSessionToken, visitorLocale, preservedState]);
   
   // Detect component mount/remount - simplified to prevent conflicts
   const hasMountedRef = useRef(false);
@@ -709,6 +737,8 @@ export function ChatWidget({
         type,
         projectId,
         microsite,
+        visitorId: getVisitorId(),
+        sessionId: getSessionId(),
         payload,
       }),
       credentials: 'omit', // CRITICAL: Must be 'omit' when using wildcard CORS
@@ -718,13 +748,15 @@ export function ChatWidget({
     });
   }
 
-  function pushSystemMessage(text) {
+  function pushSystemMessage(text, rich = null) {
     setMessages((prev) => [
       ...prev,
       {
         id: generateId(),
         type: "system",
         text,
+        // Optional quick replies / cards / links / actions from the chat API
+        ...(rich && { rich }),
         timestamp: Date.now(),
       },
     ]);
@@ -759,7 +791,7 @@ export function ChatWidget({
     if (!hasShownRef.current) {
       hasShownRef.current = true;
       pushSystemMessage(resolvedTheme.welcomeMessage);
-      trackEvent("chat_shown");
+      trackEvent("chat_shown", { locale });
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [resolvedTheme.welcomeMessage, setIsOpen]); // trackEvent is stable and doesn't need to be in deps
@@ -841,11 +873,19 @@ export function ChatWidget({
       return acc;
     }, {});
 
+    const landingPage = `${currentUrl.pathname}${currentUrl.search}`;
+    const firstTouch = getFirstTouch({
+      utm: Object.keys(utm).length ? utm : undefined,
+      referrer: document.referrer || undefined,
+      landingPage,
+    });
+
     setVisitorContext((prev) => ({
       ...prev,
       utm: Object.keys(utm).length ? utm : prev?.utm,
-      landingPage: `${currentUrl.pathname}${currentUrl.search}`,
+      landingPage,
       referrer: document.referrer || prev?.referrer,
+      firstTouch,
       userAgent:
         typeof navigator !== "undefined"
           ? navigator.userAgent
@@ -941,9 +981,19 @@ export function ChatWidget({
     setShowModal(false);
   };
 
+  const handleLocaleChange = (event) => {
+    const nextLocale = normalizeLocale(event.target.value);
+    if (!nextLocale) {
+      return;
+    }
+    setVisitorLocale(nextLocale);
+    storeVisitorLocale(nextLocale);
+    trackEvent("locale_changed", { locale: nextLocale });
+  };
+
   const handleCtaSelect = (cta) => {
     setSelectedCta(cta);
-    pushUserMessage(cta);
+    pushUserMessage(strings.ctaOptions[cta] || cta);
     trackEvent("cta_selected", { label: cta });
     setCurrentStage("bhk");
     setIsTyping(true);
@@ -958,12 +1008,101 @@ export function ChatWidget({
     }, 1100);
   };
 
+  // Free-text question to the chat API. Resolves false when the API is unavailable
+  // so the caller can fall back to the scripted flow.
+  const askChatApi = async (text) => {
+    if (!apiBaseUrl) {
+      return false;
+    }
+
+    setIsTyping(true);
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/chat`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          message: text,
+          projectId,
+          microsite,
+          visitorId: getVisitorId(),
+          sessionId: getSessionId(),
+          visitor: {
+            utm: visitorContext.utm,
+            referrer: visitorContext.referrer,
+            landingPage: visitorContext.landingPage,
+            firstTouch: visitorContext.firstTouch,
+          },
+          propertyInfo,
+          state: chatState,
+          ...(chatSessionToken && { chatSessionToken }),
+          locale,
+          conversation: messages.map((message) => ({
+            type: message.type,
+            text: message.text,
+            timestamp: message.timestamp,
+          })),
+        }),
+        credentials: 'omit', // CRITICAL: Must be 'omit' when using wildcard CORS
+      });
+
+      if (!response.ok) {
+        return false;
+      }
+
+      const data = await response.json();
+      if (!data || typeof data.response !== "string" || !data.response) {
+        return false;
+      }
+
+      setChatState(data.state || null);
+      if (data.chatSessionToken) {
+        setChatSessionToken(data.chatSessionToken);
+      }
+      pushSystemMessage(data.response, data.rich || null);
+      trackEvent("chat_message", { intent: data.intent });
+
+      // The API created a lead from details typed into the chat
+      if (data.leadId) {
+        setPhoneSubmitted(true);
+        setCurrentStage("complete");
+      }
+      return true;
+    } catch (err) {
+      console.warn("HomesfyChat: Chat API unavailable, using scripted flow", err);
+      return false;
+    } finally {
+      setIsTyping(false);
+    }
+  };
+
+  // Quick replies show a translated label but send the English value
+  const handleQuickReply = async ({ label, value }) => {
+    if (isTyping || phoneSubmitted) {
+      return;
+    }
+
+    // Quick replies that name a CTA continue the scripted flow
+    const matchingCta = ctaOptions.find(
+      (cta) => cta.toLowerCase().replace(/[^\w\s]/g, "").trim() === value.toLowerCase().replace(/[^\w\s]/g, "").trim()
+    );
+    if (matchingCta && !selectedCta) {
+      handleCtaSelect(matchingCta);
+      return;
+    }
+
+    pushUserMessage(label || value);
+    trackEvent("quick_reply_selected", { label: value });
+    await askChatApi(value);
+  };
+
   const handleBhkSelect = (bhk) => {
     setSelectedBhk(bhk);
     setManualInput("");
     setNameInput("");
     setPhoneInput("");
-    pushUserMessage(bhk);
+    pushUserMessage(strings.bhkOptions[bhk] || bhk);
     trackEvent("chat_started", { bhkType: bhk });
     setCurrentStage("name");
     setIsTyping(true);
@@ -1006,7 +1145,7 @@ export function ChatWidget({
   const handleManualInputChange = (event) => {
     let nextValue = event.target.value;
     // For regular chat input (not lead capture)
-    nextValue = nextValue.replace(/[^\w\s.,!?@#$%^&*()\-+=]/g, "");
+    nextValue = nextValue.replace(/[^\p{L}\p{M}\p{N}_\s.,!?@#$%^&*()\-+=]/gu, "");
     setManualInput(nextValue);
     if (error) {
       setError(null);
@@ -1016,7 +1155,7 @@ export function ChatWidget({
   const handleNameInputChange = (event) => {
     let nextValue = event.target.value;
     // Allow letters, spaces, and common name characters
-    nextValue = nextValue.replace(/[^a-zA-Z\s'-]/g, "");
+    nextValue = nextValue.replace(/[^\p{L}\p{M}\s'-]/gu, "");
     setNameInput(nextValue);
     if (error) {
       setError(null);
@@ -1046,26 +1185,23 @@ export function ChatWidget({
       typeof rawInput === "string" ? rawInput.trim() : String(rawInput || "");
 
     if (!rawString) {
-      setError("Please enter a valid phone number.");
+      setError(strings.errors.invalidPhone);
       return false;
     }
-    
-    // Use provided name if available, otherwise use userName from state
-    const nameToUse = providedName || userName || "Guest";
 
     // IMPORTANT: User selects country code from dropdown, then types only digits
     // We always use the selected country code from the dropdown (not typed)
     const digitsOnly = rawString.replace(/\D/g, "");
 
       if (!digitsOnly) {
-        setError("Please enter a valid phone number.");
+        setError(strings.errors.invalidPhone);
         return false;
       }
 
     // CRITICAL: Require country code selection from dropdown
       const dialCode = selectedCountry?.code;
       if (!dialCode) {
-      setError("Please select a country code from the dropdown.");
+      setError(strings.errors.selectCountry);
         return false;
       }
 
@@ -1123,27 +1259,19 @@ export function ChatWidget({
 
       conversationSnapshot.push(submissionMessage);
 
-      // Extract country code and number for Homesfy CRM API
       const countryCode = validationResult.country?.code || "+91";
-      // Use the subscriber digits directly from validation result
-      let phoneNumber = validationResult.subscriber || "";
-      
-      // Ensure we have just the digits without country code
-      phoneNumber = phoneNumber.replace(/\D/g, "");
-      
-      // Determine nationality: 1 for India (+91), 2 for others
-      const nationality = countryCode === "+91" ? 1 : 2;
-      
+      const phoneNumber = (validationResult.subscriber || "").replace(/\D/g, "");
+
       // Validate Indian phone numbers (must be 10 digits starting with 6-9)
       if (countryCode === "+91") {
         if (phoneNumber.length !== 10 || !/^[6-9]/.test(phoneNumber)) {
-          setError("Invalid phone number. For Indian numbers, enter a valid 10-digit number starting with 6-9.");
+          setError(strings.errors.invalidIndianPhone);
           return false;
         }
       }
 
       // Get project ID for lead submission - extracted from script's data-project attribute
-      // This ensures each microsite's leads are sent to CRM with the correct project ID
+      // The API forwards each microsite's leads to the CRM with this project ID
       // Widget design is shared (same for all), but leads are project-specific
       const urlParams = new URLSearchParams(window.location.search);
       const projectIdFromUrl = urlParams.get("project_id") || urlParams.get("projectId");
@@ -1154,188 +1282,71 @@ export function ChatWidget({
         document.querySelector('script[src*="widget.js"]');
       const projectIdFromData = scriptElement?.dataset?.project || scriptElement?.dataset?.projectId;
       // Use projectId prop FIRST (from embed script data-project attribute)
-      // This is the project ID that will be sent to CRM with the lead
       const finalProjectId = projectId || projectIdFromUrl || projectIdFromData || "5796";
-      
-      // Project ID is used for lead submission to CRM
-      // Widget design uses shared config (same for all projects)
-      // Removed sensitive logging - project ID logging removed for privacy
 
-      // Get magnet_id from URL if present
+      // Campaign (magnet) leads are tagged as such in the CRM
       const magnetId = urlParams.get("magnet_id");
 
-      // Get UTM parameters (matching the provided API structure)
-      const utmParams = {};
-      UTM_PARAMS.forEach(param => {
-        const value = urlParams.get(param);
-        if (value) {
-          // Map to the format used in the provided API: utm_source -> utmsource, etc.
-          const key = param.replace("utm_", "");
-          utmParams[`utm${key}`] = value;
-        }
-      });
-      
-      // Also check sessionStorage for UTM params (matching provided API behavior)
-      UTM_PARAMS.forEach(param => {
-        const storedValue = sessionStorage.getItem(param);
-        if (storedValue && !utmParams[param.replace("utm_", "utm")]) {
-          const key = param.replace("utm_", "");
-          utmParams[`utm${key}`] = storedValue;
-        }
-      });
-
-      // Get device and browser info
-      const deviceInfo = navigator.userAgent.match(/Android/i) || navigator.userAgent.match(/webOS/i) || 
-        navigator.userAgent.match(/iPhone/i) || navigator.userAgent.match(/Windows Phone/i) 
-        ? "Mobile" 
-        : navigator.userAgent.match(/iPad/i) || navigator.userAgent.match(/iPod/i) 
-        ? "Tablet" 
-        : "Desktop";
-
-      const browserInfo = navigator.userAgent.indexOf("Chrome") > -1 ? "Chrome" :
-        navigator.userAgent.indexOf("Firefox") > -1 ? "Firefox" :
-        navigator.userAgent.indexOf("Safari") > -1 ? "Safari" :
-        navigator.userAgent.indexOf("Edge") > -1 ? "Edge" : "Other";
-
-      // Get IP address
-      let clientIp = "0.0.0.0";
-      try {
-        const ipResponse = await fetch("https://api.ipify.org/?format=json", { mode: "cors" });
-        if (ipResponse.ok) {
-          const ipData = await ipResponse.json();
-          clientIp = ipData.ip || "0.0.0.0";
-        }
-      } catch (err) {
-        console.warn("Failed to fetch IP address", err);
-      }
-
-      // Prepare payload for Homesfy CRM API (matching the provided API structure)
-      // Use nameToUse which comes from parameter or state
-      const leadName = nameToUse || userName || "Guest";
-      
-      // Removed sensitive logging - name, phone, and country code logging removed for privacy
-      
-      const crmPayload = {
-        name: leadName,
-        email: null, // Not collected in simplified flow
-        country_code: countryCode,
-        number: phoneNumber,
-        tracking_lead_id: magnetId || `chat-${Date.now()}`,
-        nationality: nationality,
-        source_id: magnetId ? 49 : 31, // 49 for magnet campaigns, 31 for regular chat widget leads
-        project_id: Number(finalProjectId) || Number(projectId) || 5796, // Use project ID from embed script (data-project attribute)
-        Digital: {
-          user_device: deviceInfo,
-          user_browser: browserInfo,
-          campaing_type: utmParams.utmcampaign || urlParams.get("utm_campaign") || null, // Note: typo "campaing" matches provided API
-          launch_name: "",
-          client_ipaddress: clientIp,
-          client_pref: null
-        }
-      };
-
-      // Add UTM params if present (matching the provided API structure)
-      if (Object.keys(utmParams).length > 0) {
-        crmPayload.Utm = {
-          utm_medium: utmParams.utmmedium || null,
-          utm_source: utmParams.utmsource || null,
-          utm_content: utmParams.utmcontent || null,
-          utm_term: utmParams.utmterm || null,
-        };
-      }
-
-      // Add magnet info if present
-      if (magnetId) {
-        crmPayload.is_magnet = 1;
-        crmPayload.magnet_id = magnetId;
-      }
-
-      // Send to Homesfy CRM API - always use production API
-      const crmBaseUrl = "https://api.homesfy.in";
-
-      // Removed sensitive logging - full CRM payload logging removed for privacy
-
-      const crmResponse = await fetch(`${crmBaseUrl}/api/leads/create`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(crmPayload),
-      });
-
-      const responseText = await crmResponse.text();
-      // Removed sensitive logging - API response logging removed for privacy
-      // Only log status for debugging (non-sensitive)
-      if (process.env.NODE_ENV === 'development') {
-        console.log("HomesfyChat: CRM API Response Status:", crmResponse.status);
-      }
-
-      if (!crmResponse.ok) {
-        let errorMessage = `Failed to save lead to CRM (${crmResponse.status})`;
+      // UTM parameters from an earlier page of the visit, when this URL has none
+      const storedUtm = UTM_PARAMS.reduce((acc, param) => {
         try {
-          if (responseText) {
-            const errorData = JSON.parse(responseText);
-            errorMessage = errorData.message || errorData.error || errorMessage;
-            // Removed sensitive logging - only log error message, not full error data
-            if (process.env.NODE_ENV === 'development') {
-              console.error("HomesfyChat: CRM API Error:", errorMessage);
-            }
+          const storedValue = sessionStorage.getItem(param);
+          if (storedValue) {
+            acc[param.replace("utm_", "")] = storedValue;
           }
         } catch (e) {
-          // Removed sensitive logging - response text logging removed for privacy
-          if (process.env.NODE_ENV === 'development') {
-            console.error("HomesfyChat: CRM API Error (non-JSON)");
-          }
-        }
-        throw new Error(errorMessage);
-      }
-      
-      // Parse successful response
-      try {
-        const responseData = JSON.parse(responseText);
-        // Removed sensitive logging - response data logging removed for privacy
-        if (process.env.NODE_ENV === 'development') {
-          console.log("HomesfyChat: ✅ Lead saved to CRM successfully");
+          // Ignore sessionStorage errors
         }
-      } catch (e) {
-        if (process.env.NODE_ENV === 'development') {
-          console.log("HomesfyChat: ✅ Lead saved to CRM (response not JSON)");
-        }
-      }
+        return acc;
+      }, {});
 
-      // Also save to local API for dashboard tracking
-      try {
-        const localPayload = {
+      // One submission to our API; it stores the lead and forwards it to the CRM
+      // (with retries), so a CRM outage no longer fails the visitor's submission
+      const leadPayload = {
         phone: normalizedPhone,
-          bhkType: selectedBhk || "Yet to decide",
+        bhkType: selectedBhk || "Yet to decide",
         microsite: microsite || projectId,
         metadata: {
-            projectId: finalProjectId,
-            name: userName,
+          projectId: finalProjectId,
+          name: providedName || userName,
           visitor: {
             ...visitorContext,
+            visitorId: getVisitorId(),
+            sessionId: getSessionId(),
+            utm: visitorContext.utm || (Object.keys(storedUtm).length ? storedUtm : undefined),
             lastInteractionAt: new Date().toISOString(),
           },
           phoneCountry: validationResult.country?.name,
           phoneCountryCode: validationResult.country?.countryCode,
           phoneDialCode: validationResult.country?.code,
           phoneSubscriber: validationResult.subscriber,
+          locale,
+          ...(selectedCta && { cta: selectedCta }),
+          ...(magnetId && { magnetId }),
         },
         conversation: conversationSnapshot,
+        // The chat session already holds the dialogue state; without one, send the widget's copy
+        ...(chatSessionToken ? { chatSessionToken } : chatState && { dialogueState: chatState }),
       };
 
-        await fetch(`${apiBaseUrl}/api/leads`, {
+      const leadResponse = await fetch(`${apiBaseUrl}/api/leads`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-          body: JSON.stringify(localPayload),
-          credentials: 'omit', // CRITICAL: Must be 'omit' when using wildcard CORS
-        }).catch(() => {
-          // Silently fail if local API is not available
+        body: JSON.stringify(leadPayload),
+        credentials: 'omit', // CRITICAL: Must be 'omit' when using wildcard CORS
       });
-      } catch (localErr) {
-        console.warn("Failed to save to local API", localErr);
+
+      if (!leadResponse.ok) {
+        let errorMessage = `Failed to save lead (${leadResponse.status})`;
+        try {
+          const errorData = await leadResponse.json();
+          errorMessage = errorData.message || errorMessage;
+        } catch (e) {
+          // Non-JSON error response
+        }
+        throw new Error(errorMessage);
       }
 
       pushUserMessage(displayPhone || normalizedPhone);
@@ -1376,7 +1387,7 @@ export function ChatWidget({
       if (process.env.NODE_ENV === 'development') {
         console.error("HomesfyChat: Error submitting lead:", err.message);
       }
-      setError("We couldn't save your details. Please try again.");
+      setError(strings.errors.saveFailed);
       return false;
     }
   }
@@ -1413,11 +1424,16 @@ export function ChatWidget({
       }
       
       // If not a CTA, handle as a greeting/free-form message
-      // Treat it like a CTA selection - hide buttons and continue flow
       const userMessage = trimmed;
       pushUserMessage(userMessage);
       setManualInput("");
+
+      // Let the chat API answer it; the CTA buttons stay available below the reply
+      if (await askChatApi(userMessage)) {
+        return;
+      }
       
+      // Chat API unavailable: treat it like a CTA selection - hide buttons and continue flow
       // Set a default CTA to hide the buttons (use first CTA as default)
       setSelectedCta(ctaOptions[0]);
       trackEvent("cta_selected", { label: "user_message", userMessage });
@@ -1471,19 +1487,19 @@ export function ChatWidget({
       
       // Validate name
       if (!nameTrimmed || nameTrimmed.length < 2) {
-        setError("Please enter your name (at least 2 characters).");
+        setError(strings.errors.nameTooShort);
         return;
       }
       
-      const namePattern = /^[a-zA-Z\s'-]{2,50}$/;
+      const namePattern = /^[\p{L}\p{M}\s'-]{2,50}$/u;
       if (!namePattern.test(nameTrimmed)) {
-        setError("Please enter a valid name (letters only).");
+        setError(strings.errors.invalidName);
         return;
       }
       
       // Validate phone
       if (!phoneTrimmed) {
-        setError("Please enter your phone number.");
+        setError(strings.errors.phoneRequired);
         return;
       }
       
@@ -1573,10 +1589,22 @@ export function ChatWidget({
                 </p>
                 <p className="homesfy-widget__agent-status">
                   <span className="homesfy-widget__status-dot" aria-hidden />
-                  Live property expert • 
+                  {strings.agentStatus}
                 </p>
               </div>
             </div>
+            <select
+              className="homesfy-widget__locale-select"
+              value={locale}
+              onChange={handleLocaleChange}
+              aria-label={strings.languageLabel}
+            >
+              {SUPPORTED_LOCALES.map((code) => (
+                <option key={code} value={code}>
+                  {WIDGET_STRINGS[code].languageName}
+                </option>
+              ))}
+            </select>
             <button className="homesfy-widget__close" onClick={handleToggle}>
               ×
             </button>
@@ -1585,8 +1613,14 @@ export function ChatWidget({
           {/* Hero section removed per request */}
 
           <div className="homesfy-widget__messages">
-            {messages.map((message) => {
+            {messages.map((message, messageIndex) => {
               const isUser = message.type === "user";
+              const rich = !isUser ? message.rich : null;
+              const showQuickReplies =
+                rich?.quickReplies?.length > 0 &&
+                messageIndex === messages.length - 1 &&
+                !isTyping &&
+                !phoneSubmitted;
 
               return (
                 <div
@@ -1622,6 +1656,51 @@ export function ChatWidget({
                         );
                       })}
                     </div>
+                    {rich?.cards?.length > 0 && (
+                      <div className="homesfy-widget__rich-cards">
+                        {rich.cards.map((card) => (
+                          <div key={`${card.title}-${card.price}`} className="homesfy-widget__rich-card">
+                            <p className="homesfy-widget__rich-card-title">{card.title}</p>
+                            {card.subtitle && (
+                              <p className="homesfy-widget__rich-card-subtitle">{card.subtitle}</p>
+                            )}
+                            {card.price && (
+                              <p className="homesfy-widget__rich-card-price">{card.price}</p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {(rich?.links?.length > 0 || rich?.actions?.length > 0) && (
+                      <div className="homesfy-widget__rich-actions">
+                        {[...(rich.links || []), ...(rich.actions || [])].map((item) => (
+                          <a
+                            key={item.url}
+                            href={item.url}
+                            target={item.type === "call" ? undefined : "_blank"}
+                            rel="noopener noreferrer"
+                            className={`homesfy-widget__rich-action homesfy-widget__rich-action--${item.type}`}
+                            onClick={() => trackEvent("chat_action_clicked", { type: item.type })}
+                          >
+                            {item.label}
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                    {showQuickReplies && (
+                      <div className="homesfy-widget__quick-replies">
+                        {rich.quickReplies.map((reply) => (
+                          <button
+                            key={reply.value}
+                            type="button"
+                            className="homesfy-widget__quick-reply"
+                            onClick={() => handleQuickReply(reply)}
+                          >
+                            {reply.label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                     <span className="homesfy-widget__message-time">
                       {formatMessageTime(message.timestamp)}
                     </span>
@@ -1667,7 +1746,7 @@ export function ChatWidget({
                       }}
                       onClick={() => handleCtaSelect(option)}
                     >
-                      {option}
+                      {strings.ctaOptions[option] || option}
                     </button>
                   );
                 })}
@@ -1692,7 +1771,7 @@ export function ChatWidget({
                     }}
                     onClick={() => handleBhkSelect(option)}
                   >
-                    {option}
+                    {strings.bhkOptions[option] || option}
                   </button>
                 ))}
               </div>
@@ -1700,7 +1779,7 @@ export function ChatWidget({
 
             {phoneSubmitted && (
               <p className="homesfy-widget__footer-note">
-                You can close the chat. We'll reach out soon.
+                {strings.footerNote}
               </p>
             )}
 
@@ -1721,7 +1800,7 @@ export function ChatWidget({
                     <input
                       type="text"
                       className="homesfy-widget__field homesfy-widget__field--name"
-                      placeholder="Enter your name"
+                      placeholder={strings.namePlaceholder}
                       value={nameInput}
                       onChange={handleNameInputChange}
                       disabled={isTyping || phoneSubmitted}
@@ -1770,7 +1849,7 @@ export function ChatWidget({
                     <input
                       type="tel"
                       className="homesfy-widget__field homesfy-widget__field--phone"
-                      placeholder="Enter your number"
+                      placeholder={strings.phonePlaceholder}
                       value={phoneInput}
                       onChange={handlePhoneInputChange}
                       disabled={isTyping || phoneSubmitted}
@@ -1789,7 +1868,7 @@ export function ChatWidget({
                   disabled={isTyping || !nameInput.trim() || !phoneInput.trim() || phoneSubmitted}
                   title="Submit name and phone number"
                 >
-                  Submit
+                  {strings.submit}
                 </button>
               </form>
             ) : (
@@ -1802,7 +1881,7 @@ export function ChatWidget({
                   <input
                     type="text"
                     className="homesfy-widget__field"
-                    placeholder={!selectedCta ? "Write a reply.." : !selectedBhk ? "Tell us your preferred configuration" : "Write a reply.."}
+                    placeholder={selectedCta && !selectedBhk ? strings.bhkPlaceholder : strings.replyPlaceholder}
                     value={manualInput}
                     onChange={handleManualInputChange}
                     disabled={isTyping || phoneSubmitted}
@@ -1841,10 +1920,10 @@ export function ChatWidget({
             </button>
             <div className="homesfy-widget__modal-header">
               <h3 className="homesfy-widget__modal-title">
-                Hey, I'm {resolvedTheme.agentName}!
+                {formatString(strings.modalTitle, { agentName: resolvedTheme.agentName })}
               </h3>
               <p className="homesfy-widget__modal-message">
-                How can I help you?
+                {strings.modalMessage}
               </p>
             </div>
             <button
@@ -1852,7 +1931,7 @@ export function ChatWidget({
               style={{ background: resolvedTheme.primaryColor }}
               onClick={handleModalChatClick}
             >
-              Let's Chat
+              {strings.modalButton}
             </button>
           </div>
         </div>
@@ -0,0 +1,170 @@
+// Widget copy per language. CTA and BHK options keep their English value (sent
+// to the API, CRM and analytics); only the label shown to the visitor changes.
+
+export const DEFAULT_LOCALE = "en";
+
+const LOCALE_STORAGE_KEY = "homesfyChatLocale";
+
+export const WIDGET_STRINGS = {
+  en: {
+    languageName: "English",
+    welcomeMessage: "Hey, I'm {agentName}! How can I help you understand this project?",
+    ctaAcknowledgement: "Sure… I'll send that across right away!",
+    bhkPrompt: "Which configuration you are looking for?",
+    inventoryMessage: "That's cool… we have inventory available with us.",
+    namePrompt: "Please enter your name",
+    phonePrompt: "Please enter your mobile number...",
+    thankYouMessage: "Thanks! Our expert will call you shortly 📞",
+    bubbleTitle: "Chat with us",
+    bubbleSubtitle: "Expert help in minutes",
+    agentStatus: "Live property expert •",
+    replyPlaceholder: "Write a reply..",
+    bhkPlaceholder: "Tell us your preferred configuration",
+    namePlaceholder: "Enter your name",
+    phonePlaceholder: "Enter your number",
+    submit: "Submit",
+    footerNote: "You can close the chat. We'll reach out soon.",
+    modalTitle: "Hey, I'm {agentName}!",
+    modalMessage: "How can I help you?",
+    modalButton: "Let's Chat",
+    languageLabel: "Language",
+    errors: {
+      phoneRequired: "Please enter your phone number.",
+      invalidPhone: "Please enter a valid phone number.",
+      selectCountry: "Please select a country code from the dropdown.",
+      invalidIndianPhone: "Invalid phone number. For Indian numbers, enter a valid 10-digit number starting with 6-9.",
+      saveFailed: "We couldn't save your details. Please try again.",
+      nameTooShort: "Please enter your name (at least 2 characters).",
+      invalidName: "Please enter a valid name (letters only).",
+    },
+    ctaOptions: {},
+    bhkOptions: {},
+  },
+  hi: {
+    languageName: "हिंदी",
+    welcomeMessage: "नमस्ते, मैं {agentName} हूँ! इस प्रोजेक्ट के बारे में मैं आपकी क्या मदद कर सकती हूँ?",
+    ctaAcknowledgement: "ज़रूर… मैं अभी भेज देती हूँ!",
+    bhkPrompt: "आप कौन सा कॉन्फ़िगरेशन देख रहे हैं?",
+    inventoryMessage: "बढ़िया… हमारे पास इन्वेंटरी उपलब्ध है।",
+    namePrompt: "कृपया अपना नाम दर्ज करें",
+    phonePrompt: "कृपया अपना मोबाइल नंबर दर्ज करें...",
+    thankYouMessage: "धन्यवाद! हमारे एक्सपर्ट जल्द ही आपको कॉल करेंगे 📞",
+    bubbleTitle: "हमसे बात करें",
+    bubbleSubtitle: "मिनटों में एक्सपर्ट की मदद",
+    agentStatus: "लाइव प्रॉपर्टी एक्सपर्ट •",
+    replyPlaceholder: "अपना जवाब लिखें..",
+    bhkPlaceholder: "अपना पसंदीदा कॉन्फ़िगरेशन बताएँ",
+    namePlaceholder: "अपना नाम लिखें",
+    phonePlaceholder: "अपना नंबर लिखें",
+    submit: "भेजें",
+    footerNote: "आप चैट बंद कर सकते हैं। हम जल्द ही संपर्क करेंगे।",
+    modalTitle: "नमस्ते, मैं {agentName} हूँ!",
+    modalMessage: "मैं आपकी क्या मदद कर सकती हूँ?",
+    modalButton: "चैट करें",
+    languageLabel: "भाषा",
+    errors: {
+      phoneRequired: "कृपया अपना फ़ोन नंबर दर्ज करें।",
+      invalidPhone: "कृपया सही फ़ोन नंबर दर्ज करें।",
+      selectCountry: "कृपया ड्रॉपडाउन से कंट्री कोड चुनें।",
+      invalidIndianPhone: "फ़ोन नंबर गलत है। भारतीय नंबर 6-9 से शुरू होने वाला 10 अंकों का होना चाहिए।",
+      saveFailed: "आपकी जानकारी सेव नहीं हो पाई। कृपया फिर से कोशिश करें।",
+      nameTooShort: "कृपया अपना नाम दर्ज करें (कम से कम 2 अक्षर)।",
+      invalidName: "कृपया सही नाम दर्ज करें (केवल अक्षर)।",
+    },
+    ctaOptions: {
+      "Pricing & Floor Plans 💸💸": "कीमत और फ्लोर प्लान 💸💸",
+      "Download Brochure ⬇️": "ब्रोशर डाउनलोड करें ⬇️",
+      "Get The Best Quote 💰": "सबसे अच्छी कीमत पाएँ 💰",
+      "Site Visit Or Virtual Tour 🚁": "साइट विज़िट या वर्चुअल टूर 🚁",
+      "Pricing on Whatsapp ✅": "WhatsApp पर कीमत ✅",
+      "Get A Call Back 📞": "कॉल बैक पाएँ 📞",
+    },
+    bhkOptions: {
+      Other: "अन्य",
+      "Yet to decide": "अभी तय नहीं",
+    },
+  },
+  mr: {
+    languageName: "मराठी",
+    welcomeMessage: "नमस्कार, मी {agentName}! या प्रोजेक्टबद्दल मी तुम्हाला कशी मदत करू शकते?",
+    ctaAcknowledgement: "नक्की… मी लगेच पाठवते!",
+    bhkPrompt: "तुम्ही कोणते कॉन्फिगरेशन शोधत आहात?",
+    inventoryMessage: "छान… आमच्याकडे इन्व्हेंटरी उपलब्ध आहे.",
+    namePrompt: "कृपया तुमचे नाव टाका",
+    phonePrompt: "कृपया तुमचा मोबाईल नंबर टाका...",
+    thankYouMessage: "धन्यवाद! आमचे एक्सपर्ट लवकरच तुम्हाला कॉल करतील 📞",
+    bubbleTitle: "आमच्याशी बोला",
+    bubbleSubtitle: "काही मिनिटांत एक्सपर्टची मदत",
+    agentStatus: "लाइव्ह प्रॉपर्टी एक्सपर्ट •",
+    replyPlaceholder: "तुमचे उत्तर लिहा..",
+    bhkPlaceholder: "तुमचे आवडते कॉन्फिगरेशन सांगा",
+    namePlaceholder: "तुमचे नाव लिहा",
+    phonePlaceholder: "तुमचा नंबर लिहा",
+    submit: "पाठवा",
+    footerNote: "तुम्ही चॅट बंद करू शकता. आम्ही लवकरच संपर्क करू.",
+    modalTitle: "नमस्कार, मी {agentName}!",
+    modalMessage: "मी तुम्हाला कशी मदत करू शकते?",
+    modalButton: "चॅट करा",
+    languageLabel: "भाषा",
+    errors: {
+      phoneRequired: "कृपया तुमचा फोन नंबर टाका.",
+      invalidPhone: "कृपया योग्य फोन नंबर टाका.",
+      selectCountry: "कृपया ड्रॉपडाउनमधून कंट्री कोड निवडा.",
+      invalidIndianPhone: "फोन नंबर चुकीचा आहे. भारतीय नंबर 6-9 ने सुरू होणारा 10 अंकी असावा.",
+      saveFailed: "तुमची माहिती सेव्ह झाली नाही. कृपया पुन्हा प्रयत्न करा.",
+      nameTooShort: "कृपया तुमचे नाव टाका (किमान 2 अक्षरे).",
+      invalidName: "कृपया योग्य नाव टाका (फक्त अक्षरे).",
+    },
+    ctaOptions: {
+      "Pricing & Floor Plans 💸💸": "किंमत आणि फ्लोअर प्लॅन 💸💸",
+      "Download Brochure ⬇️": "ब्रोशर डाउनलोड करा ⬇️",
+      "Get The Best Quote 💰": "सर्वोत्तम किंमत मिळवा 💰",
+      "Site Visit Or Virtual Tour 🚁": "साइट व्हिजिट किंवा व्हर्च्युअल टूर 🚁",
+      "Pricing on Whatsapp ✅": "WhatsApp वर किंमत ✅",
+      "Get A Call Back 📞": "कॉल बॅक मिळवा 📞",
+    },
+    bhkOptions: {
+      Other: "इतर",
+      "Yet to decide": "अजून ठरवले नाही",
+    },
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(WIDGET_STRINGS);
+
+export function normalizeLocale(value) {
+  if (typeof value !== "string") return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+// Locale the visitor picked earlier, or their browser language when it is a regional one.
+// English browsers return null and get the project's default language, since most
+// visitors browse in English whatever language they would rather chat in.
+export function detectVisitorLocale() {
+  try {
+    const stored = normalizeLocale(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+    if (stored) return stored;
+  } catch (e) {
+    // Ignore localStorage errors
+  }
+
+  const browserLocale = typeof navigator !== "undefined" ? normalizeLocale(navigator.language) : null;
+  return browserLocale && browserLocale !== DEFAULT_LOCALE ? browserLocale : null;
+}
+
+export function storeVisitorLocale(locale) {
+  try {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (e) {
+    // Ignore localStorage errors
+  }
+}
+
+export function getStrings(locale) {
+  return WIDGET_STRINGS[locale] || WIDGET_STRINGS[DEFAULT_LOCALE];
+}
+
+export function formatString(text, values = {}) {
+  return String(text || "").replace(/\{(\w+)\}/g, (match, name) => values[name] ?? "");
+}
@@ -0,0 +1,84 @@
+// Anonymous ids sent with every widget event and lead so the API can stitch
+// them into journeys:
+//   visitorId - persists in localStorage across visits to any page with the widget
+//   sessionId - one visit; kept in sessionStorage and renewed after 30 minutes
+//               without widget activity
+// Both fall back to in-memory ids when storage is blocked (private mode, iframes).
+// The visitor's first touch (UTM / referrer / landing page of their first visit)
+// is remembered next to the visitor id for first-touch attribution.
+
+const VISITOR_ID_KEY = "homesfy_visitor_id";
+const SESSION_KEY = "homesfy_session";
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+const FIRST_TOUCH_KEY = "homesfy_first_touch";
+// Like an ad platform's attribution window: a visitor back after 90 days starts over
+const FIRST_TOUCH_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+let memoryVisitorId = null;
+let memorySession = null;
+let memoryFirstTouch = null;
+
+function createId() {
+  return typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function getVisitorId() {
+  try {
+    let visitorId = localStorage.getItem(VISITOR_ID_KEY);
+    if (!visitorId) {
+      visitorId = createId();
+      localStorage.setItem(VISITOR_ID_KEY, visitorId);
+    }
+    return visitorId;
+  } catch {
+    memoryVisitorId = memoryVisitorId || createId();
+    return memoryVisitorId;
+  }
+}
+
+function readSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY) || "null");
+  } catch {
+    return memorySession;
+  }
+}
+
+function writeSession(session) {
+  memorySession = session;
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch {
+    // Storage blocked - keep the in-memory session
+  }
+}
+
+// The current visit's id; each call counts as activity and keeps the session alive
+export function getSessionId() {
+  const now = Date.now();
+  const session = readSession();
+  const isActive = session?.id && now - Number(session.lastActivityAt || 0) < SESSION_TIMEOUT_MS;
+  const id = isActive ? session.id : createId();
+  writeSession({ id, startedAt: isActive ? session.startedAt : now, lastActivityAt: now });
+  return id;
+}
+
+// The first touch ({ utm, referrer, landingPage, at }) remembered for this
+// browser; `touch` (the current page's) becomes it when there is none yet
+export function getFirstTouch(touch) {
+  const isValid = (stored) => stored?.at && Date.now() - new Date(stored.at).getTime() < FIRST_TOUCH_TTL_MS;
+  try {
+    const stored = JSON.parse(localStorage.getItem(FIRST_TOUCH_KEY) || "null");
+    if (isValid(stored)) {
+      return stored;
+    }
+    const firstTouch = { ...touch, at: new Date().toISOString() };
+    localStorage.setItem(FIRST_TOUCH_KEY, JSON.stringify(firstTouch));
+    return firstTouch;
+  } catch {
+    memoryFirstTouch = isValid(memoryFirstTouch) ? memoryFirstTouch : { ...touch, at: new Date().toISOString() };
+    return memoryFirstTouch;
+  }
+}
@@ -3,6 +3,7 @@ import ReactDOM from "react-dom/client";
 import { ChatWidget } from "./ChatWidget.jsx";
 import styles from "./styles.css?inline";
 import { detectPropertyFromPage } from "./propertyDetector.js";
+import { getSessionId, getVisitorId } from "./visitorIdentity.js";
 
 // CRITICAL: Use single widget instance for all project IDs
 // Project ID is only used for lead submission (CRM), not for widget config
@@ -118,6 +119,7 @@ async function fetchWidgetTheme(apiBaseUrl, projectId, forceRefresh = false) {
         autoOpenDelayMs: data.auto_open_delay_ms || data.autoOpenDelayMs,
         welcomeMessage: data.welcome_message || data.welcomeMessage,
         propertyInfo: data.property_info || data.propertyInfo || {},
+        locale: data.locale,
       };
     }
     
@@ -157,6 +159,8 @@ function createEventDispatcher(apiBaseUrl, projectId, microsite) {
         type,
         projectId,
         microsite,
+        visitorId: getVisitorId(),
+        sessionId: getSessionId(),
         payload: { ...extra, at: new Date().toISOString() },
       };
 
@@ -607,7 +611,11 @@ async function init(options = {}) {
   const microsite =
     options.microsite || scriptElement?.dataset.microsite || window.location.hostname;
 
-  const themeOverrides = options.theme || {};
+  const themeOverrides = {
+    // data-locale="hi" sets the default chat language for this page; visitors can still switch
+    ...(scriptElement?.dataset.locale && { locale: scriptElement.dataset.locale }),
+    ...(options.theme || {}),
+  };
   
   // Widget design: Shared config (same appearance for all projects, like WhatsApp)
   // Lead submission: Uses actual project ID from script (different projects = different CRM entries)